@@ -0,0 +1,50 @@
+/**
+ * Grant or revoke a platform role from the command line (bootstraps the first superadmin).
+ *
+ * Run from backend dir:
+ *   node scripts/grant-platform-role.js <email> <superadmin|support|readonly>
+ *   node scripts/grant-platform-role.js <email> --revoke
+ */
+
+import dotenv from 'dotenv';
+dotenv.config();
+
+import { initFirestore } from '../src/storage/firestore.js';
+import { userRepository } from '../src/storage/repositories/UserRepository.js';
+import { auditLogRepository } from '../src/storage/repositories/AuditLogRepository.js';
+import { PLATFORM_ROLES } from '../src/constants/platformRoles.js';
+
+async function main() {
+  const [email, roleArg] = process.argv.slice(2);
+  const revoke = roleArg === '--revoke';
+  if (!email || (!revoke && !PLATFORM_ROLES.includes(roleArg))) {
+    console.error(`Usage: node scripts/grant-platform-role.js <email> <${PLATFORM_ROLES.join('|')}|--revoke>`);
+    process.exit(1);
+  }
+
+  await initFirestore();
+
+  const user = await userRepository.findByEmail(email);
+  if (!user) {
+    console.error(`No user with email ${email}`);
+    process.exit(1);
+  }
+
+  const role = revoke ? null : roleArg;
+  await userRepository.setPlatformRole(user.id, role);
+  await auditLogRepository.record({
+    action: revoke ? 'platform_role.revoke' : 'platform_role.grant',
+    actorId: null,
+    actorEmail: 'cli',
+    targetUserId: user.id,
+    details: { previousRole: user.platformRole ?? null, role },
+  });
+
+  console.log(revoke ? `Revoked platform role from ${email}` : `Granted ${role} to ${email}`);
+  process.exit(0);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,163 @@
+/**
+ * Forward sensor readings from an MQTT broker to POST /api/ingest, for LoRa/Wi-Fi gateways that only speak MQTT
+ * and for testing ingestion locally without hardware (run a broker such as Mosquitto and publish by hand).
+ *
+ * Topics: <prefix>/<deviceId>/<metric>, payload a number or JSON { "value": 21.4, "at": "2026-03-14T08:00:00Z" }.
+ * Readings are buffered per device and posted every FLUSH_SECONDS with that device's API key.
+ *
+ * Run from backend dir:
+ *   DEVICE_KEYS='{"<deviceId>":"smd_..."}' node scripts/mqtt-bridge.js
+ *   mosquitto_pub -t sapmap/<deviceId>/vacuum -m 22.5
+ *
+ * Environment: MQTT_URL (mqtt://localhost:1883; user:pass@ and mqtts:// supported), MQTT_TOPIC_PREFIX (sapmap),
+ * SAPMAP_API_URL (http://localhost:3001), DEVICE_KEYS (JSON deviceId -> API key), FLUSH_SECONDS (10),
+ * MAX_BUFFERED_READINGS (10000 per device; the oldest are dropped while the API is unreachable)
+ *
+ * Needs the optional mqtt dependency (installed by npm install unless optional dependencies are skipped).
+ */
+
+import dotenv from 'dotenv';
+dotenv.config();
+
+let mqtt;
+try {
+  mqtt = (await import('mqtt')).default;
+} catch {
+  console.error('The MQTT bridge needs the mqtt package: npm install mqtt');
+  process.exit(1);
+}
+
+const MQTT_URL = process.env.MQTT_URL || 'mqtt://localhost:1883';
+const TOPIC_PREFIX = process.env.MQTT_TOPIC_PREFIX || 'sapmap';
+const API_URL = (process.env.SAPMAP_API_URL || 'http://localhost:3001').replace(/\/$/, '');
+const FLUSH_MS = (Number(process.env.FLUSH_SECONDS) || 10) * 1000;
+const MAX_BUFFERED = Number(process.env.MAX_BUFFERED_READINGS) || 10000;
+const KEEPALIVE_SECONDS = 60;
+const RECONNECT_MS = 5000;
+/** Same cap as the ingest endpoint */
+const MAX_BATCH = 500;
+
+let deviceKeys;
+try {
+  deviceKeys = JSON.parse(process.env.DEVICE_KEYS || '{}');
+} catch {
+  console.error('DEVICE_KEYS must be JSON, e.g. {"<deviceId>":"smd_..."}');
+  process.exit(1);
+}
+if (Object.keys(deviceKeys).length === 0) {
+  console.error('Set DEVICE_KEYS to a JSON object of deviceId -> API key (from POST /api/devices)');
+  process.exit(1);
+}
+
+/** deviceId -> readings waiting to be posted */
+const buffers = new Map();
+
+// --- Readings ---
+
+/**
+ * Turn a message into a reading for its device, or null if the topic or payload doesn't fit
+ */
+function toReading(topic, payload) {
+  const parts = topic.split('/');
+  if (parts.length !== 3 || parts[0] !== TOPIC_PREFIX) return null;
+  const [, deviceId, metric] = parts;
+  const text = payload.toString('utf8').trim();
+  let value;
+  let at;
+  if (text.startsWith('{')) {
+    try {
+      ({ value, at } = JSON.parse(text));
+    } catch {
+      return null;
+    }
+  } else {
+    value = text;
+  }
+  const n = Number(value);
+  if (!Number.isFinite(n)) return null;
+  return { deviceId, reading: { metric, value: n, at: at || new Date().toISOString() } };
+}
+
+/**
+ * Add readings to a device's buffer, dropping its oldest past MAX_BUFFERED so an unreachable API can't grow it
+ * without bound
+ */
+function buffer(deviceId, readings, { front = false } = {}) {
+  if (!buffers.has(deviceId)) buffers.set(deviceId, []);
+  const buffered = buffers.get(deviceId);
+  if (front) buffered.unshift(...readings);
+  else buffered.push(...readings);
+  const overflow = buffered.length - MAX_BUFFERED;
+  if (overflow > 0) {
+    buffered.splice(0, overflow);
+    console.error(`[bridge] ${deviceId}: buffer full; dropped the ${overflow} oldest readings`);
+  }
+}
+
+async function flush() {
+  for (const [deviceId, readings] of buffers) {
+    if (readings.length === 0) continue;
+    const batch = readings.splice(0, MAX_BATCH);
+    try {
+      const res = await fetch(`${API_URL}/api/ingest`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${deviceKeys[deviceId]}` },
+        body: JSON.stringify({ readings: batch }),
+      });
+      const result = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        console.error(`[bridge] ${deviceId}: ${res.status} ${result.error || ''}`);
+        if (res.status >= 500) buffer(deviceId, batch, { front: true });
+        continue;
+      }
+      console.log(`[bridge] ${deviceId}: ${result.accepted} accepted, ${result.rejected?.length || 0} rejected`);
+      for (const { index, error } of result.rejected || []) {
+        console.error(`[bridge] ${deviceId}: rejected ${JSON.stringify(batch[index])}: ${error}`);
+      }
+    } catch (err) {
+      console.error(`[bridge] ${deviceId}: ${err.message}; will retry`);
+      buffer(deviceId, batch, { front: true });
+    }
+  }
+}
+
+function onMessage(topic, payload) {
+  const parsed = toReading(topic, payload);
+  if (!parsed) {
+    console.error(`[bridge] Ignored ${topic}: expected ${TOPIC_PREFIX}/<deviceId>/<metric> with a number`);
+    return;
+  }
+  if (!deviceKeys[parsed.deviceId]) {
+    console.error(`[bridge] Ignored ${topic}: no API key for device ${parsed.deviceId} in DEVICE_KEYS`);
+    return;
+  }
+  buffer(parsed.deviceId, [parsed.reading]);
+}
+
+// --- Connection ---
+
+const client = mqtt.connect(MQTT_URL, {
+  clientId: `sapmap-bridge-${process.pid}`,
+  clean: true,
+  keepalive: KEEPALIVE_SECONDS,
+  reconnectPeriod: RECONNECT_MS,
+});
+
+client.on('connect', () => {
+  console.log(`[bridge] Connected to ${client.options.host}; forwarding ${TOPIC_PREFIX}/+/+ to ${API_URL}/api/ingest`);
+  client.subscribe(`${TOPIC_PREFIX}/+/+`, { qos: 1 }, (err) => {
+    if (err) console.error(`[bridge] Subscribe failed: ${err.message}`);
+  });
+});
+client.on('message', onMessage);
+client.on('error', (err) => console.error(`[bridge] MQTT: ${err.message}`));
+client.on('close', () => console.error(`[bridge] Disconnected; reconnecting in ${RECONNECT_MS / 1000}s`));
+
+let flushing = false;
+setInterval(() => {
+  if (flushing) return;
+  flushing = true;
+  flush()
+    .catch((err) => console.error('[bridge] Flush failed:', err.message))
+    .finally(() => { flushing = false; });
+}, FLUSH_MS);
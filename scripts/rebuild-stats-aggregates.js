@@ -0,0 +1,53 @@
+/**
+ * Rebuild the materialized stats aggregates (daily and season sums of collections and boils) from the records,
+ * e.g. after importing data directly into storage or if aggregates look wrong. Stats rebuild a season's aggregates
+ * on their own when they are missing, so this is not needed after upgrading.
+ *
+ * Run from backend dir:
+ *   node scripts/rebuild-stats-aggregates.js                      # every season
+ *   node scripts/rebuild-stats-aggregates.js --operation <id>     # one operation's seasons
+ *   node scripts/rebuild-stats-aggregates.js --season <id>
+ */
+
+import dotenv from 'dotenv';
+dotenv.config();
+
+import { initFirestore } from '../src/storage/firestore.js';
+import { seasonRepository } from '../src/storage/repositories/SeasonRepository.js';
+import { rebuildSeasonAggregates } from '../src/services/StatsAggregateService.js';
+
+async function main() {
+  const [flag, id] = process.argv.slice(2);
+  if (flag && (!['--operation', '--season'].includes(flag) || !id)) {
+    console.error('Usage: node scripts/rebuild-stats-aggregates.js [--operation <id> | --season <id>]');
+    process.exit(1);
+  }
+
+  await initFirestore();
+
+  let seasons;
+  if (flag === '--season') {
+    const season = await seasonRepository.findById(id);
+    if (!season) {
+      console.error(`No season with id ${id}`);
+      process.exit(1);
+    }
+    seasons = [season];
+  } else if (flag === '--operation') {
+    seasons = await seasonRepository.findByOrganizationId(id);
+  } else {
+    seasons = await seasonRepository.findAll();
+  }
+
+  for (const season of seasons) {
+    const { totals, days } = await rebuildSeasonAggregates(season.id);
+    console.log(`${season.name} (${season.id}): ${totals.collectionCount || 0} collections, ${totals.boilCount || 0} boils, ${days.length} days`);
+  }
+  console.log(`Rebuilt aggregates for ${seasons.length} season(s)`);
+  process.exit(0);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -6,116 +6,23 @@
 import dotenv from 'dotenv';
 dotenv.config();
 
-import Fastify from 'fastify';
-import cors from '@fastify/cors';
-import formbody from '@fastify/formbody';
 import { initFirestore } from './src/storage/firestore.js';
+import { initRealtime } from './src/realtime/realtime.js';
+import { startPresenceSweeper } from './src/services/PresenceService.js';
+import { startDeviceSweeper } from './src/services/SensorService.js';
+import { buildApp } from './src/app.js';
 
-// Import routes
-import { authRoutes } from './src/routes/auth.js';
-import { seasonRoutes } from './src/routes/seasons.js';
-import { zoneRoutes } from './src/routes/zones.js';
-import { collectionRoutes } from './src/routes/collections.js';
-import { boilRoutes } from './src/routes/boils.js';
-import { weatherRoutes } from './src/routes/weather.js';
-import { statsRoutes } from './src/routes/stats.js';
-import { operationRoutes } from './src/routes/operations.js';
-import { inviteRoutes } from './src/routes/invites.js';
-import { realtimeRoutes } from './src/routes/realtime.js';
-import { notificationRoutes } from './src/routes/notifications.js';
-import { adminRoutes } from './src/routes/admin.js';
-import { contactRoutes } from './src/routes/contact.js';
-
-const isProduction = process.env.NODE_ENV === 'production';
-
-const fastify = Fastify({
-  logger: isProduction
-    ? { level: 'warn' }
-    : true,
-  bodyLimit: 1048576, // 1MB
-});
-
-// CORS configuration (production: set ALLOWED_ORIGINS e.g. https://app.sapmap.ca — no trailing slash, exact origin)
-await fastify.register(cors, {
-  origin: isProduction
-    ? (origin, cb) => {
-        const allowed = process.env.ALLOWED_ORIGINS?.trim();
-        const allowedOrigins = allowed ? allowed.split(',').map((o) => o.trim()).filter(Boolean) : [];
-        if (allowedOrigins.length === 0) {
-          cb(null, true);
-        } else if (!origin || allowedOrigins.includes(origin)) {
-          cb(null, true);
-        } else {
-          console.warn('[CORS] Rejected origin:', origin, 'Allowed:', allowedOrigins.join(', '));
-          cb(new Error('Not allowed by CORS'), false);
-        }
-      }
-    : true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
-  credentials: true,
-});
-
-await fastify.register(formbody);
-
-// Security headers
-fastify.addHook('onSend', async (request, reply, payload) => {
-  reply.header('X-Content-Type-Options', 'nosniff');
-  reply.header('X-Frame-Options', 'DENY');
-  reply.header('X-XSS-Protection', '1; mode=block');
-  if (isProduction) {
-    reply.header('Strict-Transport-Security', 'max-age=31536000; includeSubDomains');
-  }
-  return payload;
-});
-
-// Error handler
-fastify.setErrorHandler(async (error, request, reply) => {
-  fastify.log.error(error);
-
-  if (isProduction) {
-    const statusCode = error.statusCode || 500;
-    return reply.code(statusCode).send({
-      error: statusCode >= 500 ? 'Internal server error' : error.message,
-    });
-  }
-
-  return reply.code(error.statusCode || 500).send({
-    error: error.message,
-    stack: error.stack,
-  });
-});
-
-// Health check
-fastify.get('/health', async () => {
-  return { status: 'ok', timestamp: new Date().toISOString() };
-});
-
-// Public: VAPID public key for web push (no auth). Frontend/PWA fetches this when config.json has no key.
-fastify.get('/api/notifications/vapid-public-key', async () => {
-  return { publicKey: process.env.WEB_PUSH_PUBLIC_KEY || '' };
-});
-
-// Initialize Firestore and register routes
+// Initialize Firestore, build the app and listen
 const start = async () => {
+  let fastify;
   try {
     await initFirestore();
     console.log('✅ Firestore initialized');
+    await initRealtime();
+    startPresenceSweeper();
+    startDeviceSweeper();
 
-    // Register routes
-    await fastify.register(authRoutes, { prefix: '/api/auth' });
-    await fastify.register(seasonRoutes, { prefix: '/api/seasons' });
-    await fastify.register(zoneRoutes, { prefix: '/api/zones' });
-    await fastify.register(collectionRoutes, { prefix: '/api/collections' });
-    await fastify.register(boilRoutes, { prefix: '/api/boils' });
-    await fastify.register(weatherRoutes, { prefix: '/api/weather' });
-    await fastify.register(statsRoutes, { prefix: '/api/stats' });
-    await fastify.register(operationRoutes, { prefix: '/api/operations' });
-    await fastify.register(inviteRoutes, { prefix: '/api/invites' });
-    await fastify.register(realtimeRoutes, { prefix: '/api/realtime' });
-    await fastify.register(notificationRoutes, { prefix: '/api/notifications' });
-    await fastify.register(adminRoutes, { prefix: '/api/admin' });
-    await fastify.register(contactRoutes, { prefix: '/api/contact' });
+    fastify = await buildApp();
 
     const port = process.env.PORT || 3001;
     const host = process.env.HOST || '0.0.0.0';
@@ -123,7 +30,8 @@ const start = async () => {
     await fastify.listen({ port, host });
     console.log(`🍁 SapMap API running on http://${host}:${port}`);
   } catch (err) {
-    fastify.log.error(err);
+    if (fastify) fastify.log.error(err);
+    else console.error(err);
     process.exit(1);
   }
 };
@@ -0,0 +1,144 @@
+/**
+ * Fastify app: plugins, hooks and routes. Storage and realtime are initialized separately (see server.js), so tests
+ * can build the app against the in-memory backend and call it with fastify.inject.
+ */
+
+import Fastify from 'fastify';
+import cors from '@fastify/cors';
+import formbody from '@fastify/formbody';
+import websocket from '@fastify/websocket';
+import { closeRealtime } from './realtime/realtime.js';
+import { stopPresenceSweeper } from './services/PresenceService.js';
+import { stopDeviceSweeper } from './services/SensorService.js';
+import { websocketRoutes } from './realtime/websocketHub.js';
+
+// Import routes
+import { authRoutes } from './routes/auth.js';
+import { seasonRoutes } from './routes/seasons.js';
+import { zoneRoutes } from './routes/zones.js';
+import { collectionRoutes } from './routes/collections.js';
+import { boilRoutes } from './routes/boils.js';
+import { batchRoutes } from './routes/batches.js';
+import { tankRoutes } from './routes/tanks.js';
+import { roRunRoutes } from './routes/roRuns.js';
+import { lineRoutes } from './routes/lines.js';
+import { tapRoutes } from './routes/taps.js';
+import { vacuumRoutes } from './routes/vacuum.js';
+import { deviceRoutes } from './routes/devices.js';
+import { ingestRoutes } from './routes/ingest.js';
+import { syncRoutes } from './routes/sync.js';
+import { weatherRoutes } from './routes/weather.js';
+import { statsRoutes } from './routes/stats.js';
+import { operationRoutes } from './routes/operations.js';
+import { inviteRoutes } from './routes/invites.js';
+import { realtimeRoutes } from './routes/realtime.js';
+import { notificationRoutes } from './routes/notifications.js';
+import { adminRoutes } from './routes/admin.js';
+import { contactRoutes } from './routes/contact.js';
+
+/**
+ * Build the API without listening.
+ * @param {{ logger?: boolean | object }} [options] - Fastify logger (default: warn in production, else on)
+ */
+export async function buildApp({ logger } = {}) {
+  const isProduction = process.env.NODE_ENV === 'production';
+
+  const fastify = Fastify({
+    logger: logger ?? (isProduction ? { level: 'warn' } : true),
+    bodyLimit: 1048576, // 1MB
+  });
+
+  // CORS configuration (production: set ALLOWED_ORIGINS e.g. https://app.sapmap.ca — no trailing slash, exact origin)
+  await fastify.register(cors, {
+    origin: isProduction
+      ? (origin, cb) => {
+          const allowed = process.env.ALLOWED_ORIGINS?.trim();
+          const allowedOrigins = allowed ? allowed.split(',').map((o) => o.trim()).filter(Boolean) : [];
+          if (allowedOrigins.length === 0) {
+            cb(null, true);
+          } else if (!origin || allowedOrigins.includes(origin)) {
+            cb(null, true);
+          } else {
+            console.warn('[CORS] Rejected origin:', origin, 'Allowed:', allowedOrigins.join(', '));
+            cb(new Error('Not allowed by CORS'), false);
+          }
+        }
+      : true,
+    methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization'],
+    credentials: true,
+  });
+
+  await fastify.register(formbody);
+  await fastify.register(websocket);
+  fastify.addHook('onClose', async () => {
+    stopPresenceSweeper();
+    stopDeviceSweeper();
+    await closeRealtime();
+  });
+
+  // Security headers
+  fastify.addHook('onSend', async (request, reply, payload) => {
+    reply.header('X-Content-Type-Options', 'nosniff');
+    reply.header('X-Frame-Options', 'DENY');
+    reply.header('X-XSS-Protection', '1; mode=block');
+    if (isProduction) {
+      reply.header('Strict-Transport-Security', 'max-age=31536000; includeSubDomains');
+    }
+    return payload;
+  });
+
+  // Error handler
+  fastify.setErrorHandler(async (error, request, reply) => {
+    fastify.log.error(error);
+
+    if (isProduction) {
+      const statusCode = error.statusCode || 500;
+      return reply.code(statusCode).send({
+        error: statusCode >= 500 ? 'Internal server error' : error.message,
+      });
+    }
+
+    return reply.code(error.statusCode || 500).send({
+      error: error.message,
+      stack: error.stack,
+    });
+  });
+
+  // Health check
+  fastify.get('/health', async () => {
+    return { status: 'ok', timestamp: new Date().toISOString() };
+  });
+
+  // Public: VAPID public key for web push (no auth). Frontend/PWA fetches this when config.json has no key.
+  fastify.get('/api/notifications/vapid-public-key', async () => {
+    return { publicKey: process.env.WEB_PUSH_PUBLIC_KEY || '' };
+  });
+
+  // Register routes
+  await fastify.register(authRoutes, { prefix: '/api/auth' });
+  await fastify.register(seasonRoutes, { prefix: '/api/seasons' });
+  await fastify.register(zoneRoutes, { prefix: '/api/zones' });
+  await fastify.register(collectionRoutes, { prefix: '/api/collections' });
+  await fastify.register(boilRoutes, { prefix: '/api/boils' });
+  await fastify.register(batchRoutes, { prefix: '/api/batches' });
+  await fastify.register(tankRoutes, { prefix: '/api/tanks' });
+  await fastify.register(roRunRoutes, { prefix: '/api/ro-runs' });
+  await fastify.register(lineRoutes, { prefix: '/api/lines' });
+  await fastify.register(tapRoutes, { prefix: '/api/taps' });
+  await fastify.register(vacuumRoutes, { prefix: '/api/vacuum' });
+  await fastify.register(deviceRoutes, { prefix: '/api/devices' });
+  await fastify.register(ingestRoutes, { prefix: '/api/ingest' });
+  await fastify.register(syncRoutes, { prefix: '/api/sync' });
+  await fastify.register(weatherRoutes, { prefix: '/api/weather' });
+  await fastify.register(statsRoutes, { prefix: '/api/stats' });
+  await fastify.register(operationRoutes, { prefix: '/api/operations' });
+  await fastify.register(inviteRoutes, { prefix: '/api/invites' });
+  await fastify.register(realtimeRoutes, { prefix: '/api/realtime' });
+  await fastify.register(websocketRoutes, { prefix: '/api/realtime' });
+  await fastify.register(notificationRoutes, { prefix: '/api/notifications' });
+  await fastify.register(adminRoutes, { prefix: '/api/admin' });
+  await fastify.register(contactRoutes, { prefix: '/api/contact' });
+
+  return fastify;
+}
@@ -0,0 +1,20 @@
+/**
+ * Evaporator fuels and the unit each is usually measured in. Logs may use any of FUEL_UNITS.
+ */
+export const FUEL_TYPES = [
+  { id: 'wood', label: 'Wood', defaultUnit: 'cords' },
+  { id: 'oil', label: 'Fuel oil', defaultUnit: 'liters' },
+  { id: 'propane', label: 'Propane', defaultUnit: 'liters' },
+  { id: 'electric', label: 'Electric', defaultUnit: 'kWh' },
+];
+
+export const FUEL_TYPE_IDS = FUEL_TYPES.map((f) => f.id);
+
+export const FUEL_UNITS = ['cords', 'liters', 'kWh'];
+
+/**
+ * Default unit for a fuel type (null for unknown types)
+ */
+export function defaultFuelUnit(fuelType) {
+  return FUEL_TYPES.find((f) => f.id === fuelType)?.defaultUnit ?? null;
+}
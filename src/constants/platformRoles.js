@@ -0,0 +1,14 @@
+/**
+ * Platform (SapMap staff) roles, stored as user.platformRole. Separate from operation roles
+ * (read/write/admin), which only apply inside an operation.
+ */
+export const PLATFORM_ROLES = ['superadmin', 'support', 'readonly'];
+
+/**
+ * Permissions granted to each platform role. Admin routes check a permission, not a role.
+ */
+export const PLATFORM_PERMISSIONS = {
+  superadmin: ['stats:read', 'zones:read', 'users:read', 'collections:browse', 'roles:manage', 'audit:read'],
+  support: ['stats:read', 'zones:read', 'users:read'],
+  readonly: ['stats:read', 'zones:read'],
+};
@@ -0,0 +1,21 @@
+/**
+ * Maple syrup grades (IMSI / USDA Grade A color classes) by light transmittance (%Tc at 560 nm).
+ * Ordered lightest to darkest; minTransmittance is inclusive.
+ */
+export const SYRUP_GRADES = [
+  { id: 'golden', label: 'Golden, Delicate Taste', minTransmittance: 75 },
+  { id: 'amber', label: 'Amber, Rich Taste', minTransmittance: 50 },
+  { id: 'dark', label: 'Dark, Robust Taste', minTransmittance: 25 },
+  { id: 'very_dark', label: 'Very Dark, Strong Taste', minTransmittance: 0 },
+];
+
+export const SYRUP_GRADE_IDS = SYRUP_GRADES.map((g) => g.id);
+
+/**
+ * Color class for a light transmittance reading, or null if the reading is missing/invalid
+ */
+export function gradeFromTransmittance(transmittance) {
+  const value = Number(transmittance);
+  if (transmittance == null || !Number.isFinite(value) || value < 0 || value > 100) return null;
+  return SYRUP_GRADES.find((g) => value >= g.minTransmittance).id;
+}
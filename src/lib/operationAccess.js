@@ -48,13 +48,25 @@ export function canAccessSeason(userId, season, memberships) {
 }
 
 /**
- * Check if user can write to season (create/update/delete): owner or operation write/admin
+ * Check if user can write to season (create/update/delete): owner or operation write/admin.
+ * Closed seasons are locked on top of this; see assertSeasonOpen.
  */
 export function canWriteSeason(userId, season, memberships) {
   if (!season) return false;
-  if (season.userId === userId) return true;
-  if (season.organizationId && hasOperationRole(memberships, season.organizationId, 'write')) return true;
-  return false;
+  return season.userId === userId
+    || Boolean(season.organizationId && hasOperationRole(memberships, season.organizationId, 'write'));
+}
+
+/**
+ * Require the season to be open: a closed season's records are locked (409, thrown) until an admin reopens it.
+ * Call after canWriteSeason in routes that change the season or its records.
+ */
+export function assertSeasonOpen(season) {
+  if (season?.closedAt) {
+    const err = new Error('This season is closed. An operation admin must reopen it before it can be changed.');
+    err.statusCode = 409;
+    throw err;
+  }
 }
 
 /**
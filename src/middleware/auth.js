@@ -1,9 +1,15 @@
 /**
  * JWT Authentication Middleware
+ *
+ * Access tokens are short-lived JWTs carrying the session id (sid). Each signed-in device has a
+ * session document holding the hash of a rotating refresh token, so sessions can be revoked server-side.
  */
 
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
 import { userRepository } from '../storage/repositories/UserRepository.js';
+import { sessionRepository } from '../storage/repositories/SessionRepository.js';
+import { PLATFORM_PERMISSIONS } from '../constants/platformRoles.js';
 
 const DEV_SECRET = 'dev-secret-change-in-production';
 const isProduction = process.env.NODE_ENV === 'production';
@@ -20,20 +26,87 @@ function getJwtSecret() {
 
 const JWT_SECRET = getJwtSecret();
 
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+/** Only write lastSeenAt when it is older than this, to avoid a write on every request */
+const LAST_SEEN_UPDATE_INTERVAL_MS = 5 * 60 * 1000;
+
+function hashRefreshToken(refreshToken) {
+  return crypto.createHash('sha256').update(refreshToken).digest('hex');
+}
+
+function refreshTokenExpiry() {
+  const expiresAt = new Date();
+  expiresAt.setDate(expiresAt.getDate() + REFRESH_TOKEN_TTL_DAYS);
+  return expiresAt;
+}
+
 /**
- * Generate a JWT token for a user
+ * Generate a short-lived access token (JWT) for a user's session
  */
-export const generateToken = (user) => {
+export const generateToken = (user, sessionId) => {
   return jwt.sign(
     {
       id: user.id,
       email: user.email,
+      sid: sessionId,
     },
     JWT_SECRET,
-    { expiresIn: '30d' }
+    { expiresIn: ACCESS_TOKEN_TTL }
   );
 };
 
+/**
+ * Start a new session for a user (login/register).
+ * @param {object} user
+ * @param {{ userAgent?: string, ip?: string, deviceName?: string }} [device]
+ * @returns {Promise<{ token: string, refreshToken: string, session: object }>}
+ */
+export const createSession = async (user, device = {}) => {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  const session = await sessionRepository.createSession(user.id, {
+    refreshTokenHash: hashRefreshToken(refreshToken),
+    expiresAt: refreshTokenExpiry(),
+    userAgent: device.userAgent,
+    ip: device.ip,
+    deviceName: device.deviceName,
+  });
+  return { token: generateToken(user, session.id), refreshToken, session };
+};
+
+/**
+ * Exchange a refresh token for a new access token and a new refresh token (rotation).
+ * Presenting an already-rotated refresh token revokes the session, since it means the token leaked; so does
+ * presenting one twice at once, when only one of the rotations can win (see sessionRepository.rotate).
+ * @returns {Promise<{ token: string, refreshToken: string, session: object, user: object } | null>}
+ */
+export const refreshSession = async (refreshToken) => {
+  if (!refreshToken || typeof refreshToken !== 'string') return null;
+  const hash = hashRefreshToken(refreshToken);
+
+  const session = await sessionRepository.findByRefreshTokenHash(hash);
+  if (!session) {
+    const reused = await sessionRepository.findByPreviousRefreshTokenHash(hash);
+    if (reused && sessionRepository.isActive(reused)) {
+      await sessionRepository.revoke(reused.id, 'refresh_token_reuse');
+    }
+    return null;
+  }
+  if (!sessionRepository.isActive(session)) return null;
+
+  const user = await userRepository.findById(session.userId);
+  if (!user) return null;
+
+  const nextRefreshToken = crypto.randomBytes(48).toString('hex');
+  const updated = await sessionRepository.rotate(session.id, {
+    refreshTokenHash: hashRefreshToken(nextRefreshToken),
+    previousRefreshTokenHash: hash,
+    expiresAt: refreshTokenExpiry(),
+  });
+  if (!updated) return null;
+  return { token: generateToken(user, session.id), refreshToken: nextRefreshToken, session: updated, user };
+};
+
 /**
  * Verify a JWT token
  */
@@ -45,6 +118,29 @@ export const verifyToken = (token) => {
   }
 };
 
+/**
+ * Resolve an access token to its user and active session (used by authenticate and the WebSocket server).
+ * @returns {Promise<{ user: object, session: object } | { reason: 'invalid_or_expired'|'no_session'|'session_revoked'|'user_not_found', userId?: string }>}
+ */
+export const resolveAccessToken = async (token) => {
+  const decoded = verifyToken(token);
+  if (!decoded) return { reason: 'invalid_or_expired' };
+
+  // Tokens issued before sessions existed have no sid and cannot be revoked; force a new login
+  if (!decoded.sid) return { reason: 'no_session' };
+
+  const [user, session] = await Promise.all([
+    userRepository.findById(decoded.id),
+    sessionRepository.findById(decoded.sid),
+  ]);
+
+  if (!session || session.userId !== decoded.id || !sessionRepository.isActive(session)) {
+    return { reason: 'session_revoked', userId: decoded.id };
+  }
+  if (!user) return { reason: 'user_not_found', userId: decoded.id };
+  return { user, session };
+};
+
 /**
  * Authentication middleware for Fastify
  */
@@ -57,40 +153,58 @@ export const authenticate = async (request, reply) => {
       return reply.code(401).send({ error: 'Authentication required' });
     }
 
-    const token = authHeader.substring(7);
-    const decoded = verifyToken(token);
+    const resolved = await resolveAccessToken(authHeader.substring(7));
 
-    if (!decoded) {
+    if (resolved.reason === 'invalid_or_expired') {
       request.log?.warn?.({ auth: 'invalid_or_expired' }, '401: Invalid or expired token');
       return reply.code(401).send({ error: 'Invalid or expired token' });
     }
 
-    // Fetch user from database
-    const user = await userRepository.findById(decoded.id);
+    if (resolved.reason === 'no_session') {
+      request.log?.warn?.({ auth: 'no_session' }, '401: Token has no session');
+      return reply.code(401).send({ error: 'Invalid or expired token' });
+    }
 
-    if (!user) {
-      request.log?.warn?.({ auth: 'user_not_found', userId: decoded.id }, '401: User not found');
+    if (resolved.reason === 'session_revoked') {
+      request.log?.warn?.({ auth: 'session_revoked', userId: resolved.userId }, '401: Session revoked or expired');
+      return reply.code(401).send({ error: 'Session has been signed out', code: 'SESSION_REVOKED' });
+    }
+
+    if (resolved.reason === 'user_not_found') {
+      request.log?.warn?.({ auth: 'user_not_found', userId: resolved.userId }, '401: User not found');
       return reply.code(401).send({ error: 'User not found' });
     }
 
-    // Attach user to request
+    const { user, session } = resolved;
+    const lastSeen = session.lastSeenAt ? new Date(session.lastSeenAt).getTime() : 0;
+    if (Date.now() - lastSeen > LAST_SEEN_UPDATE_INTERVAL_MS) {
+      sessionRepository.touch(session.id).catch((err) => request.log?.warn?.({ err }, 'Failed to update session lastSeenAt'));
+    }
+
+    // Attach user and session to request
     request.user = user;
+    request.session = session;
   } catch (error) {
     request.log?.warn?.({ err: error, auth: 'failed' }, '401: Authentication failed');
     return reply.code(401).send({ error: 'Authentication failed' });
   }
 };
 
+export const hasPlatformPermission = (role, permission) => {
+  return Boolean(role && PLATFORM_PERMISSIONS[role]?.includes(permission));
+};
+
 /**
- * Require admin email (allowed admins). Use after authenticate.
- * Returns 403 if request.user.email is not in the allowed list.
+ * Require a platform permission via request.user.platformRole. Use after authenticate.
+ * Returns 403 if the user's platform role does not grant it.
  */
-const ADMIN_EMAILS = ['johnascott14@gmail.com', 'johnascott14+test@gmail.com'];
-
-export const requireAdmin = async (request, reply) => {
-  const email = request.user?.email;
-  if (!email || !ADMIN_EMAILS.includes(String(email).toLowerCase())) {
-    request.log?.warn?.({ auth: 'admin_forbidden', email: email ? '***' : 'none' }, '403: Admin access denied');
+export const requirePlatformPermission = (permission) => async (request, reply) => {
+  const role = request.user?.platformRole;
+  if (!hasPlatformPermission(role, permission)) {
+    request.log?.warn?.(
+      { auth: 'admin_forbidden', permission, role: role || 'none' },
+      '403: Admin access denied'
+    );
     return reply.code(403).send({ error: 'Forbidden' });
   }
 };
@@ -0,0 +1,20 @@
+/**
+ * Device Authentication Middleware - sensor devices send their API key as `Authorization: Bearer smd_...`
+ */
+
+import { sensorDeviceRepository } from '../storage/repositories/SensorDeviceRepository.js';
+import { hashApiKey, isDeviceApiKey } from '../services/SensorService.js';
+
+export const authenticateDevice = async (request, reply) => {
+  const authHeader = request.headers.authorization;
+  const apiKey = authHeader?.startsWith('Bearer ') ? authHeader.substring(7) : null;
+  if (!isDeviceApiKey(apiKey)) {
+    return reply.code(401).send({ error: 'Device API key required' });
+  }
+  const device = await sensorDeviceRepository.findByApiKeyHash(hashApiKey(apiKey));
+  if (!device) {
+    request.log?.warn?.({ auth: 'device_key_invalid' }, '401: Unknown device API key');
+    return reply.code(401).send({ error: 'Invalid device API key' });
+  }
+  request.device = device;
+};
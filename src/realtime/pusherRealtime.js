@@ -24,7 +24,7 @@ function getPusher() {
         !secret && 'PUSHER_SECRET',
         !cluster && 'PUSHER_CLUSTER',
       ].filter(Boolean);
-      console.warn('[Pusher] Realtime disabled in production: set env vars:', missing.join(', '));
+      console.warn('[Pusher] Pusher transport disabled: set env vars:', missing.join(', '));
     }
     return null;
   }
@@ -39,20 +39,20 @@ function getPusher() {
 }
 
 /**
- * Trigger an event to all clients subscribed to the operation's private channel.
- * No-op if Pusher env is not set.
+ * Pusher transport for realtime.js: sends each event to the operation's private channel.
  * Channel name: private-operation-{operationId} (Pusher allows alphanumeric, '-', '_').
- * @param {string} operationId
- * @param {object} event - Must have .type (e.g. 'collection:created'); will be sent as payload
  */
-export function trigger(operationId, event) {
-  if (!operationId || !event?.type) return;
-  const client = getPusher();
-  if (!client) return;
-  const channel = CHANNEL_PREFIX + String(operationId);
-  client.trigger(channel, event.type, event).catch((err) => {
-    console.error('Pusher trigger error:', err?.message);
-  });
-}
+export const pusherTransport = {
+  name: 'pusher',
+  isEnabled: () => getPusher() != null,
+  publish(operationId, event) {
+    const client = getPusher();
+    if (!client) return;
+    const channel = CHANNEL_PREFIX + String(operationId);
+    client.trigger(channel, event.type, event).catch((err) => {
+      console.error('Pusher trigger error:', err?.message);
+    });
+  },
+};
 
 export { getPusher, CHANNEL_PREFIX };
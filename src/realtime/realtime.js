@@ -0,0 +1,116 @@
+/**
+ * Realtime events for an operation's members. Routes call trigger(); every enabled transport delivers it:
+ * - pusher: Pusher Channels, when PUSHER_* is set
+ * - websocket: the built-in WebSocket server (always on; see websocketHub.js)
+ * - redis: fan-out to other instances' WebSocket clients, when REDIS_URL is set
+ * Events are also stored with a per-operation `seq` so clients can replay what they missed
+ * (GET /api/realtime/events?since=<seq>). Payload shapes are documented in README ("Event schema").
+ * In-process listeners (onRealtimeEvent) see every event, local or from another instance, e.g. to drop caches.
+ */
+
+import { pusherTransport } from './pusherRealtime.js';
+import { websocketTransport } from './websocketHub.js';
+import { redisTransport, startRedisBus, stopRedisBus } from './redisBus.js';
+import {
+  realtimeEventRepository,
+  REALTIME_EVENT_RETENTION_MS,
+} from '../storage/repositories/RealtimeEventRepository.js';
+
+const transports = [pusherTransport, websocketTransport, redisTransport];
+
+/** Sent as `v` on every event; bump when an existing event's payload changes incompatibly */
+export const REALTIME_EVENT_VERSION = 1;
+
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+let pruneTimer = null;
+
+/** operationId -> promise of the last event being stored, so events go out in seq order */
+const pending = new Map();
+
+const listeners = [];
+
+/**
+ * Call listener(operationId, event) for every event triggered on this instance or received from another one
+ */
+export function onRealtimeEvent(listener) {
+  listeners.push(listener);
+}
+
+function notifyListeners(operationId, event) {
+  for (const listener of listeners) {
+    try {
+      listener(operationId, event);
+    } catch (err) {
+      console.error('[realtime] Listener error:', err?.message);
+    }
+  }
+}
+
+function publish(operationId, event) {
+  for (const transport of transports) {
+    if (!transport.isEnabled()) continue;
+    try {
+      transport.publish(operationId, event);
+    } catch (err) {
+      console.error(`[realtime] ${transport.name} publish error:`, err?.message);
+    }
+  }
+}
+
+/**
+ * Trigger an event to all clients subscribed to the operation.
+ * The event is stored first and delivered with its sequence number; if storing fails it is still delivered, without seq.
+ * @param {string} operationId
+ * @param {object} event - Must have .type (e.g. 'collection:created'); will be sent as payload
+ */
+export function trigger(operationId, event) {
+  if (!operationId || !event?.type) return;
+  const id = String(operationId);
+  const versioned = { ...event, v: REALTIME_EVENT_VERSION };
+  // Listeners run right away so a cache is dropped before the write's response goes out
+  notifyListeners(id, versioned);
+  const previous = pending.get(id) || Promise.resolve();
+  const current = previous
+    .then(() => realtimeEventRepository.append(id, versioned))
+    .then(
+      (stored) => publish(id, { ...versioned, seq: stored.seq }),
+      (err) => {
+        console.error('[realtime] Failed to store event:', err?.message);
+        publish(id, versioned);
+      }
+    );
+  pending.set(id, current);
+  current.finally(() => {
+    if (pending.get(id) === current) pending.delete(id);
+  });
+}
+
+/** Delete stored events older than the retention window */
+export async function pruneRealtimeEvents() {
+  const removed = await realtimeEventRepository.pruneOlderThan(new Date(Date.now() - REALTIME_EVENT_RETENTION_MS));
+  if (removed > 0) console.log(`[realtime] Pruned ${removed} events older than the retention window`);
+  return removed;
+}
+
+/**
+ * Start optional transports (Redis) and hourly pruning of stored events. Call once at startup.
+ */
+export async function initRealtime() {
+  const redis = await startRedisBus((operationId, event) => {
+    notifyListeners(operationId, event);
+    websocketTransport.publish(operationId, event);
+  });
+  const enabled = transports.filter((t) => t.isEnabled()).map((t) => t.name);
+  console.log(`✅ Realtime transports: ${enabled.join(', ')}${redis ? '' : ' (no Redis: single instance)'}`);
+
+  const prune = () => pruneRealtimeEvents().catch((err) => console.error('[realtime] Prune failed:', err?.message));
+  prune();
+  pruneTimer = setInterval(prune, PRUNE_INTERVAL_MS);
+  pruneTimer.unref();
+}
+
+export async function closeRealtime() {
+  clearInterval(pruneTimer);
+  pruneTimer = null;
+  await stopRedisBus();
+}
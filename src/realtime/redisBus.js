@@ -0,0 +1,76 @@
+/**
+ * Optional Redis pub/sub fan-out (REDIS_URL). Every instance publishes its events to one channel and
+ * delivers the events of other instances to its own WebSocket clients.
+ */
+
+import crypto from 'crypto';
+import { createClient } from 'redis';
+
+const REDIS_CHANNEL = 'sapmap:realtime';
+
+/** Startup doesn't wait longer than this for Redis; realtime then stays single-instance */
+const CONNECT_TIMEOUT_MS = 5000;
+
+/** Identifies this process so it can skip its own messages */
+const instanceId = crypto.randomUUID();
+
+let publisher = null;
+let subscriber = null;
+
+/**
+ * Connect to Redis and deliver remote events through onRemoteEvent(operationId, event).
+ * @returns {Promise<boolean>} false when REDIS_URL is not set or Redis is unreachable at startup
+ */
+export async function startRedisBus(onRemoteEvent) {
+  const url = process.env.REDIS_URL;
+  if (!url) return false;
+  publisher = createClient({ url });
+  publisher.on('error', (err) => console.error('[realtime] Redis error:', err?.message));
+  subscriber = publisher.duplicate();
+  subscriber.on('error', (err) => console.error('[realtime] Redis subscriber error:', err?.message));
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`no connection after ${CONNECT_TIMEOUT_MS} ms`)), CONNECT_TIMEOUT_MS);
+  });
+  try {
+    await Promise.race([Promise.all([publisher.connect(), subscriber.connect()]), timeout]);
+    await subscriber.subscribe(REDIS_CHANNEL, (raw) => {
+      try {
+        const { origin, operationId, event } = JSON.parse(raw);
+        if (origin !== instanceId) onRemoteEvent(operationId, event);
+      } catch (err) {
+        console.error('[realtime] Bad Redis message:', err?.message);
+      }
+    });
+    return true;
+  } catch (err) {
+    console.error('[realtime] Redis unavailable, continuing without cross-instance fan-out:', err?.message);
+    publisher.destroy();
+    subscriber.destroy();
+    publisher = null;
+    subscriber = null;
+    return false;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Redis transport for realtime.js: forwards events to the other instances
+ */
+export const redisTransport = {
+  name: 'redis',
+  isEnabled: () => publisher?.isReady === true,
+  publish(operationId, event) {
+    if (!publisher?.isReady) return;
+    publisher
+      .publish(REDIS_CHANNEL, JSON.stringify({ origin: instanceId, operationId, event }))
+      .catch((err) => console.error('[realtime] Redis publish error:', err?.message));
+  },
+};
+
+export async function stopRedisBus() {
+  await Promise.all([subscriber?.close(), publisher?.close()].filter(Boolean)).catch(() => {});
+  publisher = null;
+  subscriber = null;
+}
@@ -0,0 +1,180 @@
+/**
+ * Built-in WebSocket realtime server (GET /api/realtime/ws). Self-hosted alternative to Pusher.
+ *
+ * Protocol (JSON messages):
+ *   client → { type: 'auth', token }                        first message, within AUTH_TIMEOUT_MS
+ *   client → { type: 'subscribe' | 'unsubscribe', operationId }
+ *   server → { type: 'ready' } | { type: 'subscribed', operationId } | { type: 'error', error }
+ *   server → { type: 'event', operationId, event }          event is the same payload Pusher receives
+ *   server → { type: 'unsubscribed', operationId, reason? }  reason 'access_revoked' when the server dropped it
+ * The token is sent as a message rather than in the URL so it doesn't end up in access logs.
+ * Access is re-checked after auth: a member:removed event drops the removed user's subscriptions right away, and every
+ * REVALIDATE_INTERVAL_MS each socket's session and memberships are reloaded (revoked sessions are disconnected).
+ */
+
+import { resolveAccessToken } from '../middleware/auth.js';
+import { getMembershipsForUser, hasOperationRole } from '../lib/operationAccess.js';
+import { sessionRepository } from '../storage/repositories/SessionRepository.js';
+
+const AUTH_TIMEOUT_MS = 10 * 1000;
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+const REVALIDATE_INTERVAL_MS = parseInt(process.env.WEBSOCKET_REVALIDATE_INTERVAL_MS || '60000', 10);
+
+/** operationId -> Set of sockets subscribed on this instance */
+const subscriptions = new Map();
+
+function send(socket, message) {
+  if (socket.readyState === socket.OPEN) socket.send(JSON.stringify(message));
+}
+
+function unsubscribe(socket, operationId) {
+  const sockets = subscriptions.get(operationId);
+  if (!sockets) return;
+  sockets.delete(socket);
+  if (sockets.size === 0) subscriptions.delete(operationId);
+}
+
+/** Drop a subscription the socket's user may no longer read, telling the client */
+function revokeSubscription(socket, operationId) {
+  unsubscribe(socket, operationId);
+  socket.subscribed?.delete(operationId);
+  send(socket, { type: 'unsubscribed', operationId, reason: 'access_revoked' });
+}
+
+/**
+ * Local WebSocket transport for realtime.js: delivers to sockets connected to this instance
+ */
+export const websocketTransport = {
+  name: 'websocket',
+  isEnabled: () => true,
+  publish(operationId, event) {
+    const sockets = subscriptions.get(String(operationId));
+    if (!sockets) return;
+    const message = { type: 'event', operationId: String(operationId), event };
+    for (const socket of sockets) send(socket, message);
+    // The removed member still gets the event above, then loses the subscription
+    if (event?.type === 'member:removed' && event.userId) {
+      for (const socket of [...sockets]) {
+        if (socket.userId === event.userId) revokeSubscription(socket, String(operationId));
+      }
+    }
+  },
+};
+
+/** Number of open subscriptions per operation on this instance (for diagnostics) */
+export function websocketSubscriptionCounts() {
+  return Object.fromEntries([...subscriptions].map(([id, sockets]) => [id, sockets.size]));
+}
+
+/**
+ * Fastify plugin: WebSocket endpoint. Register under /api/realtime after @fastify/websocket.
+ */
+export const websocketRoutes = async (fastify) => {
+  const heartbeat = setInterval(() => {
+    for (const socket of fastify.websocketServer?.clients || []) {
+      if (socket.isAlive === false) {
+        socket.terminate();
+        continue;
+      }
+      socket.isAlive = false;
+      socket.ping();
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+  heartbeat.unref();
+  const revalidation = setInterval(() => {
+    for (const socket of fastify.websocketServer?.clients || []) {
+      socket.revalidate?.().catch((err) => fastify.log.warn({ err: err?.message }, 'WebSocket revalidation failed'));
+    }
+  }, REVALIDATE_INTERVAL_MS);
+  revalidation.unref();
+  fastify.addHook('onClose', async () => {
+    clearInterval(heartbeat);
+    clearInterval(revalidation);
+  });
+
+  fastify.get('/ws', { websocket: true }, (connection, request) => {
+    const socket = connection.socket;
+    const subscribed = new Set();
+    let userId = null;
+    let sessionId = null;
+    let memberships = null;
+    socket.subscribed = subscribed;
+
+    socket.isAlive = true;
+    socket.on('pong', () => {
+      socket.isAlive = true;
+    });
+
+    const authTimer = setTimeout(() => {
+      if (!userId) socket.close(4001, 'Authentication required');
+    }, AUTH_TIMEOUT_MS);
+
+    /** Close the socket if its session was revoked or expired; drop subscriptions the user can no longer read */
+    socket.revalidate = async () => {
+      if (!userId) return;
+      const session = await sessionRepository.findById(sessionId);
+      if (!session || !sessionRepository.isActive(session)) {
+        send(socket, { type: 'error', error: 'Session revoked' });
+        socket.close(4001, 'Session revoked');
+        return;
+      }
+      if (subscribed.size === 0) return;
+      memberships = await getMembershipsForUser(userId);
+      for (const operationId of [...subscribed]) {
+        if (!hasOperationRole(memberships, operationId, 'read')) revokeSubscription(socket, operationId);
+      }
+    };
+
+    socket.on('message', async (raw) => {
+      let message;
+      try {
+        message = JSON.parse(raw.toString());
+      } catch {
+        return send(socket, { type: 'error', error: 'Messages must be JSON' });
+      }
+
+      if (message.type === 'auth') {
+        const resolved = await resolveAccessToken(message.token).catch(() => ({ reason: 'failed' }));
+        if (!resolved.user) {
+          request.log.warn({ auth: resolved.reason }, 'WebSocket auth rejected');
+          send(socket, { type: 'error', error: 'Invalid or expired token' });
+          return socket.close(4001, 'Invalid or expired token');
+        }
+        clearTimeout(authTimer);
+        userId = resolved.user.id;
+        sessionId = resolved.session.id;
+        socket.userId = userId;
+        memberships = await getMembershipsForUser(userId);
+        return send(socket, { type: 'ready' });
+      }
+
+      if (!userId) return send(socket, { type: 'error', error: 'Authenticate first' });
+
+      const operationId = message.operationId ? String(message.operationId) : null;
+      if (message.type === 'subscribe') {
+        if (!operationId) return send(socket, { type: 'error', error: 'operationId is required' });
+        // Same check as /api/realtime/pusher-auth; memberships are reloaded so new invites work without reconnecting
+        memberships = await getMembershipsForUser(userId);
+        if (!hasOperationRole(memberships, operationId, 'read')) {
+          request.log.warn({ operationId, userId }, 'WebSocket subscribe: access denied to operation');
+          return send(socket, { type: 'error', error: 'Access denied to this operation', operationId });
+        }
+        if (!subscriptions.has(operationId)) subscriptions.set(operationId, new Set());
+        subscriptions.get(operationId).add(socket);
+        subscribed.add(operationId);
+        return send(socket, { type: 'subscribed', operationId });
+      }
+      if (message.type === 'unsubscribe') {
+        unsubscribe(socket, operationId);
+        subscribed.delete(operationId);
+        return send(socket, { type: 'unsubscribed', operationId });
+      }
+      return send(socket, { type: 'error', error: `Unknown message type "${message.type}"` });
+    });
+
+    socket.on('close', () => {
+      clearTimeout(authTimer);
+      for (const operationId of subscribed) unsubscribe(socket, operationId);
+    });
+  });
+};
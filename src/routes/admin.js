@@ -1,14 +1,16 @@
 /**
- * Admin Routes - restricted to single admin email (johnascott14@gmail.com).
- * Read-only: list users, zones, browse collections, stats.
+ * Admin Routes - restricted to users with a platform role (user.platformRole).
+ * Each route requires a permission; see constants/platformRoles.js for what each role grants.
+ * Read-only: list users, zones, browse collections, stats. Superadmins can also manage platform roles.
  */
 
-import { authenticate, requireAdmin } from '../middleware/auth.js';
+import { authenticate, requirePlatformPermission } from '../middleware/auth.js';
 import { userRepository } from '../storage/repositories/UserRepository.js';
 import { zoneRepository } from '../storage/repositories/ZoneRepository.js';
 import { operationMemberRepository } from '../storage/repositories/OperationMemberRepository.js';
-import { getDb } from '../storage/firestore.js';
-import { docToObject } from '../storage/firestore.js';
+import { auditLogRepository } from '../storage/repositories/AuditLogRepository.js';
+import { PLATFORM_ROLES, PLATFORM_PERMISSIONS } from '../constants/platformRoles.js';
+import { getStorage } from '../storage/firestore.js';
 import { Collections } from '../storage/firestore.js';
 
 const MAX_COLLECTION_LIMIT = 500;
@@ -32,6 +34,16 @@ function sanitizeUser(doc) {
   return rest;
 }
 
+async function countSuperadmins() {
+  const users = await userRepository.findWithPlatformRole();
+  return users.filter((u) => u.platformRole === 'superadmin').length;
+}
+
+/** Route options: authenticate, then require the given platform permission */
+function withPermission(permission) {
+  return { preHandler: [authenticate, requirePlatformPermission(permission)] };
+}
+
 /**
  * Returns a Set of organizationIds where at least one admin's email contains '+test'.
  * Used to exclude test operations from the admin zones map and stats.
@@ -54,16 +66,20 @@ async function getOrganizationIdsWithTestAdmin(organizationIds) {
 }
 
 export const adminRoutes = async (fastify) => {
-  const preHandlers = [authenticate, requireAdmin];
+  /** GET /api/admin/me - current user's platform role and permissions (any platform role) */
+  fastify.get('/me', withPermission('stats:read'), async (request) => {
+    const role = request.user.platformRole;
+    return { role, permissions: PLATFORM_PERMISSIONS[role] || [] };
+  });
 
   /** GET /api/admin/users - list all users (no password hashes) */
-  fastify.get('/users', { preHandler: preHandlers }, async () => {
+  fastify.get('/users', withPermission('users:read'), async () => {
     const users = await userRepository.findAll();
     return { users: users.map(sanitizeUser) };
   });
 
   /** GET /api/admin/zones - list all zones (for map + browse). Excludes zones in operations whose admin email contains '+test', unless the requesting admin is a +test user (so they can see their own zones). */
-  fastify.get('/zones', { preHandler: preHandlers }, async (request) => {
+  fastify.get('/zones', withPermission('zones:read'), async (request) => {
     const zones = await zoneRepository.findAll();
     const isTestAdmin = request.user?.email?.toLowerCase().includes('+test');
     if (isTestAdmin) {
@@ -76,7 +92,7 @@ export const adminRoutes = async (fastify) => {
   });
 
   /** GET /api/admin/collections/:collectionName?limit=100 - browse a collection (read-only) */
-  fastify.get('/collections/:collectionName', { preHandler: preHandlers }, async (request, reply) => {
+  fastify.get('/collections/:collectionName', withPermission('collections:browse'), async (request, reply) => {
     const { collectionName } = request.params;
     const rawLimit = request.query?.limit;
     const limit = Math.min(
@@ -91,12 +107,7 @@ export const adminRoutes = async (fastify) => {
       });
     }
 
-    const snapshot = await getDb()
-      .collection(collectionName)
-      .limit(limit)
-      .get();
-
-    let docs = snapshot.docs.map((d) => docToObject(d));
+    let docs = await getStorage().findAll(collectionName, { limit });
     if (collectionName === Collections.USERS) {
       docs = docs.map(sanitizeUser);
     }
@@ -105,20 +116,20 @@ export const adminRoutes = async (fastify) => {
   });
 
   /** GET /api/admin/stats - counts for dashboard. Excludes operations whose admin email contains '+test' from zones and operations counts, unless the requesting admin is a +test user. */
-  fastify.get('/stats', { preHandler: preHandlers }, async (request) => {
-    const [users, zones, orgsSnapshot] = await Promise.all([
+  fastify.get('/stats', withPermission('stats:read'), async (request) => {
+    const [users, zones, operations] = await Promise.all([
       userRepository.findAll(),
       zoneRepository.findAll(),
-      getDb().collection(Collections.OPERATIONS).get(),
+      getStorage().findAll(Collections.OPERATIONS),
     ]);
     const isTestAdmin = request.user?.email?.toLowerCase().includes('+test');
     let filteredZones = zones;
-    let filteredOperationsCount = orgsSnapshot.docs.length;
+    let filteredOperationsCount = operations.length;
     if (!isTestAdmin) {
-      const allOrgIds = orgsSnapshot.docs.map((d) => d.id);
+      const allOrgIds = operations.map((o) => o.id);
       const testOrgIds = await getOrganizationIdsWithTestAdmin(allOrgIds);
       filteredZones = zones.filter((z) => !z.organizationId || !testOrgIds.has(z.organizationId));
-      filteredOperationsCount = orgsSnapshot.docs.filter((d) => !testOrgIds.has(d.id)).length;
+      filteredOperationsCount = operations.filter((o) => !testOrgIds.has(o.id)).length;
     }
     const zonesWithLocation = filteredZones.filter(
       (z) => z.location && typeof z.location === 'object' && z.location.lat != null && z.location.lng != null
@@ -130,4 +141,68 @@ export const adminRoutes = async (fastify) => {
       operations: filteredOperationsCount,
     };
   });
+
+  /** GET /api/admin/roles - list users holding a platform role */
+  fastify.get('/roles', withPermission('roles:manage'), async () => {
+    const users = await userRepository.findWithPlatformRole();
+    return {
+      roles: PLATFORM_ROLES,
+      users: users.map((u) => ({ id: u.id, email: u.email, name: u.name, platformRole: u.platformRole })),
+    };
+  });
+
+  /** PUT /api/admin/users/:userId/role - grant a platform role. Body: { role } */
+  fastify.put('/users/:userId/role', withPermission('roles:manage'), async (request, reply) => {
+    const { role } = request.body || {};
+    if (!PLATFORM_ROLES.includes(role)) {
+      return reply.code(400).send({ error: `Role must be one of: ${PLATFORM_ROLES.join(', ')}` });
+    }
+    const target = await userRepository.findById(request.params.userId);
+    if (!target) return reply.code(404).send({ error: 'User not found' });
+    if (target.platformRole === 'superadmin' && role !== 'superadmin') {
+      if ((await countSuperadmins()) <= 1) {
+        return reply.code(400).send({ error: 'Cannot demote the last superadmin' });
+      }
+    }
+    const updated = await userRepository.setPlatformRole(target.id, role);
+    await auditLogRepository.record({
+      action: 'platform_role.grant',
+      actorId: request.user.id,
+      actorEmail: request.user.email,
+      targetUserId: target.id,
+      details: { previousRole: target.platformRole ?? null, role },
+    });
+    return { user: sanitizeUser(updated) };
+  });
+
+  /** DELETE /api/admin/users/:userId/role - revoke a user's platform role */
+  fastify.delete('/users/:userId/role', withPermission('roles:manage'), async (request, reply) => {
+    const target = await userRepository.findById(request.params.userId);
+    if (!target) return reply.code(404).send({ error: 'User not found' });
+    if (!target.platformRole) return reply.code(404).send({ error: 'User has no platform role' });
+    if (target.platformRole === 'superadmin') {
+      if ((await countSuperadmins()) <= 1) {
+        return reply.code(400).send({ error: 'Cannot revoke the last superadmin' });
+      }
+    }
+    const updated = await userRepository.setPlatformRole(target.id, null);
+    await auditLogRepository.record({
+      action: 'platform_role.revoke',
+      actorId: request.user.id,
+      actorEmail: request.user.email,
+      targetUserId: target.id,
+      details: { previousRole: target.platformRole },
+    });
+    return { user: sanitizeUser(updated) };
+  });
+
+  /** GET /api/admin/audit-log?userId=&limit=100 - recent audit entries */
+  fastify.get('/audit-log', withPermission('audit:read'), async (request) => {
+    const limit = Math.min(Math.max(1, parseInt(request.query?.limit, 10) || 100), MAX_COLLECTION_LIMIT);
+    const entries = await auditLogRepository.findRecent({
+      targetUserId: request.query?.userId || null,
+      limit,
+    });
+    return { entries };
+  });
 };
@@ -6,7 +6,8 @@ import crypto from 'crypto';
 import bcrypt from 'bcrypt';
 import { userRepository } from '../storage/repositories/UserRepository.js';
 import { passwordResetTokenRepository } from '../storage/repositories/PasswordResetTokenRepository.js';
-import { generateToken, authenticate } from '../middleware/auth.js';
+import { sessionRepository } from '../storage/repositories/SessionRepository.js';
+import { createSession, refreshSession, authenticate } from '../middleware/auth.js';
 import { sendPasswordResetEmail } from '../lib/email.js';
 import { REQUIRED_LEGAL_VERSIONS } from '../constants/legal.js';
 import { dateToTimestamp } from '../storage/firestore.js';
@@ -14,6 +15,31 @@ import { dateToTimestamp } from '../storage/firestore.js';
 const SALT_ROUNDS = 10;
 const APP_URL = (process.env.APP_URL || 'http://localhost:5173').replace(/\/$/, '');
 
+/** Device info recorded on a session (shown in GET /sessions) */
+function getClientDevice(request) {
+  const ip = request.ip || request.headers['x-forwarded-for'] || request.headers['x-real-ip'];
+  const deviceName = request.body?.deviceName;
+  return {
+    userAgent: request.headers['user-agent'] || null,
+    ip: typeof ip === 'string' ? ip.split(',')[0].trim() : ip ? String(ip) : null,
+    deviceName: typeof deviceName === 'string' && deviceName.trim() ? deviceName.trim().slice(0, 100) : null,
+  };
+}
+
+/** Public view of a session (never exposes refresh token hashes) */
+function sanitizeSession(session, currentSessionId) {
+  return {
+    id: session.id,
+    deviceName: session.deviceName ?? null,
+    userAgent: session.userAgent ?? null,
+    ip: session.ip ?? null,
+    createdAt: session.createdAt,
+    lastSeenAt: session.lastSeenAt ?? null,
+    expiresAt: session.expiresAt,
+    current: session.id === currentSessionId,
+  };
+}
+
 export const authRoutes = async (fastify) => {
   /**
    * Register a new user
@@ -71,8 +97,8 @@ export const authRoutes = async (fastify) => {
       legalConsent,
     });
 
-    // Generate token
-    const token = generateToken(user);
+    // Start a session: short-lived access token + rotating refresh token
+    const { token, refreshToken } = await createSession(user, getClientDevice(request));
 
     // Don't return password hash
     const { passwordHash: _, ...userWithoutPassword } = user;
@@ -80,6 +106,7 @@ export const authRoutes = async (fastify) => {
     return {
       user: userWithoutPassword,
       token,
+      refreshToken,
     };
   });
 
@@ -107,8 +134,8 @@ export const authRoutes = async (fastify) => {
       return reply.code(401).send({ error: 'Invalid email or password' });
     }
 
-    // Generate token
-    const token = generateToken(user);
+    // Start a session: short-lived access token + rotating refresh token
+    const { token, refreshToken } = await createSession(user, getClientDevice(request));
 
     // Don't return password hash
     const { passwordHash: _, ...userWithoutPassword } = user;
@@ -116,9 +143,64 @@ export const authRoutes = async (fastify) => {
     return {
       user: userWithoutPassword,
       token,
+      refreshToken,
     };
   });
 
+  /**
+   * Exchange a refresh token for a new access token; the refresh token is rotated on every use
+   */
+  fastify.post('/refresh', async (request, reply) => {
+    const { refreshToken } = request.body || {};
+    if (!refreshToken) {
+      return reply.code(400).send({ error: 'Refresh token is required' });
+    }
+    const result = await refreshSession(refreshToken);
+    if (!result) {
+      return reply.code(401).send({ error: 'Invalid or expired refresh token', code: 'SESSION_REVOKED' });
+    }
+    return { token: result.token, refreshToken: result.refreshToken };
+  });
+
+  /**
+   * Log out: revoke the current session
+   */
+  fastify.post('/logout', { preHandler: authenticate }, async (request) => {
+    await sessionRepository.revoke(request.session.id, 'logout');
+    return { success: true };
+  });
+
+  /**
+   * Sign out all devices. Body: { keepCurrent?: boolean } to stay signed in on this device.
+   */
+  fastify.post('/logout-all', { preHandler: authenticate }, async (request) => {
+    const keepCurrent = request.body?.keepCurrent === true;
+    const { count } = await sessionRepository.revokeAllForUser(request.user.id, {
+      exceptId: keepCurrent ? request.session.id : null,
+    });
+    return { success: true, revoked: count };
+  });
+
+  /**
+   * List active sessions (devices) for the current user
+   */
+  fastify.get('/sessions', { preHandler: authenticate }, async (request) => {
+    const sessions = await sessionRepository.findActiveByUser(request.user.id);
+    return { sessions: sessions.map((s) => sanitizeSession(s, request.session.id)) };
+  });
+
+  /**
+   * Revoke a single session (e.g. a lost phone)
+   */
+  fastify.delete('/sessions/:id', { preHandler: authenticate }, async (request, reply) => {
+    const session = await sessionRepository.findById(request.params.id);
+    if (!session || session.userId !== request.user.id || !sessionRepository.isActive(session)) {
+      return reply.code(404).send({ error: 'Session not found' });
+    }
+    await sessionRepository.revoke(session.id, 'revoked_by_user');
+    return { success: true };
+  });
+
   /**
    * Get current user
    */
@@ -208,6 +290,7 @@ export const authRoutes = async (fastify) => {
     const passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
     await userRepository.updatePassword(record.userId, passwordHash);
     await passwordResetTokenRepository.delete(record.id);
+    await sessionRepository.revokeAllForUser(record.userId, { reason: 'password_reset' });
 
     return { message: 'Password has been reset. You can now log in.' };
   });
@@ -0,0 +1,271 @@
+/**
+ * Syrup Batch Routes - graded syrup lots linked to boils, with container fill records
+ */
+
+import { syrupBatchRepository } from '../storage/repositories/SyrupBatchRepository.js';
+import { boilRepository } from '../storage/repositories/BoilRepository.js';
+import { seasonRepository } from '../storage/repositories/SeasonRepository.js';
+import { authenticate } from '../middleware/auth.js';
+import { getMembershipsForUser, canAccessSeason, canWriteSeason, assertSeasonOpen } from '../lib/operationAccess.js';
+import { trigger } from '../realtime/realtime.js';
+import { SYRUP_GRADE_IDS, gradeFromTransmittance } from '../constants/syrupGrades.js';
+
+function optionalNumber(value, { min = -Infinity, max = Infinity } = {}) {
+  if (value === undefined) return { value: undefined };
+  if (value === null || value === '') return { value: null };
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < min || n > max) return { error: true };
+  return { value: n };
+}
+
+/**
+ * Validate container fill records: [{ size (liters per container), count, filledAt?, notes? }]
+ */
+function parseContainers(containers) {
+  if (!Array.isArray(containers)) return { error: 'containers must be an array' };
+  const parsed = [];
+  for (const c of containers) {
+    const size = Number(c?.size);
+    const count = Number(c?.count ?? 1);
+    if (!Number.isFinite(size) || size <= 0) return { error: 'Each container needs a positive size (liters)' };
+    if (!Number.isInteger(count) || count <= 0) return { error: 'Each container count must be a positive integer' };
+    parsed.push({
+      size,
+      count,
+      filledAt: c.filledAt || new Date().toISOString(),
+      notes: c.notes ?? null,
+    });
+  }
+  return { containers: parsed };
+}
+
+function containersVolume(containers) {
+  return (containers || []).reduce((t, c) => t + (c.size || 0) * (c.count || 0), 0);
+}
+
+/**
+ * Validate batch fields shared by create and update. Returns { data } or { error }.
+ */
+function parseBatchFields(body) {
+  const data = {};
+  const { grade, lightTransmittance, brix, density, volume, containers, date, notes } = body;
+
+  const transmittance = optionalNumber(lightTransmittance, { min: 0, max: 100 });
+  if (transmittance.error) return { error: 'lightTransmittance must be a percentage between 0 and 100' };
+  if (transmittance.value !== undefined) data.lightTransmittance = transmittance.value;
+
+  if (grade !== undefined && grade !== null && !SYRUP_GRADE_IDS.includes(grade)) {
+    return { error: `grade must be one of: ${SYRUP_GRADE_IDS.join(', ')}` };
+  }
+  if (grade !== undefined) data.grade = grade;
+
+  const brixParsed = optionalNumber(brix, { min: 0, max: 100 });
+  if (brixParsed.error) return { error: 'brix must be between 0 and 100' };
+  if (brixParsed.value !== undefined) data.brix = brixParsed.value;
+
+  const densityParsed = optionalNumber(density, { min: 0 });
+  if (densityParsed.error) return { error: 'density must be a positive number' };
+  if (densityParsed.value !== undefined) data.density = densityParsed.value;
+
+  const volumeParsed = optionalNumber(volume, { min: 0 });
+  if (volumeParsed.error) return { error: 'volume must be a positive number (liters)' };
+  if (volumeParsed.value !== undefined) data.volume = volumeParsed.value;
+
+  if (containers !== undefined) {
+    const parsed = parseContainers(containers);
+    if (parsed.error) return { error: parsed.error };
+    data.containers = parsed.containers;
+  }
+
+  if (date !== undefined) data.date = date;
+  if (notes !== undefined) data.notes = notes;
+  return { data };
+}
+
+/** Boil IDs must exist and belong to the batch's season */
+async function validateBoilIds(boilIds, seasonId) {
+  if (!Array.isArray(boilIds)) return 'boilIds must be an array';
+  const unique = [...new Set(boilIds)];
+  const boils = await Promise.all(unique.map((id) => boilRepository.findById(id)));
+  if (boils.some((b) => !b || b.seasonId !== seasonId)) {
+    return 'All boils must exist and belong to the batch season';
+  }
+  return null;
+}
+
+export const batchRoutes = async (fastify) => {
+  fastify.addHook('preHandler', authenticate);
+  fastify.addHook('preHandler', async (request) => {
+    request.memberships = await getMembershipsForUser(request.user.id);
+  });
+
+  /**
+   * Get all batches for a season
+   */
+  fastify.get('/', async (request, reply) => {
+    const seasonId = request.query.seasonId;
+    let targetSeasonId = seasonId;
+
+    if (!targetSeasonId) {
+      const activeSeason = await seasonRepository.findActiveSeason(
+        request.user.id,
+        request.memberships
+      );
+      if (!activeSeason) return { batches: [] };
+      targetSeasonId = activeSeason.id;
+    } else {
+      const season = await seasonRepository.findById(seasonId);
+      if (!season || !canAccessSeason(request.user.id, season, request.memberships)) {
+        return reply.code(404).send({ error: 'Season not found' });
+      }
+    }
+
+    const batches = await syrupBatchRepository.findBySeasonId(targetSeasonId);
+    return { batches };
+  });
+
+  /**
+   * Get a specific batch (access via season)
+   */
+  fastify.get('/:id', async (request, reply) => {
+    const batch = await syrupBatchRepository.findById(request.params.id);
+    if (!batch) return reply.code(404).send({ error: 'Batch not found' });
+    const season = await seasonRepository.findById(batch.seasonId);
+    if (!season || !canAccessSeason(request.user.id, season, request.memberships)) {
+      return reply.code(404).send({ error: 'Batch not found' });
+    }
+    return { batch };
+  });
+
+  /**
+   * Create a batch. Lot number is generated per season (e.g. 2026-003).
+   * Grade defaults to the color class of lightTransmittance when not given.
+   * Volume defaults to the sum of container fills.
+   */
+  fastify.post('/', async (request, reply) => {
+    const { seasonId, boilIds = [] } = request.body || {};
+
+    let season;
+    if (!seasonId) {
+      season = await seasonRepository.findActiveSeason(request.user.id, request.memberships);
+      if (!season) {
+        return reply.code(400).send({ error: 'No active season. Create a season first.' });
+      }
+    } else {
+      season = await seasonRepository.findById(seasonId);
+    }
+    if (!season || !canWriteSeason(request.user.id, season, request.memberships)) {
+      return reply.code(404).send({ error: 'Season not found' });
+    }
+    assertSeasonOpen(season);
+
+    const parsed = parseBatchFields(request.body || {});
+    if (parsed.error) return reply.code(400).send({ error: parsed.error });
+    const boilError = await validateBoilIds(boilIds, season.id);
+    if (boilError) return reply.code(400).send({ error: boilError });
+
+    const fields = parsed.data;
+    const containers = fields.containers || [];
+    const lotSequence = await syrupBatchRepository.nextLotSequence(season.id);
+
+    const batch = await syrupBatchRepository.create({
+      seasonId: season.id,
+      organizationId: season.organizationId ?? null,
+      userId: request.user.id,
+      boilIds: [...new Set(boilIds)],
+      lotSequence,
+      lotNumber: syrupBatchRepository.formatLotNumber(season, lotSequence),
+      date: fields.date || new Date().toISOString().split('T')[0],
+      grade: fields.grade ?? gradeFromTransmittance(fields.lightTransmittance),
+      lightTransmittance: fields.lightTransmittance ?? null,
+      brix: fields.brix ?? null,
+      density: fields.density ?? null,
+      containers,
+      volume: fields.volume ?? containersVolume(containers),
+      notes: fields.notes,
+    });
+    if (season.organizationId) {
+      trigger(season.organizationId, { type: 'batch:created', batch });
+    }
+    return { batch };
+  });
+
+  /**
+   * Append container fill records to a batch. Body: { containers: [{ size, count, filledAt?, notes? }] }
+   * Batch volume grows by the filled amount unless it was set explicitly.
+   */
+  fastify.post('/:id/containers', async (request, reply) => {
+    const batch = await syrupBatchRepository.findById(request.params.id);
+    if (!batch) return reply.code(404).send({ error: 'Batch not found' });
+    const season = await seasonRepository.findById(batch.seasonId);
+    if (!season || !canWriteSeason(request.user.id, season, request.memberships)) {
+      return reply.code(404).send({ error: 'Batch not found' });
+    }
+    assertSeasonOpen(season);
+    const parsed = parseContainers(request.body?.containers);
+    if (parsed.error) return reply.code(400).send({ error: parsed.error });
+
+    const previous = batch.containers || [];
+    const containers = [...previous, ...parsed.containers];
+    const volumeWasDerived = Math.abs((batch.volume ?? 0) - containersVolume(previous)) < 1e-9;
+    const updated = await syrupBatchRepository.update(batch.id, {
+      containers,
+      ...(volumeWasDerived && { volume: containersVolume(containers) }),
+    });
+    if (season.organizationId) {
+      trigger(season.organizationId, { type: 'batch:updated', batch: updated });
+    }
+    return { batch: updated };
+  });
+
+  /**
+   * Update a batch (lot number and season are fixed)
+   */
+  fastify.patch('/:id', async (request, reply) => {
+    const batch = await syrupBatchRepository.findById(request.params.id);
+    if (!batch) return reply.code(404).send({ error: 'Batch not found' });
+    const season = await seasonRepository.findById(batch.seasonId);
+    if (!season || !canWriteSeason(request.user.id, season, request.memberships)) {
+      return reply.code(404).send({ error: 'Batch not found' });
+    }
+    assertSeasonOpen(season);
+
+    const parsed = parseBatchFields(request.body || {});
+    if (parsed.error) return reply.code(400).send({ error: parsed.error });
+    const data = parsed.data;
+
+    const { boilIds } = request.body || {};
+    if (boilIds !== undefined) {
+      const boilError = await validateBoilIds(boilIds, season.id);
+      if (boilError) return reply.code(400).send({ error: boilError });
+      data.boilIds = [...new Set(boilIds)];
+    }
+    if (data.lightTransmittance !== undefined && data.grade === undefined) {
+      data.grade = gradeFromTransmittance(data.lightTransmittance);
+    }
+
+    const updated = await syrupBatchRepository.update(batch.id, data);
+    if (season.organizationId) {
+      trigger(season.organizationId, { type: 'batch:updated', batch: updated });
+    }
+    return { batch: updated };
+  });
+
+  /**
+   * Delete a batch
+   */
+  fastify.delete('/:id', async (request, reply) => {
+    const batch = await syrupBatchRepository.findById(request.params.id);
+    if (!batch) return reply.code(404).send({ error: 'Batch not found' });
+    const season = await seasonRepository.findById(batch.seasonId);
+    if (!season || !canWriteSeason(request.user.id, season, request.memberships)) {
+      return reply.code(404).send({ error: 'Batch not found' });
+    }
+    assertSeasonOpen(season);
+    await syrupBatchRepository.delete(batch.id);
+    if (season.organizationId) {
+      trigger(season.organizationId, { type: 'batch:deleted', id: batch.id });
+    }
+    return { success: true };
+  });
+};
@@ -4,11 +4,67 @@
 
 import { boilRepository } from '../storage/repositories/BoilRepository.js';
 import { seasonRepository } from '../storage/repositories/SeasonRepository.js';
+import { tankRepository } from '../storage/repositories/TankRepository.js';
+import { roRunRepository } from '../storage/repositories/RoRunRepository.js';
+import { operationRepository } from '../storage/repositories/OperationRepository.js';
 import { authenticate } from '../middleware/auth.js';
-import { getMembershipsForUser, canAccessSeason, canWriteSeason } from '../lib/operationAccess.js';
-import { trigger } from '../realtime/pusherRealtime.js';
+import { getMembershipsForUser, canAccessSeason, canWriteSeason, assertSeasonOpen } from '../lib/operationAccess.js';
+import { trigger } from '../realtime/realtime.js';
 import { notifyOperationMembers } from '../services/NotificationService.js';
 import { convertVolume } from '../services/StatsService.js';
+import { applyTankMovement, reconcileTankMovement, tankBelongsToSeason } from '../services/TankService.js';
+import { parseFuelLogs } from '../services/FuelService.js';
+import { applyBoilChange, readAggregateMarks } from '../services/StatsAggregateService.js';
+import { isLiveBoil, appendBoilEvent, stopBoil, summarizeBoilEvents } from '../services/BoilSessionService.js';
+
+/** What went into the evaporator: raw sap, or RO concentrate (sapVolumeIn is then the concentrate volume) */
+const FEED_TYPES = ['sap', 'concentrate'];
+
+/**
+ * Fields PATCH /:id may change besides the feed fields; anything else in the body is ignored. Live boil fields
+ * (status, events, startedAt, stoppedAt) only change through start, events and stop.
+ */
+const PATCHABLE_FIELDS = [
+  'date', 'sapVolumeIn', 'syrupVolumeOut', 'startTime', 'endTime', 'duration', 'notes', 'sourceTankId', 'fuelLogs',
+];
+
+/** Derived from a live boil's events; PATCH refuses them until the boil is stopped */
+const LIVE_DERIVED_FIELDS = ['syrupVolumeOut', 'duration'];
+
+/**
+ * Validate feed fields (feedType, feedBrix, roRunIds). RO runs must belong to the boil's season.
+ * Returns { data } or { error }.
+ */
+async function parseFeedFields(body, seasonId) {
+  const data = {};
+  const { feedType, feedBrix, roRunIds } = body;
+  if (feedType !== undefined) {
+    if (!FEED_TYPES.includes(feedType)) return { error: `feedType must be one of: ${FEED_TYPES.join(', ')}` };
+    data.feedType = feedType;
+  }
+  if (feedBrix !== undefined) {
+    const n = feedBrix === null || feedBrix === '' ? null : Number(feedBrix);
+    if (n !== null && (!Number.isFinite(n) || n < 0 || n > 100)) return { error: 'feedBrix must be between 0 and 100' };
+    data.feedBrix = n;
+  }
+  if (roRunIds !== undefined) {
+    if (!Array.isArray(roRunIds)) return { error: 'roRunIds must be an array' };
+    const unique = [...new Set(roRunIds)];
+    const runs = await Promise.all(unique.map((id) => roRunRepository.findById(id)));
+    if (runs.some((r) => !r || r.seasonId !== seasonId)) {
+      return { error: 'All RO runs must exist and belong to the boil season' };
+    }
+    data.roRunIds = unique;
+  }
+  return { data };
+}
+
+/** Operation fuel price defaults for a season (empty for personal seasons) */
+async function fuelPricesForSeason(season) {
+  if (!season?.organizationId) return {};
+  const org = await operationRepository.findById(season.organizationId);
+  return org?.fuelPrices || {};
+}
 
 export const boilRoutes = async (fastify) => {
   fastify.addHook('preHandler', authenticate);
@@ -67,9 +123,11 @@ export const boilRoutes = async (fastify) => {
       endTime,
       duration,
       notes,
+      sourceTankId,
     } = request.body;
 
     let targetSeasonId = seasonId;
+    let season;
     if (!targetSeasonId) {
       const activeSeason = await seasonRepository.findActiveSeason(
         request.user.id,
@@ -79,13 +137,28 @@ export const boilRoutes = async (fastify) => {
         return reply.code(400).send({ error: 'No active season. Create a season first.' });
       }
       targetSeasonId = activeSeason.id;
+      season = activeSeason;
     } else {
-      const season = await seasonRepository.findById(seasonId);
-      if (!season || !canWriteSeason(request.user.id, season, request.memberships)) {
-        return reply.code(404).send({ error: 'Season not found' });
+      season = await seasonRepository.findById(seasonId);
+    }
+    if (!season || !canWriteSeason(request.user.id, season, request.memberships)) {
+      return reply.code(404).send({ error: 'Season not found' });
+    }
+    assertSeasonOpen(season);
+
+    if (sourceTankId) {
+      const tank = await tankRepository.findById(sourceTankId);
+      if (!tankBelongsToSeason(tank, season)) {
+        return reply.code(400).send({ error: 'Tank not found or does not belong to this season\'s operation' });
       }
     }
 
+    const feed = await parseFeedFields(request.body, targetSeasonId);
+    if (feed.error) return reply.code(400).send({ error: feed.error });
+
+    const fuel = parseFuelLogs(request.body.fuelLogs ?? [], await fuelPricesForSeason(season));
+    if (fuel.error) return reply.code(400).send({ error: fuel.error });
+
     let calculatedDuration = duration;
     if (startTime && endTime && !duration) {
       const start = new Date(`1970-01-01T${startTime}`);
@@ -93,6 +166,7 @@ export const boilRoutes = async (fastify) => {
       calculatedDuration = (end - start) / 1000 / 60;
     }
 
+    const marks = await readAggregateMarks(targetSeasonId);
     const boil = await boilRepository.create({
       seasonId: targetSeasonId,
       userId: request.user.id,
@@ -103,8 +177,22 @@ export const boilRoutes = async (fastify) => {
       endTime,
       duration: calculatedDuration,
       notes,
+      sourceTankId: sourceTankId || null,
+      feedType: feed.data.feedType || 'sap',
+      feedBrix: feed.data.feedBrix ?? null,
+      roRunIds: feed.data.roRunIds || [],
+      fuelLogs: fuel.fuelLogs,
     });
-    const season = await seasonRepository.findById(targetSeasonId);
+    await applyBoilChange(null, boil, marks);
+    if (boil.sourceTankId) {
+      await applyTankMovement({
+        tankId: boil.sourceTankId,
+        delta: -(boil.sapVolumeIn || 0),
+        source: 'boil',
+        refId: boil.id,
+        userId: request.user.id,
+      });
+    }
     if (season?.organizationId) {
       trigger(season.organizationId, { type: 'boil:created', boil });
       const creatorName = request.user?.name || 'Someone';
@@ -131,13 +219,25 @@ export const boilRoutes = async (fastify) => {
     if (!season || !canWriteSeason(request.user.id, season, request.memberships)) {
       return reply.code(404).send({ error: 'Boil not found' });
     }
+    assertSeasonOpen(season);
     const deltaLiters = Number(request.body?.deltaLiters);
     if (typeof deltaLiters !== 'number' || Number.isNaN(deltaLiters)) {
       return reply.code(400).send({ error: 'deltaLiters (number) is required' });
     }
     const current = boil.sapVolumeIn ?? 0;
     const newSap = Math.max(0, current + deltaLiters);
+    const marks = await readAggregateMarks(boil.seasonId);
     const updated = await boilRepository.update(request.params.id, { sapVolumeIn: newSap });
+    await applyBoilChange(boil, updated, marks);
+    if (boil.sourceTankId) {
+      await applyTankMovement({
+        tankId: boil.sourceTankId,
+        delta: -(newSap - current),
+        source: 'boil',
+        refId: boil.id,
+        userId: request.user.id,
+      });
+    }
     if (season.organizationId) {
       trigger(season.organizationId, { type: 'boil:updated', boil: updated });
       const creatorName = request.user?.name || 'Someone';
@@ -162,7 +262,233 @@ export const boilRoutes = async (fastify) => {
   });
 
   /**
-   * Update a boil
+   * Live boils (active or paused) for a season
+   */
+  fastify.get('/active', async (request, reply) => {
+    const seasonId = request.query.seasonId;
+    let targetSeasonId = seasonId;
+
+    if (!targetSeasonId) {
+      const activeSeason = await seasonRepository.findActiveSeason(
+        request.user.id,
+        request.memberships
+      );
+      if (!activeSeason) return { boils: [] };
+      targetSeasonId = activeSeason.id;
+    } else {
+      const season = await seasonRepository.findById(seasonId);
+      if (!season || !canAccessSeason(request.user.id, season, request.memberships)) {
+        return reply.code(404).send({ error: 'Season not found' });
+      }
+    }
+
+    const boils = await boilRepository.findBySeasonId(targetSeasonId);
+    return {
+      boils: boils.filter(isLiveBoil).map((b) => ({ ...b, ...summarizeBoilEvents(b) })),
+    };
+  });
+
+  /**
+   * Start a live boil. Body: { seasonId?, sapVolumeIn?, sourceTankId?, feedType?, feedBrix?, roRunIds?, startTime?, notes? }
+   * Draw-offs, sap additions and pauses are then appended with POST /:id/events until POST /:id/stop.
+   */
+  fastify.post('/start', async (request, reply) => {
+    const { seasonId, sapVolumeIn, sourceTankId, startTime, notes } = request.body || {};
+
+    let season;
+    if (!seasonId) {
+      season = await seasonRepository.findActiveSeason(request.user.id, request.memberships);
+      if (!season) {
+        return reply.code(400).send({ error: 'No active season. Create a season first.' });
+      }
+    } else {
+      season = await seasonRepository.findById(seasonId);
+    }
+    if (!season || !canWriteSeason(request.user.id, season, request.memberships)) {
+      return reply.code(404).send({ error: 'Season not found' });
+    }
+    assertSeasonOpen(season);
+
+    if (sourceTankId) {
+      const tank = await tankRepository.findById(sourceTankId);
+      if (!tankBelongsToSeason(tank, season)) {
+        return reply.code(400).send({ error: 'Tank not found or does not belong to this season\'s operation' });
+      }
+    }
+    const feed = await parseFeedFields(request.body || {}, season.id);
+    if (feed.error) return reply.code(400).send({ error: feed.error });
+
+    const startedAt = new Date().toISOString();
+    const marks = await readAggregateMarks(season.id);
+    const boil = await boilRepository.create({
+      seasonId: season.id,
+      userId: request.user.id,
+      date: startedAt.split('T')[0],
+      status: 'active',
+      startedAt,
+      stoppedAt: null,
+      startTime: startTime ?? null,
+      endTime: null,
+      duration: 0,
+      sapVolumeIn: Math.max(0, Number(sapVolumeIn) || 0),
+      syrupVolumeOut: 0,
+      events: [],
+      notes: notes ?? null,
+      sourceTankId: sourceTankId || null,
+      feedType: feed.data.feedType || 'sap',
+      feedBrix: feed.data.feedBrix ?? null,
+      roRunIds: feed.data.roRunIds || [],
+      fuelLogs: [],
+    });
+    await applyBoilChange(null, boil, marks);
+    if (boil.sourceTankId) {
+      await applyTankMovement({
+        tankId: boil.sourceTankId,
+        delta: -(boil.sapVolumeIn || 0),
+        source: 'boil',
+        refId: boil.id,
+        userId: request.user.id,
+      });
+    }
+    if (season.organizationId) {
+      trigger(season.organizationId, { type: 'boil:started', boil });
+      const creatorName = request.user?.name || 'Someone';
+      notifyOperationMembers({
+        operationId: season.organizationId,
+        type: 'boil_created',
+        title: 'Boil started',
+        body: `${creatorName} has started boiling!`,
+        data: { tag: 'sapmap-boil', boilId: boil.id, seasonId: season.id, path: '/boils' },
+        excludeUserId: request.user.id,
+      }).catch((err) => console.error('[notifications]', err?.message));
+    }
+    return { boil };
+  });
+
+  /**
+   * Append an event to a live boil. Body: { type: draw_off|sap_added|pause|resume, volume?, density?, temperature?, note?, at? }
+   * syrupVolumeOut and duration are re-derived from the events; sap additions raise sapVolumeIn.
+   */
+  fastify.post('/:id/events', async (request, reply) => {
+    const boil = await boilRepository.findById(request.params.id);
+    if (!boil) return reply.code(404).send({ error: 'Boil not found' });
+    const season = await seasonRepository.findById(boil.seasonId);
+    if (!season || !canWriteSeason(request.user.id, season, request.memberships)) {
+      return reply.code(404).send({ error: 'Boil not found' });
+    }
+    assertSeasonOpen(season);
+
+    // Validate and append against the stored boil in one atomic step so concurrent events aren't lost
+    let before = null;
+    let result = null;
+    const marks = await readAggregateMarks(boil.seasonId);
+    const updated = await boilRepository.updateAtomically(boil.id, (current) => {
+      before = current && { ...current, id: boil.id };
+      result = current ? appendBoilEvent(current, request.body, request.user.id) : null;
+      return result?.data;
+    });
+    if (!result) return reply.code(404).send({ error: 'Boil not found' });
+    if (result.error) return reply.code(result.statusCode).send({ error: result.error });
+    const { event } = result;
+    await applyBoilChange(before, updated, marks);
+
+    if (event.type === 'sap_added' && updated.sourceTankId) {
+      await applyTankMovement({
+        tankId: updated.sourceTankId,
+        delta: -event.volume,
+        source: 'boil',
+        refId: boil.id,
+        userId: request.user.id,
+      });
+    }
+    if (season.organizationId) {
+      trigger(season.organizationId, { type: 'boil:event', boilId: boil.id, event, boil: updated });
+    }
+    return { boil: updated, event };
+  });
+
+  /**
+   * Stop a live boil. Body: { endTime?, at? }; at can't be before the last event. Final duration and syrupVolumeOut come from the events.
+   */
+  fastify.post('/:id/stop', async (request, reply) => {
+    const boil = await boilRepository.findById(request.params.id);
+    if (!boil) return reply.code(404).send({ error: 'Boil not found' });
+    const season = await seasonRepository.findById(boil.seasonId);
+    if (!season || !canWriteSeason(request.user.id, season, request.memberships)) {
+      return reply.code(404).send({ error: 'Boil not found' });
+    }
+    assertSeasonOpen(season);
+
+    let before = null;
+    let result = null;
+    const marks = await readAggregateMarks(boil.seasonId);
+    const updated = await boilRepository.updateAtomically(boil.id, (current) => {
+      before = current && { ...current, id: boil.id };
+      result = current ? stopBoil(current, request.body || {}) : null;
+      return result?.data;
+    });
+    if (!result) return reply.code(404).send({ error: 'Boil not found' });
+    if (result.error) return reply.code(result.statusCode).send({ error: result.error });
+    await applyBoilChange(before, updated, marks);
+    if (season.organizationId) {
+      trigger(season.organizationId, { type: 'boil:stopped', boil: updated });
+    }
+    return { boil: updated };
+  });
+
+  /**
+   * Append fuel logs to a boil. Body: { fuelLogs: [{ fuelType, quantity, unit?, unitCost?, notes? }] }
+   * unitCost defaults to the operation's price for that fuel.
+   */
+  fastify.post('/:id/fuel', async (request, reply) => {
+    const boil = await boilRepository.findById(request.params.id);
+    if (!boil) return reply.code(404).send({ error: 'Boil not found' });
+    const season = await seasonRepository.findById(boil.seasonId);
+    if (!season || !canWriteSeason(request.user.id, season, request.memberships)) {
+      return reply.code(404).send({ error: 'Boil not found' });
+    }
+    assertSeasonOpen(season);
+    const fuel = parseFuelLogs(request.body?.fuelLogs, await fuelPricesForSeason(season));
+    if (fuel.error) return reply.code(400).send({ error: fuel.error });
+    const marks = await readAggregateMarks(boil.seasonId);
+    const updated = await boilRepository.update(boil.id, {
+      fuelLogs: [...(boil.fuelLogs || []), ...fuel.fuelLogs],
+    });
+    await applyBoilChange(boil, updated, marks);
+    if (season.organizationId) {
+      trigger(season.organizationId, { type: 'boil:updated', boil: updated });
+    }
+    return { boil: updated };
+  });
+
+  /**
+   * Remove a fuel log from a boil
+   */
+  fastify.delete('/:id/fuel/:logId', async (request, reply) => {
+    const boil = await boilRepository.findById(request.params.id);
+    if (!boil) return reply.code(404).send({ error: 'Boil not found' });
+    const season = await seasonRepository.findById(boil.seasonId);
+    if (!season || !canWriteSeason(request.user.id, season, request.memberships)) {
+      return reply.code(404).send({ error: 'Boil not found' });
+    }
+    assertSeasonOpen(season);
+    const fuelLogs = boil.fuelLogs || [];
+    if (!fuelLogs.some((log) => log.id === request.params.logId)) {
+      return reply.code(404).send({ error: 'Fuel log not found' });
+    }
+    const marks = await readAggregateMarks(boil.seasonId);
+    const updated = await boilRepository.update(boil.id, {
+      fuelLogs: fuelLogs.filter((log) => log.id !== request.params.logId),
+    });
+    await applyBoilChange(boil, updated, marks);
+    if (season.organizationId) {
+      trigger(season.organizationId, { type: 'boil:updated', boil: updated });
+    }
+    return { boil: updated };
+  });
+
+  /**
+   * Update a boil. Body: any of PATCHABLE_FIELDS, feedType, feedBrix, roRunIds (but not LIVE_DERIVED_FIELDS while live)
    */
   fastify.patch('/:id', async (request, reply) => {
     const boil = await boilRepository.findById(request.params.id);
@@ -171,7 +497,44 @@ export const boilRoutes = async (fastify) => {
     if (!season || !canWriteSeason(request.user.id, season, request.memberships)) {
       return reply.code(404).send({ error: 'Boil not found' });
     }
-    const updated = await boilRepository.update(request.params.id, request.body);
+    assertSeasonOpen(season);
+    const feed = await parseFeedFields(request.body || {}, season.id);
+    if (feed.error) return reply.code(400).send({ error: feed.error });
+    const patch = request.body || {};
+    const derived = isLiveBoil(boil) ? LIVE_DERIVED_FIELDS.filter((field) => field in patch) : [];
+    if (derived.length > 0) {
+      return reply.code(409).send({ error: `${derived.join(', ')} come from the events while the boil is live` });
+    }
+    const body = {
+      ...Object.fromEntries(PATCHABLE_FIELDS.filter((field) => field in patch).map((field) => [field, patch[field]])),
+      ...feed.data,
+    };
+    if (body.fuelLogs !== undefined) {
+      const fuel = parseFuelLogs(body.fuelLogs, await fuelPricesForSeason(season));
+      if (fuel.error) return reply.code(400).send({ error: fuel.error });
+      body.fuelLogs = fuel.fuelLogs;
+    }
+    if (body.sourceTankId) {
+      const tank = await tankRepository.findById(body.sourceTankId);
+      if (!tankBelongsToSeason(tank, season)) {
+        return reply.code(400).send({ error: 'Tank not found or does not belong to this season\'s operation' });
+      }
+    } else if (body.sourceTankId !== undefined) {
+      body.sourceTankId = null;
+    }
+    const marks = await readAggregateMarks(boil.seasonId);
+    const updated = await boilRepository.update(request.params.id, body);
+    await applyBoilChange(boil, updated, marks);
+    await reconcileTankMovement({
+      oldTankId: boil.sourceTankId,
+      oldVolume: boil.sapVolumeIn,
+      newTankId: updated.sourceTankId,
+      newVolume: updated.sapVolumeIn,
+      sign: -1,
+      source: 'boil',
+      refId: updated.id,
+      userId: request.user.id,
+    });
     if (season.organizationId) {
       trigger(season.organizationId, { type: 'boil:updated', boil: updated });
     }
@@ -188,7 +551,20 @@ export const boilRoutes = async (fastify) => {
     if (!season || !canWriteSeason(request.user.id, season, request.memberships)) {
       return reply.code(404).send({ error: 'Boil not found' });
     }
+    assertSeasonOpen(season);
+    const marks = await readAggregateMarks(boil.seasonId);
     await boilRepository.delete(request.params.id);
+    await applyBoilChange(boil, null, marks);
+    if (boil.sourceTankId) {
+      await applyTankMovement({
+        tankId: boil.sourceTankId,
+        delta: boil.sapVolumeIn || 0,
+        source: 'boil',
+        refId: boil.id,
+        userId: request.user.id,
+        note: 'boil deleted',
+      });
+    }
     if (season.organizationId) {
       trigger(season.organizationId, { type: 'boil:deleted', id: request.params.id });
     }
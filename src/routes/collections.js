@@ -6,11 +6,20 @@ import { collectionRepository } from '../storage/repositories/CollectionReposito
 import { seasonRepository } from '../storage/repositories/SeasonRepository.js';
 import { zoneRepository } from '../storage/repositories/ZoneRepository.js';
 import { userRepository } from '../storage/repositories/UserRepository.js';
+import { tankRepository } from '../storage/repositories/TankRepository.js';
 import { authenticate } from '../middleware/auth.js';
-import { getMembershipsForUser, canAccessSeason, canWriteSeason } from '../lib/operationAccess.js';
-import { trigger } from '../realtime/pusherRealtime.js';
+import { getMembershipsForUser, canAccessSeason, canWriteSeason, assertSeasonOpen } from '../lib/operationAccess.js';
+import { trigger } from '../realtime/realtime.js';
 import { notifyOperationMembers } from '../services/NotificationService.js';
 import { convertVolume } from '../services/StatsService.js';
+import { applyTankMovement, reconcileTankMovement, tankBelongsToSeason } from '../services/TankService.js';
+import { applyCollectionChange, applyCollectionsCreated, readAggregateMarks } from '../services/StatsAggregateService.js';
+import {
+  MAX_IMPORT_ROWS,
+  readRows,
+  detectColumns,
+  validateRows,
+} from '../services/CollectionImportService.js';
 
 /** Enrich collections with creator display info (id, name) */
 async function enrichWithCreatedBy(collections) {
@@ -26,6 +35,9 @@ async function enrichWithCreatedBy(collections) {
   }));
 }
 
+/** Fields PATCH /:id may change; anything else in the body is ignored */
+const PATCHABLE_FIELDS = ['seasonId', 'zoneId', 'tankId', 'date', 'volume', 'sugarContent', 'notes', 'temperature', 'weatherData'];
+
 /** Zone belongs to the same org as the season, or (legacy) zone is scoped to this season */
 function zoneBelongsToSeason(zone, season) {
   if (zone.organizationId && season.organizationId) {
@@ -137,6 +149,7 @@ export const collectionRoutes = async (fastify) => {
       notes,
       temperature,
       weatherData,
+      tankId,
     } = request.body;
 
     let targetSeasonId = seasonId;
@@ -153,10 +166,11 @@ export const collectionRoutes = async (fastify) => {
       season = activeSeason;
     } else {
       season = await seasonRepository.findById(seasonId);
-      if (!season || !canWriteSeason(request.user.id, season, request.memberships)) {
-        return reply.code(404).send({ error: 'Season not found' });
-      }
     }
+    if (!season || !canWriteSeason(request.user.id, season, request.memberships)) {
+      return reply.code(404).send({ error: 'Season not found' });
+    }
+    assertSeasonOpen(season);
 
     if (zoneId) {
       const zone = await zoneRepository.findById(zoneId);
@@ -166,6 +180,14 @@ export const collectionRoutes = async (fastify) => {
       }
     }
 
+    if (tankId) {
+      const tank = await tankRepository.findById(tankId);
+      if (!tankBelongsToSeason(tank, season)) {
+        return reply.code(400).send({ error: 'Tank not found or does not belong to this season\'s operation' });
+      }
+    }
+
+    const marks = await readAggregateMarks(targetSeasonId);
     const collection = await collectionRepository.create({
       seasonId: targetSeasonId,
       userId: request.user.id,
@@ -176,7 +198,18 @@ export const collectionRoutes = async (fastify) => {
       notes,
       temperature,
       weatherData,
+      tankId: tankId || null,
     });
+    await applyCollectionChange(null, collection, marks);
+    if (collection.tankId) {
+      await applyTankMovement({
+        tankId: collection.tankId,
+        delta: collection.volume || 0,
+        source: 'collection',
+        refId: collection.id,
+        userId: request.user.id,
+      });
+    }
     if (season.organizationId) {
       trigger(season.organizationId, { type: 'collection:created', collection });
       const creatorName = request.user?.name || 'Someone';
@@ -201,16 +234,121 @@ export const collectionRoutes = async (fastify) => {
   });
 
   /**
-   * Update a collection
+   * Import collections from a spreadsheet.
+   * Body: { seasonId?, format: 'csv'|'xlsx', content (CSV text or base64 XLSX), dryRun = true,
+   *         mapping?: { date, zone, volume, unit, brix, notes } (header names), defaultUnit?: 'liters'|'gallons' }
+   * A dry run returns row-level errors and a preview; a commit writes every row or none.
+   */
+  fastify.post('/import', { bodyLimit: 10 * 1048576 }, async (request, reply) => {
+    const { seasonId, format = 'csv', content, dryRun = true, mapping = {}, defaultUnit } = request.body || {};
+
+    let season;
+    if (!seasonId) {
+      season = await seasonRepository.findActiveSeason(request.user.id, request.memberships);
+      if (!season) {
+        return reply.code(400).send({ error: 'No active season. Create a season first.' });
+      }
+    } else {
+      season = await seasonRepository.findById(seasonId);
+    }
+    if (!season || !canWriteSeason(request.user.id, season, request.memberships)) {
+      return reply.code(404).send({ error: 'Season not found' });
+    }
+    assertSeasonOpen(season);
+
+    if (!['csv', 'xlsx'].includes(format)) {
+      return reply.code(400).send({ error: 'format must be csv or xlsx' });
+    }
+    if (typeof content !== 'string' || !content) {
+      return reply.code(400).send({ error: 'content is required (CSV text or base64-encoded XLSX)' });
+    }
+    const unit = defaultUnit || request.user?.preferences?.units || 'liters';
+    if (!['liters', 'gallons'].includes(unit)) {
+      return reply.code(400).send({ error: 'defaultUnit must be liters or gallons' });
+    }
+
+    let rows;
+    try {
+      rows = readRows({ format, content });
+    } catch (err) {
+      return reply.code(400).send({ error: `Could not read ${format.toUpperCase()} file: ${err.message}` });
+    }
+    const detected = detectColumns(rows, mapping || {});
+    if (!detected) {
+      return reply.code(400).send({ error: 'No header row with date and volume columns found. Provide a column mapping.' });
+    }
+
+    const zones = season.organizationId
+      ? await zoneRepository.findByOrganizationId(season.organizationId)
+      : await zoneRepository.findBySeasonId(season.id);
+    const { collections, errors, totalRows } = validateRows(rows, detected, { zones, defaultUnit: unit });
+    if (totalRows > MAX_IMPORT_ROWS) {
+      return reply.code(400).send({ error: `Too many rows (${totalRows}). Import at most ${MAX_IMPORT_ROWS} at a time.` });
+    }
+    const columns = Object.fromEntries(
+      Object.entries(detected.columns).map(([field, index]) => [field, detected.headers[index]])
+    );
+
+    if (dryRun) {
+      return {
+        dryRun: true,
+        totalRows,
+        validRows: collections.length,
+        errors,
+        columns,
+        preview: collections.slice(0, 20),
+      };
+    }
+    if (errors.length > 0) {
+      return reply.code(400).send({ error: 'Import has invalid rows; nothing was imported', errors });
+    }
+
+    const marks = await readAggregateMarks(season.id);
+    const created = await collectionRepository.createMany(
+      collections.map(({ row: _row, ...c }) => ({
+        ...c,
+        seasonId: season.id,
+        userId: request.user.id,
+        source: 'import',
+      }))
+    );
+    await applyCollectionsCreated(created, marks);
+    if (season.organizationId) {
+      trigger(season.organizationId, { type: 'collections:imported', seasonId: season.id, count: created.length });
+    }
+    return { dryRun: false, imported: created.length };
+  });
+
+  /**
+   * Update a collection. Body: any of PATCHABLE_FIELDS; moving it to another season needs write access to that
+   * season, which must be open, and its zone and tank must belong to that season's operation.
    */
   fastify.patch('/:id', async (request, reply) => {
     const collection = await collectionRepository.findById(request.params.id);
     if (!collection) return reply.code(404).send({ error: 'Collection not found' });
-    const season = await seasonRepository.findById(collection.seasonId);
+    let season = await seasonRepository.findById(collection.seasonId);
     if (!season || !canWriteSeason(request.user.id, season, request.memberships)) {
       return reply.code(404).send({ error: 'Collection not found' });
     }
-    const { volumeUnit: _dropped, zoneId: patchZoneId, ...body } = request.body;
+    assertSeasonOpen(season);
+    const patch = request.body || {};
+    const { zoneId: patchZoneId, tankId: patchTankId, ...body } = Object.fromEntries(
+      PATCHABLE_FIELDS.filter((field) => field in patch).map((field) => [field, patch[field]])
+    );
+    if (body.seasonId !== undefined && body.seasonId !== collection.seasonId) {
+      season = body.seasonId ? await seasonRepository.findById(body.seasonId) : null;
+      if (!season || !canWriteSeason(request.user.id, season, request.memberships)) {
+        return reply.code(404).send({ error: 'Season not found' });
+      }
+      assertSeasonOpen(season);
+      const keptZone = patchZoneId === undefined && collection.zoneId && (await zoneRepository.findById(collection.zoneId));
+      const keptTank = patchTankId === undefined && collection.tankId && (await tankRepository.findById(collection.tankId));
+      if ((keptZone && !zoneBelongsToSeason(keptZone, season)) || (keptTank && !tankBelongsToSeason(keptTank, season))) {
+        return reply.code(400).send({ error: 'Zone or tank does not belong to this season\'s operation' });
+      }
+    } else {
+      delete body.seasonId;
+    }
     if (patchZoneId !== undefined) {
       if (patchZoneId) {
         const zone = await zoneRepository.findById(patchZoneId);
@@ -222,7 +360,28 @@ export const collectionRoutes = async (fastify) => {
         body.zoneId = null;
       }
     }
+    if (patchTankId !== undefined) {
+      if (patchTankId) {
+        const tank = await tankRepository.findById(patchTankId);
+        if (!tankBelongsToSeason(tank, season)) {
+          return reply.code(400).send({ error: 'Tank not found or does not belong to this season\'s operation' });
+        }
+      }
+      body.tankId = patchTankId || null;
+    }
+    const marks = await readAggregateMarks(collection.seasonId, body.seasonId);
     const updated = await collectionRepository.update(request.params.id, body);
+    await applyCollectionChange(collection, updated, marks);
+    await reconcileTankMovement({
+      oldTankId: collection.tankId,
+      oldVolume: collection.volume,
+      newTankId: updated.tankId,
+      newVolume: updated.volume,
+      sign: 1,
+      source: 'collection',
+      refId: updated.id,
+      userId: request.user.id,
+    });
     if (season.organizationId) {
       trigger(season.organizationId, { type: 'collection:updated', collection: updated });
     }
@@ -239,7 +398,20 @@ export const collectionRoutes = async (fastify) => {
     if (!season || !canWriteSeason(request.user.id, season, request.memberships)) {
       return reply.code(404).send({ error: 'Collection not found' });
     }
+    assertSeasonOpen(season);
+    const marks = await readAggregateMarks(collection.seasonId);
     await collectionRepository.delete(request.params.id);
+    await applyCollectionChange(collection, null, marks);
+    if (collection.tankId) {
+      await applyTankMovement({
+        tankId: collection.tankId,
+        delta: -(collection.volume || 0),
+        source: 'collection',
+        refId: collection.id,
+        userId: request.user.id,
+        note: 'collection deleted',
+      });
+    }
     if (season.organizationId) {
       trigger(season.organizationId, { type: 'collection:deleted', id: request.params.id });
     }
@@ -0,0 +1,150 @@
+/**
+ * Device Routes - register tank-level and vacuum sensors, manage their API keys and read their time series
+ */
+
+import { sensorDeviceRepository } from '../storage/repositories/SensorDeviceRepository.js';
+import { sensorReadingRepository } from '../storage/repositories/SensorReadingRepository.js';
+import { authenticate } from '../middleware/auth.js';
+import { getMembershipsForUser, hasOperationRole } from '../lib/operationAccess.js';
+import { trigger } from '../realtime/realtime.js';
+import {
+  generateApiKey,
+  parseDeviceFields,
+  validateDeviceTargets,
+  toDevice,
+} from '../services/SensorService.js';
+
+const DEFAULT_READINGS_LIMIT = 1000;
+const MAX_READINGS_LIMIT = 10000;
+
+export const deviceRoutes = async (fastify) => {
+  fastify.addHook('preHandler', authenticate);
+  fastify.addHook('preHandler', async (request) => {
+    request.memberships = await getMembershipsForUser(request.user.id);
+  });
+
+  /** Load a device the user can read (or manage); sends 404 and returns null otherwise */
+  async function loadDevice(request, reply, minRole = 'read') {
+    const device = await sensorDeviceRepository.findById(request.params.id);
+    if (!device || !hasOperationRole(request.memberships, device.organizationId, minRole)) {
+      reply.code(404).send({ error: 'Device not found' });
+      return null;
+    }
+    return device;
+  }
+
+  /**
+   * List an operation's devices with last readings and stale flag. Query: organizationId (required)
+   */
+  fastify.get('/', async (request, reply) => {
+    const { organizationId } = request.query;
+    if (!organizationId) return reply.code(400).send({ error: 'organizationId is required' });
+    if (!hasOperationRole(request.memberships, organizationId, 'read')) {
+      return reply.code(403).send({ error: 'Access denied to this operation' });
+    }
+    const devices = await sensorDeviceRepository.findByOrganizationId(organizationId);
+    return { devices: devices.map(toDevice) };
+  });
+
+  /**
+   * Get a device
+   */
+  fastify.get('/:id', async (request, reply) => {
+    const device = await loadDevice(request, reply);
+    if (!device) return;
+    return { device: toDevice(device) };
+  });
+
+  /**
+   * A device's readings, oldest first. Query: metric, since, until (ISO timestamps), limit (newest kept, default 1000)
+   */
+  fastify.get('/:id/readings', async (request, reply) => {
+    const device = await loadDevice(request, reply);
+    if (!device) return;
+    const { metric, since, until } = request.query;
+    if ((since && Number.isNaN(new Date(since).getTime())) || (until && Number.isNaN(new Date(until).getTime()))) {
+      return reply.code(400).send({ error: 'since and until must be ISO timestamps' });
+    }
+    const limit = Math.min(Math.max(Number(request.query.limit) || DEFAULT_READINGS_LIMIT, 1), MAX_READINGS_LIMIT);
+    const readings = await sensorReadingRepository.findByDeviceId(device.id, { metric, since, until, limit });
+    return {
+      deviceId: device.id,
+      readings: readings.map((r) => ({ metric: r.metric, value: r.value, at: r.at })),
+    };
+  });
+
+  /**
+   * Register a device (operation admin). Body: { organizationId, name, tankId?, zoneId?, lineId?, staleAfterMinutes?, notes? }.
+   * The response carries the device's API key; it is not shown again.
+   */
+  fastify.post('/', async (request, reply) => {
+    const body = request.body || {};
+    if (!body.organizationId || !hasOperationRole(request.memberships, body.organizationId, 'admin')) {
+      return reply.code(403).send({ error: 'Only operation admins can register devices' });
+    }
+    const parsed = parseDeviceFields(body);
+    if (parsed.error) return reply.code(400).send({ error: parsed.error });
+    if (!parsed.data.name) return reply.code(400).send({ error: 'name is required' });
+    const fields = {
+      tankId: null,
+      zoneId: null,
+      lineId: null,
+      staleAfterMinutes: null,
+      notes: null,
+      ...parsed.data,
+      organizationId: body.organizationId,
+    };
+    const targetError = await validateDeviceTargets(fields);
+    if (targetError) return reply.code(400).send({ error: targetError });
+
+    const { apiKey, apiKeyHash, apiKeyPrefix } = generateApiKey();
+    const device = toDevice(await sensorDeviceRepository.create({
+      ...fields,
+      apiKeyHash,
+      apiKeyPrefix,
+      lastSeenAt: null,
+      lastReadings: {},
+      staleSince: null,
+      userId: request.user.id,
+    }));
+    trigger(device.organizationId, { type: 'device:created', device });
+    return { device, apiKey };
+  });
+
+  /**
+   * Update a device's name, targets or stale timeout (operation admin)
+   */
+  fastify.patch('/:id', async (request, reply) => {
+    const device = await loadDevice(request, reply, 'admin');
+    if (!device) return;
+    const parsed = parseDeviceFields(request.body || {});
+    if (parsed.error) return reply.code(400).send({ error: parsed.error });
+    const targetError = await validateDeviceTargets({ ...device, ...parsed.data });
+    if (targetError) return reply.code(400).send({ error: targetError });
+    const updated = toDevice(await sensorDeviceRepository.update(device.id, parsed.data));
+    trigger(device.organizationId, { type: 'device:updated', device: updated });
+    return { device: updated };
+  });
+
+  /**
+   * Replace a device's API key (operation admin). The old key stops working immediately.
+   */
+  fastify.post('/:id/rotate-key', async (request, reply) => {
+    const device = await loadDevice(request, reply, 'admin');
+    if (!device) return;
+    const { apiKey, apiKeyHash, apiKeyPrefix } = generateApiKey();
+    const updated = toDevice(await sensorDeviceRepository.update(device.id, { apiKeyHash, apiKeyPrefix }));
+    return { device: updated, apiKey };
+  });
+
+  /**
+   * Remove a device (operation admin). Its readings stay in the time series.
+   */
+  fastify.delete('/:id', async (request, reply) => {
+    const device = await loadDevice(request, reply, 'admin');
+    if (!device) return;
+    await sensorDeviceRepository.delete(device.id);
+    trigger(device.organizationId, { type: 'device:deleted', id: device.id });
+    return { success: true };
+  });
+};
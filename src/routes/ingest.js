@@ -0,0 +1,27 @@
+/**
+ * Ingest Routes - sensor devices post batched readings with their API key
+ */
+
+import { authenticateDevice } from '../middleware/deviceAuth.js';
+import { ingestReadings, MAX_INGEST_READINGS } from '../services/SensorService.js';
+
+export const ingestRoutes = async (fastify) => {
+  fastify.addHook('preHandler', authenticateDevice);
+
+  /**
+   * Store readings for the authenticated device.
+   * Body: { readings: [{ deviceId?, metric, value, at? }] } - at is an ISO timestamp or Unix seconds (default now).
+   * Valid readings are stored even when others are rejected; rejected ones are listed by index.
+   */
+  fastify.post('/', async (request, reply) => {
+    const { readings } = request.body || {};
+    if (!Array.isArray(readings) || readings.length === 0) {
+      return reply.code(400).send({ error: 'readings must be a non-empty array' });
+    }
+    if (readings.length > MAX_INGEST_READINGS) {
+      return reply.code(400).send({ error: `At most ${MAX_INGEST_READINGS} readings per request` });
+    }
+    const result = await ingestReadings(request.device, readings);
+    return { deviceId: request.device.id, ...result };
+  });
+};
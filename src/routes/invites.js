@@ -6,6 +6,7 @@ import { operationInviteRepository } from '../storage/repositories/OperationInvi
 import { operationRepository } from '../storage/repositories/OperationRepository.js';
 import { operationMemberRepository } from '../storage/repositories/OperationMemberRepository.js';
 import { authenticate } from '../middleware/auth.js';
+import { trigger } from '../realtime/realtime.js';
 
 function normalizeEmail(email) {
   return (email || '').toLowerCase().trim();
@@ -38,13 +39,19 @@ export const inviteRoutes = async (fastify) => {
     if (userEmail !== normalizeEmail(invite.email)) {
       return reply.code(403).send({ error: 'You must be logged in with the invited email to accept' });
     }
-    await operationMemberRepository.addMember(
+    const membership = await operationMemberRepository.addMember(
       invite.organizationId,
       request.user.id,
       invite.role,
       invite.invitedBy
     );
     await operationInviteRepository.delete(invite.id);
+    trigger(invite.organizationId, { type: 'invite:deleted', id: invite.id });
+    trigger(invite.organizationId, {
+      type: 'member:added',
+      membership,
+      user: { id: request.user.id, email: request.user.email, name: request.user.name ?? null },
+    });
     const org = await operationRepository.findById(invite.organizationId);
     return { operation: org };
   });
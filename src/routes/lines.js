@@ -0,0 +1,146 @@
+/**
+ * Line Routes - mainlines and laterals in a sugar bush
+ */
+
+import { lineRepository } from '../storage/repositories/LineRepository.js';
+import { tapRepository } from '../storage/repositories/TapRepository.js';
+import { zoneRepository } from '../storage/repositories/ZoneRepository.js';
+import { authenticate } from '../middleware/auth.js';
+import { getMembershipsForUser, hasOperationRole } from '../lib/operationAccess.js';
+import { trigger } from '../realtime/realtime.js';
+import { parseLineFields, isTapActive } from '../services/TapInventoryService.js';
+
+/**
+ * Laterals may hang off a mainline in the same zone; mainlines have no parent. Returns an error message or null.
+ */
+async function validateParent(line) {
+  if (!line.parentLineId) return null;
+  if (line.type !== 'lateral') return 'Only laterals can have a parentLineId';
+  if (line.parentLineId === line.id) return 'A line cannot be its own parent';
+  const parent = await lineRepository.findById(line.parentLineId);
+  if (!parent || parent.zoneId !== line.zoneId || parent.type !== 'mainline') {
+    return 'parentLineId must be a mainline in the same zone';
+  }
+  return null;
+}
+
+export const lineRoutes = async (fastify) => {
+  fastify.addHook('preHandler', authenticate);
+  fastify.addHook('preHandler', async (request) => {
+    request.memberships = await getMembershipsForUser(request.user.id);
+  });
+
+  async function loadLine(request, reply, minRole = 'read') {
+    const line = await lineRepository.findById(request.params.id);
+    if (!line || !hasOperationRole(request.memberships, line.organizationId, minRole)) {
+      reply.code(404).send({ error: 'Line not found' });
+      return null;
+    }
+    return line;
+  }
+
+  /**
+   * List a zone's lines with their active tap counts. Query: zoneId (required)
+   */
+  fastify.get('/', async (request, reply) => {
+    const zone = request.query.zoneId ? await zoneRepository.findById(request.query.zoneId) : null;
+    if (!zone?.organizationId || !hasOperationRole(request.memberships, zone.organizationId, 'read')) {
+      return reply.code(404).send({ error: 'Zone not found' });
+    }
+    const [lines, taps] = await Promise.all([
+      lineRepository.findByZoneId(zone.id),
+      tapRepository.findByZoneId(zone.id),
+    ]);
+    const activeTaps = taps.filter(isTapActive);
+    return {
+      lines: lines.map((line) => ({
+        ...line,
+        activeTaps: activeTaps.filter((t) => t.lineId === line.id).length,
+      })),
+    };
+  });
+
+  /**
+   * Get a line
+   */
+  fastify.get('/:id', async (request, reply) => {
+    const line = await loadLine(request, reply);
+    if (!line) return;
+    return { line };
+  });
+
+  /**
+   * Create a line in a zone (write access). Body: { zoneId, name, type: mainline|lateral, parentLineId?,
+   * lengthMeters?, diameterMm?, installDate?, notes? }
+   */
+  fastify.post('/', async (request, reply) => {
+    const body = request.body || {};
+    const zone = body.zoneId ? await zoneRepository.findById(body.zoneId) : null;
+    if (!zone?.organizationId || !hasOperationRole(request.memberships, zone.organizationId, 'write')) {
+      return reply.code(404).send({ error: 'Zone not found' });
+    }
+    const parsed = parseLineFields(body);
+    if (parsed.error) return reply.code(400).send({ error: parsed.error });
+    if (!parsed.data.name || !parsed.data.type) {
+      return reply.code(400).send({ error: 'name and type are required' });
+    }
+    const fields = {
+      parentLineId: null,
+      lengthMeters: null,
+      diameterMm: null,
+      installDate: null,
+      notes: null,
+      ...parsed.data,
+      organizationId: zone.organizationId,
+      zoneId: zone.id,
+    };
+    const parentError = await validateParent(fields);
+    if (parentError) return reply.code(400).send({ error: parentError });
+
+    const line = await lineRepository.create({ ...fields, userId: request.user.id });
+    trigger(zone.organizationId, { type: 'line:created', line });
+    return { line };
+  });
+
+  /**
+   * Update a line
+   */
+  fastify.patch('/:id', async (request, reply) => {
+    const line = await loadLine(request, reply, 'write');
+    if (!line) return;
+    const parsed = parseLineFields(request.body || {});
+    if (parsed.error) return reply.code(400).send({ error: parsed.error });
+    const parentError = await validateParent({ ...line, ...parsed.data });
+    if (parentError) return reply.code(400).send({ error: parentError });
+    if (parsed.data.type === 'lateral' && line.type === 'mainline') {
+      const laterals = (await lineRepository.findByZoneId(line.zoneId)).filter((l) => l.parentLineId === line.id);
+      if (laterals.length > 0) {
+        return reply.code(409).send({ error: 'Move this mainline\'s laterals before making it a lateral' });
+      }
+    }
+    const updated = await lineRepository.update(line.id, parsed.data);
+    trigger(line.organizationId, { type: 'line:updated', line: updated });
+    return { line: updated };
+  });
+
+  /**
+   * Delete a line. Refused while it still has laterals or active taps (retire or move them first).
+   */
+  fastify.delete('/:id', async (request, reply) => {
+    const line = await loadLine(request, reply, 'write');
+    if (!line) return;
+    const [zoneLines, taps] = await Promise.all([
+      lineRepository.findByZoneId(line.zoneId),
+      tapRepository.findByLineId(line.id),
+    ]);
+    if (zoneLines.some((l) => l.parentLineId === line.id)) {
+      return reply.code(409).send({ error: 'Line still has laterals' });
+    }
+    if (taps.some(isTapActive)) {
+      return reply.code(409).send({ error: 'Line still has active taps; retire or move them first' });
+    }
+    await lineRepository.delete(line.id);
+    trigger(line.organizationId, { type: 'line:deleted', id: line.id, zoneId: line.zoneId });
+    return { success: true };
+  });
+};
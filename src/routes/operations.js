@@ -12,12 +12,28 @@ import { seasonRepository } from '../storage/repositories/SeasonRepository.js';
 import { zoneRepository } from '../storage/repositories/ZoneRepository.js';
 import { collectionRepository } from '../storage/repositories/CollectionRepository.js';
 import { boilRepository } from '../storage/repositories/BoilRepository.js';
+import { syrupBatchRepository } from '../storage/repositories/SyrupBatchRepository.js';
+import { roRunRepository } from '../storage/repositories/RoRunRepository.js';
+import { tapRepository } from '../storage/repositories/TapRepository.js';
 import * as XLSX from 'xlsx';
+import { SYRUP_GRADES } from '../constants/syrupGrades.js';
+import { FUEL_TYPES } from '../constants/fuelTypes.js';
+import { withGeometry, zonesToGeoJson, zonesToKml } from '../services/ZoneGeometryService.js';
+import { parseFuelPrices } from '../services/FuelService.js';
+import { countTapsByZone } from '../services/TapInventoryService.js';
+import {
+  parsePresenceReport,
+  getOperationPresence,
+  reportPresence,
+  clearPresence,
+} from '../services/PresenceService.js';
 import { authenticate } from '../middleware/auth.js';
+import { trigger } from '../realtime/realtime.js';
 import {
   getMembershipsForUser,
   hasOperationRole,
   requireOperationAdmin,
+  requireOperationRole,
 } from '../lib/operationAccess.js';
 
 function normalizeEmail(email) {
@@ -87,10 +103,13 @@ export const operationRoutes = async (fastify) => {
     }
 
     for (const season of sortedSeasons) {
-      const [collections, boils] = await Promise.all([
+      const [collections, boils, batches, roRuns] = await Promise.all([
         collectionRepository.findBySeasonId(season.id),
         boilRepository.findBySeasonId(season.id),
+        syrupBatchRepository.findBySeasonId(season.id),
+        roRunRepository.findBySeasonId(season.id),
       ]);
+      const boilMap = Object.fromEntries((boils || []).map((b) => [b.id, b]));
 
       const rows = [];
       rows.push(['SapMap Operation Export']);
@@ -101,7 +120,7 @@ export const operationRoutes = async (fastify) => {
 
       // Sugar Bushes
       rows.push(['Sugar Bushes']);
-      rows.push(['Name', 'Tap Count', 'Description', 'Color', 'Latitude', 'Longitude']);
+      rows.push(['Name', 'Tap Count', 'Description', 'Color', 'Latitude', 'Longitude', 'Area (ha)']);
       for (const z of zones || []) {
         const loc = z.location && typeof z.location === 'object' ? z.location : null;
         rows.push([
@@ -111,6 +130,7 @@ export const operationRoutes = async (fastify) => {
           z.color ?? '',
           loc?.lat ?? '',
           loc?.lng ?? '',
+          z.areaHectares ?? '',
         ]);
       }
       rows.push([]);
@@ -126,21 +146,74 @@ export const operationRoutes = async (fastify) => {
       }
       rows.push([]);
 
+      // RO Runs
+      rows.push(['RO Runs']);
+      rows.push(['Date', 'Sap In (L)', 'Sap Brix', 'Concentrate (L)', 'Concentrate Brix', 'Permeate (L)', 'Membrane Hours', 'Wash Cycles', 'Notes']);
+      for (const r of roRuns || []) {
+        const dateStr = typeof r.date === 'string' ? r.date.split('T')[0] : (r.date ?? '');
+        rows.push([
+          dateStr,
+          r.inputVolume ?? '',
+          r.inputBrix ?? '',
+          r.concentrateVolume ?? '',
+          r.concentrateBrix ?? '',
+          r.permeateVolume ?? '',
+          r.membraneHours ?? '',
+          r.washCycles ?? '',
+          r.notes ?? '',
+        ]);
+      }
+      rows.push([]);
+
       // Boils
       rows.push(['Boils']);
-      rows.push(['Date', 'Sap In (L)', 'Syrup Out (L)', 'Start Time', 'End Time', 'Duration (min)', 'Notes']);
+      rows.push(['Date', 'Feed', 'Feed In (L)', 'Feed Brix', 'Syrup Out (L)', 'Start Time', 'End Time', 'Duration (min)', 'Fuel', 'Fuel Cost', 'Notes']);
       for (const b of boils || []) {
         const dateStr = typeof b.date === 'string' ? b.date.split('T')[0] : (b.date ?? '');
+        const fuelLogs = b.fuelLogs || [];
+        const fuel = fuelLogs.map((f) => `${f.quantity} ${f.unit} ${f.fuelType}`).join(', ');
+        const costed = fuelLogs.filter((f) => f.unitCost != null);
+        const fuelCost = costed.length > 0
+          ? Math.round(costed.reduce((t, f) => t + f.quantity * f.unitCost, 0) * 100) / 100
+          : '';
         rows.push([
           dateStr,
+          b.feedType === 'concentrate' ? 'Concentrate' : 'Sap',
           b.sapVolumeIn ?? '',
+          b.feedBrix ?? '',
           b.syrupVolumeOut ?? '',
           b.startTime ?? '',
           b.endTime ?? '',
           b.duration ?? '',
+          fuel,
+          fuelCost,
           b.notes ?? '',
         ]);
       }
+      rows.push([]);
+
+      // Syrup Batches
+      rows.push(['Syrup Batches']);
+      rows.push(['Lot', 'Date', 'Grade', 'Transmittance (%)', 'Brix', 'Density', 'Volume (L)', 'Containers', 'Boil Dates', 'Notes']);
+      for (const batch of [...(batches || [])].reverse()) {
+        const dateStr = typeof batch.date === 'string' ? batch.date.split('T')[0] : (batch.date ?? '');
+        const containers = (batch.containers || []).map((c) => `${c.count} × ${c.size} L`).join(', ');
+        const boilDates = (batch.boilIds || [])
+          .map((id) => boilMap[id]?.date?.split('T')[0] ?? id)
+          .join(', ');
+        rows.push([
+          batch.lotNumber ?? '',
+          dateStr,
+          SYRUP_GRADES.find((g) => g.id === batch.grade)?.label ?? '',
+          batch.lightTransmittance ?? '',
+          batch.brix ?? '',
+          batch.density ?? '',
+          batch.volume ?? '',
+          containers,
+          boilDates,
+          batch.notes ?? '',
+        ]);
+      }
 
       let sheetName = excelSheetName(season);
       if (usedSheetNames.has(sheetName)) {
@@ -162,6 +235,40 @@ export const operationRoutes = async (fastify) => {
       .send(buf);
   });
 
+  /**
+   * Export the operation's sugar bushes for GIS tools. Query: format=geojson (default) | kml.
+   * Zones with a boundary export as polygons, zones with only a location as points.
+   */
+  fastify.get('/:id/zones/export', async (request, reply) => {
+    const org = await operationRepository.findById(request.params.id);
+    if (!org) return reply.code(404).send({ error: 'Operation not found' });
+    const memberships = await getMembershipsForUser(request.user.id);
+    if (!hasOperationRole(memberships, org.id, 'read')) {
+      return reply.code(403).send({ error: 'Not a member of this operation' });
+    }
+    const format = request.query.format || 'geojson';
+    if (format !== 'geojson' && format !== 'kml') {
+      return reply.code(400).send({ error: 'format must be geojson or kml' });
+    }
+    const [orgZones, taps] = await Promise.all([
+      zoneRepository.findByOrganizationId(org.id),
+      tapRepository.findByOrganizationId(org.id),
+    ]);
+    const counts = countTapsByZone(taps);
+    const zones = orgZones.map((zone) => withGeometry(zone, counts));
+    const basename = `sapmap-${(org.name || 'operation').replace(/[^a-zA-Z0-9-_]/g, '-')}-zones`;
+    if (format === 'kml') {
+      return reply
+        .header('Content-Type', 'application/vnd.google-earth.kml+xml')
+        .header('Content-Disposition', `attachment; filename="${basename}.kml"`)
+        .send(zonesToKml(zones, org.name || 'SapMap'));
+    }
+    return reply
+      .header('Content-Type', 'application/geo+json')
+      .header('Content-Disposition', `attachment; filename="${basename}.geojson"`)
+      .send(JSON.stringify(zonesToGeoJson(zones)));
+  });
+
   /** Get operation detail + members for all members; invites only for admins. */
   fastify.get('/:id', async (request, reply) => {
     const org = await operationRepository.findById(request.params.id);
@@ -202,9 +309,79 @@ export const operationRoutes = async (fastify) => {
       return reply.code(400).send({ error: 'Operation name is required' });
     }
     const updated = await operationRepository.update(request.params.id, { name: name.trim() });
+    trigger(org.id, { type: 'operation:updated', operation: updated });
     return { operation: updated };
   });
 
+  /** Fuel price defaults used when a boil's fuel log has no unitCost (any member) */
+  fastify.get('/:id/fuel-prices', async (request, reply) => {
+    const org = await operationRepository.findById(request.params.id);
+    if (!org) return reply.code(404).send({ error: 'Operation not found' });
+    const memberships = await getMembershipsForUser(request.user.id);
+    if (!hasOperationRole(memberships, org.id, 'read')) {
+      return reply.code(403).send({ error: 'Not a member of this operation' });
+    }
+    return { fuelPrices: org.fuelPrices || {}, fuelTypes: FUEL_TYPES };
+  });
+
+  /** Set fuel price defaults (admin only). Body: { [fuelType]: { unitCost, unit? } | null }; merged into existing */
+  fastify.put('/:id/fuel-prices', async (request, reply) => {
+    const org = await operationRepository.findById(request.params.id);
+    if (!org) return reply.code(404).send({ error: 'Operation not found' });
+    const memberships = await getMembershipsForUser(request.user.id);
+    requireOperationAdmin(memberships, org.id);
+    const parsed = parseFuelPrices(request.body);
+    if (parsed.error) return reply.code(400).send({ error: parsed.error });
+    const fuelPrices = { ...(org.fuelPrices || {}) };
+    for (const [fuelType, price] of Object.entries(parsed.fuelPrices)) {
+      if (price === null) delete fuelPrices[fuelType];
+      else fuelPrices[fuelType] = price;
+    }
+    const updated = await operationRepository.update(org.id, { fuelPrices });
+    trigger(org.id, { type: 'operation:updated', operation: updated });
+    return { fuelPrices: updated.fuelPrices || {} };
+  });
+
+  /** Crew members active right now (any member) */
+  fastify.get('/:id/presence', async (request, reply) => {
+    const org = await operationRepository.findById(request.params.id);
+    if (!org) return reply.code(404).send({ error: 'Operation not found' });
+    const memberships = await getMembershipsForUser(request.user.id);
+    requireOperationRole(memberships, org.id, 'read');
+    return { presence: await getOperationPresence(org.id) };
+  });
+
+  /**
+   * Report the current user's presence (any member); clients repeat this every few minutes while active.
+   * Body: { status: 'collecting'|'boiling'|'idle', zoneId?, boilId?, location?: { lat, lng, accuracy?, at? } }
+   */
+  fastify.put('/:id/presence', async (request, reply) => {
+    const org = await operationRepository.findById(request.params.id);
+    if (!org) return reply.code(404).send({ error: 'Operation not found' });
+    const memberships = await getMembershipsForUser(request.user.id);
+    requireOperationRole(memberships, org.id, 'read');
+    const parsed = parsePresenceReport(request.body);
+    if (parsed.error) return reply.code(400).send({ error: parsed.error });
+    if (parsed.data.zoneId) {
+      const zone = await zoneRepository.findById(parsed.data.zoneId);
+      if (!zone || zone.organizationId !== org.id) {
+        return reply.code(400).send({ error: 'Zone not found in this operation' });
+      }
+    }
+    const presence = await reportPresence(org.id, request.user, parsed.data);
+    return { presence };
+  });
+
+  /** Sign off: remove the current user's presence */
+  fastify.delete('/:id/presence', async (request, reply) => {
+    const org = await operationRepository.findById(request.params.id);
+    if (!org) return reply.code(404).send({ error: 'Operation not found' });
+    const memberships = await getMembershipsForUser(request.user.id);
+    requireOperationRole(memberships, org.id, 'read');
+    await clearPresence(org.id, request.user.id);
+    return { success: true };
+  });
+
   /** Create invite (admin only) */
   fastify.post('/:id/invites', async (request, reply) => {
     const org = await operationRepository.findById(request.params.id);
@@ -250,6 +427,8 @@ export const operationRoutes = async (fastify) => {
       });
     }
 
+    // Every member receives operation events, so the invitee's email stays out of the payload
+    trigger(org.id, { type: 'invite:created', invite: { id: invite.id, role: invite.role, expiresAt } });
     return {
       invite: { id: invite.id, email: invite.email, role: invite.role, expiresAt },
       inviteToken: token,
@@ -279,6 +458,7 @@ export const operationRoutes = async (fastify) => {
       return reply.code(404).send({ error: 'Invite not found' });
     }
     await operationInviteRepository.delete(invite.id);
+    trigger(org.id, { type: 'invite:deleted', id: invite.id });
     return { success: true };
   });
 
@@ -298,6 +478,8 @@ export const operationRoutes = async (fastify) => {
       }
     }
     await operationMemberRepository.removeMember(org.id, request.user.id);
+    await clearPresence(org.id, request.user.id);
+    trigger(org.id, { type: 'member:removed', userId: request.user.id });
     return { success: true };
   });
 
@@ -317,6 +499,8 @@ export const operationRoutes = async (fastify) => {
       }
     }
     await operationMemberRepository.removeMember(org.id, targetUserId);
+    await clearPresence(org.id, targetUserId);
+    trigger(org.id, { type: 'member:removed', userId: targetUserId });
     return { success: true };
   });
 
@@ -341,6 +525,7 @@ export const operationRoutes = async (fastify) => {
       }
     }
     const updated = await operationMemberRepository.updateRole(org.id, targetUserId, role);
+    trigger(org.id, { type: 'member:updated', membership: updated });
     return { membership: updated };
   });
 };
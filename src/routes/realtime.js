@@ -1,14 +1,60 @@
 /**
- * Realtime via Pusher: channel auth endpoint only.
+ * Realtime routes: event replay and Pusher channel auth (the WebSocket endpoint lives in realtime/websocketHub.js).
  */
 
 import { authenticate } from '../middleware/auth.js';
 import { getMembershipsForUser, hasOperationRole } from '../lib/operationAccess.js';
 import { getPusher, CHANNEL_PREFIX } from '../realtime/pusherRealtime.js';
+import { realtimeEventRepository } from '../storage/repositories/RealtimeEventRepository.js';
+
+const DEFAULT_REPLAY_LIMIT = 200;
+const MAX_REPLAY_LIMIT = 1000;
 
 export const realtimeRoutes = async (fastify) => {
   fastify.addHook('preHandler', authenticate);
 
+  /**
+   * GET /events?operationId=&since=<seq>&limit=<positive integer, capped at MAX_REPLAY_LIMIT>
+   * Events the operation emitted after `since`, oldest first, for clients catching up after a reconnect.
+   * Continue with since=lastSeq while hasMore is true. gap is true when events after `since` were already
+   * pruned (or `since` is from a reset store); the client should refetch its data instead of replaying.
+   */
+  fastify.get('/events', async (request, reply) => {
+    const { operationId } = request.query;
+    if (!operationId) {
+      return reply.code(400).send({ error: 'operationId is required' });
+    }
+    const since = request.query.since === undefined ? 0 : Number(request.query.since);
+    if (!Number.isInteger(since) || since < 0) {
+      return reply.code(400).send({ error: 'since must be a non-negative integer' });
+    }
+    const requestedLimit = request.query.limit === undefined ? DEFAULT_REPLAY_LIMIT : Number(request.query.limit);
+    if (!Number.isInteger(requestedLimit) || requestedLimit < 1) {
+      return reply.code(400).send({ error: 'limit must be a positive integer' });
+    }
+    const limit = Math.min(requestedLimit, MAX_REPLAY_LIMIT);
+    const memberships = await getMembershipsForUser(request.user.id);
+    if (!hasOperationRole(memberships, operationId, 'read')) {
+      return reply.code(403).send({ error: 'Access denied to this operation' });
+    }
+
+    // One past the page tells whether there are more
+    const [stored, currentSeq] = await Promise.all([
+      realtimeEventRepository.findSince(operationId, since, limit + 1),
+      realtimeEventRepository.lastSeq(operationId),
+    ]);
+    const page = stored.slice(0, limit);
+    const firstAvailable = stored.length > 0 ? stored[0].seq : currentSeq + 1;
+    return {
+      operationId,
+      events: page.map((e) => ({ ...e.event, seq: e.seq, at: e.createdAt })),
+      lastSeq: page.length > 0 ? page[page.length - 1].seq : Math.min(since, currentSeq),
+      currentSeq,
+      hasMore: stored.length > limit,
+      gap: since > currentSeq || firstAvailable > since + 1,
+    };
+  });
+
   /**
    * POST /pusher-auth
    * Body: socket_id, channel_name (Pusher JS sends these when subscribing to a private channel).
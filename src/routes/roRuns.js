@@ -0,0 +1,281 @@
+/**
+ * RO Run Routes - reverse osmosis runs (raw sap in, concentrate and permeate out)
+ */
+
+import { roRunRepository } from '../storage/repositories/RoRunRepository.js';
+import { seasonRepository } from '../storage/repositories/SeasonRepository.js';
+import { tankRepository } from '../storage/repositories/TankRepository.js';
+import { authenticate } from '../middleware/auth.js';
+import { getMembershipsForUser, canAccessSeason, canWriteSeason, assertSeasonOpen } from '../lib/operationAccess.js';
+import { trigger } from '../realtime/realtime.js';
+import { applyTankMovement, reconcileTankMovement, tankBelongsToSeason } from '../services/TankService.js';
+import { roRunEfficiency } from '../services/StatsService.js';
+
+function optionalNumber(value, { min = -Infinity, max = Infinity, integer = false } = {}) {
+  if (value === undefined) return { value: undefined };
+  if (value === null || value === '') return { value: null };
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < min || n > max || (integer && !Number.isInteger(n))) return { error: true };
+  return { value: n };
+}
+
+const NUMBER_FIELDS = [
+  ['inputVolume', { min: 0 }, 'inputVolume must be a positive number (liters)'],
+  ['inputBrix', { min: 0, max: 100 }, 'inputBrix must be between 0 and 100'],
+  ['concentrateVolume', { min: 0 }, 'concentrateVolume must be a positive number (liters)'],
+  ['concentrateBrix', { min: 0, max: 100 }, 'concentrateBrix must be between 0 and 100'],
+  ['permeateVolume', { min: 0 }, 'permeateVolume must be a positive number (liters)'],
+  ['membraneHours', { min: 0 }, 'membraneHours must be a positive number'],
+  ['washCycles', { min: 0, integer: true }, 'washCycles must be a whole number'],
+];
+
+/**
+ * Validate RO run fields shared by create and update. Returns { data } or { error }.
+ */
+function parseRoRunFields(body) {
+  const data = {};
+  for (const [field, range, message] of NUMBER_FIELDS) {
+    const parsed = optionalNumber(body[field], range);
+    if (parsed.error) return { error: message };
+    if (parsed.value !== undefined) data[field] = parsed.value;
+  }
+  if (body.date !== undefined) data.date = body.date;
+  if (body.notes !== undefined) data.notes = body.notes;
+  return { data };
+}
+
+/** Concentrate can't exceed the sap that went in, and concentrating can't lower the Brix */
+function validateRoRun(run) {
+  if (!(run.inputVolume > 0) || !(run.concentrateVolume > 0)) {
+    return 'inputVolume and concentrateVolume are required';
+  }
+  if (run.concentrateVolume > run.inputVolume) {
+    return 'concentrateVolume cannot be greater than inputVolume';
+  }
+  if (run.inputBrix != null && run.concentrateBrix != null && run.concentrateBrix < run.inputBrix) {
+    return 'concentrateBrix cannot be lower than inputBrix';
+  }
+  return null;
+}
+
+/** Tank IDs must belong to the season's operation. Returns an error message or null. */
+async function validateTanks(season, { sourceTankId, concentrateTankId }) {
+  for (const tankId of [sourceTankId, concentrateTankId]) {
+    if (!tankId) continue;
+    const tank = await tankRepository.findById(tankId);
+    if (!tankBelongsToSeason(tank, season)) {
+      return 'Tank not found or does not belong to this season\'s operation';
+    }
+  }
+  return null;
+}
+
+function withEfficiency(run) {
+  return { ...run, efficiency: roRunEfficiency([run]) };
+}
+
+export const roRunRoutes = async (fastify) => {
+  fastify.addHook('preHandler', authenticate);
+  fastify.addHook('preHandler', async (request) => {
+    request.memberships = await getMembershipsForUser(request.user.id);
+  });
+
+  /** Load an RO run and its season; sends 404 and returns null unless the user has access */
+  async function loadRun(request, reply, write = false) {
+    const run = await roRunRepository.findById(request.params.id);
+    if (!run) {
+      reply.code(404).send({ error: 'RO run not found' });
+      return null;
+    }
+    const season = await seasonRepository.findById(run.seasonId);
+    const allowed = write ? canWriteSeason : canAccessSeason;
+    if (!season || !allowed(request.user.id, season, request.memberships)) {
+      reply.code(404).send({ error: 'RO run not found' });
+      return null;
+    }
+    return { run, season };
+  }
+
+  /**
+   * Get all RO runs for a season
+   */
+  fastify.get('/', async (request, reply) => {
+    const seasonId = request.query.seasonId;
+    let targetSeasonId = seasonId;
+
+    if (!targetSeasonId) {
+      const activeSeason = await seasonRepository.findActiveSeason(
+        request.user.id,
+        request.memberships
+      );
+      if (!activeSeason) return { roRuns: [] };
+      targetSeasonId = activeSeason.id;
+    } else {
+      const season = await seasonRepository.findById(seasonId);
+      if (!season || !canAccessSeason(request.user.id, season, request.memberships)) {
+        return reply.code(404).send({ error: 'Season not found' });
+      }
+    }
+
+    const runs = await roRunRepository.findBySeasonId(targetSeasonId);
+    return { roRuns: runs.map(withEfficiency) };
+  });
+
+  /**
+   * Get a specific RO run
+   */
+  fastify.get('/:id', async (request, reply) => {
+    const loaded = await loadRun(request, reply);
+    if (!loaded) return;
+    return { roRun: withEfficiency(loaded.run) };
+  });
+
+  /**
+   * Record an RO run. permeateVolume defaults to inputVolume - concentrateVolume.
+   * sourceTankId (raw sap drawn) and concentrateTankId (concentrate stored) move tank levels.
+   */
+  fastify.post('/', async (request, reply) => {
+    const { seasonId, sourceTankId, concentrateTankId } = request.body || {};
+
+    let season;
+    if (!seasonId) {
+      season = await seasonRepository.findActiveSeason(request.user.id, request.memberships);
+      if (!season) {
+        return reply.code(400).send({ error: 'No active season. Create a season first.' });
+      }
+    } else {
+      season = await seasonRepository.findById(seasonId);
+    }
+    if (!season || !canWriteSeason(request.user.id, season, request.memberships)) {
+      return reply.code(404).send({ error: 'Season not found' });
+    }
+    assertSeasonOpen(season);
+
+    const parsed = parseRoRunFields(request.body || {});
+    if (parsed.error) return reply.code(400).send({ error: parsed.error });
+    const fields = parsed.data;
+    const invalid = validateRoRun(fields);
+    if (invalid) return reply.code(400).send({ error: invalid });
+    const tankError = await validateTanks(season, { sourceTankId, concentrateTankId });
+    if (tankError) return reply.code(400).send({ error: tankError });
+
+    const run = await roRunRepository.create({
+      seasonId: season.id,
+      organizationId: season.organizationId ?? null,
+      userId: request.user.id,
+      date: fields.date || new Date().toISOString().split('T')[0],
+      inputVolume: fields.inputVolume,
+      inputBrix: fields.inputBrix ?? null,
+      concentrateVolume: fields.concentrateVolume,
+      concentrateBrix: fields.concentrateBrix ?? null,
+      permeateVolume: fields.permeateVolume ?? Math.round((fields.inputVolume - fields.concentrateVolume) * 100) / 100,
+      membraneHours: fields.membraneHours ?? null,
+      washCycles: fields.washCycles ?? 0,
+      sourceTankId: sourceTankId || null,
+      concentrateTankId: concentrateTankId || null,
+      notes: fields.notes ?? null,
+    });
+
+    await applyTankMovement({
+      tankId: run.sourceTankId,
+      delta: -run.inputVolume,
+      source: 'ro',
+      refId: run.id,
+      userId: request.user.id,
+    });
+    await applyTankMovement({
+      tankId: run.concentrateTankId,
+      delta: run.concentrateVolume,
+      source: 'ro',
+      refId: run.id,
+      userId: request.user.id,
+    });
+    if (season.organizationId) {
+      trigger(season.organizationId, { type: 'ro:created', roRun: run });
+    }
+    return { roRun: withEfficiency(run) };
+  });
+
+  /**
+   * Update an RO run (tank levels follow volume and tank changes)
+   */
+  fastify.patch('/:id', async (request, reply) => {
+    const loaded = await loadRun(request, reply, true);
+    if (!loaded) return;
+    const { run, season } = loaded;
+
+    const parsed = parseRoRunFields(request.body || {});
+    if (parsed.error) return reply.code(400).send({ error: parsed.error });
+    const data = parsed.data;
+    for (const field of ['sourceTankId', 'concentrateTankId']) {
+      if (request.body?.[field] !== undefined) data[field] = request.body[field] || null;
+    }
+    const permeateWasDerived =
+      Math.abs((run.permeateVolume ?? 0) - ((run.inputVolume || 0) - (run.concentrateVolume || 0))) < 0.01;
+    if (data.permeateVolume === undefined && permeateWasDerived) {
+      const inputVolume = data.inputVolume ?? run.inputVolume;
+      const concentrateVolume = data.concentrateVolume ?? run.concentrateVolume;
+      data.permeateVolume = Math.round((inputVolume - concentrateVolume) * 100) / 100;
+    }
+    const invalid = validateRoRun({ ...run, ...data });
+    if (invalid) return reply.code(400).send({ error: invalid });
+    const tankError = await validateTanks(season, data);
+    if (tankError) return reply.code(400).send({ error: tankError });
+
+    const updated = await roRunRepository.update(run.id, data);
+    await reconcileTankMovement({
+      oldTankId: run.sourceTankId,
+      oldVolume: run.inputVolume,
+      newTankId: updated.sourceTankId,
+      newVolume: updated.inputVolume,
+      sign: -1,
+      source: 'ro',
+      refId: run.id,
+      userId: request.user.id,
+    });
+    await reconcileTankMovement({
+      oldTankId: run.concentrateTankId,
+      oldVolume: run.concentrateVolume,
+      newTankId: updated.concentrateTankId,
+      newVolume: updated.concentrateVolume,
+      sign: 1,
+      source: 'ro',
+      refId: run.id,
+      userId: request.user.id,
+    });
+    if (season.organizationId) {
+      trigger(season.organizationId, { type: 'ro:updated', roRun: updated });
+    }
+    return { roRun: withEfficiency(updated) };
+  });
+
+  /**
+   * Delete an RO run (returns sap to its source tank and removes its concentrate)
+   */
+  fastify.delete('/:id', async (request, reply) => {
+    const loaded = await loadRun(request, reply, true);
+    if (!loaded) return;
+    const { run, season } = loaded;
+    await roRunRepository.delete(run.id);
+    await applyTankMovement({
+      tankId: run.sourceTankId,
+      delta: run.inputVolume || 0,
+      source: 'ro',
+      refId: run.id,
+      userId: request.user.id,
+      note: 'RO run deleted',
+    });
+    await applyTankMovement({
+      tankId: run.concentrateTankId,
+      delta: -(run.concentrateVolume || 0),
+      source: 'ro',
+      refId: run.id,
+      userId: request.user.id,
+      note: 'RO run deleted',
+    });
+    if (season.organizationId) {
+      trigger(season.organizationId, { type: 'ro:deleted', id: run.id });
+    }
+    return { success: true };
+  });
+};
@@ -5,8 +5,24 @@
 import { seasonRepository } from '../storage/repositories/SeasonRepository.js';
 import { zoneRepository } from '../storage/repositories/ZoneRepository.js';
 import { seasonZoneRepository } from '../storage/repositories/SeasonZoneRepository.js';
+import { tapRepository } from '../storage/repositories/TapRepository.js';
 import { authenticate } from '../middleware/auth.js';
-import { getMembershipsForUser, canAccessSeason, canWriteSeason, hasOperationRole } from '../lib/operationAccess.js';
+import {
+  getMembershipsForUser,
+  canAccessSeason,
+  canWriteSeason,
+  assertSeasonOpen,
+  hasOperationRole,
+} from '../lib/operationAccess.js';
+import { trigger } from '../realtime/realtime.js';
+import { parseCloneOptions, cloneSeason, closeSeason, reopenSeason } from '../services/SeasonService.js';
+import { seasonSnapshotRepository } from '../storage/repositories/SeasonSnapshotRepository.js';
+
+/** Fields PATCH /:id may change; anything else in the body is ignored */
+const PATCHABLE_FIELDS = ['name', 'year', 'startDate', 'endDate', 'location'];
+
+/** Set only by close and reopen; a PATCH carrying them is refused so the lock can't be lifted around reopen */
+const LOCK_FIELDS = ['closedAt', 'closedBy', 'snapshotId', 'reopenedAt', 'reopenedBy', 'reopenReason'];
 
 export const seasonRoutes = async (fastify) => {
   fastify.addHook('preHandler', authenticate);
@@ -80,18 +96,57 @@ export const seasonRoutes = async (fastify) => {
     });
 
     await seasonRepository.setActive(season.id, request.user.id, request.memberships);
+    trigger(organizationId, { type: 'season:created', season });
     return { season };
   });
 
   /**
-   * Update a season
+   * Start next year's season from this one (write access in the operation). Copies location, the operation link,
+   * dates moved to the new year, and per-zone inclusion, tap-count and vacuum overrides; collections and boils are
+   * not copied. Body: { name?, year? (default next year), startDate?, endDate?, activate? (default true),
+   * tapCounts?: { [zoneId]: number }, tapCountChangePercent? (e.g. 10 adds 10% to every other zone's count) }
+   */
+  fastify.post('/:id/clone', async (request, reply) => {
+    const source = await seasonRepository.findById(request.params.id);
+    if (!source || !canAccessSeason(request.user.id, source, request.memberships)) {
+      return reply.code(404).send({ error: 'Season not found' });
+    }
+    if (!source.organizationId || !hasOperationRole(request.memberships, source.organizationId, 'write')) {
+      return reply.code(403).send({ error: 'Write access required to create seasons in this operation' });
+    }
+    const parsed = parseCloneOptions(request.body, source);
+    if (parsed.error) return reply.code(400).send({ error: parsed.error });
+
+    const result = await cloneSeason(source, parsed.data, request.user.id);
+    if (result.error) return reply.code(result.statusCode).send({ error: result.error });
+
+    let season = result.season;
+    if (parsed.data.activate) {
+      season = await seasonRepository.setActive(season.id, request.user.id, request.memberships);
+    }
+    trigger(source.organizationId, { type: 'season:created', season });
+    return { season, seasonZones: result.seasonZones, inventoryZoneIds: result.inventoryZoneIds };
+  });
+
+  /**
+   * Update a season. Body: { name?, year?, startDate?, endDate?, location? }
    */
   fastify.patch('/:id', async (request, reply) => {
     const season = await seasonRepository.findById(request.params.id);
     if (!season || !canWriteSeason(request.user.id, season, request.memberships)) {
       return reply.code(404).send({ error: 'Season not found' });
     }
-    const updated = await seasonRepository.update(request.params.id, request.body);
+    assertSeasonOpen(season);
+    const body = request.body || {};
+    const locked = LOCK_FIELDS.filter((field) => field in body);
+    if (locked.length > 0) {
+      return reply.code(400).send({ error: `${locked.join(', ')} can only change by closing or reopening the season` });
+    }
+    const data = Object.fromEntries(PATCHABLE_FIELDS.filter((field) => field in body).map((field) => [field, body[field]]));
+    const updated = await seasonRepository.update(request.params.id, data);
+    if (season.organizationId) {
+      trigger(season.organizationId, { type: 'season:updated', season: updated });
+    }
     return { season: updated };
   });
 
@@ -105,6 +160,7 @@ export const seasonRoutes = async (fastify) => {
     if (!season || !canWriteSeason(request.user.id, season, request.memberships)) {
       return reply.code(404).send({ error: 'Season not found' });
     }
+    assertSeasonOpen(season);
     const orgId = season.organizationId;
     if (!orgId || !hasOperationRole(request.memberships, orgId, 'write')) {
       return reply.code(403).send({ error: 'Write access required' });
@@ -121,7 +177,11 @@ export const seasonRoutes = async (fastify) => {
     if (Object.keys(data).length === 0) {
       return reply.code(400).send({ error: 'Provide tapCount, included, and/or vacuumInHg' });
     }
+    if (data.tapCount !== undefined && (await tapRepository.findByZoneId(zoneId)).length > 0) {
+      return reply.code(400).send({ error: 'This zone\'s tap count comes from its tap inventory; add or retire taps instead' });
+    }
     const seasonZone = await seasonZoneRepository.set(seasonId, zoneId, data);
+    trigger(orgId, { type: 'seasonZone:updated', seasonZone });
     return { seasonZone };
   });
 
@@ -134,6 +194,7 @@ export const seasonRoutes = async (fastify) => {
     if (!season || !canWriteSeason(request.user.id, season, request.memberships)) {
       return reply.code(404).send({ error: 'Season not found' });
     }
+    assertSeasonOpen(season);
     const orgId = season.organizationId;
     if (!orgId || !hasOperationRole(request.memberships, orgId, 'write')) {
       return reply.code(403).send({ error: 'Write access required' });
@@ -143,9 +204,60 @@ export const seasonRoutes = async (fastify) => {
       return reply.code(404).send({ error: 'Zone not found' });
     }
     await seasonZoneRepository.delete(seasonId, zoneId);
+    trigger(orgId, { type: 'seasonZone:deleted', seasonId, zoneId });
     return { success: true };
   });
 
+  /**
+   * Close a season (write access): stores a frozen stats snapshot and locks the season's records against changes
+   */
+  fastify.post('/:id/close', async (request, reply) => {
+    const season = await seasonRepository.findById(request.params.id);
+    if (!season || !canAccessSeason(request.user.id, season, request.memberships)) {
+      return reply.code(404).send({ error: 'Season not found' });
+    }
+    if (season.closedAt) return reply.code(409).send({ error: 'Season is already closed' });
+    if (!canWriteSeason(request.user.id, season, request.memberships)) {
+      return reply.code(403).send({ error: 'Write access required to close this season' });
+    }
+    const { season: closed, snapshot } = await closeSeason(season, request.user);
+    if (closed.organizationId) {
+      trigger(closed.organizationId, { type: 'season:closed', season: closed });
+    }
+    return { season: closed, snapshot };
+  });
+
+  /**
+   * Reopen a closed season (operation admin). Body: { reason } (required, kept in the audit log)
+   */
+  fastify.post('/:id/reopen', async (request, reply) => {
+    const season = await seasonRepository.findById(request.params.id);
+    if (!season || !canAccessSeason(request.user.id, season, request.memberships)) {
+      return reply.code(404).send({ error: 'Season not found' });
+    }
+    if (!season.organizationId || !hasOperationRole(request.memberships, season.organizationId, 'admin')) {
+      return reply.code(403).send({ error: 'Only operation admins can reopen a season' });
+    }
+    if (!season.closedAt) return reply.code(409).send({ error: 'Season is not closed' });
+    const reason = typeof request.body?.reason === 'string' ? request.body.reason.trim() : '';
+    if (!reason) return reply.code(400).send({ error: 'reason is required' });
+
+    const reopened = await reopenSeason(season, request.user, reason);
+    trigger(season.organizationId, { type: 'season:reopened', season: reopened, reason });
+    return { season: reopened };
+  });
+
+  /**
+   * Snapshots taken when the season was closed, newest first (the first is current while the season is closed)
+   */
+  fastify.get('/:id/snapshots', async (request, reply) => {
+    const season = await seasonRepository.findById(request.params.id);
+    if (!season || !canAccessSeason(request.user.id, season, request.memberships)) {
+      return reply.code(404).send({ error: 'Season not found' });
+    }
+    return { snapshots: await seasonSnapshotRepository.findBySeasonId(season.id) };
+  });
+
   /**
    * Set a season as active (requires write; read-only users cannot change active season)
    */
@@ -160,6 +272,9 @@ export const seasonRoutes = async (fastify) => {
         request.user.id,
         request.memberships
       );
+      if (updated.organizationId) {
+        trigger(updated.organizationId, { type: 'season:activated', season: updated });
+      }
       return { season: updated };
     } catch (err) {
       return reply.code(err.statusCode || 500).send({ error: err.message });
@@ -174,7 +289,11 @@ export const seasonRoutes = async (fastify) => {
     if (!season || !canWriteSeason(request.user.id, season, request.memberships)) {
       return reply.code(404).send({ error: 'Season not found' });
     }
+    assertSeasonOpen(season);
     await seasonRepository.delete(request.params.id);
+    if (season.organizationId) {
+      trigger(season.organizationId, { type: 'season:deleted', id: season.id });
+    }
     return { success: true };
   });
 };
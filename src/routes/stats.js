@@ -2,10 +2,13 @@
  * Stats Routes
  */
 
-import { statsService } from '../services/StatsService.js';
+import { statsService, COMPARE_ALIGNMENTS, MAX_COMPARE_SEASONS } from '../services/StatsService.js';
 import { seasonRepository } from '../storage/repositories/SeasonRepository.js';
+import { seasonSnapshotRepository } from '../storage/repositories/SeasonSnapshotRepository.js';
 import { zoneRepository } from '../storage/repositories/ZoneRepository.js';
 import { authenticate } from '../middleware/auth.js';
+import { zoneWeatherPoint } from '../services/ZoneGeometryService.js';
+import { getSeasonPredictionAccuracy, getOperationPredictionAccuracy } from '../services/PredictionAccuracyService.js';
 import { getMembershipsForUser, canAccessSeason, hasOperationRole } from '../lib/operationAccess.js';
 
 async function resolveLocationForStats(request, reply, season) {
@@ -21,12 +24,13 @@ async function resolveLocationForStats(request, reply, season) {
     if (!zone.seasonId && !orgId && zone.userId !== request.user.id) {
       return reply.code(404).send({ error: 'Zone not found' });
     }
-    if (!zone.location?.lat || zone.location?.lng == null) {
+    const point = zoneWeatherPoint(zone);
+    if (!point) {
       return reply.code(400).send({
-        error: 'This sugar bush has no location set. Set a location in Settings.',
+        error: 'This sugar bush has no location set. Set a location or draw its boundary in Settings.',
       });
     }
-    return { latitude: zone.location.lat, longitude: zone.location.lng };
+    return { latitude: point.lat, longitude: point.lng };
   }
 
   let latitude = parseFloat(lat);
@@ -52,11 +56,13 @@ export const statsRoutes = async (fastify) => {
   });
 
   /**
-   * Get season overview stats
+   * Get season overview stats.
+   * A closed season returns the snapshot taken when it was closed (frozen: true).
    */
   fastify.get('/season', async (request, reply) => {
     const { seasonId } = request.query;
     let targetSeasonId = seasonId;
+    let season;
 
     if (!targetSeasonId) {
       const activeSeason = await seasonRepository.findActiveSeason(
@@ -65,22 +71,27 @@ export const statsRoutes = async (fastify) => {
       );
       if (!activeSeason) return reply.code(404).send({ error: 'No active season' });
       targetSeasonId = activeSeason.id;
+      season = activeSeason;
     } else {
-      const season = await seasonRepository.findById(seasonId);
+      season = await seasonRepository.findById(seasonId);
       if (!season || !canAccessSeason(request.user.id, season, request.memberships)) {
         return reply.code(404).send({ error: 'Season not found' });
       }
     }
+    const snapshot = await seasonSnapshotRepository.findCurrent(season);
+    if (snapshot) return { stats: snapshot.stats, frozen: true, closedAt: snapshot.closedAt };
     const stats = await statsService.getSeasonStats(targetSeasonId);
     return { stats };
   });
 
   /**
-   * Get zone-level stats
+   * Get zone-level stats.
+   * A closed season returns the snapshot taken when it was closed (frozen: true).
    */
   fastify.get('/zones', async (request, reply) => {
     const { seasonId } = request.query;
     let targetSeasonId = seasonId;
+    let season;
 
     if (!targetSeasonId) {
       const activeSeason = await seasonRepository.findActiveSeason(
@@ -89,16 +100,78 @@ export const statsRoutes = async (fastify) => {
       );
       if (!activeSeason) return reply.code(404).send({ error: 'No active season' });
       targetSeasonId = activeSeason.id;
+      season = activeSeason;
     } else {
-      const season = await seasonRepository.findById(seasonId);
+      season = await seasonRepository.findById(seasonId);
       if (!season || !canAccessSeason(request.user.id, season, request.memberships)) {
         return reply.code(404).send({ error: 'Season not found' });
       }
     }
+    const snapshot = await seasonSnapshotRepository.findCurrent(season);
+    if (snapshot) return { zoneStats: snapshot.zoneStats, frozen: true, closedAt: snapshot.closedAt };
     const zoneStats = await statsService.getZoneStats(targetSeasonId);
     return { zoneStats };
   });
 
+  /**
+   * Compare seasons side by side: cumulative sap, syrup, Brix and per-tap curves.
+   * Query: seasonIds (comma-separated; the first is the reference for tap normalization),
+   * alignBy (dayOfSeason | calendarDate, default dayOfSeason)
+   */
+  fastify.get('/compare', async (request, reply) => {
+    const seasonIds = [...new Set(String(request.query.seasonIds || '').split(',').map((id) => id.trim()).filter(Boolean))];
+    const alignBy = request.query.alignBy || 'dayOfSeason';
+    if (seasonIds.length === 0) return reply.code(400).send({ error: 'seasonIds is required' });
+    if (seasonIds.length > MAX_COMPARE_SEASONS) {
+      return reply.code(400).send({ error: `At most ${MAX_COMPARE_SEASONS} seasons can be compared` });
+    }
+    if (!COMPARE_ALIGNMENTS.includes(alignBy)) {
+      return reply.code(400).send({ error: `alignBy must be one of: ${COMPARE_ALIGNMENTS.join(', ')}` });
+    }
+    const seasons = await Promise.all(seasonIds.map((id) => seasonRepository.findById(id)));
+    const missing = seasons.findIndex((s) => !s || !canAccessSeason(request.user.id, s, request.memberships));
+    if (missing !== -1) return reply.code(404).send({ error: `Season ${seasonIds[missing]} not found` });
+    const comparison = await statsService.getSeasonComparison(seasons, alignBy);
+    return { comparison };
+  });
+
+  /**
+   * Analytics across every season of an operation (cached until the operation's data changes).
+   * Query: organizationId (required)
+   */
+  fastify.get('/operation', async (request, reply) => {
+    const { organizationId } = request.query;
+    if (!organizationId) return reply.code(400).send({ error: 'organizationId is required' });
+    if (!hasOperationRole(request.memberships, organizationId, 'read')) {
+      return reply.code(403).send({ error: 'Access denied to this operation' });
+    }
+    return statsService.getOperationAnalytics(organizationId);
+  });
+
+  /**
+   * Get fuel use and cost per liter of syrup for a season, with the operation's season-over-season trend
+   */
+  fastify.get('/fuel', async (request, reply) => {
+    const { seasonId } = request.query;
+    let targetSeasonId = seasonId;
+
+    if (!targetSeasonId) {
+      const activeSeason = await seasonRepository.findActiveSeason(
+        request.user.id,
+        request.memberships
+      );
+      if (!activeSeason) return reply.code(404).send({ error: 'No active season' });
+      targetSeasonId = activeSeason.id;
+    } else {
+      const season = await seasonRepository.findById(seasonId);
+      if (!season || !canAccessSeason(request.user.id, season, request.memberships)) {
+        return reply.code(404).send({ error: 'Season not found' });
+      }
+    }
+    const fuelStats = await statsService.getFuelStats(targetSeasonId);
+    return { fuelStats };
+  });
+
   /**
    * Get weather correlation data
    */
@@ -246,6 +319,37 @@ export const statsRoutes = async (fastify) => {
     return result;
   });
 
+  /**
+   * How well past flow predictions matched the sap collected, per model (regression vs research-based).
+   * Query: organizationId for every season of an operation, else seasonId (default: active season)
+   */
+  fastify.get('/prediction-accuracy', async (request, reply) => {
+    const { seasonId, organizationId } = request.query;
+
+    if (organizationId) {
+      if (!hasOperationRole(request.memberships, organizationId, 'read')) {
+        return reply.code(403).send({ error: 'Access denied to this operation' });
+      }
+      return { accuracy: await getOperationPredictionAccuracy(organizationId) };
+    }
+
+    let season;
+    if (!seasonId) {
+      season = await seasonRepository.findActiveSeason(
+        request.user.id,
+        request.memberships
+      );
+      if (!season) return reply.code(404).send({ error: 'No active season' });
+    } else {
+      season = await seasonRepository.findById(seasonId);
+      if (!season || !canAccessSeason(request.user.id, season, request.memberships)) {
+        return reply.code(404).send({ error: 'Season not found' });
+      }
+    }
+
+    return { accuracy: await getSeasonPredictionAccuracy(season.id) };
+  });
+
   /**
    * Get flow predictions for the next 7 days (learned from temperature history vs volume)
    */
@@ -0,0 +1,154 @@
+/**
+ * Sync Routes - replay a phone's offline queue in one request.
+ * Each operation is run through the regular collection/boil route (same validation, tank levels, realtime
+ * events and notifications); this route adds idempotency keys and updatedAt conflict detection on top.
+ */
+
+import { collectionRepository } from '../storage/repositories/CollectionRepository.js';
+import { boilRepository } from '../storage/repositories/BoilRepository.js';
+import { seasonRepository } from '../storage/repositories/SeasonRepository.js';
+import { syncKeyRepository } from '../storage/repositories/SyncKeyRepository.js';
+import { authenticate } from '../middleware/auth.js';
+import { getMembershipsForUser, canAccessSeason } from '../lib/operationAccess.js';
+
+/** Most operations accepted in one batch */
+const MAX_SYNC_OPERATIONS = 100;
+
+const ENTITIES = {
+  collection: { repository: collectionRepository, basePath: '/api/collections', responseKey: 'collection' },
+  boil: { repository: boilRepository, basePath: '/api/boils', responseKey: 'boil' },
+};
+
+/** Actions per entity and how each maps onto the entity's routes */
+const ACTIONS = {
+  create: { method: 'POST', path: () => '/' },
+  update: { method: 'PATCH', path: (id) => `/${id}`, needsId: true, checksConflict: true },
+  delete: { method: 'DELETE', path: (id) => `/${id}`, needsId: true, checksConflict: true },
+  adjustSap: { method: 'POST', path: (id) => `/${id}/adjust-sap`, needsId: true, entities: ['boil'] },
+};
+
+function sameInstant(a, b) {
+  const ta = new Date(a).getTime();
+  const tb = new Date(b).getTime();
+  return Number.isFinite(ta) && Number.isFinite(tb) && ta === tb;
+}
+
+/**
+ * Check an operation's shape. Returns an error message or null.
+ */
+function validateOperation(op) {
+  if (!op || typeof op !== 'object') return 'Each operation must be an object';
+  if (typeof op.key !== 'string' || !op.key.trim()) return 'key (idempotency key) is required';
+  if (!ENTITIES[op.entity]) return `entity must be one of: ${Object.keys(ENTITIES).join(', ')}`;
+  const action = ACTIONS[op.action];
+  if (!action || (action.entities && !action.entities.includes(op.entity))) {
+    return `Unsupported action "${op.action}" for ${op.entity}`;
+  }
+  if (action.needsId && !op.id) return 'id is required';
+  return null;
+}
+
+export const syncRoutes = async (fastify) => {
+  fastify.addHook('preHandler', authenticate);
+  fastify.addHook('preHandler', async (request) => {
+    request.memberships = await getMembershipsForUser(request.user.id);
+  });
+
+  /**
+   * Apply an ordered batch of offline operations.
+   * Body: { operations: [{ key, entity: 'collection'|'boil', action: 'create'|'update'|'delete'|'adjustSap',
+   *                        id?, clientId?, data?, baseUpdatedAt? }] }
+   * - key: client-generated idempotency key; a replayed key returns the stored result without applying again. A key
+   *   sent again while its first request is still applying it waits for that result (409 error if it takes too long).
+   * - clientId (create): temporary ID that later operations in the same batch may use as `id`.
+   * - baseUpdatedAt (update/delete): the record's updatedAt when the client last saw it; if the server copy has
+   *   changed since, the operation is not applied and the result is a conflict carrying the server record.
+   * Results are returned in order: { key, status: applied|replayed|conflict|error, id?, record?, error? }.
+   */
+  fastify.post('/', { bodyLimit: 5 * 1048576 }, async (request, reply) => {
+    const { operations } = request.body || {};
+    if (!Array.isArray(operations) || operations.length === 0) {
+      return reply.code(400).send({ error: 'operations must be a non-empty array' });
+    }
+    if (operations.length > MAX_SYNC_OPERATIONS) {
+      return reply.code(400).send({ error: `At most ${MAX_SYNC_OPERATIONS} operations per sync` });
+    }
+
+    const userId = request.user.id;
+    const clientIds = new Map();
+    const results = [];
+
+    for (const op of operations) {
+      const invalid = validateOperation(op);
+      if (invalid) {
+        results.push({ key: op?.key ?? null, status: 'error', statusCode: 400, error: invalid });
+        continue;
+      }
+
+      // Reserve the key before applying; a concurrent request with the same key waits for its result instead
+      const reservation = await syncKeyRepository.reserve(userId, op.key);
+      if (!reservation.reserved) {
+        const stored = reservation.entry.status === 'pending'
+          ? await syncKeyRepository.waitForResult(userId, op.key)
+          : reservation.entry.result;
+        if (!stored) {
+          results.push({ key: op.key, status: 'error', statusCode: 409, error: 'Operation is already being applied; retry later' });
+          continue;
+        }
+        if (op.clientId && stored.id) clientIds.set(op.clientId, stored.id);
+        results.push({ ...stored, status: 'replayed', originalStatus: stored.status });
+        continue;
+      }
+
+      const entity = ENTITIES[op.entity];
+      const action = ACTIONS[op.action];
+      const id = op.id ? clientIds.get(op.id) ?? op.id : null;
+
+      if (action.checksConflict && op.baseUpdatedAt) {
+        const current = await entity.repository.findById(id);
+        const season = current ? await seasonRepository.findById(current.seasonId) : null;
+        const visible = canAccessSeason(userId, season, request.memberships);
+        // Records the user can't see fall through to the route, which answers 404
+        if (visible && !sameInstant(current.updatedAt, op.baseUpdatedAt)) {
+          // Not stored: the client resolves the conflict and may resend with the same key
+          await syncKeyRepository.release(userId, op.key);
+          results.push({ key: op.key, status: 'conflict', id, record: current });
+          continue;
+        }
+      }
+
+      let response;
+      try {
+        response = await fastify.inject({
+          method: action.method,
+          url: `${entity.basePath}${action.path(id)}`,
+          headers: { authorization: request.headers.authorization },
+          payload: op.action === 'delete' ? undefined : op.data || {},
+        });
+      } catch (err) {
+        await syncKeyRepository.release(userId, op.key);
+        throw err;
+      }
+      const body = response.json();
+
+      let result;
+      if (response.statusCode < 400) {
+        const record = body[entity.responseKey] ?? null;
+        result = { key: op.key, status: 'applied', id: record?.id ?? id, record };
+        if (op.clientId && result.id) clientIds.set(op.clientId, result.id);
+      } else {
+        result = { key: op.key, status: 'error', statusCode: response.statusCode, id, error: body.error };
+      }
+
+      // Server errors are not stored so the client can retry them
+      if (response.statusCode < 500) {
+        await syncKeyRepository.saveResult(userId, op.key, result);
+      } else {
+        await syncKeyRepository.release(userId, op.key);
+      }
+      results.push(result);
+    }
+
+    return { results };
+  });
+};
@@ -0,0 +1,206 @@
+/**
+ * Tank Routes - operation-level sap storage tanks and their level history
+ */
+
+import { tankRepository } from '../storage/repositories/TankRepository.js';
+import { tankMovementRepository } from '../storage/repositories/TankMovementRepository.js';
+import { seasonRepository } from '../storage/repositories/SeasonRepository.js';
+import { authenticate } from '../middleware/auth.js';
+import { getMembershipsForUser, hasOperationRole } from '../lib/operationAccess.js';
+import { trigger } from '../realtime/realtime.js';
+import { applyTankMovement, tankPercentFull, TANK_TYPES } from '../services/TankService.js';
+
+/**
+ * Validate tank fields shared by create and update. Returns { data } or { error }.
+ */
+function parseTankFields(body) {
+  const data = {};
+  const { name, capacity, location, type, alertThresholdPercent, notes } = body;
+  if (name !== undefined) {
+    if (typeof name !== 'string' || !name.trim()) return { error: 'Tank name is required' };
+    data.name = name.trim();
+  }
+  if (capacity !== undefined) {
+    const n = Number(capacity);
+    if (!Number.isFinite(n) || n <= 0) return { error: 'capacity must be a positive number (liters)' };
+    data.capacity = n;
+  }
+  if (type !== undefined) {
+    if (!TANK_TYPES.includes(type)) return { error: `type must be one of: ${TANK_TYPES.join(', ')}` };
+    data.type = type;
+  }
+  if (alertThresholdPercent !== undefined) {
+    if (alertThresholdPercent === null) {
+      data.alertThresholdPercent = null;
+    } else {
+      const n = Number(alertThresholdPercent);
+      if (!Number.isFinite(n) || n <= 0 || n > 100) return { error: 'alertThresholdPercent must be between 0 and 100' };
+      data.alertThresholdPercent = n;
+    }
+  }
+  if (location !== undefined) data.location = location;
+  if (notes !== undefined) data.notes = notes;
+  return { data };
+}
+
+function withPercentFull(tank) {
+  return { ...tank, percentFull: tankPercentFull(tank) };
+}
+
+export const tankRoutes = async (fastify) => {
+  fastify.addHook('preHandler', authenticate);
+  fastify.addHook('preHandler', async (request) => {
+    request.memberships = await getMembershipsForUser(request.user.id);
+  });
+
+  /** Load a tank the user can read (or write); sends 404 and returns null otherwise */
+  async function loadTank(request, reply, minRole = 'read') {
+    const tank = await tankRepository.findById(request.params.id);
+    if (!tank || !hasOperationRole(request.memberships, tank.organizationId, minRole)) {
+      reply.code(404).send({ error: 'Tank not found' });
+      return null;
+    }
+    return tank;
+  }
+
+  /**
+   * List tanks for an operation (organizationId in query) or the active season's operation
+   */
+  fastify.get('/', async (request, reply) => {
+    let organizationId = request.query.organizationId;
+    if (!organizationId) {
+      const activeSeason = await seasonRepository.findActiveSeason(
+        request.user.id,
+        request.memberships
+      );
+      organizationId = activeSeason?.organizationId;
+      if (!organizationId) return { tanks: [] };
+    }
+    if (!hasOperationRole(request.memberships, organizationId, 'read')) {
+      return reply.code(403).send({ error: 'Access denied to this operation' });
+    }
+    const tanks = await tankRepository.findByOrganizationId(organizationId);
+    return { tanks: tanks.map(withPercentFull) };
+  });
+
+  /**
+   * Get a tank
+   */
+  fastify.get('/:id', async (request, reply) => {
+    const tank = await loadTank(request, reply);
+    if (!tank) return;
+    return { tank: withPercentFull(tank) };
+  });
+
+  /**
+   * Level history: every fill/draw with the level after it. Query: since (ISO timestamp, optional)
+   */
+  fastify.get('/:id/level', async (request, reply) => {
+    const tank = await loadTank(request, reply);
+    if (!tank) return;
+    const history = await tankMovementRepository.findByTankId(tank.id, {
+      since: request.query.since || null,
+    });
+    return {
+      tankId: tank.id,
+      level: tank.currentLevel || 0,
+      capacity: tank.capacity,
+      percentFull: tankPercentFull(tank),
+      history: history.map((m) => ({
+        at: m.at,
+        delta: m.delta,
+        level: m.levelAfter,
+        source: m.source,
+        refId: m.refId ?? null,
+        note: m.note ?? null,
+      })),
+    };
+  });
+
+  /**
+   * Create a tank (write access in the operation)
+   */
+  fastify.post('/', async (request, reply) => {
+    const { organizationId } = request.body || {};
+    let orgId = organizationId;
+    if (!orgId) {
+      const activeSeason = await seasonRepository.findActiveSeason(
+        request.user.id,
+        request.memberships
+      );
+      orgId = activeSeason?.organizationId;
+      if (!orgId) {
+        return reply.code(400).send({ error: 'Operation required. Select an operation or provide organizationId.' });
+      }
+    }
+    if (!hasOperationRole(request.memberships, orgId, 'write')) {
+      return reply.code(403).send({ error: 'Write access required to add tanks to this operation' });
+    }
+
+    const parsed = parseTankFields(request.body || {});
+    if (parsed.error) return reply.code(400).send({ error: parsed.error });
+    if (!parsed.data.name || !parsed.data.capacity) {
+      return reply.code(400).send({ error: 'name and capacity are required' });
+    }
+
+    const tank = await tankRepository.create({
+      organizationId: orgId,
+      userId: request.user.id,
+      type: 'raw',
+      location: null,
+      alertThresholdPercent: null,
+      ...parsed.data,
+      currentLevel: 0,
+    });
+    trigger(orgId, { type: 'tank:created', tank });
+    return { tank: withPercentFull(tank) };
+  });
+
+  /**
+   * Update tank settings (level changes go through /adjust)
+   */
+  fastify.patch('/:id', async (request, reply) => {
+    const tank = await loadTank(request, reply, 'write');
+    if (!tank) return;
+    const parsed = parseTankFields(request.body || {});
+    if (parsed.error) return reply.code(400).send({ error: parsed.error });
+    const updated = await tankRepository.update(tank.id, parsed.data);
+    trigger(tank.organizationId, { type: 'tank:updated', tank: updated });
+    return { tank: withPercentFull(updated) };
+  });
+
+  /**
+   * Manual level change. Body: { delta } (liters, + fill / - draw) or { level } (measured level), optional note
+   */
+  fastify.post('/:id/adjust', async (request, reply) => {
+    const tank = await loadTank(request, reply, 'write');
+    if (!tank) return;
+    const { delta, level, note } = request.body || {};
+    const movement = { tankId: tank.id, source: 'manual', userId: request.user.id, note: note ?? null };
+    if (level !== undefined) {
+      const measured = Number(level);
+      if (!Number.isFinite(measured) || measured < 0) {
+        return reply.code(400).send({ error: 'level must be a non-negative number (liters)' });
+      }
+      movement.level = measured;
+    } else {
+      movement.delta = Number(delta);
+      if (!Number.isFinite(movement.delta)) {
+        return reply.code(400).send({ error: 'Provide delta or level (liters)' });
+      }
+    }
+    const result = await applyTankMovement(movement);
+    return { tank: withPercentFull(result?.tank ?? tank) };
+  });
+
+  /**
+   * Delete a tank (its history is kept for past records)
+   */
+  fastify.delete('/:id', async (request, reply) => {
+    const tank = await loadTank(request, reply, 'write');
+    if (!tank) return;
+    await tankRepository.delete(tank.id);
+    trigger(tank.organizationId, { type: 'tank:deleted', id: tank.id });
+    return { success: true };
+  });
+};
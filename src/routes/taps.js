@@ -0,0 +1,279 @@
+/**
+ * Tap Routes - individual taps in a sugar bush (install, spout and drop-line history, retirement)
+ */
+
+import { tapRepository } from '../storage/repositories/TapRepository.js';
+import { lineRepository } from '../storage/repositories/LineRepository.js';
+import { zoneRepository } from '../storage/repositories/ZoneRepository.js';
+import { seasonRepository } from '../storage/repositories/SeasonRepository.js';
+import { authenticate } from '../middleware/auth.js';
+import { getMembershipsForUser, hasOperationRole, canAccessSeason } from '../lib/operationAccess.js';
+import { trigger } from '../realtime/realtime.js';
+import {
+  parseTapFields,
+  summarizeTaps,
+  isTapActive,
+  isDateString,
+  MAX_BULK_TAPS,
+} from '../services/TapInventoryService.js';
+import { tapsPerHectare } from '../services/ZoneGeometryService.js';
+
+/** Tap fields that start empty on a new tap */
+const TAP_DEFAULTS = {
+  label: null,
+  lineId: null,
+  spoutType: null,
+  treeDiameterCm: null,
+  dropLineReplacedDate: null,
+  location: null,
+  notes: null,
+};
+
+export const tapRoutes = async (fastify) => {
+  fastify.addHook('preHandler', authenticate);
+  fastify.addHook('preHandler', async (request) => {
+    request.memberships = await getMembershipsForUser(request.user.id);
+  });
+
+  /** Load an operation zone the user can read (or write); sends 404 and returns null otherwise */
+  async function loadZone(request, reply, zoneId, minRole = 'read') {
+    const zone = zoneId ? await zoneRepository.findById(zoneId) : null;
+    if (!zone?.organizationId || !hasOperationRole(request.memberships, zone.organizationId, minRole)) {
+      reply.code(404).send({ error: 'Zone not found' });
+      return null;
+    }
+    return zone;
+  }
+
+  async function loadTap(request, reply, minRole = 'read') {
+    const tap = await tapRepository.findById(request.params.id);
+    if (!tap || !hasOperationRole(request.memberships, tap.organizationId, minRole)) {
+      reply.code(404).send({ error: 'Tap not found' });
+      return null;
+    }
+    return tap;
+  }
+
+  /** A line ID must name a line in the same zone. Returns an error message or null. */
+  async function validateLine(lineId, zone) {
+    if (!lineId) return null;
+    const line = await lineRepository.findById(lineId);
+    if (!line || line.zoneId !== zone.id) return 'Line not found in this zone';
+    return null;
+  }
+
+  /**
+   * List a zone's taps. Query: zoneId (required), lineId, status: active (default) | retired | all
+   */
+  fastify.get('/', async (request, reply) => {
+    const { zoneId, lineId, status = 'active' } = request.query;
+    if (!['active', 'retired', 'all'].includes(status)) {
+      return reply.code(400).send({ error: 'status must be active, retired or all' });
+    }
+    const zone = await loadZone(request, reply, zoneId);
+    if (!zone) return;
+    let taps = await tapRepository.findByZoneId(zone.id);
+    if (lineId) taps = taps.filter((t) => t.lineId === lineId);
+    if (status !== 'all') taps = taps.filter((t) => isTapActive(t) === (status === 'active'));
+    return { taps };
+  });
+
+  /**
+   * Inventory summary for a zone (zoneId) or every zone of an operation (organizationId).
+   * With seasonId, counts taps active during that season instead of taps in the ground now.
+   */
+  fastify.get('/summary', async (request, reply) => {
+    const { zoneId, organizationId, seasonId } = request.query;
+    let zones;
+    if (zoneId) {
+      const zone = await loadZone(request, reply, zoneId);
+      if (!zone) return;
+      zones = [zone];
+    } else if (organizationId) {
+      if (!hasOperationRole(request.memberships, organizationId, 'read')) {
+        return reply.code(403).send({ error: 'Access denied to this operation' });
+      }
+      zones = await zoneRepository.findByOrganizationId(organizationId);
+    } else {
+      return reply.code(400).send({ error: 'zoneId or organizationId is required' });
+    }
+
+    const orgId = zoneId ? zones[0].organizationId : organizationId;
+    let season = null;
+    if (seasonId) {
+      season = await seasonRepository.findById(seasonId);
+      if (!season || season.organizationId !== orgId || !canAccessSeason(request.user.id, season, request.memberships)) {
+        return reply.code(404).send({ error: 'Season not found' });
+      }
+    }
+
+    const [taps, lines] = await Promise.all([
+      zoneId ? tapRepository.findByZoneId(zoneId) : tapRepository.findByOrganizationId(orgId),
+      zoneId ? lineRepository.findByZoneId(zoneId) : lineRepository.findByOrganizationId(orgId),
+    ]);
+    return {
+      seasonId: season?.id ?? null,
+      zones: zones.map((zone) => {
+        const summary = summarizeTaps(
+          taps.filter((t) => t.zoneId === zone.id),
+          lines.filter((l) => l.zoneId === zone.id),
+          season
+        );
+        return {
+          zoneId: zone.id,
+          name: zone.name,
+          areaHectares: zone.areaHectares ?? null,
+          tapsPerHectare: tapsPerHectare(summary.activeTaps, zone.areaHectares),
+          ...summary,
+        };
+      }),
+    };
+  });
+
+  /**
+   * Get a tap
+   */
+  fastify.get('/:id', async (request, reply) => {
+    const tap = await loadTap(request, reply);
+    if (!tap) return;
+    return { tap };
+  });
+
+  /**
+   * Add taps to a zone (write access). Body: { zoneId, taps: [{ ...fields }] } for individually described taps,
+   * or { zoneId, count } for identical ones. Top-level fields (lineId, installDate, spoutType, ...) apply to every
+   * tap unless the tap overrides them. installDate defaults to today. All or nothing.
+   */
+  fastify.post('/bulk', async (request, reply) => {
+    const body = request.body || {};
+    const zone = await loadZone(request, reply, body.zoneId, 'write');
+    if (!zone) return;
+
+    const count = body.count === undefined ? null : Number(body.count);
+    if (!Array.isArray(body.taps) && !(Number.isInteger(count) && count > 0)) {
+      return reply.code(400).send({ error: 'Provide taps (array) or count (positive whole number)' });
+    }
+    const entries = Array.isArray(body.taps) ? body.taps : Array.from({ length: count }, () => ({}));
+    if (entries.length === 0 || entries.length > MAX_BULK_TAPS) {
+      return reply.code(400).send({ error: `Add between 1 and ${MAX_BULK_TAPS} taps at a time` });
+    }
+
+    const defaults = parseTapFields(body);
+    if (defaults.error) return reply.code(400).send({ error: defaults.error });
+
+    const items = [];
+    const lineIds = new Set();
+    for (let i = 0; i < entries.length; i++) {
+      const parsed = parseTapFields(entries[i] || {});
+      if (parsed.error) return reply.code(400).send({ error: `Tap ${i + 1}: ${parsed.error}` });
+      const tap = { ...TAP_DEFAULTS, ...defaults.data, ...parsed.data };
+      if (tap.lineId) lineIds.add(tap.lineId);
+      items.push({
+        ...tap,
+        organizationId: zone.organizationId,
+        zoneId: zone.id,
+        installDate: tap.installDate || new Date().toISOString().split('T')[0],
+        retiredDate: null,
+        retiredReason: null,
+        userId: request.user.id,
+      });
+    }
+    for (const lineId of lineIds) {
+      const lineError = await validateLine(lineId, zone);
+      if (lineError) return reply.code(400).send({ error: lineError });
+    }
+
+    const taps = await tapRepository.createMany(items);
+    trigger(zone.organizationId, { type: 'taps:added', zoneId: zone.id, count: taps.length });
+    return { taps, count: taps.length };
+  });
+
+  /**
+   * Retire taps (write access). Body: { tapIds: [...] } or { lineId } (every active tap on the line),
+   * optional retiredDate (default today) and reason. Retired taps stay in the inventory for history.
+   */
+  fastify.post('/retire', async (request, reply) => {
+    const { tapIds, lineId, retiredDate, reason } = request.body || {};
+    if (retiredDate != null && !isDateString(retiredDate)) {
+      return reply.code(400).send({ error: 'retiredDate must be a date (YYYY-MM-DD)' });
+    }
+    const date = retiredDate || new Date().toISOString().split('T')[0];
+
+    let taps;
+    if (Array.isArray(tapIds) && tapIds.length > 0) {
+      if (tapIds.length > MAX_BULK_TAPS) {
+        return reply.code(400).send({ error: `Retire at most ${MAX_BULK_TAPS} taps at a time` });
+      }
+      taps = await Promise.all([...new Set(tapIds)].map((id) => tapRepository.findById(id)));
+      if (taps.some((t) => !t)) return reply.code(404).send({ error: 'Tap not found' });
+    } else if (lineId) {
+      const line = await lineRepository.findById(lineId);
+      if (!line || !hasOperationRole(request.memberships, line.organizationId, 'write')) {
+        return reply.code(404).send({ error: 'Line not found' });
+      }
+      taps = await tapRepository.findByLineId(lineId);
+    } else {
+      return reply.code(400).send({ error: 'Provide tapIds or lineId' });
+    }
+
+    const orgIds = new Set(taps.map((t) => t.organizationId));
+    if ([...orgIds].some((orgId) => !hasOperationRole(request.memberships, orgId, 'write'))) {
+      return reply.code(404).send({ error: 'Tap not found' });
+    }
+    const toRetire = taps.filter(isTapActive);
+    if (toRetire.length > MAX_BULK_TAPS) {
+      return reply.code(400).send({ error: `Retire at most ${MAX_BULK_TAPS} taps at a time` });
+    }
+    if (toRetire.some((t) => t.installDate && t.installDate > date)) {
+      return reply.code(400).send({ error: 'retiredDate cannot be before a tap\'s installDate' });
+    }
+
+    await tapRepository.updateMany(toRetire.map((t) => t.id), { retiredDate: date, retiredReason: reason ?? null });
+    for (const orgId of orgIds) {
+      const retired = toRetire.filter((t) => t.organizationId === orgId);
+      if (retired.length > 0) {
+        trigger(orgId, { type: 'taps:retired', tapIds: retired.map((t) => t.id), retiredDate: date });
+      }
+    }
+    return { retired: toRetire.length, retiredDate: date };
+  });
+
+  /**
+   * Update a tap (spout change, drop-line replacement, GPS fix, ...). retiredDate: null reinstates a retired tap.
+   */
+  fastify.patch('/:id', async (request, reply) => {
+    const tap = await loadTap(request, reply, 'write');
+    if (!tap) return;
+    const body = request.body || {};
+    const parsed = parseTapFields(body);
+    if (parsed.error) return reply.code(400).send({ error: parsed.error });
+    const data = parsed.data;
+    if (body.retiredDate === null) {
+      data.retiredDate = null;
+      data.retiredReason = null;
+    }
+    const retiredDate = data.retiredDate === null ? null : tap.retiredDate;
+    if (data.installDate && retiredDate && data.installDate > retiredDate) {
+      return reply.code(400).send({ error: 'retiredDate cannot be before a tap\'s installDate' });
+    }
+    if (data.lineId) {
+      const zone = await zoneRepository.findById(tap.zoneId);
+      const lineError = await validateLine(data.lineId, zone);
+      if (lineError) return reply.code(400).send({ error: lineError });
+    }
+    const updated = await tapRepository.update(tap.id, data);
+    trigger(tap.organizationId, { type: 'tap:updated', tap: updated });
+    return { tap: updated };
+  });
+
+  /**
+   * Delete a tap entered by mistake (retire taps that came out of the bush instead)
+   */
+  fastify.delete('/:id', async (request, reply) => {
+    const tap = await loadTap(request, reply, 'write');
+    if (!tap) return;
+    await tapRepository.delete(tap.id);
+    trigger(tap.organizationId, { type: 'tap:deleted', id: tap.id, zoneId: tap.zoneId });
+    return { success: true };
+  });
+};
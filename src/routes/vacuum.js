@@ -0,0 +1,103 @@
+/**
+ * Vacuum Routes - vacuum readings per zone or mainline and their history
+ */
+
+import { vacuumReadingRepository } from '../storage/repositories/VacuumReadingRepository.js';
+import { zoneRepository } from '../storage/repositories/ZoneRepository.js';
+import { authenticate } from '../middleware/auth.js';
+import { getMembershipsForUser, hasOperationRole } from '../lib/operationAccess.js';
+import { trigger } from '../realtime/realtime.js';
+import {
+  parseVacuumReading,
+  recordVacuumReading,
+  resolveMainline,
+  getVacuumBaseline,
+  alertDropForZone,
+} from '../services/VacuumService.js';
+
+/** History covers this many days when no `since` is given */
+const DEFAULT_HISTORY_DAYS = 7;
+
+export const vacuumRoutes = async (fastify) => {
+  fastify.addHook('preHandler', authenticate);
+  fastify.addHook('preHandler', async (request) => {
+    request.memberships = await getMembershipsForUser(request.user.id);
+  });
+
+  /** Load an operation zone the user can read (or write); sends 404 and returns null otherwise */
+  async function loadZone(request, reply, zoneId, minRole = 'read') {
+    const zone = zoneId ? await zoneRepository.findById(zoneId) : null;
+    if (!zone?.organizationId || !hasOperationRole(request.memberships, zone.organizationId, minRole)) {
+      reply.code(404).send({ error: 'Zone not found' });
+      return null;
+    }
+    return zone;
+  }
+
+  /**
+   * Record a reading (write access). Body: { zoneId, lineId? (mainline), vacuumInHg, at?, source?: manual|gauge, note? }
+   */
+  fastify.post('/readings', async (request, reply) => {
+    const body = request.body || {};
+    const zone = await loadZone(request, reply, body.zoneId, 'write');
+    if (!zone) return;
+    const parsed = parseVacuumReading(body);
+    if (parsed.error) return reply.code(400).send({ error: parsed.error });
+    const { line, error } = await resolveMainline(body.lineId, zone);
+    if (error) return reply.code(400).send({ error });
+
+    const reading = await recordVacuumReading({ zone, line, data: parsed.data, userId: request.user.id });
+    return { reading };
+  });
+
+  /**
+   * vacuumInHg history for a zone (every reading, zone-level and mainlines) or one mainline.
+   * Query: zoneId (required), lineId, since / until (ISO timestamps; since defaults to 7 days ago)
+   */
+  fastify.get('/history', async (request, reply) => {
+    const { zoneId, lineId, until } = request.query;
+    const zone = await loadZone(request, reply, zoneId);
+    if (!zone) return;
+    const since = request.query.since
+      || new Date(Date.now() - DEFAULT_HISTORY_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    if (Number.isNaN(new Date(since).getTime()) || (until && Number.isNaN(new Date(until).getTime()))) {
+      return reply.code(400).send({ error: 'since and until must be ISO timestamps' });
+    }
+    const { line, error } = await resolveMainline(lineId, zone);
+    if (error) return reply.code(404).send({ error });
+
+    const readings = line
+      ? await vacuumReadingRepository.findByLineId(line.id, { since, until })
+      : await vacuumReadingRepository.findByZoneId(zone.id, { since, until });
+    return {
+      zoneId: zone.id,
+      lineId: line?.id ?? null,
+      baselineInHg: await getVacuumBaseline(zone.id, line?.id ?? null),
+      alertDropInHg: alertDropForZone(zone),
+      readings: readings.map((r) => ({
+        id: r.id,
+        at: r.at,
+        vacuumInHg: r.vacuumInHg,
+        lineId: r.lineId ?? null,
+        source: r.source,
+        deviceId: r.deviceId ?? null,
+        baselineInHg: r.baselineInHg ?? null,
+        belowBaseline: Boolean(r.belowBaseline),
+        note: r.note ?? null,
+      })),
+    };
+  });
+
+  /**
+   * Delete a reading entered by mistake
+   */
+  fastify.delete('/readings/:id', async (request, reply) => {
+    const reading = await vacuumReadingRepository.findById(request.params.id);
+    if (!reading || !hasOperationRole(request.memberships, reading.organizationId, 'write')) {
+      return reply.code(404).send({ error: 'Reading not found' });
+    }
+    await vacuumReadingRepository.delete(reading.id);
+    trigger(reading.organizationId, { type: 'vacuum:deleted', id: reading.id, zoneId: reading.zoneId });
+    return { success: true };
+  });
+};
@@ -6,6 +6,7 @@ import { weatherService, getConditionsFromCode, isSapFlowIdeal } from '../servic
 import { seasonRepository } from '../storage/repositories/SeasonRepository.js';
 import { zoneRepository } from '../storage/repositories/ZoneRepository.js';
 import { authenticate } from '../middleware/auth.js';
+import { zoneWeatherPoint } from '../services/ZoneGeometryService.js';
 import { getMembershipsForUser, hasOperationRole } from '../lib/operationAccess.js';
 
 async function resolveLocation(request, reply) {
@@ -21,12 +22,14 @@ async function resolveLocation(request, reply) {
     if (!zone.seasonId && !orgId && zone.userId !== request.user.id) {
       return reply.code(404).send({ error: 'Zone not found' });
     }
-    if (!zone.location?.lat || zone.location?.lng == null) {
+    // The zone's own point wins; otherwise the centre of its boundary
+    const point = zoneWeatherPoint(zone);
+    if (!point) {
       return reply.code(400).send({
-        error: 'This sugar bush has no location set. Set a location in Settings.',
+        error: 'This sugar bush has no location set. Set a location or draw its boundary in Settings.',
       });
     }
-    return { latitude: zone.location.lat, longitude: zone.location.lng };
+    return { latitude: point.lat, longitude: point.lng };
   }
 
   let latitude = parseFloat(lat);
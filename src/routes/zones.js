@@ -7,7 +7,15 @@ import { seasonRepository } from '../storage/repositories/SeasonRepository.js';
 import { seasonZoneRepository } from '../storage/repositories/SeasonZoneRepository.js';
 import { getZonesForSeason } from '../services/StatsService.js';
 import { authenticate } from '../middleware/auth.js';
-import { getMembershipsForUser, canAccessSeason, canWriteSeason, hasOperationRole } from '../lib/operationAccess.js';
+import { getMembershipsForUser, canAccessSeason, canWriteSeason, assertSeasonOpen, hasOperationRole } from '../lib/operationAccess.js';
+import { trigger } from '../realtime/realtime.js';
+import { parseBoundary, boundaryFields, withGeometry } from '../services/ZoneGeometryService.js';
+import { parseAlertDrop } from '../services/VacuumService.js';
+import { countTapsByZone } from '../services/TapInventoryService.js';
+import { tapRepository } from '../storage/repositories/TapRepository.js';
+
+/** Zone fields computed from the boundary; never taken from the request body */
+const DERIVED_FIELDS = ['boundaryGeoJson', 'areaHectares', 'areaAcres', 'centroid'];
 
 async function canWriteZone(zone, userId, memberships) {
   if (!zone) return false;
@@ -15,11 +23,18 @@ async function canWriteZone(zone, userId, memberships) {
   if (orgId) return hasOperationRole(memberships, orgId, 'write');
   if (zone.seasonId) {
     const season = await seasonRepository.findById(zone.seasonId);
-    return season && canWriteSeason(userId, season, memberships);
+    if (!season || !canWriteSeason(userId, season, memberships)) return false;
+    assertSeasonOpen(season);
+    return true;
   }
   return zone.userId === userId;
 }
 
+/** Currently active inventory taps per zone of an operation, for withGeometry */
+async function inventoryCounts(organizationId) {
+  return organizationId ? countTapsByZone(await tapRepository.findByOrganizationId(organizationId)) : null;
+}
+
 function parseLocation(location) {
   if (location == null) return null;
   if (typeof location !== 'object') return undefined;
@@ -38,6 +53,7 @@ export const zoneRoutes = async (fastify) => {
   /**
    * Get all zones for an operation (organizationId in query) or active season's operation.
    * Optional seasonId: when present, return only zones included in that season with resolved tapCount.
+   * Zones include boundary (GeoJSON or null), areaHectares, areaAcres, centroid and tapsPerHectare.
    */
   fastify.get('/', async (request, reply) => {
     const { organizationId: queryOrgId, seasonId } = request.query;
@@ -65,12 +81,16 @@ export const zoneRoutes = async (fastify) => {
       if (!canAccessSeason(request.user.id, season, request.memberships)) {
         return reply.code(403).send({ error: 'Access denied to this season' });
       }
+      // Season zones already carry the season's resolved tap count
       const zones = await getZonesForSeason(seasonId);
-      return { zones };
+      return { zones: zones.map((zone) => withGeometry(zone)) };
     }
 
-    const zones = await zoneRepository.findByOrganizationId(organizationId);
-    return { zones };
+    const [zones, counts] = await Promise.all([
+      zoneRepository.findByOrganizationId(organizationId),
+      inventoryCounts(organizationId),
+    ]);
+    return { zones: zones.map((zone) => withGeometry(zone, counts)) };
   });
 
   /**
@@ -120,14 +140,14 @@ export const zoneRoutes = async (fastify) => {
     } else if (zone.userId !== request.user.id) {
       return reply.code(404).send({ error: 'Zone not found' });
     }
-    return { zone };
+    return { zone: withGeometry(zone, await inventoryCounts(zone.organizationId)) };
   });
 
   /**
-   * Create a new zone (org-scoped)
+   * Create a new zone (org-scoped). boundary: optional GeoJSON Polygon/MultiPolygon (or a Feature wrapping one).
    */
   fastify.post('/', async (request, reply) => {
-    const { organizationId, name, tapCount, description, color, location } = request.body;
+    const { organizationId, name, tapCount, description, color, location, boundary } = request.body;
 
     let orgId = organizationId;
     if (!orgId) {
@@ -150,7 +170,10 @@ export const zoneRoutes = async (fastify) => {
       return reply.code(400).send({ error: 'Invalid location: lat and lng must be numbers.' });
     }
 
-    const zone = await zoneRepository.create({
+    const boundaryParsed = parseBoundary(boundary);
+    if (boundaryParsed.error) return reply.code(400).send({ error: boundaryParsed.error });
+
+    const zone = withGeometry(await zoneRepository.create({
       organizationId: orgId,
       userId: request.user.id,
       name,
@@ -158,7 +181,9 @@ export const zoneRoutes = async (fastify) => {
       description,
       color: color || '#8B7355',
       ...(locationParsed !== undefined && { location: locationParsed }),
-    });
+      ...(boundaryParsed.geometry && boundaryFields(boundaryParsed.geometry)),
+    }));
+    trigger(orgId, { type: 'zone:created', zone });
     return { zone };
   });
 
@@ -172,6 +197,13 @@ export const zoneRoutes = async (fastify) => {
       return reply.code(404).send({ error: 'Zone not found' });
     }
     const body = { ...request.body };
+    for (const field of DERIVED_FIELDS) delete body[field];
+    if ('boundary' in body) {
+      const boundaryParsed = parseBoundary(body.boundary);
+      if (boundaryParsed.error) return reply.code(400).send({ error: boundaryParsed.error });
+      delete body.boundary;
+      Object.assign(body, boundaryFields(boundaryParsed.geometry));
+    }
     if ('location' in body) {
       const locationParsed = parseLocation(body.location);
       if (body.location != null && locationParsed === undefined) {
@@ -179,7 +211,18 @@ export const zoneRoutes = async (fastify) => {
       }
       body.location = locationParsed ?? null;
     }
-    const updated = await zoneRepository.update(request.params.id, body);
+    if ('vacuumAlertDropInHg' in body) {
+      const drop = parseAlertDrop(body.vacuumAlertDropInHg);
+      if (drop.error) return reply.code(400).send({ error: drop.error });
+      body.vacuumAlertDropInHg = drop.value;
+    }
+    const updated = withGeometry(
+      await zoneRepository.update(request.params.id, body),
+      await inventoryCounts(zone.organizationId)
+    );
+    if (zone.organizationId) {
+      trigger(zone.organizationId, { type: 'zone:updated', zone: updated });
+    }
     return { zone: updated };
   });
 
@@ -193,6 +236,9 @@ export const zoneRoutes = async (fastify) => {
       return reply.code(404).send({ error: 'Zone not found' });
     }
     await zoneRepository.delete(request.params.id);
+    if (zone.organizationId) {
+      trigger(zone.organizationId, { type: 'zone:deleted', id: zone.id });
+    }
     return { success: true };
   });
 };
@@ -0,0 +1,124 @@
+/**
+ * Boil Session Service - live boils built from timestamped events (start, draw-offs, sap additions, pauses, stop)
+ */
+
+import crypto from 'crypto';
+
+/** Events a crew can append while a boil is running */
+export const BOIL_EVENT_TYPES = ['draw_off', 'sap_added', 'pause', 'resume'];
+
+/** Boil status: live boils are 'active' or 'paused'; boils entered after the fact have no status */
+export const LIVE_BOIL_STATUSES = ['active', 'paused'];
+
+export function isLiveBoil(boil) {
+  return LIVE_BOIL_STATUSES.includes(boil?.status);
+}
+
+function optionalNumber(value, { min = -Infinity, max = Infinity } = {}) {
+  if (value === undefined || value === null || value === '') return { value: null };
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < min || n > max) return { error: true };
+  return { value: n };
+}
+
+/**
+ * Validate an event for a live boil. `at` defaults to now and may be sent by offline clients.
+ * Returns { event } or { error }.
+ */
+export function parseBoilEvent(body, boil) {
+  const { type, volume, density, temperature, note } = body || {};
+  if (!BOIL_EVENT_TYPES.includes(type)) {
+    return { error: `type must be one of: ${BOIL_EVENT_TYPES.join(', ')}` };
+  }
+  if (type === 'pause' && boil.status !== 'active') return { error: 'Boil is not running' };
+  if (type === 'resume' && boil.status !== 'paused') return { error: 'Boil is not paused' };
+
+  const at = body.at ? new Date(body.at) : new Date();
+  if (Number.isNaN(at.getTime())) return { error: 'at must be an ISO timestamp' };
+  if (boil.startedAt && at < new Date(boil.startedAt)) return { error: 'Event cannot be before the boil started' };
+
+  const event = { id: crypto.randomUUID(), type, at: at.toISOString(), note: note ?? null };
+  if (type === 'draw_off' || type === 'sap_added') {
+    const parsed = optionalNumber(volume, { min: 0 });
+    if (parsed.error || !(parsed.value > 0)) return { error: 'volume must be a positive number (liters)' };
+    event.volume = parsed.value;
+  }
+  if (type === 'draw_off') {
+    const densityParsed = optionalNumber(density, { min: 0 });
+    if (densityParsed.error) return { error: 'density must be a positive number' };
+    const temperatureParsed = optionalNumber(temperature);
+    if (temperatureParsed.error) return { error: 'temperature must be a number' };
+    event.density = densityParsed.value;
+    event.temperature = temperatureParsed.value;
+  }
+  return { event };
+}
+
+/**
+ * Derive duration (minutes, excluding pauses) and syrupVolumeOut (sum of draw-offs) from a boil's events.
+ * Live boils are measured up to `now`.
+ */
+export function summarizeBoilEvents(boil, now = new Date()) {
+  const events = [...(boil.events || [])].sort((a, b) => new Date(a.at) - new Date(b.at));
+  let runningSince = boil.startedAt ? new Date(boil.startedAt) : null;
+  let activeMs = 0;
+  let syrupVolumeOut = 0;
+  let pauseCount = 0;
+  for (const event of events) {
+    const at = new Date(event.at);
+    if (event.type === 'draw_off') syrupVolumeOut += event.volume || 0;
+    if (event.type === 'pause' && runningSince) {
+      activeMs += at - runningSince;
+      runningSince = null;
+      pauseCount += 1;
+    }
+    if (event.type === 'resume' && !runningSince) runningSince = at;
+  }
+  const end = boil.stoppedAt ? new Date(boil.stoppedAt) : now;
+  if (runningSince && end > runningSince) activeMs += end - runningSince;
+  return {
+    duration: Math.round(activeMs / 60000),
+    syrupVolumeOut: Math.round(syrupVolumeOut * 1000) / 1000,
+    pauseCount,
+    drawOffCount: events.filter((e) => e.type === 'draw_off').length,
+  };
+}
+
+/**
+ * Append an event to a live boil: pauses and resumes set the status, sap additions raise sapVolumeIn, and duration
+ * and syrupVolumeOut are re-derived. Returns { data, event } with the boil's new data, or { error, statusCode }.
+ */
+export function appendBoilEvent(boil, body, userId) {
+  if (!isLiveBoil(boil)) return { error: 'Boil is not in progress', statusCode: 409 };
+  const parsed = parseBoilEvent(body, boil);
+  if (parsed.error) return { error: parsed.error, statusCode: 400 };
+  const event = { ...parsed.event, userId };
+
+  const data = { ...boil, events: [...(boil.events || []), event] };
+  if (event.type === 'pause') data.status = 'paused';
+  if (event.type === 'resume') data.status = 'active';
+  if (event.type === 'sap_added') data.sapVolumeIn = (boil.sapVolumeIn || 0) + event.volume;
+  const { duration, syrupVolumeOut } = summarizeBoilEvents(data);
+  return { data: { ...data, duration, syrupVolumeOut }, event };
+}
+
+/**
+ * Stop a live boil at `at` (default now), which can't be before the boil started or its last recorded event.
+ * Returns { data } with the boil's new data, or { error, statusCode }.
+ */
+export function stopBoil(boil, { endTime, at } = {}) {
+  if (!isLiveBoil(boil)) return { error: 'Boil is not in progress', statusCode: 409 };
+  const stoppedAt = at ? new Date(at) : new Date();
+  if (Number.isNaN(stoppedAt.getTime())) return { error: 'at must be an ISO timestamp', statusCode: 400 };
+  if (boil.startedAt && stoppedAt < new Date(boil.startedAt)) {
+    return { error: 'Boil cannot stop before it started', statusCode: 400 };
+  }
+  const lastEventAt = Math.max(...(boil.events || []).map((e) => new Date(e.at).getTime()));
+  if (stoppedAt.getTime() < lastEventAt) {
+    return { error: 'Boil cannot stop before its last recorded event', statusCode: 400 };
+  }
+
+  const data = { ...boil, status: 'completed', stoppedAt: stoppedAt.toISOString(), endTime: endTime ?? null };
+  const { duration, syrupVolumeOut } = summarizeBoilEvents(data);
+  return { data: { ...data, duration, syrupVolumeOut } };
+}
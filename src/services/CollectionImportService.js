@@ -0,0 +1,185 @@
+/**
+ * Collection Import Service - parses CSV/XLSX collection logs into validated collection rows
+ */
+
+import * as XLSX from 'xlsx';
+import { convertVolume } from './StatsService.js';
+
+/** Most rows accepted in one import (a Firestore batch holds 500 writes, and the commit is one batch) */
+export const MAX_IMPORT_ROWS = 500;
+
+/** Header names recognized for each field (lowercased, units in parentheses ignored) */
+const COLUMN_ALIASES = {
+  date: ['date', 'day', 'collection date', 'collected'],
+  zone: ['zone', 'zone name', 'sugar bush', 'sugarbush', 'bush', 'block'],
+  volume: ['volume', 'sap', 'sap volume', 'amount', 'quantity'],
+  unit: ['unit', 'units', 'volume unit'],
+  brix: ['brix', 'sugar', 'sugar content', 'sugarcontent', 'sap brix'],
+  notes: ['notes', 'note', 'comments', 'comment'],
+};
+
+const UNIT_ALIASES = {
+  liters: ['l', 'liter', 'liters', 'litre', 'litres'],
+  gallons: ['gal', 'gallon', 'gallons', 'us gal'],
+};
+
+function normalizeHeader(value) {
+  return String(value ?? '')
+    .toLowerCase()
+    .replace(/\(.*?\)/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function parseUnit(value) {
+  const v = String(value ?? '').toLowerCase().trim();
+  if (!v) return null;
+  for (const [unit, aliases] of Object.entries(UNIT_ALIASES)) {
+    if (aliases.includes(v)) return unit;
+  }
+  return undefined;
+}
+
+/** Unit hinted by a header such as "Volume (gal)" or "Volume (L)" */
+function unitFromHeader(header) {
+  const match = String(header ?? '').match(/\((.*?)\)/);
+  return match ? parseUnit(match[1]) ?? null : null;
+}
+
+/**
+ * Read the first sheet of a CSV (text) or XLSX (base64) file into an array of rows (arrays of cells)
+ */
+export function readRows({ format, content }) {
+  const workbook = format === 'xlsx'
+    ? XLSX.read(content, { type: 'base64', cellDates: true })
+    : XLSX.read(content, { type: 'string', raw: true });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  if (!sheet) return [];
+  return XLSX.utils.sheet_to_json(sheet, { header: 1, raw: true, defval: null, blankrows: true });
+}
+
+/**
+ * Find the header row and column index for each field. An explicit mapping ({ field: header name }) wins
+ * over the aliases. The header row is the first row naming both a date and a volume column, so exports
+ * with a title block above the table still import.
+ * @returns {{ headerIndex: number, columns: Record<string, number>, headers: string[] } | null}
+ */
+export function detectColumns(rows, mapping = {}) {
+  for (let i = 0; i < rows.length; i++) {
+    const headers = (rows[i] || []).map((h) => (h == null ? '' : String(h)));
+    const normalized = headers.map(normalizeHeader);
+    const columns = {};
+    for (const field of Object.keys(COLUMN_ALIASES)) {
+      const wanted = mapping[field] ? [normalizeHeader(mapping[field])] : COLUMN_ALIASES[field];
+      const index = normalized.findIndex((h) => h && wanted.includes(h));
+      if (index >= 0) columns[field] = index;
+    }
+    if (columns.date !== undefined && columns.volume !== undefined) {
+      return { headerIndex: i, columns, headers };
+    }
+  }
+  return null;
+}
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+/** YYYY-MM-DD from an ISO/US date string, a Date cell or an Excel serial number; null if unreadable */
+function parseDate(value) {
+  if (value == null || value === '') return null;
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) return null;
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+  }
+  if (typeof value === 'number') {
+    // Excel serial day (days since 1899-12-30)
+    const date = new Date(Date.UTC(1899, 11, 30) + Math.floor(value) * 86400000);
+    if (!(value > 0) || Number.isNaN(date.getTime())) return null;
+    return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+  }
+  const text = String(value).trim();
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (match) return validDate(match[1], match[2], match[3]);
+  match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (match) return validDate(match[3], match[1], match[2]);
+  return null;
+}
+
+function validDate(y, m, d) {
+  const date = new Date(Date.UTC(Number(y), Number(m) - 1, Number(d)));
+  if (date.getUTCMonth() !== Number(m) - 1 || date.getUTCDate() !== Number(d)) return null;
+  return `${y}-${pad(m)}-${pad(d)}`;
+}
+
+function parseNumber(value) {
+  if (value == null || value === '') return null;
+  const n = typeof value === 'number' ? value : Number(String(value).replace(/,/g, '').trim());
+  return Number.isFinite(n) ? n : NaN;
+}
+
+/**
+ * Validate data rows against the season's zones. Volumes are converted to liters.
+ * @param {Array<Array>} rows - all sheet rows
+ * @param {{ headerIndex, columns, headers }} detected
+ * @param {{ zones: Array<{ id, name }>, defaultUnit: 'liters'|'gallons' }} options
+ * @returns {{ collections: object[], errors: Array<{ row: number, field: string, message: string }>, totalRows: number }}
+ */
+export function validateRows(rows, { headerIndex, columns, headers }, { zones, defaultUnit }) {
+  const zonesByName = new Map(zones.map((z) => [String(z.name || '').toLowerCase().trim(), z]));
+  const headerUnit = unitFromHeader(headers[columns.volume]);
+  const collections = [];
+  const errors = [];
+  let totalRows = 0;
+
+  for (let i = headerIndex + 1; i < rows.length; i++) {
+    const row = rows[i] || [];
+    if (row.every((cell) => cell == null || String(cell).trim() === '')) continue;
+    totalRows += 1;
+    const rowNumber = i + 1;
+    const cell = (field) => (columns[field] === undefined ? null : row[columns[field]]);
+    const rowErrors = [];
+
+    const date = parseDate(cell('date'));
+    if (!date) rowErrors.push({ field: 'date', message: 'Missing or unreadable date (use YYYY-MM-DD or M/D/YYYY)' });
+
+    const rawVolume = parseNumber(cell('volume'));
+    if (rawVolume == null || Number.isNaN(rawVolume) || rawVolume <= 0) {
+      rowErrors.push({ field: 'volume', message: 'Volume must be a positive number' });
+    }
+
+    let unit = parseUnit(cell('unit'));
+    if (unit === undefined) {
+      rowErrors.push({ field: 'unit', message: 'Unit must be liters or gallons' });
+    }
+    unit = unit || headerUnit || defaultUnit;
+
+    const brix = parseNumber(cell('brix'));
+    if (Number.isNaN(brix) || (brix != null && (brix < 0 || brix > 100))) {
+      rowErrors.push({ field: 'brix', message: 'Brix must be between 0 and 100' });
+    }
+
+    let zoneId = null;
+    const zoneName = cell('zone') == null ? '' : String(cell('zone')).trim();
+    if (zoneName) {
+      const zone = zonesByName.get(zoneName.toLowerCase());
+      if (zone) zoneId = zone.id;
+      else rowErrors.push({ field: 'zone', message: `Unknown sugar bush "${zoneName}"` });
+    }
+
+    if (rowErrors.length > 0) {
+      errors.push(...rowErrors.map((e) => ({ row: rowNumber, ...e })));
+      continue;
+    }
+    const notes = cell('notes');
+    collections.push({
+      row: rowNumber,
+      date,
+      zoneId,
+      volume: Math.round(convertVolume(rawVolume, unit, 'liters') * 1000) / 1000,
+      sugarContent: brix ?? undefined,
+      notes: notes == null || notes === '' ? undefined : String(notes),
+    });
+  }
+  return { collections, errors, totalRows };
+}
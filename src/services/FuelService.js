@@ -0,0 +1,75 @@
+/**
+ * Fuel Service - validates evaporator fuel logs and per-operation fuel price defaults
+ */
+
+import crypto from 'crypto';
+import { FUEL_TYPE_IDS, FUEL_UNITS, defaultFuelUnit } from '../constants/fuelTypes.js';
+
+function nonNegative(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? n : NaN;
+}
+
+/**
+ * Validate operation fuel price defaults: { [fuelType]: { unitCost, unit? } }.
+ * Returns { fuelPrices } or { error }. A null entry removes that fuel's default.
+ */
+export function parseFuelPrices(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { error: 'fuelPrices must be an object keyed by fuel type' };
+  }
+  const fuelPrices = {};
+  for (const [fuelType, entry] of Object.entries(body)) {
+    if (!FUEL_TYPE_IDS.includes(fuelType)) {
+      return { error: `Unknown fuel type "${fuelType}". Use one of: ${FUEL_TYPE_IDS.join(', ')}` };
+    }
+    if (entry === null) {
+      fuelPrices[fuelType] = null;
+      continue;
+    }
+    const unitCost = nonNegative(entry?.unitCost);
+    if (unitCost === null || Number.isNaN(unitCost)) {
+      return { error: `${fuelType}: unitCost must be a non-negative number` };
+    }
+    const unit = entry.unit ?? defaultFuelUnit(fuelType);
+    if (!FUEL_UNITS.includes(unit)) return { error: `${fuelType}: unit must be one of: ${FUEL_UNITS.join(', ')}` };
+    fuelPrices[fuelType] = { unitCost, unit };
+  }
+  return { fuelPrices };
+}
+
+/**
+ * Validate fuel log entries for a boil: [{ fuelType, quantity, unit?, unitCost?, notes? }].
+ * Unit defaults to the fuel's usual unit; unitCost defaults to the operation's price for that fuel and unit,
+ * and is stored on the log so later price changes don't rewrite past costs.
+ * Returns { fuelLogs } or { error }.
+ */
+export function parseFuelLogs(entries, fuelPrices = {}) {
+  if (!Array.isArray(entries)) return { error: 'fuelLogs must be an array' };
+  const fuelLogs = [];
+  for (const entry of entries) {
+    const fuelType = entry?.fuelType;
+    if (!FUEL_TYPE_IDS.includes(fuelType)) {
+      return { error: `fuelType must be one of: ${FUEL_TYPE_IDS.join(', ')}` };
+    }
+    const quantity = nonNegative(entry.quantity);
+    if (!(quantity > 0)) return { error: 'Each fuel log needs a positive quantity' };
+    const unit = entry.unit ?? defaultFuelUnit(fuelType);
+    if (!FUEL_UNITS.includes(unit)) return { error: `unit must be one of: ${FUEL_UNITS.join(', ')}` };
+    let unitCost = nonNegative(entry.unitCost);
+    if (Number.isNaN(unitCost)) return { error: 'unitCost must be a non-negative number' };
+    const price = fuelPrices?.[fuelType];
+    if (unitCost === null && price?.unit === unit) unitCost = price.unitCost;
+    fuelLogs.push({
+      id: entry.id || crypto.randomUUID(),
+      fuelType,
+      quantity,
+      unit,
+      unitCost,
+      notes: entry.notes ?? null,
+      loggedAt: entry.loggedAt || new Date().toISOString(),
+    });
+  }
+  return { fuelLogs };
+}
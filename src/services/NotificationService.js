@@ -6,13 +6,16 @@ import { notificationRepository } from '../storage/repositories/NotificationRepo
 import { pushSubscriptionRepository } from '../storage/repositories/PushSubscriptionRepository.js';
 import { operationMemberRepository } from '../storage/repositories/OperationMemberRepository.js';
 import { userRepository } from '../storage/repositories/UserRepository.js';
-import { trigger } from '../realtime/pusherRealtime.js';
+import { trigger } from '../realtime/realtime.js';
 import { sendPush } from '../lib/webPush.js';
 
 const TYPE_TO_PREF = {
   collection_created: 'notifyCollectionCreated',
   boil_created: 'notifyBoilStarted',
   boil_sap_adjusted: 'notifyBoilSapAdjusted',
+  tank_threshold: 'notifyTankThreshold',
+  vacuum_leak: 'notifyVacuumLeak',
+  sensor_stale: 'notifySensorStale',
 };
 
 function prefAllowsType(preferences, type) {
@@ -23,7 +26,7 @@ function prefAllowsType(preferences, type) {
 }
 
 /**
- * Notify a set of users (creates notification doc per user, triggers Pusher for operation channel, sends Web Push to each user's subscriptions).
+ * Notify a set of users (creates notification doc per user, triggers a realtime event for the operation, sends Web Push to each user's subscriptions).
  * @param {object} opts
  * @param {string[]} opts.userIds - user IDs to notify
  * @param {string} [opts.operationId] - if set, Pusher event is sent on private-operation-{operationId}
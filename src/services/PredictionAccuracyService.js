@@ -0,0 +1,200 @@
+/**
+ * Prediction Accuracy Service - keeps every flow forecast as issued (regression and research-based models) and
+ * scores it once the day is past: MAE, MAPE and bias against the sap actually collected that day (dailyStats).
+ * Days without collections are not scored, since a day with nothing logged can't be told apart from no flow.
+ */
+
+import { seasonRepository } from '../storage/repositories/SeasonRepository.js';
+import { flowPredictionRepository } from '../storage/repositories/FlowPredictionRepository.js';
+import { getSeasonAggregates } from './StatsAggregateService.js';
+
+/** regression = getFlowPredictions, traditional = getTraditionalFlowPredictions */
+export const PREDICTION_MODELS = ['regression', 'traditional'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function round2(n) {
+  return n == null ? null : Math.round(n * 100) / 100;
+}
+
+function daysBetween(from, to) {
+  return Math.round((new Date(to) - new Date(from)) / DAY_MS);
+}
+
+/**
+ * Store a forecast as issued, once per season, model and day: the first forecast of the day is kept whatever
+ * location it was requested for (repeats are dropped by flowPredictionRepository.record). days: [{ date,
+ * predictedVolume, features, interval80?, interval95?, confidence? }], today first (the forecast's own today is the
+ * issue date). context: { temperatureUnit, totalTaps, featuresUsed? }. Closed seasons are skipped. Callers don't
+ * wait for it: call it with .catch so a failure never fails the forecast.
+ */
+export async function recordPredictions(seasonId, model, days, context = {}) {
+  if (!days?.length) return;
+  const issuedOn = days[0].date;
+  const season = await seasonRepository.findById(seasonId);
+  if (!season || season.closedAt) return;
+  const issuedAt = new Date().toISOString();
+  await Promise.all(days.map((day) => flowPredictionRepository.record({
+    seasonId,
+    organizationId: season.organizationId ?? null,
+    model,
+    date: day.date,
+    issuedOn,
+    issuedAt,
+    leadDays: daysBetween(issuedOn, day.date),
+    predictedVolume: day.predictedVolume,
+    interval80: day.interval80 ?? null,
+    interval95: day.interval95 ?? null,
+    confidence: day.confidence ?? null,
+    features: day.features ?? {},
+    featuresUsed: context.featuresUsed ?? null,
+    temperatureUnit: context.temperatureUnit ?? null,
+    totalTaps: context.totalTaps ?? null,
+  })));
+}
+
+/**
+ * MAE, MAPE (%) and bias (mean predicted - actual; positive means the model over-predicts) of scored predictions.
+ * MAPE leaves out days whose actual volume is 0.
+ */
+function errorStats(scored) {
+  if (scored.length === 0) return { sampleSize: 0, mae: null, mape: null, bias: null };
+  const errors = scored.map((s) => s.predicted - s.actual);
+  const withVolume = scored.filter((s) => s.actual > 0);
+  return {
+    sampleSize: scored.length,
+    mae: round2(errors.reduce((sum, e) => sum + Math.abs(e), 0) / scored.length),
+    mape: withVolume.length > 0
+      ? round2(withVolume.reduce((sum, s) => sum + Math.abs(s.predicted - s.actual) / s.actual, 0) / withVolume.length * 100)
+      : null,
+    bias: round2(errors.reduce((sum, e) => sum + e, 0) / scored.length),
+  };
+}
+
+/**
+ * Share (%) of scored predictions whose actual volume fell inside their 80% / 95% interval, among those issued with
+ * one (null when none were). A well-calibrated model lands near 80 and 95.
+ */
+function intervalCoverage(scored) {
+  const coverage = {};
+  for (const level of [80, 95]) {
+    const withInterval = scored.filter((s) => s[`interval${level}`]);
+    const inside = withInterval.filter((s) => s.actual >= s[`interval${level}`].low && s.actual <= s[`interval${level}`].high);
+    coverage[level] = withInterval.length > 0 ? round2((inside.length / withInterval.length) * 100) : null;
+  }
+  return coverage;
+}
+
+/**
+ * Match a season's stored predictions with its collected sap per day.
+ * @returns {Promise<{ scored: Array<{ model, date, issuedOn, leadDays, predicted, actual, interval80, interval95 }>,
+ *   pending, unmatched }>}
+ *   pending and unmatched count predictions per model for days not yet past, and past days with no collections
+ */
+async function scoreSeason(seasonId) {
+  const [predictions, { days }] = await Promise.all([
+    flowPredictionRepository.findBySeasonId(seasonId),
+    getSeasonAggregates(seasonId),
+  ]);
+  const actualByDate = new Map(days.filter((d) => (d.collectionCount || 0) > 0).map((d) => [d.date, d.sapVolume || 0]));
+  const today = new Date().toISOString().split('T')[0];
+  const scored = [];
+  const pending = {};
+  const unmatched = {};
+  for (const p of predictions) {
+    if (p.date >= today) {
+      pending[p.model] = (pending[p.model] || 0) + 1;
+    } else if (!actualByDate.has(p.date)) {
+      unmatched[p.model] = (unmatched[p.model] || 0) + 1;
+    } else {
+      scored.push({
+        model: p.model,
+        date: p.date,
+        issuedOn: p.issuedOn,
+        leadDays: p.leadDays,
+        predicted: p.predictedVolume || 0,
+        actual: actualByDate.get(p.date),
+        interval80: p.interval80 ?? null,
+        interval95: p.interval95 ?? null,
+      });
+    }
+  }
+  return { scored, pending, unmatched };
+}
+
+/**
+ * Per model: error stats overall and by lead time (days between issue and the forecast day), and how often the
+ * actual fell inside the prediction intervals. comparison scores both models on the same forecasts only (same issue
+ * date and day), and better is the one with the lower MAE.
+ */
+function summarize({ scored, pending, unmatched }) {
+  const models = {};
+  for (const model of PREDICTION_MODELS) {
+    const forModel = scored.filter((s) => s.model === model);
+    const byLeadDays = {};
+    for (const lead of [...new Set(forModel.map((s) => s.leadDays))].sort((a, b) => a - b)) {
+      byLeadDays[lead] = errorStats(forModel.filter((s) => s.leadDays === lead));
+    }
+    models[model] = {
+      ...errorStats(forModel),
+      byLeadDays,
+      intervalCoverage: intervalCoverage(forModel),
+      pending: pending[model] || 0,
+      unmatched: unmatched[model] || 0,
+    };
+  }
+
+  const traditionalByKey = new Map(scored
+    .filter((s) => s.model === 'traditional')
+    .map((s) => [`${s.issuedOn}_${s.date}`, s]));
+  const paired = { regression: [], traditional: [] };
+  for (const s of scored) {
+    const other = s.model === 'regression' && traditionalByKey.get(`${s.issuedOn}_${s.date}`);
+    if (!other) continue;
+    paired.regression.push(s);
+    paired.traditional.push(other);
+  }
+  const regression = errorStats(paired.regression);
+  const traditional = errorStats(paired.traditional);
+  let better = null;
+  if (regression.sampleSize > 0 && regression.mae !== traditional.mae) {
+    better = regression.mae < traditional.mae ? 'regression' : 'traditional';
+  }
+
+  return {
+    models,
+    comparison: { sampleSize: regression.sampleSize, regression, traditional, better },
+  };
+}
+
+/**
+ * How well a season's flow predictions matched what was collected
+ */
+export async function getSeasonPredictionAccuracy(seasonId) {
+  return { seasonId, ...summarize(await scoreSeason(seasonId)) };
+}
+
+/**
+ * Prediction accuracy across all of an operation's seasons, with each season's own figures (newest first)
+ */
+export async function getOperationPredictionAccuracy(organizationId) {
+  const seasons = await seasonRepository.findByOrganizationId(organizationId);
+  const results = await Promise.all(seasons.map((s) => scoreSeason(s.id)));
+  const all = { scored: [], pending: {}, unmatched: {} };
+  for (const result of results) {
+    all.scored.push(...result.scored);
+    for (const key of ['pending', 'unmatched']) {
+      for (const [model, count] of Object.entries(result[key])) all[key][model] = (all[key][model] || 0) + count;
+    }
+  }
+  return {
+    organizationId,
+    ...summarize(all),
+    seasons: seasons.map((season, i) => ({
+      seasonId: season.id,
+      name: season.name,
+      year: season.year ?? null,
+      ...summarize(results[i]),
+    })),
+  };
+}
@@ -0,0 +1,133 @@
+/**
+ * Presence Service - which crew members are active right now, and what they're doing.
+ * Clients report every few minutes while the app is open; a member who stops reporting for
+ * PRESENCE_TTL_MS is dropped and a presence:left event is sent.
+ */
+
+import { presenceRepository } from '../storage/repositories/PresenceRepository.js';
+import { trigger } from '../realtime/realtime.js';
+
+export const PRESENCE_STATUSES = ['collecting', 'boiling', 'idle'];
+
+/** A report is current for this long (PRESENCE_TTL_MINUTES, default 5) */
+export const PRESENCE_TTL_MS = (Number(process.env.PRESENCE_TTL_MINUTES) || 5) * 60 * 1000;
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+let sweepTimer = null;
+
+function isCurrent(presence, now = Date.now()) {
+  return presence && now - new Date(presence.lastSeenAt).getTime() < PRESENCE_TTL_MS;
+}
+
+/** Public shape of a presence entry (as returned by the API and sent in events) */
+export function toPresence(entry) {
+  return {
+    userId: entry.userId,
+    name: entry.name ?? null,
+    status: entry.status,
+    zoneId: entry.zoneId ?? null,
+    boilId: entry.boilId ?? null,
+    location: entry.location ?? null,
+    since: entry.since,
+    lastSeenAt: entry.lastSeenAt,
+  };
+}
+
+/**
+ * Validate a presence report. Returns { data } or { error }.
+ * Body: { status, zoneId?, boilId?, location?: { lat, lng, accuracy?, at? } }
+ */
+export function parsePresenceReport(body) {
+  const { status, zoneId, boilId, location } = body || {};
+  if (!PRESENCE_STATUSES.includes(status)) {
+    return { error: `status must be one of: ${PRESENCE_STATUSES.join(', ')}` };
+  }
+  const data = {
+    status,
+    zoneId: status === 'collecting' ? zoneId || null : null,
+    boilId: status === 'boiling' ? boilId || null : null,
+    location: null,
+  };
+  if (location != null) {
+    const lat = Number(location.lat);
+    const lng = Number(location.lng);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      return { error: 'Invalid location: lat and lng must be numbers.' };
+    }
+    const at = location.at ? new Date(location.at) : new Date();
+    if (Number.isNaN(at.getTime())) return { error: 'location.at must be an ISO timestamp' };
+    const accuracy = location.accuracy == null ? null : Number(location.accuracy);
+    if (accuracy != null && !(accuracy >= 0)) return { error: 'location.accuracy must be a positive number (meters)' };
+    data.location = { lat, lng, accuracy, at: at.toISOString() };
+  }
+  return { data };
+}
+
+/**
+ * Members currently present in an operation
+ */
+export async function getOperationPresence(organizationId) {
+  const entries = await presenceRepository.findByOrganizationId(organizationId);
+  const now = Date.now();
+  return entries
+    .filter((e) => isCurrent(e, now))
+    .sort((a, b) => new Date(b.lastSeenAt) - new Date(a.lastSeenAt))
+    .map(toPresence);
+}
+
+/**
+ * Record a member's report. Sends presence:joined when they weren't present, presence:updated when
+ * status, zone or boil changed; plain heartbeats (same status, new GPS fix) send nothing.
+ */
+export async function reportPresence(organizationId, user, data) {
+  const previous = await presenceRepository.findForMember(organizationId, user.id);
+  const wasPresent = isCurrent(previous);
+  const now = new Date();
+  const entry = await presenceRepository.saveForMember(organizationId, user.id, {
+    name: user.name ?? null,
+    ...data,
+    since: wasPresent && previous.status === data.status ? previous.since : now.toISOString(),
+    lastSeenAt: now,
+  });
+  const presence = toPresence(entry);
+  if (!wasPresent) {
+    trigger(organizationId, { type: 'presence:joined', presence });
+  } else if (['status', 'zoneId', 'boilId'].some((field) => (previous[field] ?? null) !== presence[field])) {
+    trigger(organizationId, { type: 'presence:updated', presence });
+  }
+  return presence;
+}
+
+/**
+ * Remove a member's presence (signed off, left or removed from the operation)
+ */
+export async function clearPresence(organizationId, userId, reason = 'left') {
+  const previous = await presenceRepository.findForMember(organizationId, userId);
+  if (!previous) return false;
+  await presenceRepository.deleteForMember(organizationId, userId);
+  if (isCurrent(previous)) {
+    trigger(organizationId, { type: 'presence:left', userId, reason });
+  }
+  return true;
+}
+
+/** Drop members who stopped reporting and announce that they left */
+export async function sweepExpiredPresence() {
+  const expired = await presenceRepository.findLastSeenBefore(new Date(Date.now() - PRESENCE_TTL_MS));
+  for (const entry of expired) {
+    await presenceRepository.deleteForMember(entry.organizationId, entry.userId);
+    trigger(entry.organizationId, { type: 'presence:left', userId: entry.userId, reason: 'timeout' });
+  }
+  return expired.length;
+}
+
+export function startPresenceSweeper() {
+  const sweep = () => sweepExpiredPresence().catch((err) => console.error('[presence] Sweep failed:', err?.message));
+  sweepTimer = setInterval(sweep, SWEEP_INTERVAL_MS);
+  sweepTimer.unref();
+}
+
+export function stopPresenceSweeper() {
+  clearInterval(sweepTimer);
+  sweepTimer = null;
+}
@@ -0,0 +1,178 @@
+/**
+ * Season Service - season roll-over (cloning last year's setup into a new season) and close-out
+ */
+
+import { seasonRepository } from '../storage/repositories/SeasonRepository.js';
+import { seasonZoneRepository } from '../storage/repositories/SeasonZoneRepository.js';
+import { zoneRepository } from '../storage/repositories/ZoneRepository.js';
+import { tapRepository } from '../storage/repositories/TapRepository.js';
+import { seasonSnapshotRepository } from '../storage/repositories/SeasonSnapshotRepository.js';
+import { auditLogRepository } from '../storage/repositories/AuditLogRepository.js';
+import { statsService } from './StatsService.js';
+
+/**
+ * Move a YYYY-MM-DD (or ISO) date by whole years, keeping the original format
+ */
+function shiftYears(value, years) {
+  if (!value) return value ?? null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return value;
+  date.setUTCFullYear(date.getUTCFullYear() + years);
+  return /^\d{4}-\d{2}-\d{2}$/.test(String(value)) ? date.toISOString().split('T')[0] : date.toISOString();
+}
+
+/**
+ * Validate clone options. Returns { data } or { error }.
+ * Body: { name?, year?, startDate?, endDate?, activate?, tapCounts?: { [zoneId]: number }, tapCountChangePercent? }
+ */
+export function parseCloneOptions(body, source) {
+  const { name, year, startDate, endDate, activate, tapCounts, tapCountChangePercent } = body || {};
+  const data = {
+    year: (source.year || new Date().getFullYear()) + 1,
+    activate: activate !== false,
+    tapCounts: {},
+    tapCountChangePercent: null,
+  };
+  if (year !== undefined) {
+    const n = Number(year);
+    if (!Number.isInteger(n) || n < 1900 || n > 2999) return { error: 'year must be a four-digit year' };
+    data.year = n;
+  }
+  if (name !== undefined) {
+    if (typeof name !== 'string' || !name.trim()) return { error: 'name must be text' };
+    data.name = name.trim();
+  }
+  if (startDate !== undefined) data.startDate = startDate || null;
+  if (endDate !== undefined) data.endDate = endDate || null;
+  if (tapCounts !== undefined) {
+    if (!tapCounts || typeof tapCounts !== 'object' || Array.isArray(tapCounts)) {
+      return { error: 'tapCounts must be an object of zoneId -> tap count' };
+    }
+    for (const [zoneId, count] of Object.entries(tapCounts)) {
+      const n = Number(count);
+      if (!Number.isInteger(n) || n < 0) return { error: 'tapCounts values must be whole numbers of taps' };
+      data.tapCounts[zoneId] = n;
+    }
+  }
+  if (tapCountChangePercent != null) {
+    const n = Number(tapCountChangePercent);
+    if (!Number.isFinite(n) || n < -100) return { error: 'tapCountChangePercent must be a number of at least -100' };
+    data.tapCountChangePercent = n;
+  }
+  return { data };
+}
+
+/**
+ * Create a new season from an existing one: operation link, location, dates moved to the new year, and each
+ * zone's inclusion, tap-count and vacuum overrides. Collections, boils and other records stay with the source.
+ * tapCounts sets a zone's count outright; tapCountChangePercent scales every other zone's count (override, else
+ * zone default). Zones with a tap inventory count their taps instead and are listed in inventoryZoneIds.
+ * @returns {Promise<{ season, seasonZones, inventoryZoneIds } | { error, statusCode }>}
+ */
+export async function cloneSeason(source, options, userId) {
+  const [zones, sourceOverrides, taps] = await Promise.all([
+    zoneRepository.findByOrganizationId(source.organizationId),
+    seasonZoneRepository.findBySeasonId(source.id),
+    tapRepository.findByOrganizationId(source.organizationId),
+  ]);
+  const zonesById = new Map(zones.map((z) => [z.id, z]));
+  const unknown = Object.keys(options.tapCounts).find((zoneId) => !zonesById.has(zoneId));
+  if (unknown) return { error: `Zone ${unknown} is not in this operation`, statusCode: 400 };
+
+  const years = options.year - (source.year || options.year);
+  const season = await seasonRepository.create({
+    userId,
+    organizationId: source.organizationId,
+    name: options.name || `${options.year} Season`,
+    year: options.year,
+    startDate: options.startDate !== undefined ? options.startDate : shiftYears(source.startDate, years),
+    endDate: options.endDate !== undefined ? options.endDate : shiftYears(source.endDate, years),
+    location: source.location ?? null,
+    isActive: options.activate,
+    clonedFromId: source.id,
+  });
+
+  const inventoryZoneIds = new Set(taps.map((t) => t.zoneId));
+  const overridesByZone = new Map(sourceOverrides.map((sz) => [sz.zoneId, sz]));
+  const seasonZones = [];
+  for (const zone of zones) {
+    const previous = overridesByZone.get(zone.id);
+    const data = {};
+    if (previous?.included === false) data.included = false;
+    if (previous?.vacuumInHg != null) data.vacuumInHg = previous.vacuumInHg;
+    if (!inventoryZoneIds.has(zone.id)) {
+      if (options.tapCounts[zone.id] !== undefined) {
+        data.tapCount = options.tapCounts[zone.id];
+      } else if (options.tapCountChangePercent != null) {
+        const base = previous?.tapCount ?? zone.tapCount ?? 0;
+        data.tapCount = Math.round(base * (1 + options.tapCountChangePercent / 100));
+      } else if (previous?.tapCount != null) {
+        data.tapCount = previous.tapCount;
+      }
+    }
+    if (Object.keys(data).length > 0) {
+      seasonZones.push(await seasonZoneRepository.set(season.id, zone.id, data));
+    }
+  }
+
+  return {
+    season,
+    seasonZones,
+    inventoryZoneIds: zones.filter((z) => inventoryZoneIds.has(z.id)).map((z) => z.id),
+  };
+}
+
+/**
+ * Close a season: take a frozen snapshot of its stats (totals, yield, per-zone stats, syrup per grade) and lock it
+ * against writes (assertSeasonOpen). Returns the updated season and the snapshot.
+ */
+export async function closeSeason(season, user) {
+  const [stats, zoneStats] = await Promise.all([
+    statsService.getSeasonStats(season.id),
+    statsService.getZoneStats(season.id),
+  ]);
+  const closedAt = new Date().toISOString();
+  const snapshot = await seasonSnapshotRepository.create({
+    seasonId: season.id,
+    organizationId: season.organizationId ?? null,
+    season: {
+      name: season.name,
+      year: season.year,
+      startDate: season.startDate ?? null,
+      endDate: season.endDate ?? null,
+    },
+    closedAt,
+    closedBy: user.id,
+    stats,
+    zoneStats,
+  });
+  const updated = await seasonRepository.update(season.id, {
+    closedAt,
+    closedBy: user.id,
+    snapshotId: snapshot.id,
+  });
+  return { season: updated, snapshot };
+}
+
+/**
+ * Reopen a closed season so it can be edited again. The reason is kept on the season and in the audit log; the
+ * old snapshot is kept, and closing again takes a new one.
+ */
+export async function reopenSeason(season, user, reason) {
+  const reopenedAt = new Date().toISOString();
+  const updated = await seasonRepository.update(season.id, {
+    closedAt: null,
+    closedBy: null,
+    snapshotId: null,
+    reopenedAt,
+    reopenedBy: user.id,
+    reopenReason: reason,
+  });
+  await auditLogRepository.record({
+    action: 'season.reopen',
+    actorId: user.id,
+    actorEmail: user.email ?? null,
+    details: { seasonId: season.id, organizationId: season.organizationId ?? null, snapshotId: season.snapshotId ?? null, reason },
+  });
+  return updated;
+}
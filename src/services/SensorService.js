@@ -0,0 +1,254 @@
+/**
+ * Sensor Service - device API keys, reading ingestion and stale-device detection.
+ * Every reading is kept in the sensor time series; tankLevel and vacuum readings also feed the device's tank
+ * and zone/mainline. A device that stops reporting for its staleAfterMinutes is flagged and members are notified.
+ */
+
+import crypto from 'crypto';
+import { sensorDeviceRepository } from '../storage/repositories/SensorDeviceRepository.js';
+import { sensorReadingRepository } from '../storage/repositories/SensorReadingRepository.js';
+import { tankRepository } from '../storage/repositories/TankRepository.js';
+import { zoneRepository } from '../storage/repositories/ZoneRepository.js';
+import { lineRepository } from '../storage/repositories/LineRepository.js';
+import { trigger } from '../realtime/realtime.js';
+import { applyTankMovement } from './TankService.js';
+import { recordVacuumReadings, MAX_VACUUM_INHG } from './VacuumService.js';
+import { notifyOperationMembers } from './NotificationService.js';
+
+/** Metrics that feed existing records; anything else is only stored */
+export const SENSOR_METRICS = {
+  tankLevel: 'liters',
+  vacuum: 'inHg',
+};
+
+/** Most readings accepted in one ingest request (one storage batch) */
+export const MAX_INGEST_READINGS = 500;
+
+/** A device is stale after this long without a reading unless it sets staleAfterMinutes (SENSOR_STALE_MINUTES, default 30) */
+export const DEFAULT_SENSOR_STALE_MINUTES = Number(process.env.SENSOR_STALE_MINUTES) || 30;
+
+const API_KEY_PREFIX = 'smd_';
+const METRIC_PATTERN = /^[A-Za-z][\w.-]{0,39}$/;
+/** Device clocks drift; readings this far in the future are accepted */
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+let sweepTimer = null;
+
+export function hashApiKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+export function isDeviceApiKey(value) {
+  return typeof value === 'string' && value.startsWith(API_KEY_PREFIX);
+}
+
+/**
+ * New API key. The plain key is shown once; devices store apiKeyHash and apiKeyPrefix (to tell keys apart).
+ */
+export function generateApiKey() {
+  const apiKey = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+  return { apiKey, apiKeyHash: hashApiKey(apiKey), apiKeyPrefix: apiKey.slice(0, API_KEY_PREFIX.length + 6) };
+}
+
+export function isDeviceStale(device, now = Date.now()) {
+  if (!device.lastSeenAt) return false;
+  const staleAfterMs = (device.staleAfterMinutes ?? DEFAULT_SENSOR_STALE_MINUTES) * 60 * 1000;
+  return now - new Date(device.lastSeenAt).getTime() > staleAfterMs;
+}
+
+/** Public shape of a device (never includes the key hash) */
+export function toDevice(device) {
+  const { apiKeyHash, ...rest } = device;
+  return { ...rest, stale: isDeviceStale(device) };
+}
+
+/**
+ * Validate device fields shared by create and update. Returns { data } or { error }.
+ * Fields: name, tankId, zoneId, lineId, staleAfterMinutes, notes
+ */
+export function parseDeviceFields(body) {
+  const data = {};
+  const { name, staleAfterMinutes, notes } = body;
+  if (name !== undefined) {
+    if (typeof name !== 'string' || !name.trim()) return { error: 'Device name is required' };
+    data.name = name.trim();
+  }
+  if (staleAfterMinutes !== undefined) {
+    if (staleAfterMinutes === null || staleAfterMinutes === '') {
+      data.staleAfterMinutes = null;
+    } else {
+      const n = Number(staleAfterMinutes);
+      if (!Number.isFinite(n) || n < 1) return { error: 'staleAfterMinutes must be at least 1' };
+      data.staleAfterMinutes = n;
+    }
+  }
+  for (const field of ['tankId', 'zoneId', 'lineId']) {
+    if (body[field] !== undefined) data[field] = body[field] || null;
+  }
+  if (notes !== undefined) data.notes = notes;
+  return { data };
+}
+
+/**
+ * A device's tank, zone and mainline must belong to its operation. Returns an error message or null.
+ */
+export async function validateDeviceTargets(device) {
+  if (device.tankId) {
+    const tank = await tankRepository.findById(device.tankId);
+    if (!tank || tank.organizationId !== device.organizationId) return 'Tank not found in this operation';
+  }
+  if (device.lineId && !device.zoneId) return 'lineId needs a zoneId';
+  if (device.zoneId) {
+    const zone = await zoneRepository.findById(device.zoneId);
+    if (!zone || zone.organizationId !== device.organizationId) return 'Zone not found in this operation';
+  }
+  if (device.lineId) {
+    const line = await lineRepository.findById(device.lineId);
+    if (!line || line.zoneId !== device.zoneId) return 'Line not found in this zone';
+    if (line.type !== 'mainline') return 'Vacuum is recorded per zone or mainline, not on laterals';
+  }
+  return null;
+}
+
+/**
+ * Validate one ingested reading. Returns { data } or { error }.
+ * Reading: { deviceId?, metric, value, at? (ISO timestamp, default now) }
+ */
+export function parseIngestReading(reading, device) {
+  if (!reading || typeof reading !== 'object') return { error: 'Each reading must be an object' };
+  const { deviceId, metric, value, at } = reading;
+  if (deviceId != null && deviceId !== device.id) return { error: 'deviceId does not match the API key' };
+  if (typeof metric !== 'string' || !METRIC_PATTERN.test(metric)) {
+    return { error: 'metric must be a name of up to 40 letters, digits, _ . or -' };
+  }
+  const n = value === null || value === '' ? NaN : Number(value);
+  if (!Number.isFinite(n)) return { error: 'value must be a number' };
+  if (metric === 'tankLevel' && n < 0) return { error: 'tankLevel must be a non-negative number (liters)' };
+  if (metric === 'vacuum' && (n < 0 || n > MAX_VACUUM_INHG)) {
+    return { error: `vacuum must be between 0 and ${MAX_VACUUM_INHG} inHg` };
+  }
+  const time = at ? new Date(typeof at === 'number' ? at * 1000 : at) : new Date();
+  if (Number.isNaN(time.getTime())) return { error: 'at must be an ISO timestamp or Unix seconds' };
+  if (time.getTime() > Date.now() + CLOCK_SKEW_MS) return { error: 'at cannot be in the future' };
+  return { data: { metric, value: n, at: time.toISOString() } };
+}
+
+/** Set the device's tank to its newest level reading (older readings than the last applied one are ignored) */
+async function feedTankLevel(device, readings) {
+  const latest = readings[readings.length - 1];
+  if (device.lastTankLevelAt && latest.at <= device.lastTankLevelAt) return null;
+  const tank = await tankRepository.findById(device.tankId);
+  if (!tank || tank.organizationId !== device.organizationId) return null;
+  // The reading is absolute, so it's set as the level rather than added as a delta from a possibly stale read
+  await applyTankMovement({
+    tankId: tank.id,
+    level: latest.value,
+    source: 'sensor',
+    refId: device.id,
+    note: device.name,
+  });
+  return latest.at;
+}
+
+/** Log the device's vacuum readings for its zone (and mainline) as one batch */
+async function feedVacuum(device, readings) {
+  const zone = await zoneRepository.findById(device.zoneId);
+  if (!zone || zone.organizationId !== device.organizationId) return;
+  const line = device.lineId ? await lineRepository.findById(device.lineId) : null;
+  await recordVacuumReadings({
+    zone,
+    line: line?.zoneId === zone.id ? line : null,
+    readings: readings.map((r) => ({ vacuumInHg: r.value, at: r.at, source: 'gauge', note: null, deviceId: device.id })),
+  });
+}
+
+/**
+ * Store a batch of readings for a device and feed its tank and vacuum line. Invalid readings are skipped and
+ * reported by index. Marks the device seen, and sends device:online if it had been flagged stale.
+ * @returns {Promise<{ accepted: number, rejected: Array<{ index: number, error: string }> }>}
+ */
+export async function ingestReadings(device, readings) {
+  const accepted = [];
+  const rejected = [];
+  readings.forEach((reading, index) => {
+    const parsed = parseIngestReading(reading, device);
+    if (parsed.error) rejected.push({ index, error: parsed.error });
+    else accepted.push(parsed.data);
+  });
+  if (accepted.length === 0) return { accepted: 0, rejected };
+
+  const receivedAt = new Date().toISOString();
+  await sensorReadingRepository.createMany(accepted.map((r) => ({
+    organizationId: device.organizationId,
+    deviceId: device.id,
+    ...r,
+    receivedAt,
+  })));
+
+  accepted.sort((a, b) => a.at.localeCompare(b.at));
+  const byMetric = (metric) => accepted.filter((r) => r.metric === metric);
+  let tankLevelAt = null;
+  if (device.tankId && byMetric('tankLevel').length > 0) {
+    tankLevelAt = await feedTankLevel(device, byMetric('tankLevel'));
+  }
+  if (device.zoneId && byMetric('vacuum').length > 0) {
+    await feedVacuum(device, byMetric('vacuum'));
+  }
+
+  // Merged into the stored device in one step, so a batch ingested alongside keeps its newer readings
+  let wasStale = false;
+  const updated = await sensorDeviceRepository.updateAtomically(device.id, (current) => {
+    if (!current) return undefined;
+    wasStale = Boolean(current.staleSince);
+    const lastReadings = { ...(current.lastReadings || {}) };
+    for (const r of accepted) {
+      if (!lastReadings[r.metric] || lastReadings[r.metric].at <= r.at) lastReadings[r.metric] = { value: r.value, at: r.at };
+    }
+    const lastTankLevelAt = tankLevelAt && !(current.lastTankLevelAt >= tankLevelAt) ? tankLevelAt : current.lastTankLevelAt;
+    return { ...current, lastSeenAt: receivedAt, staleSince: null, lastReadings, lastTankLevelAt };
+  });
+  if (updated && wasStale) {
+    trigger(device.organizationId, { type: 'device:online', device: toDevice(updated) });
+  }
+  return { accepted: accepted.length, rejected };
+}
+
+/**
+ * Flag devices that stopped reporting, announce it and notify members. A device is only flagged if it is still
+ * stale when written, so readings ingested since the scan aren't flagged over.
+ * @returns {Promise<number>} how many devices were flagged
+ */
+export async function sweepStaleDevices() {
+  const now = Date.now();
+  const devices = (await sensorDeviceRepository.findNotStale()).filter((d) => isDeviceStale(d, now));
+  let flaggedCount = 0;
+  for (const device of devices) {
+    let flagged = false;
+    const updated = await sensorDeviceRepository.updateAtomically(device.id, (current) => {
+      flagged = Boolean(current) && !current.staleSince && isDeviceStale(current, now);
+      return flagged ? { ...current, staleSince: new Date(now).toISOString() } : undefined;
+    });
+    if (!flagged) continue;
+    flaggedCount++;
+    trigger(device.organizationId, { type: 'device:stale', device: toDevice(updated) });
+    notifyOperationMembers({
+      operationId: device.organizationId,
+      type: 'sensor_stale',
+      title: 'Sensor offline',
+      body: `${device.name} has not reported since ${updated.lastSeenAt}.`,
+      data: { tag: 'sapmap-sensor', deviceId: device.id, path: '/devices' },
+    }).catch((err) => console.error('[notifications]', err?.message));
+  }
+  return flaggedCount;
+}
+
+export function startDeviceSweeper() {
+  const sweep = () => sweepStaleDevices().catch((err) => console.error('[sensors] Sweep failed:', err?.message));
+  sweepTimer = setInterval(sweep, SWEEP_INTERVAL_MS);
+  sweepTimer.unref();
+}
+
+export function stopDeviceSweeper() {
+  clearInterval(sweepTimer);
+  sweepTimer = null;
+}
@@ -0,0 +1,303 @@
+/**
+ * Stats Aggregate Service - materialized sums of a season's collections and boils, per day (dailyStats) and for
+ * the whole season (seasonStats), so stats don't rescan every record. Routes read the season's marks with
+ * readAggregateMarks before each write, then call applyCollectionChange / applyBoilChange with the record before
+ * and after (null on create / delete) and those marks, and the change is applied as a delta. A season's aggregates are rebuilt from its records when missing or written by an older
+ * AGGREGATE_VERSION, and on demand with scripts/rebuild-stats-aggregates.js.
+ *
+ * Every delta bumps the season totals' generation, day sums first and season totals (with the bump) last. A rebuild
+ * only stores its totals while the generation is still the one it read before loading the records, so a write that
+ * lands mid-rebuild makes it start over instead of being overwritten or counted twice. A rebuild sets each day's
+ * sums outright, so rebuilds running side by side don't add up. Aggregates that can't be trusted are invalidated
+ * (version cleared, generation bumped, day sums dropped) rather than deleted, so a rebuild that started before
+ * can't store over them.
+ *
+ * Each stored rebuild gets a new rebuildId (the season's mark). A rebuild may have loaded a record before its delta
+ * lands, so the season delta is only applied while the mark is the one read before the record was written;
+ * otherwise a rebuild has stored since and may already count the record, and the aggregates are invalidated.
+ */
+
+import crypto from 'crypto';
+import { collectionRepository } from '../storage/repositories/CollectionRepository.js';
+import { boilRepository } from '../storage/repositories/BoilRepository.js';
+import { seasonRepository } from '../storage/repositories/SeasonRepository.js';
+import { dailyStatsRepository } from '../storage/repositories/DailyStatsRepository.js';
+import { seasonStatsRepository } from '../storage/repositories/SeasonStatsRepository.js';
+import { applyFieldChanges } from '../storage/adapters/DocumentStoreAdapter.js';
+
+/** Bump when the aggregate fields change; older season aggregates are rebuilt on first read */
+export const AGGREGATE_VERSION = 1;
+
+/** seasonId -> rebuild in flight, so parallel stats requests rebuild once */
+const rebuilding = new Map();
+
+/** Rebuilds that keep being overtaken by writes give up after this many tries and leave the season to the next read */
+const REBUILD_ATTEMPTS = 3;
+
+function dayOf(value) {
+  return value ? String(value).split('T')[0] : null;
+}
+
+/**
+ * What one collection adds to its day and season (sign -1 takes it back out)
+ */
+function collectionDeltas(collection, sign) {
+  const volume = Number(collection.volume) || 0;
+  const brix = Number(collection.sugarContent) || 0;
+  const daily = {
+    sapVolume: sign * volume,
+    collectionCount: sign,
+    brixCount: brix > 0 ? sign : 0,
+    brixSum: brix > 0 ? sign * brix : 0,
+    brixVolume: brix > 0 && volume > 0 ? sign * volume : 0,
+    brixSugar: brix > 0 && volume > 0 ? sign * volume * brix : 0,
+  };
+  const season = { ...daily };
+  if (collection.zoneId) {
+    season[`zones.${collection.zoneId}.volume`] = sign * volume;
+    season[`zones.${collection.zoneId}.count`] = sign;
+  }
+  return { seasonId: collection.seasonId, date: dayOf(collection.date), daily, season, set: {} };
+}
+
+/**
+ * What one boil adds to its day and season. Concentrate boils are also kept individually (concentrateBoils),
+ * since their raw sap equivalent depends on RO runs and Brix that can change later.
+ */
+function boilDeltas(boil, sign) {
+  const sapIn = boil.sapVolumeIn || 0;
+  const syrup = boil.syrupVolumeOut || 0;
+  const isConcentrate = boil.feedType === 'concentrate';
+  const daily = {
+    boilCount: sign,
+    syrupVolume: sign * syrup,
+  };
+  const season = {
+    ...daily,
+    boilMinutes: sign * (boil.duration || 0),
+    sapBoilVolume: isConcentrate ? 0 : sign * sapIn,
+    concentrateVolume: isConcentrate ? sign * sapIn : 0,
+    yieldSapVolume: !isConcentrate && sapIn > 0 && syrup > 0 ? sign * sapIn : 0,
+    yieldSyrupVolume: !isConcentrate && sapIn > 0 && syrup > 0 ? sign * syrup : 0,
+  };
+  const set = {};
+  if (isConcentrate) {
+    set[`concentrateBoils.${boil.id}`] = sign > 0
+      ? { sapVolumeIn: sapIn, syrupVolumeOut: syrup, feedBrix: boil.feedBrix ?? null, roRunIds: boil.roRunIds || [] }
+      : null;
+  }
+  const logs = boil.fuelLogs || [];
+  if (logs.length > 0) {
+    season.boilsWithFuel = sign;
+    season.syrupWithFuel = sign * syrup;
+    for (const log of logs) {
+      const key = `${log.fuelType}_${log.unit}`;
+      season[`fuel.${key}.logs`] = (season[`fuel.${key}.logs`] || 0) + sign;
+      season[`fuel.${key}.quantity`] = (season[`fuel.${key}.quantity`] || 0) + sign * (log.quantity || 0);
+      set[`fuel.${key}.fuelType`] = log.fuelType;
+      set[`fuel.${key}.unit`] = log.unit;
+      if (log.unitCost != null) {
+        const cost = sign * (log.quantity || 0) * log.unitCost;
+        season[`fuel.${key}.cost`] = (season[`fuel.${key}.cost`] || 0) + cost;
+        season[`fuel.${key}.costedLogs`] = (season[`fuel.${key}.costedLogs`] || 0) + sign;
+        season.totalCost = (season.totalCost || 0) + cost;
+      } else {
+        season.uncostedLogs = (season.uncostedLogs || 0) + sign;
+      }
+    }
+  }
+  return { seasonId: boil.seasonId, date: dayOf(boil.date), daily, season, set };
+}
+
+/**
+ * Sum changes into one per day (daily sums only) and one per season (season sums and sets), season last
+ */
+function mergeChanges(changes) {
+  const days = new Map();
+  const seasons = new Map();
+  const add = (target, increments) => {
+    for (const [key, value] of Object.entries(increments)) target[key] = (target[key] || 0) + value;
+  };
+  for (const change of changes) {
+    if (!change.seasonId) continue;
+    if (change.date) {
+      const key = `${change.seasonId}_${change.date}`;
+      if (!days.has(key)) {
+        days.set(key, { seasonId: change.seasonId, date: change.date, daily: {}, season: null, set: {} });
+      }
+      add(days.get(key).daily, change.daily);
+    }
+    if (!seasons.has(change.seasonId)) {
+      seasons.set(change.seasonId, { seasonId: change.seasonId, date: null, daily: {}, season: {}, set: {} });
+    }
+    const season = seasons.get(change.seasonId);
+    add(season.season, change.season);
+    Object.assign(season.set, change.set);
+  }
+  return [...days.values(), ...seasons.values()];
+}
+
+/**
+ * Season totals marked out of date, with a generation bump so a rebuild in flight doesn't store
+ */
+function outOfDate(data) {
+  return { ...data, version: null, generation: (data.generation || 0) + 1 };
+}
+
+/**
+ * Apply changes in order: each one's day sums, then its season totals with a generation bump, unless the season's
+ * mark is no longer the one in marks (see the header). A season missing from marks is applied unchecked.
+ * A change with season null only touches its day and must be followed by one for its season.
+ */
+async function applyDeltas(changes, marks = {}) {
+  const seasonIds = new Set();
+  try {
+    for (const change of changes) {
+      if (!change.seasonId) continue;
+      seasonIds.add(change.seasonId);
+      if (change.date) await dailyStatsRepository.incrementDay(change.seasonId, change.date, change.daily);
+      if (!change.season) continue;
+      let stale = false;
+      await seasonStatsRepository.updateAtomically(change.seasonId, (data) => {
+        stale = change.seasonId in marks && (data?.rebuildId ?? null) !== marks[change.seasonId];
+        if (stale) return data ? outOfDate(data) : undefined;
+        return applyFieldChanges(data || {}, { ...change.season, generation: 1 }, change.set);
+      });
+      if (stale) await dailyStatsRepository.deleteBySeasonId(change.seasonId);
+    }
+  } catch (err) {
+    console.error('[stats] Failed to update aggregates, will rebuild:', err?.message);
+    await Promise.all([...seasonIds].map((id) => invalidateSeasonAggregates(id).catch(() => {})));
+  }
+}
+
+/**
+ * Mark a season's aggregates out of date so the next read rebuilds them from the records (see the header)
+ */
+async function invalidateSeasonAggregates(seasonId) {
+  await seasonStatsRepository.updateAtomically(seasonId, (data) => (data ? outOfDate(data) : undefined));
+  await dailyStatsRepository.deleteBySeasonId(seasonId);
+}
+
+/**
+ * The seasons' marks, read before writing their records and passed on to apply*Change (see the header)
+ * @returns {Promise<Object<string, string|null>>} seasonId -> rebuildId
+ */
+export async function readAggregateMarks(...seasonIds) {
+  const ids = [...new Set(seasonIds.filter(Boolean))];
+  const totals = await Promise.all(ids.map((id) => seasonStatsRepository.findById(id)));
+  return Object.fromEntries(ids.map((id, i) => [id, totals[i]?.rebuildId ?? null]));
+}
+
+/**
+ * Update aggregates after a collection is created (before null), updated, or deleted (after null)
+ */
+export async function applyCollectionChange(before, after, marks) {
+  const changes = [];
+  if (before) changes.push(collectionDeltas(before, -1));
+  if (after) changes.push(collectionDeltas(after, 1));
+  await applyDeltas(changes, marks);
+}
+
+/**
+ * Update aggregates after many collections are created at once (an import), summed per season and day first
+ */
+export async function applyCollectionsCreated(collections, marks) {
+  await applyDeltas(mergeChanges(collections.map((c) => collectionDeltas(c, 1))), marks);
+}
+
+/**
+ * Update aggregates after a boil is created (before null), updated, or deleted (after null)
+ */
+export async function applyBoilChange(before, after, marks) {
+  const changes = [];
+  if (before) changes.push(boilDeltas(before, -1));
+  if (after) changes.push(boilDeltas(after, 1));
+  await applyDeltas(changes, marks);
+}
+
+/**
+ * Recompute a season's aggregates from all its collections and boils, replacing what was stored. Starts over when
+ * a write bumps the generation meanwhile; after REBUILD_ATTEMPTS the stored aggregates are invalidated so the next
+ * read rebuilds again, and the last computed aggregates are returned as they are.
+ * @returns {Promise<{ totals, days }>}
+ */
+export async function rebuildSeasonAggregates(seasonId) {
+  for (let attempt = 1; ; attempt++) {
+    const result = await tryRebuildSeasonAggregates(seasonId);
+    if (result.stored) return { totals: result.totals, days: result.days };
+    if (attempt >= REBUILD_ATTEMPTS) {
+      console.error(`[stats] Aggregates for season ${seasonId} kept changing during rebuild, will rebuild on next read`);
+      await invalidateSeasonAggregates(seasonId).catch(() => {});
+      return { totals: result.totals, days: result.days };
+    }
+  }
+}
+
+/**
+ * One rebuild pass: rewrite the day sums, then store the totals only if the generation is unchanged
+ * @returns {Promise<{ stored: boolean, totals, days }>}
+ */
+async function tryRebuildSeasonAggregates(seasonId) {
+  const generation = (await seasonStatsRepository.findById(seasonId))?.generation || 0;
+  const [season, collections, boils] = await Promise.all([
+    seasonRepository.findById(seasonId),
+    collectionRepository.findBySeasonId(seasonId),
+    boilRepository.findBySeasonId(seasonId),
+  ]);
+  let totals = {};
+  const days = new Map();
+  const changes = [
+    ...collections.map((c) => collectionDeltas(c, 1)),
+    ...boils.map((b) => boilDeltas(b, 1)),
+  ];
+  for (const change of changes) {
+    totals = applyFieldChanges(totals, change.season, change.set);
+    if (change.date) days.set(change.date, applyFieldChanges(days.get(change.date), change.daily));
+  }
+
+  const emptied = (await dailyStatsRepository.findBySeasonId(seasonId)).filter((d) => !days.has(d.date));
+  await Promise.all([
+    ...[...days].map(([date, sums]) => dailyStatsRepository.setDay(seasonId, date, sums)),
+    ...emptied.map((d) => dailyStatsRepository.delete(d.id)),
+  ]);
+  totals = {
+    ...totals,
+    seasonId,
+    organizationId: season?.organizationId ?? null,
+    generation,
+    version: AGGREGATE_VERSION,
+    rebuildId: crypto.randomUUID(),
+    rebuiltAt: new Date().toISOString(),
+  };
+  let stored = false;
+  await seasonStatsRepository.updateAtomically(seasonId, (data) => {
+    stored = (data?.generation || 0) === generation;
+    return stored ? totals : undefined;
+  });
+  if (!stored) {
+    const computedDays = [...days].map(([date, sums]) => ({ ...sums, seasonId, date }));
+    return { stored, totals, days: computedDays.sort((a, b) => a.date.localeCompare(b.date)) };
+  }
+  return {
+    stored,
+    totals: await seasonStatsRepository.findById(seasonId),
+    days: await dailyStatsRepository.findBySeasonId(seasonId),
+  };
+}
+
+/**
+ * A season's aggregates: totals (season sums, zones, fuel, concentrateBoils) and days (oldest first).
+ * Rebuilt first when missing or out of date.
+ * @returns {Promise<{ totals, days }>}
+ */
+export async function getSeasonAggregates(seasonId) {
+  const totals = await seasonStatsRepository.findById(seasonId);
+  if (totals?.version === AGGREGATE_VERSION) {
+    return { totals, days: await dailyStatsRepository.findBySeasonId(seasonId) };
+  }
+  if (!rebuilding.has(seasonId)) {
+    rebuilding.set(seasonId, rebuildSeasonAggregates(seasonId).finally(() => rebuilding.delete(seasonId)));
+  }
+  return rebuilding.get(seasonId);
+}
@@ -2,14 +2,28 @@
  * Stats Service - Yield calculations and aggregations
  */
 
-import { collectionRepository } from '../storage/repositories/CollectionRepository.js';
-import { boilRepository } from '../storage/repositories/BoilRepository.js';
 import { zoneRepository } from '../storage/repositories/ZoneRepository.js';
 import { seasonRepository } from '../storage/repositories/SeasonRepository.js';
 import { seasonZoneRepository } from '../storage/repositories/SeasonZoneRepository.js';
+import { syrupBatchRepository } from '../storage/repositories/SyrupBatchRepository.js';
+import { roRunRepository } from '../storage/repositories/RoRunRepository.js';
+import { tapRepository } from '../storage/repositories/TapRepository.js';
+import { vacuumReadingRepository } from '../storage/repositories/VacuumReadingRepository.js';
+import { seasonSnapshotRepository } from '../storage/repositories/SeasonSnapshotRepository.js';
+import { SYRUP_GRADES } from '../constants/syrupGrades.js';
 import { weatherService, isSapFlowIdeal, getSapFlowTier } from './WeatherService.js';
+import { countTapsByZone, seasonWindow } from './TapInventoryService.js';
+import { recordedVacuumInHg } from './VacuumService.js';
+import { onRealtimeEvent } from '../realtime/realtime.js';
+import { getSeasonAggregates } from './StatsAggregateService.js';
+import { recordPredictions } from './PredictionAccuracyService.js';
 
-/** Get zones for a season: included only, with resolved tapCount (per-season override or zone default). */
+/**
+ * Get zones for a season: included only, with resolved tapCount. Zones with a tap inventory count the taps active
+ * during the season; others use the per-season override, then the zone default. tapCountSource says which.
+ * vacuumInHg resolves the same way: recorded readings in the season window, then the season override, then the
+ * zone default (vacuumSource: readings, season or zone).
+ */
 export async function getZonesForSeason(seasonId) {
   const season = await seasonRepository.findById(seasonId);
   if (!season) return [];
@@ -19,16 +33,48 @@ export async function getZonesForSeason(seasonId) {
   } else {
     orgZones = await zoneRepository.findBySeasonId(seasonId);
   }
-  const seasonZones = await seasonZoneRepository.findBySeasonId(seasonId);
+  const window = seasonWindow(season);
+  const vacuumRange = { since: `${window.start}T00:00:00.000Z`, until: `${window.end}T23:59:59.999Z` };
+  // Vacuum readings for the whole season window in one query (per zone only for legacy zones without an operation)
+  const [seasonZones, taps, readings] = await Promise.all([
+    seasonZoneRepository.findBySeasonId(seasonId),
+    season.organizationId ? tapRepository.findByOrganizationId(season.organizationId) : [],
+    season.organizationId
+      ? vacuumReadingRepository.findByOrganizationId(season.organizationId, vacuumRange)
+      : Promise.all(orgZones.map((z) => vacuumReadingRepository.findByZoneId(z.id, vacuumRange))).then((r) => r.flat()),
+  ]);
   const byZoneId = new Map(seasonZones.map((sz) => [sz.zoneId, sz]));
+  const inventoryCounts = countTapsByZone(taps, season);
+  const readingsByZone = new Map();
+  for (const reading of readings) {
+    if (!readingsByZone.has(reading.zoneId)) readingsByZone.set(reading.zoneId, []);
+    readingsByZone.get(reading.zoneId).push(reading);
+  }
 
   const result = [];
   for (const zone of orgZones) {
     const sz = byZoneId.get(zone.id);
     if (sz && sz.included === false) continue;
-    const resolvedTapCount = sz?.tapCount ?? zone.tapCount ?? 0;
-    const vacuumInHg = sz?.vacuumInHg ?? zone.vacuumInHg ?? 0;
-    result.push({ ...zone, tapCount: resolvedTapCount, vacuumInHg: Number(vacuumInHg) || 0 });
+    let tapCount = zone.tapCount ?? 0;
+    let tapCountSource = 'zone';
+    if (inventoryCounts.has(zone.id)) {
+      tapCount = inventoryCounts.get(zone.id);
+      tapCountSource = 'inventory';
+    } else if (sz?.tapCount != null) {
+      tapCount = sz.tapCount;
+      tapCountSource = 'season';
+    }
+    let vacuumInHg = zone.vacuumInHg ?? 0;
+    let vacuumSource = 'zone';
+    const recorded = recordedVacuumInHg(readingsByZone.get(zone.id) || []);
+    if (recorded != null) {
+      vacuumInHg = recorded;
+      vacuumSource = 'readings';
+    } else if (sz?.vacuumInHg != null) {
+      vacuumInHg = sz.vacuumInHg;
+      vacuumSource = 'season';
+    }
+    result.push({ ...zone, tapCount, tapCountSource, vacuumInHg: Number(vacuumInHg) || 0, vacuumSource });
   }
   return result;
 }
@@ -119,6 +165,97 @@ function vacuumMultiplier(vacuumInHg) {
   return 1 + (vacuumInHg / 25) * VACUUM_EFFECT_F;
 }
 
+/** Two-sided Student t critical values for 80% and 95% prediction intervals, for 1 to 30 degrees of freedom */
+const T_CRITICAL = {
+  80: [3.078, 1.886, 1.638, 1.533, 1.476, 1.440, 1.415, 1.397, 1.383, 1.372, 1.363, 1.356, 1.350, 1.345, 1.341,
+    1.337, 1.333, 1.330, 1.328, 1.325, 1.323, 1.321, 1.319, 1.318, 1.316, 1.315, 1.314, 1.313, 1.311, 1.310],
+  95: [12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228, 2.201, 2.179, 2.160, 2.145, 2.131,
+    2.120, 2.110, 2.101, 2.093, 2.086, 2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042],
+};
+/** [degrees of freedom, value] past 30; in between, the value for the next lower entry (slightly wider) */
+const T_CRITICAL_LARGE_DF = {
+  80: [[120, 1.289], [60, 1.296], [40, 1.303]],
+  95: [[120, 1.980], [60, 2.000], [40, 2.021]],
+};
+
+/** Below this many degrees of freedom (days of history minus model terms) a forecast is low confidence */
+const LOW_CONFIDENCE_DF = 5;
+/** From this many degrees of freedom, a forecast within the training weather is high confidence */
+const HIGH_CONFIDENCE_DF = 15;
+
+function tCritical(level, df) {
+  if (df <= 30) return T_CRITICAL[level][df - 1];
+  return T_CRITICAL_LARGE_DF[level].find(([minDf]) => df >= minDf)?.[1] ?? T_CRITICAL[level][29];
+}
+
+/**
+ * Goodness of fit of a regression on its training rows: r2, degrees of freedom (n - terms) and residual
+ * standard error (null without spare degrees of freedom).
+ */
+function regressionFit(model, X, y) {
+  const fitted = X.map((row) => row.reduce((sum, x, j) => sum + model.coefficients[j] * x, 0));
+  const meanY = y.reduce((a, b) => a + b, 0) / y.length;
+  const ssTot = y.reduce((sum, yi) => sum + (yi - meanY) ** 2, 0);
+  const ssRes = y.reduce((sum, yi, i) => sum + (yi - fitted[i]) ** 2, 0);
+  const df = X.length - model.coefficients.length;
+  return {
+    r2: ssTot > 0 ? Math.round((1 - ssRes / ssTot) * 100) / 100 : null,
+    df,
+    residualStdError: df > 0 ? Math.sqrt(ssRes / df) : null,
+  };
+}
+
+/**
+ * Min and max of each weather feature over the training rows (not the intercept or the 0/1 idealConditions flag)
+ */
+function trainingRanges(X, featureNames) {
+  return featureNames
+    .map((name, index) => ({ name, index }))
+    .filter(({ name }) => name !== 'intercept' && name !== 'idealConditions')
+    .map(({ name, index }) => {
+      const values = X.map((row) => row[index]);
+      return { name, index, min: Math.min(...values), max: Math.max(...values) };
+    });
+}
+
+/**
+ * Uncertainty of one forecast day from a regression: 80% and 95% prediction intervals (point ± t × residual
+ * standard error × √(1 + leverage)), scaled like the point estimate and floored at 0, and a confidence label.
+ * Confidence is low with under LOW_CONFIDENCE_DF degrees of freedom or when the day's high or low temperature (or
+ * two or more features) fall outside the training range; medium under HIGH_CONFIDENCE_DF or with one other
+ * feature outside it; high otherwise.
+ */
+function forecastUncertainty(model, fit, ranges, features, scale) {
+  const outsideTrainingRange = ranges
+    .filter(({ index, min, max }) => features[index] < min || features[index] > max)
+    .map(({ name }) => name);
+
+  const intervals = { interval80: null, interval95: null };
+  if (fit.residualStdError != null) {
+    const point = features.reduce((sum, x, j) => sum + model.coefficients[j] * x, 0);
+    const leverage = features.reduce((sum, xi, i) =>
+      sum + xi * model.inverseXtX[i].reduce((rowSum, a, j) => rowSum + a * features[j], 0), 0);
+    const standardError = fit.residualStdError * Math.sqrt(1 + Math.max(0, leverage));
+    for (const level of [80, 95]) {
+      const half = tCritical(level, fit.df) * standardError;
+      intervals[`interval${level}`] = {
+        low: Math.max(0, Math.round((point - half) * scale * 100) / 100),
+        high: Math.max(0, Math.round((point + half) * scale * 100) / 100),
+      };
+    }
+  }
+
+  let confidence = 'high';
+  const tempOutside = outsideTrainingRange.includes('tempHigh') || outsideTrainingRange.includes('tempLow');
+  if (fit.df < LOW_CONFIDENCE_DF || tempOutside || outsideTrainingRange.length >= 2) {
+    confidence = 'low';
+  } else if (fit.df < HIGH_CONFIDENCE_DF || outsideTrainingRange.length > 0) {
+    confidence = 'medium';
+  }
+
+  return { ...intervals, confidence, outsideTrainingRange };
+}
+
 /**
  * Calculate the "Rule of 86" - estimate syrup yield from Brix reading
  * Formula: gallons of sap needed = 86 / Brix
@@ -128,6 +265,128 @@ export function calculateRuleOf86(brix) {
   return 86 / brix;
 }
 
+/** Volume-weighted average Brix over records that have one, or null */
+function weightedBrix(records, volumeField, brixField) {
+  let volume = 0;
+  let sugar = 0;
+  for (const r of records) {
+    if (r[brixField] > 0 && r[volumeField] > 0) {
+      volume += r[volumeField];
+      sugar += r[volumeField] * r[brixField];
+    }
+  }
+  return volume > 0 ? sugar / volume : null;
+}
+
+/**
+ * RO efficiency over a set of runs (volumes in liters): share of water removed, concentration factor
+ * (liters of sap per liter of concentrate), sugar kept in the concentrate and throughput per membrane hour.
+ */
+export function roRunEfficiency(runs) {
+  const sum = (field) => runs.reduce((t, r) => t + (r[field] || 0), 0);
+  const inputVolume = sum('inputVolume');
+  const concentrateVolume = sum('concentrateVolume');
+  const permeateVolume = sum('permeateVolume');
+  const membraneHours = sum('membraneHours');
+  const inputBrix = weightedBrix(runs, 'inputVolume', 'inputBrix');
+  const concentrateBrix = weightedBrix(runs, 'concentrateVolume', 'concentrateBrix');
+
+  const runsWithBothBrix = runs.filter((r) => r.inputBrix > 0 && r.concentrateBrix > 0);
+  const sugarIn = runsWithBothBrix.reduce((t, r) => t + r.inputVolume * r.inputBrix, 0);
+  const sugarOut = runsWithBothBrix.reduce((t, r) => t + r.concentrateVolume * r.concentrateBrix, 0);
+
+  const round = (n, places) => (n == null ? null : Math.round(n * 10 ** places) / 10 ** places);
+  return {
+    runCount: runs.length,
+    inputVolume: round(inputVolume, 2),
+    concentrateVolume: round(concentrateVolume, 2),
+    permeateVolume: round(permeateVolume, 2),
+    waterRemovedPercent: inputVolume > 0 ? round((permeateVolume / inputVolume) * 100, 1) : null,
+    concentrationFactor: concentrateVolume > 0 ? round(inputVolume / concentrateVolume, 2) : null,
+    avgInputBrix: round(inputBrix, 1),
+    avgConcentrateBrix: round(concentrateBrix, 1),
+    sugarRecoveryPercent: sugarIn > 0 ? round((sugarOut / sugarIn) * 100, 1) : null,
+    membraneHours: round(membraneHours, 1),
+    litersPerMembraneHour: membraneHours > 0 ? round(inputVolume / membraneHours, 1) : null,
+    washCycles: sum('washCycles'),
+  };
+}
+
+/**
+ * Raw sap volume (liters) a boil stands for. Sap boils are taken as-is; concentrate boils are scaled back up
+ * by the concentration factor of their linked RO runs, then feed Brix / raw Brix, then the season's RO runs.
+ * @param {object} boil
+ * @param {{ runsById: Map<string, object>, seasonFactor: number | null, rawBrix: number | null }} context
+ */
+export function rawSapEquivalent(boil, { runsById, seasonFactor, rawBrix }) {
+  const volume = boil.sapVolumeIn || 0;
+  if (boil.feedType !== 'concentrate') return volume;
+  const linked = (boil.roRunIds || []).map((id) => runsById.get(id)).filter(Boolean);
+  const linkedFactor = linked.length > 0 ? roRunEfficiency(linked).concentrationFactor : null;
+  const brixFactor = boil.feedBrix > 0 && rawBrix > 0 ? boil.feedBrix / rawBrix : null;
+  return volume * (linkedFactor ?? brixFactor ?? seasonFactor ?? 1);
+}
+
+/**
+ * Brix of what went into the evaporator: raw sap Brix for sap boils; for concentrate boils the recorded
+ * feed Brix, else the concentrate Brix of linked (or all season) RO runs.
+ */
+function boilFeedBrix(boil, { runsById, rawBrix, seasonConcentrateBrix }) {
+  if (boil.feedType !== 'concentrate') return rawBrix;
+  if (boil.feedBrix > 0) return boil.feedBrix;
+  const linked = (boil.roRunIds || []).map((id) => runsById.get(id)).filter(Boolean);
+  return weightedBrix(linked, 'concentrateVolume', 'concentrateBrix') ?? seasonConcentrateBrix;
+}
+
+/**
+ * Fuel use from a season's aggregates (fuel logs summed per fuel type/unit): quantity and cost, and per liter of
+ * syrup. Per-liter figures only count syrup from boils that have fuel logs, so unlogged boils don't dilute them.
+ */
+function summarizeFuel(totals) {
+  const syrupWithFuel = totals.syrupWithFuel || 0;
+  const perLiter = (value) => (syrupWithFuel > 0 ? Math.round((value / syrupWithFuel) * 1000) / 1000 : null);
+  const groups = Object.values(totals.fuel || {}).filter((g) => g.logs > 0);
+  return {
+    boilsWithFuel: totals.boilsWithFuel || 0,
+    syrupWithFuel: Math.round(syrupWithFuel * 1000) / 1000,
+    totalCost: Math.round((totals.totalCost || 0) * 100) / 100,
+    costPerLiterSyrup: perLiter(totals.totalCost || 0),
+    uncostedLogs: totals.uncostedLogs || 0,
+    byFuel: groups.map((g) => {
+      const cost = g.costedLogs > 0 ? g.cost || 0 : null;
+      return {
+        fuelType: g.fuelType,
+        unit: g.unit,
+        quantity: Math.round((g.quantity || 0) * 1000) / 1000,
+        cost: cost != null ? Math.round(cost * 100) / 100 : null,
+        quantityPerLiterSyrup: perLiter(g.quantity || 0),
+        costPerLiterSyrup: cost != null ? perLiter(cost) : null,
+      };
+    }),
+  };
+}
+
+/** Concentrate boils kept individually in a season's aggregates, shaped like boils for rawSapEquivalent */
+function aggregatedConcentrateBoils(totals) {
+  return Object.entries(totals.concentrateBoils || {}).map(([id, b]) => ({ id, feedType: 'concentrate', ...b }));
+}
+
+/**
+ * Raw sap equivalent and syrup over a season's boils that have both, for the operation-wide yield ratio
+ */
+function yieldSapAndSyrup(totals, context) {
+  let sap = totals.yieldSapVolume || 0;
+  let syrup = totals.yieldSyrupVolume || 0;
+  for (const b of aggregatedConcentrateBoils(totals)) {
+    const equivalent = rawSapEquivalent(b, context);
+    if (equivalent > 0 && b.syrupVolumeOut > 0) {
+      sap += equivalent;
+      syrup += b.syrupVolumeOut;
+    }
+  }
+  return { sap, syrup };
+}
+
 /**
  * Convert volume between units
  */
@@ -146,6 +405,56 @@ export function convertVolume(volume, fromUnit, toUnit) {
   return volume;
 }
 
+/** How seasons can be lined up in a comparison */
+export const COMPARE_ALIGNMENTS = ['dayOfSeason', 'calendarDate'];
+export const MAX_COMPARE_SEASONS = 10;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** YYYY-MM-DD of a record date */
+function dayOf(value) {
+  return value ? String(value).split('T')[0] : null;
+}
+
+/**
+ * Per-day running totals for one season from its daily aggregates, keyed by YYYY-MM-DD: sap and syrup for the
+ * day and to date, and the volume-weighted raw sap Brix for the day and to date. Per-tap values use the season's
+ * tap count.
+ */
+function cumulativeSeasonCurve(dailyStats, totalTaps) {
+  const byDay = new Map(
+    dailyStats.filter((d) => d.collectionCount > 0 || d.boilCount > 0).map((d) => [d.date, d])
+  );
+  const days = [...byDay.keys()].filter(Boolean).sort();
+  if (days.length === 0) return { firstDay: null, lastDay: null, byDate: new Map() };
+  const byDate = new Map();
+  let sap = 0;
+  let syrup = 0;
+  let brixVolume = 0;
+  let brixSugar = 0;
+  // Walk every calendar day so days without records carry the running totals forward
+  for (let t = new Date(`${days[0]}T00:00:00Z`).getTime(); t <= new Date(`${days[days.length - 1]}T00:00:00Z`).getTime(); t += DAY_MS) {
+    const date = new Date(t).toISOString().split('T')[0];
+    const e = byDay.get(date) || {};
+    sap += e.sapVolume || 0;
+    syrup += e.syrupVolume || 0;
+    brixVolume += e.brixVolume || 0;
+    brixSugar += e.brixSugar || 0;
+    byDate.set(date, {
+      date,
+      sap: Math.round((e.sapVolume || 0) * 100) / 100,
+      cumulativeSap: Math.round(sap * 100) / 100,
+      syrup: Math.round((e.syrupVolume || 0) * 1000) / 1000,
+      cumulativeSyrup: Math.round(syrup * 1000) / 1000,
+      brix: e.brixVolume > 0 ? Math.round((e.brixSugar / e.brixVolume) * 10) / 10 : null,
+      cumulativeBrix: brixVolume > 0 ? Math.round((brixSugar / brixVolume) * 10) / 10 : null,
+      cumulativeSapPerTap: totalTaps > 0 ? Math.round((sap / totalTaps) * 1000) / 1000 : null,
+      cumulativeSyrupPerTap: totalTaps > 0 ? Math.round((syrup / totalTaps) * 10000) / 10000 : null,
+    });
+  }
+  return { firstDay: days[0], lastDay: days[days.length - 1], byDate };
+}
+
 /** In-memory cache for getDetailedWeatherCorrelation to avoid duplicate archive calls (e.g. when flow-predictions runs in parallel). TTL in ms. */
 const DETAILED_CORRELATION_CACHE_TTL_MS = 90 * 1000;
 const detailedCorrelationCache = new Map();
@@ -156,26 +465,73 @@ function detailedCorrelationCacheKey(seasonId, lat, lng, temperatureUnit) {
   return `${seasonId}|${Number(lat)}|${Number(lng)}|${temperatureUnit || 'fahrenheit'}`;
 }
 
+/** Operation analytics are cached per operation until a change to its data; this caps how long in any case */
+export const OPERATION_ANALYTICS_CACHE_MS = (Number(process.env.OPERATION_ANALYTICS_CACHE_MINUTES) || 60) * 60 * 1000;
+/** Realtime events whose records feed operation analytics (type prefix before the colon) */
+const ANALYTICS_EVENT_PREFIXES = new Set(['collection', 'collections', 'boil', 'ro', 'zone', 'season', 'seasonZone', 'taps', 'tap']);
+/** operationId -> { analytics, expiresAt } */
+const operationAnalyticsCache = new Map();
+/** operationId -> { generation, promise } for the computation in flight */
+const operationAnalyticsPending = new Map();
+/** operationId -> number of invalidations, so a computation that raced a write isn't cached */
+const operationAnalyticsGeneration = new Map();
+
+/**
+ * Drop an operation's cached analytics
+ */
+export function invalidateOperationAnalytics(operationId) {
+  operationAnalyticsCache.delete(operationId);
+  operationAnalyticsGeneration.set(operationId, (operationAnalyticsGeneration.get(operationId) || 0) + 1);
+}
+
+onRealtimeEvent((operationId, event) => {
+  if (ANALYTICS_EVENT_PREFIXES.has(String(event.type).split(':')[0])) invalidateOperationAnalytics(operationId);
+});
+
+/** Percentage change from previous to current, one decimal, or null */
+function changePercent(current, previous) {
+  if (current == null || !previous) return null;
+  return Math.round(((current - previous) / previous) * 1000) / 10;
+}
+
 class StatsServiceClass {
   /**
-   * Get comprehensive stats for a season (all volumes in liters)
+   * Get comprehensive stats for a season (all volumes in liters), from its materialized aggregates
    */
   async getSeasonStats(seasonId) {
-    const [season, collections, boils, zones] = await Promise.all([
+    const [season, { totals, days }, zones, batches, roRuns] = await Promise.all([
       seasonRepository.findById(seasonId),
-      collectionRepository.findBySeasonId(seasonId),
-      boilRepository.findBySeasonId(seasonId),
+      getSeasonAggregates(seasonId),
       getZonesForSeason(seasonId),
+      syrupBatchRepository.findBySeasonId(seasonId),
+      roRunRepository.findBySeasonId(seasonId),
     ]);
 
     // Total sap collected (stored in liters)
-    const totalSapCollected = collections.reduce((t, col) => t + (col.volume || 0), 0);
+    const totalSapCollected = totals.sapVolume || 0;
+
+    // Average sugar content (Brix) of raw sap
+    const avgBrix = totals.brixCount > 0 ? totals.brixSum / totals.brixCount : null;
+
+    // RO: concentrate boils are counted as the raw sap they came from
+    const ro = roRunEfficiency(roRuns);
+    const roContext = {
+      runsById: new Map(roRuns.map((r) => [r.id, r])),
+      seasonFactor: ro.concentrationFactor,
+      rawBrix: avgBrix ?? ro.avgInputBrix,
+      seasonConcentrateBrix: ro.avgConcentrateBrix,
+    };
+    const concentrateBoils = aggregatedConcentrateBoils(totals);
+
+    // Total sap processed (boiled, raw sap equivalent in liters)
+    const totalSapProcessed = (totals.sapBoilVolume || 0)
+      + concentrateBoils.reduce((t, b) => t + rawSapEquivalent(b, roContext), 0);
 
-    // Total sap processed (boiled, stored in liters)
-    const totalSapProcessed = boils.reduce((t, b) => t + (b.sapVolumeIn || 0), 0);
+    // Concentrate that went into the evaporator (liters)
+    const totalConcentrateBoiled = totals.concentrateVolume || 0;
 
     // Total syrup produced
-    const totalSyrupProduced = boils.reduce((t, b) => t + (b.syrupVolumeOut || 0), 0);
+    const totalSyrupProduced = totals.syrupVolume || 0;
 
     // Yield ratio (sap to syrup) for this season (for display)
     const yieldRatio = totalSyrupProduced > 0
@@ -183,25 +539,39 @@ class StatsServiceClass {
       : null;
 
     // For estimating pending syrup: use average yield ratio across all boils for this operation (all years), or 40:1 if none
-    let allBoils = boils;
+    let yieldTotals = [yieldSapAndSyrup(totals, roContext)];
     if (season?.organizationId) {
       const operationSeasons = await seasonRepository.findByOrganizationId(season.organizationId);
-      const operationBoils = await Promise.all(
-        operationSeasons.map((s) => boilRepository.findBySeasonId(s.id))
+      yieldTotals = await Promise.all(
+        operationSeasons.map(async (s) => {
+          if (s.id === seasonId) return yieldTotals[0];
+          const [aggregates, seasonRuns] = await Promise.all([
+            getSeasonAggregates(s.id),
+            roRunRepository.findBySeasonId(s.id),
+          ]);
+          const context = {
+            runsById: new Map(seasonRuns.map((r) => [r.id, r])),
+            seasonFactor: roRunEfficiency(seasonRuns).concentrationFactor,
+            rawBrix: null,
+          };
+          return yieldSapAndSyrup(aggregates.totals, context);
+        })
       );
-      allBoils = operationBoils.flat();
     }
-    const validBoils = allBoils.filter((b) => (b.sapVolumeIn || 0) > 0 && (b.syrupVolumeOut || 0) > 0);
-    const totalSapAll = validBoils.reduce((t, b) => t + (b.sapVolumeIn || 0), 0);
-    const totalSyrupAll = validBoils.reduce((t, b) => t + (b.syrupVolumeOut || 0), 0);
+    const totalSapAll = yieldTotals.reduce((t, y) => t + y.sap, 0);
+    const totalSyrupAll = yieldTotals.reduce((t, y) => t + y.syrup, 0);
     const averageYieldRatioForEstimate = totalSyrupAll > 0 ? totalSapAll / totalSyrupAll : null;
     const effectiveYieldRatioForEstimate = averageYieldRatioForEstimate ?? DEFAULT_YIELD_RATIO;
 
-    // Average sugar content (Brix)
-    const collectionsWithBrix = collections.filter((c) => c.sugarContent > 0);
-    const avgBrix = collectionsWithBrix.length > 0
-      ? collectionsWithBrix.reduce((t, c) => t + c.sugarContent, 0) / collectionsWithBrix.length
-      : null;
+    // Rule of 86: expected sap:syrup ratio from raw Brix, and expected syrup from what each boil was fed
+    const ruleOf86Ratio = calculateRuleOf86(roContext.rawBrix);
+    let expectedSyrupFromBrix = null;
+    if (ruleOf86Ratio && totals.sapBoilVolume > 0) expectedSyrupFromBrix = totals.sapBoilVolume / ruleOf86Ratio;
+    for (const b of concentrateBoils) {
+      const ratio = calculateRuleOf86(boilFeedBrix(b, roContext));
+      if (!ratio || !(b.sapVolumeIn > 0)) continue;
+      expectedSyrupFromBrix = (expectedSyrupFromBrix ?? 0) + b.sapVolumeIn / ratio;
+    }
 
     // Total taps
     const totalTaps = zones.reduce((t, z) => t + (z.tapCount || 0), 0);
@@ -213,13 +583,14 @@ class StatsServiceClass {
     const syrupPerTap = totalTaps > 0 ? totalSyrupProduced / totalTaps : null;
 
     // Collection days
-    const collectionDays = new Set(collections.map((c) => c.date.split('T')[0])).size;
+    const collectionDates = days.filter((d) => d.collectionCount > 0).map((d) => d.date);
+    const collectionDays = collectionDates.length;
 
     // Boil sessions
-    const boilSessions = boils.length;
+    const boilSessions = totals.boilCount || 0;
 
     // Total boil time (minutes)
-    const totalBoilTime = boils.reduce((t, b) => t + (b.duration || 0), 0);
+    const totalBoilTime = totals.boilMinutes || 0;
 
     // Average collection per day
     const avgCollectionPerDay = collectionDays > 0
@@ -232,16 +603,35 @@ class StatsServiceClass {
       ? sapPending / effectiveYieldRatioForEstimate
       : 0;
 
-    const seasonLength = ((new Date(collections[0]?.date) - new Date(collections[collections.length - 1]?.date)) / (1000 * 60 * 60 * 24)) + 1;
+    // Syrup per grade from batches (liters); ungraded batches are counted under 'ungraded'
+    const syrupByGrade = {};
+    for (const grade of [...SYRUP_GRADES.map((g) => g.id), 'ungraded']) {
+      syrupByGrade[grade] = { volume: 0, batchCount: 0 };
+    }
+    for (const batch of batches) {
+      const entry = syrupByGrade[batch.grade] ?? syrupByGrade.ungraded;
+      entry.volume += batch.volume || 0;
+      entry.batchCount += 1;
+    }
+    for (const entry of Object.values(syrupByGrade)) {
+      entry.volume = Math.round(entry.volume * 1000) / 1000;
+    }
+
+    const seasonLength = collectionDays > 0
+      ? (new Date(collectionDates[collectionDays - 1]) - new Date(collectionDates[0])) / DAY_MS + 1
+      : null;
 
     return {
       totalSapCollected: Math.round(totalSapCollected * 100) / 100,
       totalSapProcessed: Math.round(totalSapProcessed * 100) / 100,
+      totalConcentrateBoiled: Math.round(totalConcentrateBoiled * 100) / 100,
       totalSyrupProduced: Math.round(totalSyrupProduced * 1000) / 1000,
       sapPending: Math.round(sapPending * 100) / 100,
       estimatedPendingSyrup: Math.round(estimatedPendingSyrup * 1000) / 1000,
       yieldRatio: yieldRatio ? Math.round(yieldRatio * 10) / 10 : null,
       avgBrix: avgBrix ? Math.round(avgBrix * 10) / 10 : null,
+      ruleOf86Ratio: ruleOf86Ratio ? Math.round(ruleOf86Ratio * 10) / 10 : null,
+      expectedSyrupFromBrix: expectedSyrupFromBrix != null ? Math.round(expectedSyrupFromBrix * 1000) / 1000 : null,
       totalTaps,
       sapPerTap: sapPerTap ? Math.round(sapPerTap * 100) / 100 : null,
       syrupPerTap: syrupPerTap ? Math.round(syrupPerTap * 1000) / 1000 : null,
@@ -250,24 +640,59 @@ class StatsServiceClass {
       totalBoilTimeMinutes: Math.round(totalBoilTime),
       avgCollectionPerDay: Math.round(avgCollectionPerDay * 100) / 100,
       zoneCount: zones.length,
-      collectionCount: collections.length,
+      collectionCount: totals.collectionCount || 0,
+      batchCount: batches.length,
+      syrupByGrade,
+      ro,
+      fuel: summarizeFuel(totals),
     };
   }
 
   /**
-   * Get zone-level stats (volumes in liters)
+   * Fuel use and cost for a season, plus the same figures for every season of its operation (oldest first)
+   * so trends in cost per liter of syrup can be compared year over year.
+   */
+  async getFuelStats(seasonId) {
+    const season = await seasonRepository.findById(seasonId);
+    if (!season) return null;
+    const seasons = season.organizationId
+      ? await seasonRepository.findByOrganizationId(season.organizationId)
+      : [season];
+    const sorted = [...seasons].sort((a, b) => (a.year || 0) - (b.year || 0));
+
+    const trend = [];
+    let fuel = null;
+    for (const s of sorted) {
+      const { totals } = await getSeasonAggregates(s.id);
+      const summary = summarizeFuel(totals);
+      if (s.id === seasonId) fuel = summary;
+      const previous = trend[trend.length - 1];
+      trend.push({
+        seasonId: s.id,
+        seasonName: s.name,
+        year: s.year,
+        ...summary,
+        costPerLiterChangePercent: changePercent(summary.costPerLiterSyrup, previous?.costPerLiterSyrup),
+      });
+    }
+
+    return { seasonId, fuel, trend };
+  }
+
+  /**
+   * Get zone-level stats (volumes in liters), from the season's materialized aggregates
    */
   async getZoneStats(seasonId) {
-    const [collections, zones] = await Promise.all([
-      collectionRepository.findBySeasonId(seasonId),
+    const [{ totals }, zones] = await Promise.all([
+      getSeasonAggregates(seasonId),
       getZonesForSeason(seasonId),
     ]);
 
     const zoneStats = [];
 
     for (const zone of zones) {
-      const zoneCollections = collections.filter((c) => c.zoneId === zone.id);
-      const totalVolume = zoneCollections.reduce((t, col) => t + (col.volume || 0), 0);
+      const sums = totals.zones?.[zone.id] || {};
+      const totalVolume = sums.volume || 0;
 
       const sapPerTap = zone.tapCount > 0 ? totalVolume / zone.tapCount : null;
 
@@ -277,7 +702,7 @@ class StatsServiceClass {
         color: zone.color,
         tapCount: zone.tapCount || 0,
         totalVolume: Math.round(totalVolume * 100) / 100,
-        collectionCount: zoneCollections.length,
+        collectionCount: sums.count || 0,
         sapPerTap: sapPerTap ? Math.round(sapPerTap * 100) / 100 : null,
       });
     }
@@ -285,23 +710,238 @@ class StatsServiceClass {
     return zoneStats.sort((a, b) => b.totalVolume - a.totalVolume);
   }
 
+  /**
+   * Line up several seasons' cumulative sap, syrup, Brix and per-tap curves side by side.
+   * alignBy dayOfSeason counts day 1 from the season's startDate (or its first record, if earlier or unset);
+   * calendarDate lines up the same month and day across years. Tap counts come from getZonesForSeason (season
+   * overrides and tap inventory), or the close-out snapshot for closed seasons. normalizedCumulativeSap and
+   * normalizedCumulativeSyrup scale each season to the first season's tap count so tap changes don't skew the
+   * comparison. A season's values are null past its last recorded day.
+   * @param {object[]} seasons - seasons to compare; the first is the reference
+   * @param {'dayOfSeason'|'calendarDate'} [alignBy]
+   */
+  async getSeasonComparison(seasons, alignBy = 'dayOfSeason') {
+    const curves = await Promise.all(seasons.map(async (season) => {
+      const [{ days }, zones, snapshot] = await Promise.all([
+        getSeasonAggregates(season.id),
+        getZonesForSeason(season.id),
+        seasonSnapshotRepository.findCurrent(season),
+      ]);
+      const totalTaps = snapshot?.stats?.totalTaps ?? zones.reduce((t, z) => t + (z.tapCount || 0), 0);
+      const curve = cumulativeSeasonCurve(days, totalTaps);
+      const startDay = [dayOf(season.startDate), curve.firstDay].filter(Boolean).sort()[0] ?? null;
+      return { season, totalTaps, startDay, ...curve };
+    }));
+
+    const referenceTaps = curves[0]?.totalTaps || 0;
+    const rowKey = (c, date) => (alignBy === 'calendarDate'
+      ? date.slice(5)
+      : Math.round((new Date(`${date}T00:00:00Z`) - new Date(`${c.startDay}T00:00:00Z`)) / DAY_MS) + 1);
+
+    const keys = new Set();
+    for (const c of curves) {
+      if (!c.lastDay) continue;
+      keys.add(rowKey(c, c.startDay));
+      keys.add(rowKey(c, c.lastDay));
+    }
+    let rowKeys = [];
+    if (keys.size > 0) {
+      const sorted = [...keys].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+      if (alignBy === 'calendarDate') {
+        // Month-day range in a leap year so Feb 29 has a row
+        for (let t = Date.parse(`2000-${sorted[0]}T00:00:00Z`); t <= Date.parse(`2000-${sorted[sorted.length - 1]}T00:00:00Z`); t += DAY_MS) {
+          rowKeys.push(new Date(t).toISOString().slice(5, 10));
+        }
+      } else {
+        for (let day = sorted[0]; day <= sorted[sorted.length - 1]; day++) rowKeys.push(day);
+      }
+    }
+
+    const lookups = curves.map((c) => new Map([...c.byDate.values()].map((v) => [rowKey(c, v.date), v])));
+    const previous = curves.map(() => null);
+    const days = rowKeys.map((key) => {
+      const values = {};
+      curves.forEach((c, i) => {
+        let v = lookups[i].get(key) ?? null;
+        if (!v && c.lastDay && key < rowKey(c, c.firstDay)) {
+          // Before the season's first record nothing had been collected yet
+          v = { date: null, sap: 0, cumulativeSap: 0, syrup: 0, cumulativeSyrup: 0, brix: null, cumulativeBrix: null, cumulativeSapPerTap: 0, cumulativeSyrupPerTap: 0 };
+        } else if (!v && previous[i] && key < rowKey(c, c.lastDay)) {
+          // Feb 29 row for a season in a non-leap year
+          v = { ...previous[i], date: null, sap: 0, syrup: 0, brix: null };
+        }
+        if (v) previous[i] = v;
+        values[c.season.id] = v && {
+          ...v,
+          normalizedCumulativeSap: v.cumulativeSapPerTap != null && referenceTaps > 0
+            ? Math.round(v.cumulativeSapPerTap * referenceTaps * 100) / 100
+            : null,
+          normalizedCumulativeSyrup: v.cumulativeSyrupPerTap != null && referenceTaps > 0
+            ? Math.round(v.cumulativeSyrupPerTap * referenceTaps * 1000) / 1000
+            : null,
+        };
+      });
+      return alignBy === 'calendarDate' ? { monthDay: key, values } : { day: key, values };
+    });
+
+    return {
+      alignBy,
+      referenceSeasonId: curves[0]?.season.id ?? null,
+      seasons: curves.map((c) => ({
+        seasonId: c.season.id,
+        name: c.season.name,
+        year: c.season.year,
+        startDate: c.startDay,
+        firstRecordDate: c.firstDay,
+        lastRecordDate: c.lastDay,
+        totalTaps: c.totalTaps,
+        tapCountChangePercent: referenceTaps > 0
+          ? Math.round(((c.totalTaps - referenceTaps) / referenceTaps) * 1000) / 10
+          : null,
+      })),
+      days,
+    };
+  }
+
+  /**
+   * Operation-wide analytics across every season (oldest first): yearly totals, season dates, per-tap trend,
+   * zones ranked by average sap per tap across years, and long-run Brix and yield ratio. Closed seasons use
+   * their close-out snapshot. Cached per operation until its data changes (see ANALYTICS_EVENT_PREFIXES).
+   * @returns {Promise<{ analytics, computedAt, cached: boolean }>}
+   */
+  async getOperationAnalytics(operationId) {
+    const hit = operationAnalyticsCache.get(operationId);
+    if (hit && hit.expiresAt > Date.now()) return { ...hit.result, cached: true };
+    const generation = operationAnalyticsGeneration.get(operationId) || 0;
+    const inFlight = operationAnalyticsPending.get(operationId);
+    if (inFlight?.generation === generation) return { ...(await inFlight.promise), cached: false };
+
+    const promise = this._computeOperationAnalytics(operationId).then((analytics) => {
+      const result = { analytics, computedAt: new Date().toISOString() };
+      if ((operationAnalyticsGeneration.get(operationId) || 0) === generation) {
+        operationAnalyticsCache.set(operationId, { result, expiresAt: Date.now() + OPERATION_ANALYTICS_CACHE_MS });
+      }
+      return result;
+    });
+    operationAnalyticsPending.set(operationId, { generation, promise });
+    try {
+      return { ...(await promise), cached: false };
+    } finally {
+      if (operationAnalyticsPending.get(operationId)?.promise === promise) operationAnalyticsPending.delete(operationId);
+    }
+  }
+
+  async _computeOperationAnalytics(operationId) {
+    const seasons = (await seasonRepository.findByOrganizationId(operationId))
+      .sort((a, b) => (a.year || 0) - (b.year || 0) || String(a.startDate || '').localeCompare(String(b.startDate || '')));
+
+    const perSeason = [];
+    for (const season of seasons) {
+      const [{ totals, days }, snapshot] = await Promise.all([
+        getSeasonAggregates(season.id),
+        seasonSnapshotRepository.findCurrent(season),
+      ]);
+      const [stats, zoneStats] = snapshot
+        ? [snapshot.stats, snapshot.zoneStats]
+        : await Promise.all([this.getSeasonStats(season.id), this.getZoneStats(season.id)]);
+      const dates = days.filter((d) => d.collectionCount > 0).map((d) => d.date);
+      perSeason.push({ season, stats, zoneStats, totals, firstDate: dates[0] ?? null, lastDate: dates[dates.length - 1] ?? null });
+    }
+
+    const years = [];
+    for (const { season, stats, firstDate, lastDate } of perSeason) {
+      const previous = years[years.length - 1];
+      years.push({
+        seasonId: season.id,
+        name: season.name,
+        year: season.year,
+        startDate: season.startDate ?? null,
+        endDate: season.endDate ?? null,
+        firstCollectionDate: firstDate,
+        lastCollectionDate: lastDate,
+        seasonLengthDays: firstDate
+          ? Math.round((new Date(`${lastDate}T00:00:00Z`) - new Date(`${firstDate}T00:00:00Z`)) / DAY_MS) + 1
+          : null,
+        closed: Boolean(season.closedAt),
+        totalSapCollected: stats.totalSapCollected,
+        totalSapProcessed: stats.totalSapProcessed,
+        totalSyrupProduced: stats.totalSyrupProduced,
+        yieldRatio: stats.yieldRatio,
+        avgBrix: stats.avgBrix,
+        totalTaps: stats.totalTaps,
+        sapPerTap: stats.sapPerTap,
+        syrupPerTap: stats.syrupPerTap,
+        sapPerTapChangePercent: changePercent(stats.sapPerTap, previous?.sapPerTap),
+        syrupPerTapChangePercent: changePercent(stats.syrupPerTap, previous?.syrupPerTap),
+      });
+    }
+
+    // Zones across years, ranked by their average sap per tap over the seasons they had taps
+    const zonesById = new Map();
+    for (const { season, zoneStats } of perSeason) {
+      for (const z of zoneStats) {
+        if (!zonesById.has(z.zoneId)) {
+          zonesById.set(z.zoneId, { zoneId: z.zoneId, zoneName: z.zoneName, color: z.color, totalVolume: 0, sapPerTapByYear: [] });
+        }
+        const zone = zonesById.get(z.zoneId);
+        zone.zoneName = z.zoneName;
+        zone.color = z.color;
+        zone.totalVolume += z.totalVolume || 0;
+        if (z.sapPerTap != null) zone.sapPerTapByYear.push({ seasonId: season.id, year: season.year, sapPerTap: z.sapPerTap });
+      }
+    }
+    const zones = [...zonesById.values()].map((z) => ({
+      ...z,
+      totalVolume: Math.round(z.totalVolume * 100) / 100,
+      seasonCount: z.sapPerTapByYear.length,
+      avgSapPerTap: z.sapPerTapByYear.length > 0
+        ? Math.round((z.sapPerTapByYear.reduce((t, y) => t + y.sapPerTap, 0) / z.sapPerTapByYear.length) * 100) / 100
+        : null,
+    }));
+    const ranked = zones.filter((z) => z.avgSapPerTap != null).sort((a, b) => b.avgSapPerTap - a.avgSapPerTap);
+
+    // Long-run figures weight every season by its volume
+    const brixVolume = perSeason.reduce((t, p) => t + (p.totals.brixVolume || 0), 0);
+    const brix = brixVolume > 0 ? perSeason.reduce((t, p) => t + (p.totals.brixSugar || 0), 0) / brixVolume : null;
+    const withYield = years.filter((y) => y.totalSapProcessed > 0 && y.totalSyrupProduced > 0);
+    const sapProcessed = withYield.reduce((t, y) => t + y.totalSapProcessed, 0);
+    const syrupProduced = withYield.reduce((t, y) => t + y.totalSyrupProduced, 0);
+    const totalSap = years.reduce((t, y) => t + (y.totalSapCollected || 0), 0);
+    const totalSyrup = years.reduce((t, y) => t + (y.totalSyrupProduced || 0), 0);
+
+    return {
+      operationId,
+      seasonCount: years.length,
+      totalSapCollected: Math.round(totalSap * 100) / 100,
+      totalSyrupProduced: Math.round(totalSyrup * 1000) / 1000,
+      longRunAvgBrix: brix != null ? Math.round(brix * 10) / 10 : null,
+      longRunYieldRatio: syrupProduced > 0 ? Math.round((sapProcessed / syrupProduced) * 10) / 10 : null,
+      years,
+      zones: ranked.concat(zones.filter((z) => z.avgSapPerTap == null)),
+      // Split short lists so no zone is both best and worst
+      bestZones: ranked.slice(0, Math.min(3, Math.ceil(ranked.length / 2))),
+      worstZones: ranked.slice(ranked.length - Math.min(3, Math.floor(ranked.length / 2))).reverse(),
+    };
+  }
+
   /**
    * Get weather correlation data with temperature history (previous 2 days)
    * @param {string} [temperatureUnit] - 'fahrenheit' or 'celsius'
    */
   async getWeatherCorrelation(seasonId, lat, lng, temperatureUnit = 'fahrenheit') {
-    const [collections, zones] = await Promise.all([
-      collectionRepository.findBySeasonId(seasonId),
+    const [{ days }, zones] = await Promise.all([
+      getSeasonAggregates(seasonId),
       getZonesForSeason(seasonId),
     ]);
+    const collectionDays = days.filter((d) => d.collectionCount > 0);
 
-    if (collections.length === 0) {
+    if (collectionDays.length === 0) {
       return { data: [], correlation: null };
     }
 
     const totalTaps = zones.reduce((t, z) => t + (z.tapCount || 0), 0);
 
-    const dates = collections.map((c) => c.date.split('T')[0]);
+    const dates = collectionDays.map((d) => d.date);
     const startDate = dates.reduce((a, b) => (a < b ? a : b));
     const endDate = dates.reduce((a, b) => (a > b ? a : b));
 
@@ -315,12 +955,7 @@ class StatsServiceClass {
     const weather = await weatherService.getWeatherRange(lat, lng, extendedStart, endDate, temperatureUnit);
     const weatherByDate = new Map(weather.map((w) => [w.date, w]));
 
-    const collectionsByDate = new Map();
-    for (const col of collections) {
-      const date = col.date.split('T')[0];
-      const existing = collectionsByDate.get(date) || 0;
-      collectionsByDate.set(date, existing + (col.volume || 0));
-    }
+    const collectionsByDate = new Map(collectionDays.map((d) => [d.date, d.sapVolume || 0]));
 
     const prevDate = (dateStr, offset) => {
       const d = new Date(dateStr);
@@ -403,7 +1038,7 @@ class StatsServiceClass {
     const invXtX = this._inverse(XtX);
     if (!invXtX) return null;
     const beta = invXtX.map((row) => row.reduce((sum, a, j) => sum + a * Xty[j], 0));
-    return { coefficients: beta, intercept: beta[0] };
+    return { coefficients: beta, intercept: beta[0], inverseXtX: invXtX };
   }
 
   _transpose(A) {
@@ -533,20 +1168,21 @@ class StatsServiceClass {
   }
 
   async _computeDetailedWeatherCorrelation(seasonId, lat, lng, temperatureUnit, key) {
-    const [collections, zones] = await Promise.all([
-      collectionRepository.findBySeasonId(seasonId),
+    const [{ days }, zones] = await Promise.all([
+      getSeasonAggregates(seasonId),
       getZonesForSeason(seasonId),
     ]);
+    const collectionDays = days.filter((d) => d.collectionCount > 0);
 
-    console.log(`[DEBUG] getDetailedWeatherCorrelation: seasonId=${seasonId}, collections=${collections.length}, zones=${zones.length}`);
+    console.log(`[DEBUG] getDetailedWeatherCorrelation: seasonId=${seasonId}, collection days=${collectionDays.length}, zones=${zones.length}`);
 
-    if (collections.length === 0) {
+    if (collectionDays.length === 0) {
       return { data: [], correlations: {}, insights: [], totalDays: 0, totalTaps: null };
     }
 
     const totalTaps = zones.reduce((t, z) => t + (z.tapCount || 0), 0);
 
-    const dates = collections.map((c) => c.date.split('T')[0]);
+    const dates = collectionDays.map((d) => d.date);
     console.log(`[DEBUG] Collection dates (first 5): ${dates.slice(0, 5).join(', ')}`);
     const startDate = dates.reduce((a, b) => (a < b ? a : b));
     const endDate = dates.reduce((a, b) => (a > b ? a : b));
@@ -565,12 +1201,7 @@ class StatsServiceClass {
     }
     const weatherByDate = new Map(weather.map((w) => [w.date, w]));
 
-    const collectionsByDate = new Map();
-    for (const col of collections) {
-      const date = col.date.split('T')[0];
-      const existing = collectionsByDate.get(date) || 0;
-      collectionsByDate.set(date, existing + (col.volume || 0));
-    }
+    const collectionsByDate = new Map(collectionDays.map((d) => [d.date, d.sapVolume || 0]));
     console.log(`[DEBUG] Unique collection dates: ${collectionsByDate.size}`);
     console.log(`[DEBUG] Collection dates sample: ${[...collectionsByDate.keys()].slice(0, 5).join(', ')}`);
 
@@ -721,7 +1352,9 @@ class StatsServiceClass {
    * Uses enhanced weather features when available
    * @param {string} [temperatureUnit] - 'fahrenheit' or 'celsius'
    * @param {object} [precomputedCorrelation] - optional result from getDetailedWeatherCorrelation to avoid refetching
-   * Returns { predictions: [{ date, predictedVolume, tempHigh, tempLow, idealForSap }, ...], modelQuality?, insufficientData?: true }
+   * Returns { predictions: [{ date, predictedVolume, interval80, interval95, confidence, outsideTrainingRange, tempHigh,
+   *   tempLow, idealForSap }, ...], modelQuality?, residualStdError?, degreesOfFreedom?, insufficientData?: true }.
+   * Intervals are { low, high } volumes (null without more days than model terms); see forecastUncertainty.
    */
   async getFlowPredictions(seasonId, lat, lng, temperatureUnit = 'fahrenheit', precomputedCorrelation = null) {
     const detailedCorr = precomputedCorrelation ?? await this.getDetailedWeatherCorrelation(seasonId, lat, lng, temperatureUnit);
@@ -819,6 +1452,8 @@ class StatsServiceClass {
         return { predictions: [], insufficientData: true, totalDays: data.length };
       }
       console.log('[DEBUG] getFlowPredictions: minimal fallback succeeded with 3 features');
+      const fitMin = regressionFit(model, XMinimal, y);
+      const rangesMin = trainingRanges(XMinimal, ['intercept', 'tempHigh', 'tempLow']);
       const effectiveVacuumMult = totalTaps > 0
         ? zones.reduce((sum, z) => sum + (z.tapCount || 0) * vacuumMultiplier(z.vacuumInHg || 0), 0) / totalTaps
         : 1;
@@ -833,19 +1468,30 @@ class StatsServiceClass {
           date: day.date,
           predictedVolume,
           predictedVolumePerTap: totalTaps > 0 ? Math.round((predictedVolume / totalTaps) * 100) / 100 : null,
+          ...forecastUncertainty(model, fitMin, rangesMin, feat, effectiveVacuumMult),
           tempHigh,
           tempLow,
           idealForSap: isSapFlowIdeal(tempHigh, tempLow, temperatureUnit),
         };
       });
-      const fittedMin = data.map((d) => model.coefficients[0] + model.coefficients[1] * d.tempHigh + model.coefficients[2] * d.tempLow);
-      const meanY = y.reduce((a, b) => a + b, 0) / y.length;
-      const ssTot = y.reduce((sum, yi) => sum + (yi - meanY) ** 2, 0);
-      const ssRes = y.reduce((sum, yi, i) => sum + (yi - fittedMin[i]) ** 2, 0);
-      const r2 = ssTot > 0 ? Math.round((1 - ssRes / ssTot) * 100) / 100 : null;
+      recordPredictions(
+        seasonId,
+        'regression',
+        predictions.map((p) => ({
+          date: p.date,
+          predictedVolume: p.predictedVolume,
+          interval80: p.interval80,
+          interval95: p.interval95,
+          confidence: p.confidence,
+          features: { tempHigh: p.tempHigh, tempLow: p.tempLow },
+        })),
+        { temperatureUnit, totalTaps, featuresUsed: ['tempHigh', 'tempLow'] }
+      ).catch((err) => console.error('[predictions] Failed to record flow predictions:', err?.message));
       return {
         predictions,
-        modelQuality: r2,
+        modelQuality: fitMin.r2,
+        residualStdError: fitMin.residualStdError != null ? Math.round(fitMin.residualStdError * 100) / 100 : null,
+        degreesOfFreedom: fitMin.df,
         totalDays: data.length,
         totalTaps: totalTaps || null,
         featuresUsed: ['tempHigh', 'tempLow'],
@@ -854,6 +1500,9 @@ class StatsServiceClass {
 
     console.log('[DEBUG] getFlowPredictions: regression succeeded, coefficients count=', model.coefficients.length);
 
+    const fit = regressionFit(model, X, y);
+    const ranges = trainingRanges(X, keptFeatureNames);
+
     const forecast = await weatherService.getForecast(lat, lng, temperatureUnit);
     const forecastByDate = new Map(forecast.map((d) => [d.date, d]));
 
@@ -864,6 +1513,7 @@ class StatsServiceClass {
     };
 
     const predictions = [];
+    const issued = [];
     for (let i = 0; i < forecast.length; i++) {
       const day = forecast[i];
       const date = day.date;
@@ -892,34 +1542,36 @@ class StatsServiceClass {
         ? zones.reduce((sum, z) => sum + (z.tapCount || 0) * vacuumMultiplier(z.vacuumInHg || 0), 0) / totalTaps
         : 1;
       predictedVolume = Math.round(predictedVolume * effectiveVacuumMult * 100) / 100;
+      const uncertainty = forecastUncertainty(model, fit, ranges, feat, effectiveVacuumMult);
 
       predictions.push({
         date,
         predictedVolume,
         predictedVolumePerTap: totalTaps > 0 ? Math.round((predictedVolume / totalTaps) * 100) / 100 : null,
+        ...uncertainty,
         tempHigh,
         tempLow,
         idealForSap,
       });
+      issued.push({
+        date,
+        predictedVolume,
+        interval80: uncertainty.interval80,
+        interval95: uncertainty.interval95,
+        confidence: uncertainty.confidence,
+        features: Object.fromEntries(keptFeatureNames.map((name, j) => [name, feat[j]]).filter(([name]) => name !== 'intercept')),
+      });
     }
 
-    const fitted = data.map((d, i) => {
-      let v = 0;
-      for (let j = 0; j < model.coefficients.length; j++) {
-        v += model.coefficients[j] * X[i][j];
-      }
-      return v;
-    });
-    const meanY = y.reduce((a, b) => a + b, 0) / y.length;
-    const ssTot = y.reduce((sum, yi) => sum + (yi - meanY) ** 2, 0);
-    const ssRes = y.reduce((sum, yi, i) => sum + (yi - fitted[i]) ** 2, 0);
-    const r2 = ssTot > 0 ? Math.round((1 - ssRes / ssTot) * 100) / 100 : null;
-
     const featuresUsed = keptFeatureNames.filter(n => n !== 'intercept');
+    recordPredictions(seasonId, 'regression', issued, { temperatureUnit, totalTaps, featuresUsed })
+      .catch((err) => console.error('[predictions] Failed to record flow predictions:', err?.message));
 
     return {
       predictions,
-      modelQuality: r2,
+      modelQuality: fit.r2,
+      residualStdError: fit.residualStdError != null ? Math.round(fit.residualStdError * 100) / 100 : null,
+      degreesOfFreedom: fit.df,
       totalDays: data.length,
       totalTaps: totalTaps || null,
       featuresUsed,
@@ -963,6 +1615,7 @@ class StatsServiceClass {
     const freezeThresh = temperatureUnit === 'celsius' ? 0 : 32;
     const marginalThawThresh = temperatureUnit === 'celsius' ? 3.3 : 38;
 
+    const issued = [];
     const predictions = forecast.map((day) => {
       const tempHigh = day.tempHigh ?? 0;
       const tempLow = day.tempLow ?? 0;
@@ -984,6 +1637,20 @@ class StatsServiceClass {
 
       const pressureFactor = pressureModifier(day.pressure ?? null);
       let predictedVolume = Math.round(baseVolume * pressureFactor * effectiveVacuumMult * 100) / 100;
+      issued.push({
+        date: day.date,
+        predictedVolume,
+        features: {
+          tempHigh,
+          tempLow,
+          tier,
+          prevDayTempHigh: weatherByDate.get(prevDateStr(day.date, 1))?.tempHigh ?? null,
+          prevDayTempLow: weatherByDate.get(prevDateStr(day.date, 1))?.tempLow ?? null,
+          pressure: day.pressure ?? null,
+          pressureFactor,
+          vacuumMultiplier: effectiveVacuumMult,
+        },
+      });
 
       return {
         date: day.date,
@@ -995,6 +1662,9 @@ class StatsServiceClass {
       };
     });
 
+    recordPredictions(seasonId, 'traditional', issued, { temperatureUnit, totalTaps })
+      .catch((err) => console.error('[predictions] Failed to record flow predictions:', err?.message));
+
     return {
       predictions,
       method: 'traditional',
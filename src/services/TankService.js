@@ -0,0 +1,106 @@
+/**
+ * Tank Service - applies volume movements to tanks, keeps the level ledger and raises fill alerts
+ */
+
+import { tankRepository } from '../storage/repositories/TankRepository.js';
+import { tankMovementRepository } from '../storage/repositories/TankMovementRepository.js';
+import { trigger } from '../realtime/realtime.js';
+import { notifyOperationMembers } from './NotificationService.js';
+
+/** Default fill percentage that triggers an alert when a tank's alertThresholdPercent is not set */
+export const DEFAULT_TANK_ALERT_THRESHOLD_PERCENT = 90;
+
+export const TANK_TYPES = ['raw', 'concentrate'];
+
+/**
+ * Percent full (0–100+, null without a capacity)
+ */
+export function tankPercentFull(tank, level = tank?.currentLevel) {
+  if (!tank?.capacity || tank.capacity <= 0) return null;
+  return Math.round(((level || 0) / tank.capacity) * 1000) / 10;
+}
+
+/**
+ * Check that a tank can be used by a season's operation
+ */
+export function tankBelongsToSeason(tank, season) {
+  return Boolean(tank && season?.organizationId && tank.organizationId === season.organizationId);
+}
+
+/**
+ * Apply a volume change to a tank (positive = fill, negative = draw), or set it to a measured level.
+ * Records a movement, broadcasts tank:updated and notifies members when the level rises past the tank's fill threshold.
+ * @param {object} opts
+ * @param {string} opts.tankId
+ * @param {number} [opts.delta] - liters
+ * @param {number} [opts.level] - liters measured in the tank (e.g. a level sensor); replaces delta, and the movement
+ *   records the difference from the stored level
+ * @param {'collection'|'boil'|'ro'|'manual'|'sensor'} opts.source
+ * @param {string} [opts.refId] - id of the collection/boil/RO run (or sensor device) that caused it
+ * @param {string} [opts.userId]
+ * @param {string} [opts.note]
+ * @returns {Promise<{ tank: object, movement: object } | null>} null if the tank does not exist or the level
+ *   doesn't change
+ */
+export async function applyTankMovement({ tankId, delta, level, source, refId = null, userId = null, note = null }) {
+  const measured = level === undefined ? null : Number(level);
+  const change = Number(delta);
+  if (!tankId) return null;
+  if (measured != null && !Number.isFinite(measured)) return null;
+  if (measured == null && (!Number.isFinite(change) || change === 0)) return null;
+  const toLevel = measured != null ? () => measured : (current) => current + change;
+  // Read and written in one transaction so concurrent collections, boils, RO runs and sensors don't overwrite
+  // each other. A tank can't hold less than nothing (e.g. deleting a collection after a manual correction)
+  const result = await tankRepository.updateLevel(tankId, (current) => Math.max(0, Math.round(toLevel(current) * 100) / 100));
+  if (!result || result.levelAfter === result.levelBefore) return null;
+  const { tank, levelBefore, levelAfter } = result;
+  const movement = await tankMovementRepository.create({
+    tankId: tank.id,
+    organizationId: tank.organizationId,
+    delta: Math.round((levelAfter - levelBefore) * 100) / 100,
+    levelAfter,
+    source,
+    refId,
+    userId,
+    note,
+    at: new Date().toISOString(),
+  });
+
+  if (tank.organizationId) {
+    trigger(tank.organizationId, { type: 'tank:updated', tank });
+
+    const threshold = tank.alertThresholdPercent ?? DEFAULT_TANK_ALERT_THRESHOLD_PERCENT;
+    const before = tankPercentFull(tank, levelBefore);
+    const after = tankPercentFull(tank, levelAfter);
+    if (before != null && after != null && before < threshold && after >= threshold) {
+      notifyOperationMembers({
+        operationId: tank.organizationId,
+        type: 'tank_threshold',
+        title: 'Tank almost full',
+        body: `${tank.name || 'A tank'} is ${after}% full.`,
+        data: { tag: 'sapmap-tank', tankId: tank.id, path: '/tanks' },
+      }).catch((err) => console.error('[notifications]', err?.message));
+    }
+  }
+
+  return { tank, movement };
+}
+
+/**
+ * Move a record's volume between tanks after an edit: reverses the old contribution and applies the new one.
+ * `sign` is +1 for records that fill a tank (collections) and -1 for records that draw from it (boils).
+ */
+export async function reconcileTankMovement({ oldTankId, oldVolume, newTankId, newVolume, sign, source, refId, userId }) {
+  const prev = Number(oldVolume) || 0;
+  const next = Number(newVolume) || 0;
+  if (oldTankId && oldTankId === newTankId) {
+    await applyTankMovement({ tankId: newTankId, delta: sign * (next - prev), source, refId, userId });
+    return;
+  }
+  if (oldTankId) {
+    await applyTankMovement({ tankId: oldTankId, delta: -sign * prev, source, refId, userId, note: 'moved' });
+  }
+  if (newTankId) {
+    await applyTankMovement({ tankId: newTankId, delta: sign * next, source, refId, userId });
+  }
+}
@@ -0,0 +1,183 @@
+/**
+ * Tap Inventory Service - validation and counting for mainlines, laterals and individual taps
+ */
+
+export const LINE_TYPES = ['mainline', 'lateral'];
+
+/** Most taps added or retired in one request (one storage batch) */
+export const MAX_BULK_TAPS = 500;
+
+export function isDateString(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+function parseDateField(body, field, data) {
+  if (body[field] === undefined) return null;
+  if (body[field] === null || body[field] === '') {
+    data[field] = null;
+    return null;
+  }
+  if (!isDateString(body[field])) return `${field} must be a date (YYYY-MM-DD)`;
+  data[field] = body[field];
+  return null;
+}
+
+function parsePoint(location) {
+  if (location == null) return { value: null };
+  const lat = Number(location.lat);
+  const lng = Number(location.lng);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    return { error: true };
+  }
+  return { value: { lat, lng } };
+}
+
+/**
+ * Validate tap fields shared by bulk add and update. Returns { data } or { error }.
+ * Fields: label, lineId, installDate, spoutType, treeDiameterCm, dropLineReplacedDate, location, notes
+ */
+export function parseTapFields(body) {
+  const data = {};
+  for (const field of ['installDate', 'dropLineReplacedDate']) {
+    const error = parseDateField(body, field, data);
+    if (error) return { error };
+  }
+  if (body.treeDiameterCm !== undefined) {
+    if (body.treeDiameterCm === null || body.treeDiameterCm === '') {
+      data.treeDiameterCm = null;
+    } else {
+      const n = Number(body.treeDiameterCm);
+      if (!Number.isFinite(n) || n <= 0) return { error: 'treeDiameterCm must be a positive number' };
+      data.treeDiameterCm = n;
+    }
+  }
+  if (body.location !== undefined) {
+    const point = parsePoint(body.location);
+    if (point.error) return { error: 'Invalid location: lat and lng must be numbers.' };
+    data.location = point.value;
+  }
+  for (const field of ['label', 'spoutType', 'notes']) {
+    if (body[field] === undefined) continue;
+    if (body[field] !== null && typeof body[field] !== 'string') return { error: `${field} must be text` };
+    data[field] = body[field] ? body[field].trim() : null;
+  }
+  if (body.lineId !== undefined) data.lineId = body.lineId || null;
+  return { data };
+}
+
+/**
+ * Validate line fields shared by create and update. Returns { data } or { error }.
+ */
+export function parseLineFields(body) {
+  const data = {};
+  const { name, type, parentLineId, lengthMeters, diameterMm, notes } = body;
+  if (name !== undefined) {
+    if (typeof name !== 'string' || !name.trim()) return { error: 'Line name is required' };
+    data.name = name.trim();
+  }
+  if (type !== undefined) {
+    if (!LINE_TYPES.includes(type)) return { error: `type must be one of: ${LINE_TYPES.join(', ')}` };
+    data.type = type;
+  }
+  for (const [field, value] of [['lengthMeters', lengthMeters], ['diameterMm', diameterMm]]) {
+    if (value === undefined) continue;
+    if (value === null || value === '') {
+      data[field] = null;
+      continue;
+    }
+    const n = Number(value);
+    if (!Number.isFinite(n) || n <= 0) return { error: `${field} must be a positive number` };
+    data[field] = n;
+  }
+  const error = parseDateField(body, 'installDate', data);
+  if (error) return { error };
+  if (parentLineId !== undefined) data.parentLineId = parentLineId || null;
+  if (notes !== undefined) data.notes = notes;
+  return { data };
+}
+
+/**
+ * First and last day of a season: its startDate/endDate, else the calendar year
+ * @returns {{ start: string, end: string }} YYYY-MM-DD
+ */
+export function seasonWindow(season) {
+  const year = season.year || new Date().getFullYear();
+  const day = (value) => (value ? String(value).split('T')[0] : null);
+  return {
+    start: day(season.startDate) || `${year}-01-01`,
+    end: day(season.endDate) || `${year}-12-31`,
+  };
+}
+
+/**
+ * A tap counts for a season if it was installed by the season's end and not retired before it started
+ */
+export function isTapActiveInSeason(tap, window) {
+  if (tap.installDate && tap.installDate > window.end) return false;
+  if (tap.retiredDate && tap.retiredDate < window.start) return false;
+  return true;
+}
+
+/** A tap is in the ground now if it has not been retired */
+export function isTapActive(tap) {
+  return !tap.retiredDate;
+}
+
+/**
+ * Active tap count per zone for a season (currently active taps without one): Map zoneId -> count.
+ * Zones with no recorded taps are absent.
+ */
+export function countTapsByZone(taps, season = null) {
+  const window = season ? seasonWindow(season) : null;
+  const counts = new Map();
+  for (const tap of taps) {
+    if (!counts.has(tap.zoneId)) counts.set(tap.zoneId, 0);
+    if (window ? isTapActiveInSeason(tap, window) : isTapActive(tap)) counts.set(tap.zoneId, counts.get(tap.zoneId) + 1);
+  }
+  return counts;
+}
+
+/**
+ * Inventory summary for a set of taps (currently active unless a season is given):
+ * totals, taps per line, spout types, and drop lines not replaced since the season started.
+ */
+export function summarizeTaps(taps, lines, season = null) {
+  const window = season ? seasonWindow(season) : null;
+  const active = taps.filter((t) => (window ? isTapActiveInSeason(t, window) : isTapActive(t)));
+  const replacedSince = window ? window.start : `${new Date().getFullYear()}-01-01`;
+
+  const perLine = new Map(lines.map((line) => [line.id, 0]));
+  let unassigned = 0;
+  const spoutTypes = {};
+  let dropLinesDue = 0;
+  for (const tap of active) {
+    if (tap.lineId && perLine.has(tap.lineId)) perLine.set(tap.lineId, perLine.get(tap.lineId) + 1);
+    else unassigned += 1;
+    const spout = tap.spoutType || 'unknown';
+    spoutTypes[spout] = (spoutTypes[spout] || 0) + 1;
+    if (!tap.dropLineReplacedDate || tap.dropLineReplacedDate < replacedSince) dropLinesDue += 1;
+  }
+
+  const laterals = lines.filter((l) => l.type === 'lateral');
+  const lateralCounts = laterals.map((l) => perLine.get(l.id));
+  return {
+    activeTaps: active.length,
+    retiredTaps: taps.length - active.length,
+    unassignedTaps: unassigned,
+    spoutTypes,
+    dropLinesDue,
+    dropLinesReplacedSince: replacedSince,
+    averageTapsPerLateral: laterals.length > 0
+      ? Math.round((lateralCounts.reduce((s, n) => s + n, 0) / laterals.length) * 10) / 10
+      : null,
+    lines: lines.map((line) => ({
+      id: line.id,
+      name: line.name,
+      type: line.type,
+      parentLineId: line.parentLineId ?? null,
+      activeTaps: perLine.get(line.id),
+    })),
+  };
+}
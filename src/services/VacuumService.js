@@ -0,0 +1,220 @@
+/**
+ * Vacuum Service - records vacuum readings and flags drops below a zone's recent baseline (usually a leak or
+ * a squirrel chew). The baseline is the median of the last VACUUM_BASELINE_MS of normal readings for the same
+ * zone or mainline.
+ */
+
+import { vacuumReadingRepository } from '../storage/repositories/VacuumReadingRepository.js';
+import { lineRepository } from '../storage/repositories/LineRepository.js';
+import { trigger } from '../realtime/realtime.js';
+import { notifyOperationMembers } from './NotificationService.js';
+
+export const VACUUM_SOURCES = ['manual', 'gauge'];
+
+/** Highest possible reading: a perfect vacuum at sea level */
+export const MAX_VACUUM_INHG = 30;
+
+/** Readings that make up the recent baseline (VACUUM_BASELINE_HOURS, default 24) */
+export const VACUUM_BASELINE_MS = (Number(process.env.VACUUM_BASELINE_HOURS) || 24) * 60 * 60 * 1000;
+
+/** Drop below baseline that raises an alert when the zone has no vacuumAlertDropInHg (VACUUM_ALERT_DROP_INHG, default 3) */
+export const DEFAULT_VACUUM_ALERT_DROP_INHG = Number(process.env.VACUUM_ALERT_DROP_INHG) || 3;
+
+/** Fewest readings needed before there is a baseline to compare against */
+const MIN_BASELINE_READINGS = 3;
+
+/** Gauge clocks drift; readings this far in the future are accepted */
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+function round1(n) {
+  return Math.round(n * 10) / 10;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Validate a reading. Returns { data } or { error }.
+ * Body: { vacuumInHg, at? (ISO timestamp, default now), source?: manual|gauge, note? }
+ */
+export function parseVacuumReading(body) {
+  const { vacuumInHg, at, source = 'manual', note } = body || {};
+  const value = vacuumInHg === null || vacuumInHg === '' ? NaN : Number(vacuumInHg);
+  if (!Number.isFinite(value) || value < 0 || value > MAX_VACUUM_INHG) {
+    return { error: `vacuumInHg must be a number between 0 and ${MAX_VACUUM_INHG}` };
+  }
+  const time = at ? new Date(at) : new Date();
+  if (Number.isNaN(time.getTime())) return { error: 'at must be an ISO timestamp' };
+  if (time.getTime() > Date.now() + CLOCK_SKEW_MS) return { error: 'at cannot be in the future' };
+  if (!VACUUM_SOURCES.includes(source)) return { error: `source must be one of: ${VACUUM_SOURCES.join(', ')}` };
+  if (note != null && typeof note !== 'string') return { error: 'note must be text' };
+  return { data: { vacuumInHg: value, at: time.toISOString(), source, note: note?.trim() || null } };
+}
+
+/**
+ * Validate a zone's vacuumAlertDropInHg (null restores the default). Returns { value } or { error }.
+ */
+export function parseAlertDrop(value) {
+  if (value === null || value === '') return { value: null };
+  const n = Number(value);
+  if (!Number.isFinite(n) || n <= 0 || n > MAX_VACUUM_INHG) {
+    return { error: `vacuumAlertDropInHg must be a number between 0 and ${MAX_VACUUM_INHG}` };
+  }
+  return { value: n };
+}
+
+export function alertDropForZone(zone) {
+  return zone?.vacuumAlertDropInHg ?? DEFAULT_VACUUM_ALERT_DROP_INHG;
+}
+
+/**
+ * Baseline for readings of one zone or mainline: median of the normal (not below-baseline) readings, or null
+ * when there are too few
+ */
+export function vacuumBaseline(readings) {
+  const normal = readings.filter((r) => !r.belowBaseline).map((r) => r.vacuumInHg);
+  if (normal.length < MIN_BASELINE_READINGS) return null;
+  return round1(median(normal));
+}
+
+function baselineStart(at) {
+  return new Date(new Date(at).getTime() - VACUUM_BASELINE_MS).toISOString();
+}
+
+function readingTime(reading) {
+  return new Date(reading.at).getTime();
+}
+
+/**
+ * Readings of the same scope (the mainline, or zone-level readings for a zone) between since and until
+ */
+async function findScopeReadings(zoneId, lineId, range) {
+  if (lineId) return vacuumReadingRepository.findByLineId(lineId, range);
+  const readings = await vacuumReadingRepository.findByZoneId(zoneId, range);
+  return readings.filter((r) => !r.lineId);
+}
+
+/**
+ * Current baseline for a zone or mainline (for the history endpoint)
+ */
+export async function getVacuumBaseline(zoneId, lineId = null) {
+  const now = new Date().toISOString();
+  return vacuumBaseline(await findScopeReadings(zoneId, lineId, { since: baselineStart(now), until: now }));
+}
+
+/**
+ * Zone's recorded vacuum for predictions: average of its readings (zone-level and mainlines) over the
+ * baseline window ending at the latest reading. Returns null without readings.
+ * @param {object[]} readings - the zone's readings, oldest first
+ */
+export function recordedVacuumInHg(readings) {
+  if (readings.length === 0) return null;
+  const latest = new Date(readings[readings.length - 1].at).getTime();
+  const recent = readings.filter((r) => latest - new Date(r.at).getTime() <= VACUUM_BASELINE_MS);
+  return round1(recent.reduce((sum, r) => sum + r.vacuumInHg, 0) / recent.length);
+}
+
+/**
+ * Store readings for a zone (and optionally one of its mainlines). Each is flagged against the baseline of the
+ * readings before it, stored and earlier in the batch, from one load of the baseline window. Sends vacuum:reading
+ * (vacuum:readings for a batch) and, for the first reading of the batch to fall the zone's alert drop below the
+ * baseline, vacuum:alert plus a notification to members.
+ * @param {object} opts
+ * @param {object} opts.zone
+ * @param {object} [opts.line] - mainline in the zone
+ * @param {object[]} opts.readings - from parseVacuumReading
+ * @param {string} [opts.userId]
+ * @returns {Promise<object[]>} the stored readings, oldest first
+ */
+export async function recordVacuumReadings({ zone, line = null, readings, userId = null }) {
+  if (readings.length === 0) return [];
+  const lineId = line?.id ?? null;
+  const batch = [...readings].sort((a, b) => readingTime(a) - readingTime(b));
+  const known = await findScopeReadings(zone.id, lineId, {
+    since: baselineStart(batch[0].at),
+    until: batch[batch.length - 1].at,
+  });
+  const dropInHg = alertDropForZone(zone);
+
+  const docs = [];
+  let alert = null;
+  for (const data of batch) {
+    const at = readingTime(data);
+    const since = at - VACUUM_BASELINE_MS;
+    const previous = known.filter((r) => readingTime(r) >= since && readingTime(r) <= at);
+    const baselineInHg = vacuumBaseline(previous);
+    const belowBaseline = baselineInHg != null && baselineInHg - data.vacuumInHg >= dropInHg;
+    const doc = {
+      organizationId: zone.organizationId,
+      zoneId: zone.id,
+      lineId,
+      ...data,
+      baselineInHg,
+      belowBaseline,
+      userId,
+    };
+    if (belowBaseline && !previous[previous.length - 1]?.belowBaseline && alert == null) alert = docs.length;
+    docs.push(doc);
+    // Later readings in the batch see this one, in time order
+    const after = known.findIndex((r) => readingTime(r) > at);
+    known.splice(after === -1 ? known.length : after, 0, doc);
+  }
+
+  const stored = await vacuumReadingRepository.createMany(docs);
+  if (stored.length === 1) {
+    trigger(zone.organizationId, { type: 'vacuum:reading', reading: stored[0] });
+  } else {
+    trigger(zone.organizationId, { type: 'vacuum:readings', zoneId: zone.id, lineId, readings: stored });
+  }
+
+  if (alert != null) {
+    const reading = stored[alert];
+    const { baselineInHg } = reading;
+    const where = line ? `${zone.name || 'A zone'} (${line.name})` : zone.name || 'A zone';
+    trigger(zone.organizationId, {
+      type: 'vacuum:alert',
+      zoneId: zone.id,
+      lineId,
+      readingId: reading.id,
+      vacuumInHg: reading.vacuumInHg,
+      baselineInHg,
+      dropInHg: round1(baselineInHg - reading.vacuumInHg),
+    });
+    notifyOperationMembers({
+      operationId: zone.organizationId,
+      type: 'vacuum_leak',
+      title: 'Vacuum drop - check for leaks',
+      body: `${where} is at ${reading.vacuumInHg} inHg, ${round1(baselineInHg - reading.vacuumInHg)} below its recent ${baselineInHg}.`,
+      data: { tag: 'sapmap-vacuum', zoneId: zone.id, lineId, path: '/zones' },
+    }).catch((err) => console.error('[notifications]', err?.message));
+  }
+
+  return stored;
+}
+
+/**
+ * Store one reading (see recordVacuumReadings)
+ * @param {object} opts
+ * @param {object} opts.zone
+ * @param {object} [opts.line] - mainline in the zone
+ * @param {object} opts.data - from parseVacuumReading
+ * @param {string} [opts.userId]
+ */
+export async function recordVacuumReading({ zone, line = null, data, userId = null }) {
+  const [reading] = await recordVacuumReadings({ zone, line, readings: [data], userId });
+  return reading;
+}
+
+/**
+ * A reading's line must be a mainline in the zone. Returns { line } or { error }.
+ */
+export async function resolveMainline(lineId, zone) {
+  if (!lineId) return { line: null };
+  const line = await lineRepository.findById(lineId);
+  if (!line || line.zoneId !== zone.id) return { error: 'Line not found in this zone' };
+  if (line.type !== 'mainline') return { error: 'Vacuum is recorded per zone or mainline, not on laterals' };
+  return { line };
+}
@@ -0,0 +1,293 @@
+/**
+ * Zone Geometry Service - sugar bush boundaries as GeoJSON Polygon/MultiPolygon: validation, area, centroid,
+ * and GeoJSON/KML export. Boundaries are stored as a GeoJSON string (Firestore rejects nested arrays).
+ */
+
+const EARTH_RADIUS_M = 6378137;
+const SQUARE_METERS_PER_HECTARE = 10000;
+const ACRES_PER_HECTARE = 2.4710538;
+
+/** Most positions accepted across all rings (keeps the zone document well under Firestore's 1 MB limit) */
+export const MAX_BOUNDARY_POSITIONS = 10000;
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function toRadians(degrees) {
+  return (degrees * Math.PI) / 180;
+}
+
+/** Check one linear ring; returns an error message or null */
+function validateRing(ring, label) {
+  if (!Array.isArray(ring) || ring.length < 4) return `${label} needs at least 4 positions (first and last equal)`;
+  for (const position of ring) {
+    if (!Array.isArray(position) || position.length < 2) return `${label} positions must be [longitude, latitude]`;
+    const [lng, lat] = position;
+    if (!Number.isFinite(lng) || !Number.isFinite(lat) || Math.abs(lng) > 180 || Math.abs(lat) > 90) {
+      return `${label} has a position outside longitude -180..180 / latitude -90..90`;
+    }
+  }
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+  if (first[0] !== last[0] || first[1] !== last[1]) return `${label} must be closed (first and last positions equal)`;
+  return null;
+}
+
+/**
+ * Unsigned area of a ring on the sphere in square meters
+ * (Chamberlain & Duquette, "Some Algorithms for Polygons on a Sphere", as used by Mapbox/Turf)
+ */
+function ringArea(ring) {
+  let total = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    const [lng1, lat1] = ring[i];
+    const [lng2, lat2] = ring[i + 1];
+    total += toRadians(lng2 - lng1) * (2 + Math.sin(toRadians(lat1)) + Math.sin(toRadians(lat2)));
+  }
+  return Math.abs((total * EARTH_RADIUS_M * EARTH_RADIUS_M) / 2);
+}
+
+/** Polygons of a Polygon or MultiPolygon as arrays of rings */
+function polygonsOf(geometry) {
+  return geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+}
+
+/** Area in square meters: outer rings minus holes */
+function geometryArea(geometry) {
+  let area = 0;
+  for (const [outer, ...holes] of polygonsOf(geometry)) {
+    area += ringArea(outer) - holes.reduce((sum, hole) => sum + ringArea(hole), 0);
+  }
+  return Math.max(area, 0);
+}
+
+/** Planar centroid of a ring in local coordinates (longitude scaled by cos(latitude)); returns { x, y, a } */
+function ringCentroid(ring, cosLat) {
+  let a = 0;
+  let cx = 0;
+  let cy = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    const x1 = ring[i][0] * cosLat;
+    const y1 = ring[i][1];
+    const x2 = ring[i + 1][0] * cosLat;
+    const y2 = ring[i + 1][1];
+    const cross = x1 * y2 - x2 * y1;
+    a += cross;
+    cx += (x1 + x2) * cross;
+    cy += (y1 + y2) * cross;
+  }
+  a /= 2;
+  if (a === 0) return { x: ring[0][0] * cosLat, y: ring[0][1], a: 0 };
+  return { x: cx / (6 * a), y: cy / (6 * a), a };
+}
+
+/**
+ * Area-weighted centroid ({ lat, lng }). Zones are small enough that a local flat projection is accurate.
+ */
+function geometryCentroid(geometry) {
+  const polygons = polygonsOf(geometry);
+  const positions = polygons.flatMap((rings) => rings[0]);
+  const meanLat = positions.reduce((sum, p) => sum + p[1], 0) / positions.length;
+  const cosLat = Math.cos(toRadians(meanLat)) || 1;
+  let weight = 0;
+  let x = 0;
+  let y = 0;
+  for (const [outer, ...holes] of polygons) {
+    for (const [ring, sign] of [[outer, 1], ...holes.map((h) => [h, -1])]) {
+      const c = ringCentroid(ring, cosLat);
+      const a = sign * Math.abs(c.a);
+      weight += a;
+      x += c.x * a;
+      y += c.y * a;
+    }
+  }
+  if (weight === 0) return { lat: round(positions[0][1], 6), lng: round(positions[0][0], 6) };
+  return { lat: round(y / weight, 6), lng: round(x / weight / cosLat, 6) };
+}
+
+/**
+ * Validate a zone boundary. Accepts a GeoJSON Polygon or MultiPolygon geometry, or a Feature wrapping one.
+ * Returns { geometry } (null clears the boundary) or { error }.
+ */
+export function parseBoundary(value) {
+  if (value == null) return { geometry: null };
+  const geometry = value.type === 'Feature' ? value.geometry : value;
+  if (!geometry || (geometry.type !== 'Polygon' && geometry.type !== 'MultiPolygon')) {
+    return { error: 'boundary must be a GeoJSON Polygon or MultiPolygon' };
+  }
+  if (!Array.isArray(geometry.coordinates) || geometry.coordinates.length === 0) {
+    return { error: 'boundary coordinates are required' };
+  }
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  let positions = 0;
+  for (let p = 0; p < polygons.length; p++) {
+    const rings = polygons[p];
+    if (!Array.isArray(rings) || rings.length === 0) return { error: 'Each polygon needs an outer ring' };
+    for (let r = 0; r < rings.length; r++) {
+      const label = `${geometry.type === 'MultiPolygon' ? `Polygon ${p + 1} ` : ''}${r === 0 ? 'outer ring' : `hole ${r}`}`;
+      const error = validateRing(rings[r], label);
+      if (error) return { error: error.charAt(0).toUpperCase() + error.slice(1) };
+      positions += rings[r].length;
+    }
+  }
+  if (positions > MAX_BOUNDARY_POSITIONS) {
+    return { error: `boundary has too many positions (max ${MAX_BOUNDARY_POSITIONS})` };
+  }
+  // Drop altitudes and any extra members
+  const cleanPolygons = polygons.map((rings) => rings.map((ring) => ring.map(([lng, lat]) => [lng, lat])));
+  const clean = {
+    type: geometry.type,
+    coordinates: geometry.type === 'Polygon' ? cleanPolygons[0] : cleanPolygons,
+  };
+  if (geometryArea(clean) <= 0) return { error: 'boundary encloses no area' };
+  return { geometry: clean };
+}
+
+/**
+ * Zone fields derived from a boundary: stored GeoJSON string, area and centroid (all null when cleared)
+ */
+export function boundaryFields(geometry) {
+  if (!geometry) return { boundaryGeoJson: null, areaHectares: null, areaAcres: null, centroid: null };
+  const hectares = geometryArea(geometry) / SQUARE_METERS_PER_HECTARE;
+  return {
+    boundaryGeoJson: JSON.stringify(geometry),
+    areaHectares: round(hectares, 3),
+    areaAcres: round(hectares * ACRES_PER_HECTARE, 3),
+    centroid: geometryCentroid(geometry),
+  };
+}
+
+export function tapsPerHectare(tapCount, areaHectares) {
+  if (!(areaHectares > 0) || tapCount == null) return null;
+  return round(tapCount / areaHectares, 1);
+}
+
+/**
+ * Zone as returned by the API: boundary parsed back to GeoJSON, plus taps per hectare. Zones with a tap inventory
+ * are measured by it: pass inventoryCounts (Map zoneId -> active taps, see countTapsByZone).
+ */
+export function withGeometry(zone, inventoryCounts = null) {
+  const { boundaryGeoJson, ...rest } = zone;
+  let boundary = null;
+  if (boundaryGeoJson) {
+    try {
+      boundary = JSON.parse(boundaryGeoJson);
+    } catch {
+      boundary = null;
+    }
+  }
+  const tapCount = inventoryCounts?.has(zone.id) ? inventoryCounts.get(zone.id) : zone.tapCount;
+  return { ...rest, boundary, tapsPerHectare: tapsPerHectare(tapCount, zone.areaHectares) };
+}
+
+/**
+ * Point used for weather: the zone's own location, else its boundary centroid
+ * @returns {{ lat: number, lng: number } | null}
+ */
+export function zoneWeatherPoint(zone) {
+  if (zone?.location?.lat != null && zone?.location?.lng != null) return zone.location;
+  if (zone?.centroid?.lat != null && zone?.centroid?.lng != null) return zone.centroid;
+  return null;
+}
+
+function zoneProperties(zone) {
+  return {
+    id: zone.id,
+    name: zone.name ?? null,
+    description: zone.description ?? null,
+    color: zone.color ?? null,
+    tapCount: zone.tapCount ?? 0,
+    areaHectares: zone.areaHectares ?? null,
+    areaAcres: zone.areaAcres ?? null,
+    tapsPerHectare: zone.tapsPerHectare ?? tapsPerHectare(zone.tapCount, zone.areaHectares),
+  };
+}
+
+/**
+ * GeoJSON FeatureCollection of zones (API-shaped, see withGeometry). Zones without a boundary are exported as
+ * their point location; zones with neither are skipped.
+ */
+export function zonesToGeoJson(zones) {
+  const features = [];
+  for (const zone of zones) {
+    let geometry = zone.boundary;
+    if (!geometry && zone.location?.lat != null && zone.location?.lng != null) {
+      geometry = { type: 'Point', coordinates: [zone.location.lng, zone.location.lat] };
+    }
+    if (!geometry) continue;
+    features.push({ type: 'Feature', id: zone.id, properties: zoneProperties(zone), geometry });
+  }
+  return { type: 'FeatureCollection', features };
+}
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function kmlCoordinates(ring) {
+  return ring.map(([lng, lat]) => `${lng},${lat}`).join(' ');
+}
+
+function kmlPolygon(rings) {
+  const [outer, ...holes] = rings;
+  return [
+    '<Polygon>',
+    `<outerBoundaryIs><LinearRing><coordinates>${kmlCoordinates(outer)}</coordinates></LinearRing></outerBoundaryIs>`,
+    ...holes.map((hole) => `<innerBoundaryIs><LinearRing><coordinates>${kmlCoordinates(hole)}</coordinates></LinearRing></innerBoundaryIs>`),
+    '</Polygon>',
+  ].join('');
+}
+
+/** KML colors are aabbggrr; zone colors are #rrggbb */
+function kmlColor(hex, alpha) {
+  const match = /^#?([0-9a-f]{6})$/i.exec(hex || '');
+  if (!match) return kmlColor('#8B7355', alpha);
+  const [r, g, b] = [match[1].slice(0, 2), match[1].slice(2, 4), match[1].slice(4, 6)];
+  return `${alpha}${b}${g}${r}`.toLowerCase();
+}
+
+/**
+ * KML document of zones (same selection as zonesToGeoJson)
+ */
+export function zonesToKml(zones, documentName) {
+  const placemarks = zonesToGeoJson(zones).features.map((feature) => {
+    const props = feature.properties;
+    const data = Object.entries(props)
+      .filter(([key, value]) => key !== 'name' && key !== 'description' && value != null)
+      .map(([key, value]) => `<Data name="${escapeXml(key)}"><value>${escapeXml(value)}</value></Data>`)
+      .join('');
+    const geometry = feature.geometry;
+    let kmlGeometry;
+    if (geometry.type === 'Point') {
+      kmlGeometry = `<Point><coordinates>${geometry.coordinates[0]},${geometry.coordinates[1]}</coordinates></Point>`;
+    } else if (geometry.type === 'Polygon') {
+      kmlGeometry = kmlPolygon(geometry.coordinates);
+    } else {
+      kmlGeometry = `<MultiGeometry>${geometry.coordinates.map(kmlPolygon).join('')}</MultiGeometry>`;
+    }
+    return [
+      '<Placemark>',
+      `<name>${escapeXml(props.name)}</name>`,
+      props.description ? `<description>${escapeXml(props.description)}</description>` : '',
+      `<Style><LineStyle><color>${kmlColor(props.color, 'ff')}</color><width>2</width></LineStyle>`,
+      `<PolyStyle><color>${kmlColor(props.color, '66')}</color></PolyStyle></Style>`,
+      `<ExtendedData>${data}</ExtendedData>`,
+      kmlGeometry,
+      '</Placemark>',
+    ].join('');
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2"><Document>',
+    `<name>${escapeXml(documentName)}</name>`,
+    ...placemarks,
+    '</Document></kml>',
+    '',
+  ].join('\n');
+}
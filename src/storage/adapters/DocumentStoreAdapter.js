@@ -0,0 +1,257 @@
+/**
+ * Shared query logic for the non-Firestore adapters (in-memory and SQLite).
+ * Subclasses only implement raw document access: _get, _put, _remove and _list.
+ * Queries are evaluated in JS, which is fine for offline use and tests but not for large datasets.
+ */
+
+import crypto from 'crypto';
+
+const ID_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+/** 20-char random ID, same shape as Firestore auto IDs */
+function generateId() {
+  const bytes = crypto.randomBytes(20);
+  let id = '';
+  for (const b of bytes) id += ID_ALPHABET[b % ID_ALPHABET.length];
+  return id;
+}
+
+/**
+ * Normalize a value for storage: Dates and Firestore Timestamps become ISO strings
+ * (what docToObject returns for Firestore reads), plain objects/arrays are copied.
+ */
+export function toStored(value) {
+  if (value === null || value === undefined) return value;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object' && typeof value.toDate === 'function') {
+    return value.toDate().toISOString();
+  }
+  if (Array.isArray(value)) return value.map(toStored);
+  if (typeof value === 'object') {
+    const out = {};
+    for (const [key, v] of Object.entries(value)) {
+      if (v === undefined) continue;
+      out[key] = toStored(v);
+    }
+    return out;
+  }
+  return value;
+}
+
+/**
+ * Copy of data with numeric fields increased and other fields set. Keys may be dotted paths into nested objects
+ * ('zones.abc.volume'), created as needed; a set value of null removes that key.
+ */
+export function applyFieldChanges(data, increments = {}, set = {}) {
+  // Objects along each path are copied so the input (and values such as Firestore Timestamps) stay untouched
+  const out = { ...(data || {}) };
+  const parentOf = (path) => {
+    const parts = path.split('.');
+    let node = out;
+    for (const part of parts.slice(0, -1)) {
+      node[part] = node[part] && typeof node[part] === 'object' ? { ...node[part] } : {};
+      node = node[part];
+    }
+    return [node, parts[parts.length - 1]];
+  };
+  for (const [path, by] of Object.entries(increments)) {
+    const [node, key] = parentOf(path);
+    node[key] = (Number(node[key]) || 0) + by;
+  }
+  for (const [path, value] of Object.entries(set)) {
+    const [node, key] = parentOf(path);
+    if (value === null) delete node[key];
+    else if (value !== undefined) node[key] = value;
+  }
+  return out;
+}
+
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return -1;
+  if (b === null || b === undefined) return 1;
+  return a < b ? -1 : 1;
+}
+
+function matchesCondition(doc, { field, operator = '==', value }) {
+  const actual = doc[field];
+  switch (operator) {
+    case '==':
+      return actual === value;
+    case '!=':
+      return actual !== undefined && actual !== value;
+    case '<':
+      return actual !== undefined && actual !== null && actual < value;
+    case '<=':
+      return actual !== undefined && actual !== null && actual <= value;
+    case '>':
+      return actual !== undefined && actual !== null && actual > value;
+    case '>=':
+      return actual !== undefined && actual !== null && actual >= value;
+    case 'in':
+      return Array.isArray(value) && value.includes(actual);
+    case 'not-in':
+      return actual !== undefined && Array.isArray(value) && !value.includes(actual);
+    case 'array-contains':
+      return Array.isArray(actual) && actual.includes(value);
+    default:
+      throw new Error(`Unsupported query operator: ${operator}`);
+  }
+}
+
+export class DocumentStoreAdapter {
+  /** @abstract @returns {object | null} stored data (without id) */
+  _get(_collectionName, _id) {
+    throw new Error('Not implemented');
+  }
+
+  /** @abstract */
+  _put(_collectionName, _id, _data) {
+    throw new Error('Not implemented');
+  }
+
+  /** @abstract @returns {boolean} whether a document was removed */
+  _remove(_collectionName, _id) {
+    throw new Error('Not implemented');
+  }
+
+  /** @abstract @returns {Array<{ id: string, data: object }>} */
+  _list(_collectionName) {
+    throw new Error('Not implemented');
+  }
+
+  _toObject(id, data) {
+    if (!data) return null;
+    return { ...structuredClone(data), id };
+  }
+
+  async ping() {}
+
+  async create(collectionName, data) {
+    const id = generateId();
+    this._put(collectionName, id, toStored(data));
+    return this.findById(collectionName, id);
+  }
+
+  async createMany(collectionName, items) {
+    const ids = items.map(() => generateId());
+    this._putAll(collectionName, ids.map((id, i) => [id, toStored(items[i])]));
+    return Promise.all(ids.map((id) => this.findById(collectionName, id)));
+  }
+
+  /** Write several documents at once; subclasses with transactions override this to make it atomic */
+  _putAll(collectionName, entries) {
+    for (const [id, data] of entries) this._put(collectionName, id, data);
+  }
+
+  /** Run a read-modify-write as one unit; subclasses with transactions override this */
+  _atomically(fn) {
+    return fn();
+  }
+
+  async increment(collectionName, id, field, by = 1) {
+    return this._atomically(() => {
+      const existing = this._get(collectionName, id) || {};
+      const value = (Number(existing[field]) || 0) + by;
+      this._put(collectionName, id, { ...existing, [field]: value });
+      return value;
+    });
+  }
+
+  async incrementFields(collectionName, id, increments, set = {}) {
+    const data = this._atomically(() => {
+      const next = applyFieldChanges(this._get(collectionName, id), increments, toStored(set));
+      this._put(collectionName, id, next);
+      return next;
+    });
+    return this._toObject(id, data);
+  }
+
+  async updateAtomically(collectionName, id, fn) {
+    const data = this._atomically(() => {
+      const current = this._get(collectionName, id);
+      const next = fn(current ? structuredClone(current) : null);
+      if (next === undefined) return current;
+      const stored = toStored(next);
+      this._put(collectionName, id, stored);
+      return stored;
+    });
+    return this._toObject(id, data);
+  }
+
+  async createWithId(collectionName, id, data) {
+    this._put(collectionName, id, toStored(data));
+    return this.findById(collectionName, id);
+  }
+
+  async createIfAbsent(collectionName, id, data) {
+    const created = this._atomically(() => {
+      if (this._get(collectionName, id)) return false;
+      this._put(collectionName, id, toStored(data));
+      return true;
+    });
+    return { created, doc: await this.findById(collectionName, id) };
+  }
+
+  async findById(collectionName, id) {
+    return this._toObject(id, this._get(collectionName, id));
+  }
+
+  async findAll(collectionName, { limit = null } = {}) {
+    return this.query(collectionName, { limit });
+  }
+
+  async findBy(collectionName, field, value) {
+    return this.query(collectionName, { conditions: [{ field, value }] });
+  }
+
+  async findByConditions(collectionName, conditions) {
+    return this.query(collectionName, { conditions });
+  }
+
+  async query(collectionName, { conditions = [], orderBy = null, limit = null, startAfterId = null } = {}) {
+    const normalized = conditions.map((c) => ({ ...c, value: toStored(c.value) }));
+    let docs = this._list(collectionName)
+      .map(({ id, data }) => ({ ...data, id }))
+      .filter((doc) => normalized.every((c) => matchesCondition(doc, c)));
+
+    if (orderBy) {
+      const direction = orderBy.direction === 'desc' ? -1 : 1;
+      docs = docs
+        .filter((doc) => doc[orderBy.field] !== undefined)
+        .sort((a, b) => direction * compareValues(a[orderBy.field], b[orderBy.field]));
+    }
+    if (startAfterId) {
+      const index = docs.findIndex((doc) => doc.id === startAfterId);
+      if (index >= 0) docs = docs.slice(index + 1);
+    }
+    if (limit) docs = docs.slice(0, limit);
+    return docs.map((doc) => structuredClone(doc));
+  }
+
+  async update(collectionName, id, data) {
+    const existing = this._get(collectionName, id);
+    if (!existing) {
+      const err = new Error(`No document to update: ${collectionName}/${id}`);
+      err.statusCode = 404;
+      throw err;
+    }
+    this._put(collectionName, id, { ...existing, ...toStored(data) });
+    return this.findById(collectionName, id);
+  }
+
+  async updateMany(collectionName, ids, data) {
+    for (const id of ids) {
+      await this.update(collectionName, id, data);
+    }
+    return { count: ids.length };
+  }
+
+  async delete(collectionName, id) {
+    this._remove(collectionName, id);
+  }
+
+  async exists(collectionName, id) {
+    return this._get(collectionName, id) != null;
+  }
+}
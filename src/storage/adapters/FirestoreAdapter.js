@@ -0,0 +1,208 @@
+/**
+ * Firestore storage adapter - the production backend.
+ * Every adapter exposes the same collection-level API so repositories never touch a client directly.
+ */
+
+import { docToObject } from '../firestore.js';
+import { applyFieldChanges } from './DocumentStoreAdapter.js';
+
+/** gRPC status Firestore returns when create() finds the document already there */
+const ALREADY_EXISTS = 6;
+
+export class FirestoreAdapter {
+  constructor(db) {
+    this.db = db;
+    this.name = 'firestore';
+  }
+
+  _collection(collectionName) {
+    return this.db.collection(collectionName);
+  }
+
+  /**
+   * Cheap round-trip used at startup to verify the connection
+   */
+  async ping() {
+    await this._collection('_health').limit(1).get();
+  }
+
+  /**
+   * Create a document with a generated ID
+   */
+  async create(collectionName, data) {
+    const docRef = await this._collection(collectionName).add(data);
+    const doc = await docRef.get();
+    return docToObject(doc);
+  }
+
+  /**
+   * Create (or overwrite) a document with a specific ID
+   */
+  async createWithId(collectionName, id, data) {
+    const docRef = this._collection(collectionName).doc(id);
+    await docRef.set(data);
+    const doc = await docRef.get();
+    return docToObject(doc);
+  }
+
+  /**
+   * Create a document with a specific ID unless it already exists.
+   * @returns {Promise<{ created: boolean, doc: object }>} doc is the existing document when not created
+   */
+  async createIfAbsent(collectionName, id, data) {
+    const docRef = this._collection(collectionName).doc(id);
+    let created = true;
+    try {
+      await docRef.create(data);
+    } catch (err) {
+      if (err.code !== ALREADY_EXISTS) throw err;
+      created = false;
+    }
+    return { created, doc: docToObject(await docRef.get()) };
+  }
+
+  /**
+   * Create several documents atomically (one batch, so at most 500)
+   */
+  async createMany(collectionName, items) {
+    if (items.length === 0) return [];
+    const batch = this.db.batch();
+    const refs = items.map((data) => {
+      const ref = this._collection(collectionName).doc();
+      batch.set(ref, data);
+      return ref;
+    });
+    await batch.commit();
+    const docs = await this.db.getAll(...refs);
+    return docs.map(docToObject);
+  }
+
+  /**
+   * Find a document by ID
+   */
+  async findById(collectionName, id) {
+    const doc = await this._collection(collectionName).doc(id).get();
+    return docToObject(doc);
+  }
+
+  /**
+   * Find all documents (optionally limited)
+   */
+  async findAll(collectionName, { limit = null } = {}) {
+    let query = this._collection(collectionName);
+    if (limit) query = query.limit(limit);
+    const snapshot = await query.get();
+    return snapshot.docs.map(docToObject);
+  }
+
+  /**
+   * Find documents by a field value
+   */
+  async findBy(collectionName, field, value) {
+    const snapshot = await this._collection(collectionName).where(field, '==', value).get();
+    return snapshot.docs.map(docToObject);
+  }
+
+  /**
+   * Find documents matching all conditions ({ field, operator?, value })
+   */
+  async findByConditions(collectionName, conditions) {
+    return this.query(collectionName, { conditions });
+  }
+
+  /**
+   * Range / ordered query.
+   * @param {{ conditions?: Array<{ field, operator?, value }>, orderBy?: { field, direction? }, limit?: number, startAfterId?: string }} options
+   */
+  async query(collectionName, { conditions = [], orderBy = null, limit = null, startAfterId = null } = {}) {
+    let query = this._collection(collectionName);
+    for (const { field, operator, value } of conditions) {
+      query = query.where(field, operator || '==', value);
+    }
+    if (orderBy) {
+      query = query.orderBy(orderBy.field, orderBy.direction || 'asc');
+    }
+    if (startAfterId) {
+      const cursor = await this._collection(collectionName).doc(startAfterId).get();
+      if (cursor.exists) query = query.startAfter(cursor);
+    }
+    if (limit) query = query.limit(limit);
+    const snapshot = await query.get();
+    return snapshot.docs.map(docToObject);
+  }
+
+  /**
+   * Update fields of an existing document (fails if it does not exist)
+   */
+  async update(collectionName, id, data) {
+    await this._collection(collectionName).doc(id).update(data);
+    return this.findById(collectionName, id);
+  }
+
+  /**
+   * Atomically add `by` to a numeric field (document created if missing); returns the new value
+   */
+  async increment(collectionName, id, field, by = 1) {
+    const ref = this._collection(collectionName).doc(id);
+    return this.db.runTransaction(async (tx) => {
+      const doc = await tx.get(ref);
+      const value = (Number(doc.exists ? doc.get(field) : 0) || 0) + by;
+      tx.set(ref, { [field]: value }, { merge: true });
+      return value;
+    });
+  }
+
+  /**
+   * Atomically add to several numeric fields and set others (dotted paths allowed; document created if missing)
+   */
+  async incrementFields(collectionName, id, increments, set = {}) {
+    const ref = this._collection(collectionName).doc(id);
+    await this.db.runTransaction(async (tx) => {
+      const doc = await tx.get(ref);
+      tx.set(ref, applyFieldChanges(doc.exists ? doc.data() : {}, increments, set));
+    });
+    return this.findById(collectionName, id);
+  }
+
+  /**
+   * Read-modify-write one document in a transaction: fn(data) gets its stored data (null if missing) and returns the
+   * full data to store, or undefined to leave it as is. fn may run more than once, so it must not have side effects.
+   */
+  async updateAtomically(collectionName, id, fn) {
+    const ref = this._collection(collectionName).doc(id);
+    await this.db.runTransaction(async (tx) => {
+      const doc = await tx.get(ref);
+      const next = fn(doc.exists ? doc.data() : null);
+      if (next !== undefined) tx.set(ref, next);
+    });
+    return this.findById(collectionName, id);
+  }
+
+  /**
+   * Apply the same update to several documents in one batch
+   */
+  async updateMany(collectionName, ids, data) {
+    if (ids.length === 0) return { count: 0 };
+    const batch = this.db.batch();
+    for (const id of ids) {
+      batch.update(this._collection(collectionName).doc(id), data);
+    }
+    await batch.commit();
+    return { count: ids.length };
+  }
+
+  /**
+   * Delete a document
+   */
+  async delete(collectionName, id) {
+    await this._collection(collectionName).doc(id).delete();
+  }
+
+  /**
+   * Check if a document exists
+   */
+  async exists(collectionName, id) {
+    const doc = await this._collection(collectionName).doc(id).get();
+    return doc.exists;
+  }
+}
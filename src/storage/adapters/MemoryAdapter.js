@@ -0,0 +1,47 @@
+/**
+ * In-memory storage adapter. Data lives in the process and is lost on restart.
+ * Intended for offline development and integration tests (STORAGE_BACKEND=memory).
+ */
+
+import { DocumentStoreAdapter } from './DocumentStoreAdapter.js';
+
+export class MemoryAdapter extends DocumentStoreAdapter {
+  constructor() {
+    super();
+    this.name = 'memory';
+    /** @type {Map<string, Map<string, object>>} */
+    this.collections = new Map();
+  }
+
+  _store(collectionName) {
+    let store = this.collections.get(collectionName);
+    if (!store) {
+      store = new Map();
+      this.collections.set(collectionName, store);
+    }
+    return store;
+  }
+
+  _get(collectionName, id) {
+    return this._store(collectionName).get(id) ?? null;
+  }
+
+  _put(collectionName, id, data) {
+    this._store(collectionName).set(id, data);
+  }
+
+  _remove(collectionName, id) {
+    return this._store(collectionName).delete(id);
+  }
+
+  _list(collectionName) {
+    return [...this._store(collectionName)].map(([id, data]) => ({ id, data }));
+  }
+
+  /**
+   * Drop all data (useful between tests)
+   */
+  clear() {
+    this.collections.clear();
+  }
+}
@@ -0,0 +1,86 @@
+/**
+ * SQLite storage adapter (STORAGE_BACKEND=sqlite). Documents are stored as JSON in a single table,
+ * one row per (collection, id), so a whole farm's data fits in one portable file.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { DocumentStoreAdapter, toStored } from './DocumentStoreAdapter.js';
+
+export class SqliteAdapter extends DocumentStoreAdapter {
+  /**
+   * @param {string} filePath - database file (created if missing); ':memory:' is allowed
+   */
+  constructor(filePath) {
+    super();
+    this.name = 'sqlite';
+    if (filePath !== ':memory:') {
+      fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+    }
+    this.db = new Database(filePath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS documents (
+        collection TEXT NOT NULL,
+        id TEXT NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (collection, id)
+      )
+    `);
+    this.statements = {
+      get: this.db.prepare('SELECT data FROM documents WHERE collection = ? AND id = ?'),
+      put: this.db.prepare(
+        'INSERT INTO documents (collection, id, data) VALUES (?, ?, ?) ' +
+          'ON CONFLICT (collection, id) DO UPDATE SET data = excluded.data'
+      ),
+      remove: this.db.prepare('DELETE FROM documents WHERE collection = ? AND id = ?'),
+      list: this.db.prepare('SELECT id, data FROM documents WHERE collection = ?'),
+    };
+  }
+
+  _get(collectionName, id) {
+    const row = this.statements.get.get(collectionName, id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  _put(collectionName, id, data) {
+    this.statements.put.run(collectionName, id, JSON.stringify(data));
+  }
+
+  _remove(collectionName, id) {
+    return this.statements.remove.run(collectionName, id).changes > 0;
+  }
+
+  _list(collectionName) {
+    return this.statements.list
+      .all(collectionName)
+      .map((row) => ({ id: row.id, data: JSON.parse(row.data) }));
+  }
+
+  _putAll(collectionName, entries) {
+    this.db.transaction(() => {
+      for (const [id, data] of entries) this._put(collectionName, id, data);
+    })();
+  }
+
+  _atomically(fn) {
+    return this.db.transaction(fn)();
+  }
+
+  async updateMany(collectionName, ids, data) {
+    const stored = toStored(data);
+    const run = this.db.transaction(() => {
+      for (const id of ids) {
+        const existing = this._get(collectionName, id);
+        if (existing) this._put(collectionName, id, { ...existing, ...stored });
+      }
+    });
+    run();
+    return { count: ids.length };
+  }
+
+  close() {
+    this.db.close();
+  }
+}
@@ -4,26 +4,56 @@
  * Production (Cloud Run): uses Application Default Credentials only.
  * Local development: use GOOGLE_APPLICATION_CREDENTIALS pointing to a key file,
  * or Firestore emulator via FIRESTORE_EMULATOR_HOST.
+ *
+ * STORAGE_BACKEND selects the storage adapter: 'firestore' (default), 'memory' or 'sqlite'
+ * (file at SQLITE_PATH). Repositories go through getStorage() and work with any of them.
  */
 
 import { Firestore } from '@google-cloud/firestore';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
+import { FirestoreAdapter } from './adapters/FirestoreAdapter.js';
+import { MemoryAdapter } from './adapters/MemoryAdapter.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+const STORAGE_BACKENDS = ['firestore', 'memory', 'sqlite'];
+const DEFAULT_SQLITE_PATH = 'data/sapmap.sqlite';
+
 let db = null;
+let storage = null;
 
 /**
- * Initialize and return Firestore client
+ * Initialize the storage backend selected by STORAGE_BACKEND.
+ * Returns the Firestore client for the firestore backend, otherwise null.
  */
 export const initFirestore = async () => {
-  if (db) {
+  if (storage) {
     return db;
   }
 
+  const backend = (process.env.STORAGE_BACKEND || 'firestore').trim().toLowerCase();
+  if (!STORAGE_BACKENDS.includes(backend)) {
+    throw new Error(`Unknown STORAGE_BACKEND "${backend}". Use one of: ${STORAGE_BACKENDS.join(', ')}`);
+  }
+
+  if (backend === 'memory') {
+    console.log('🔧 Using in-memory storage (data is lost on restart)');
+    storage = new MemoryAdapter();
+    return null;
+  }
+
+  if (backend === 'sqlite') {
+    const filePath = process.env.SQLITE_PATH || DEFAULT_SQLITE_PATH;
+    console.log(`🔧 Using SQLite storage at ${filePath}`);
+    // Loaded lazily so Firestore deployments never need the native module
+    const { SqliteAdapter } = await import('./adapters/SqliteAdapter.js');
+    storage = new SqliteAdapter(filePath);
+    return null;
+  }
+
   try {
     const projectId = process.env.GOOGLE_CLOUD_PROJECT_ID;
     const useEmulator = process.env.FIRESTORE_EMULATOR_HOST;
@@ -57,6 +87,8 @@ export const initFirestore = async () => {
       }
     }
 
+    const adapter = new FirestoreAdapter(db);
+
     // Test connection
     try {
       const timeoutPromise = new Promise((_, reject) =>
@@ -64,7 +96,7 @@ export const initFirestore = async () => {
       );
 
       await Promise.race([
-        db.collection('_health').limit(1).get(),
+        adapter.ping(),
         timeoutPromise,
       ]);
 
@@ -78,6 +110,7 @@ export const initFirestore = async () => {
       throw connectionError;
     }
 
+    storage = adapter;
     return db;
   } catch (error) {
     console.error('❌ Firestore initialization failed:', error.message);
@@ -86,15 +119,25 @@ export const initFirestore = async () => {
 };
 
 /**
- * Get the Firestore database instance
+ * Get the Firestore database instance (firestore backend only; used by one-off migration scripts)
  */
 export const getDb = () => {
   if (!db) {
-    throw new Error('Firestore not initialized. Call initFirestore() first.');
+    throw new Error('Firestore not initialized. Call initFirestore() first with STORAGE_BACKEND=firestore.');
   }
   return db;
 };
 
+/**
+ * Get the active storage adapter (Firestore, in-memory or SQLite)
+ */
+export const getStorage = () => {
+  if (!storage) {
+    throw new Error('Storage not initialized. Call initFirestore() first.');
+  }
+  return storage;
+};
+
 /**
  * Collection names as constants
  */
@@ -112,6 +155,26 @@ export const Collections = {
   PASSWORD_RESET_TOKENS: 'passwordResetTokens',
   NOTIFICATIONS: 'notifications',
   PUSH_SUBSCRIPTIONS: 'pushSubscriptions',
+  SESSIONS: 'sessions',
+  AUDIT_LOGS: 'auditLogs',
+  SYRUP_BATCHES: 'syrupBatches',
+  TANKS: 'tanks',
+  TANK_MOVEMENTS: 'tankMovements',
+  RO_RUNS: 'roRuns',
+  SYNC_KEYS: 'syncKeys',
+  REALTIME_EVENTS: 'realtimeEvents',
+  REALTIME_SEQUENCES: 'realtimeSequences',
+  PRESENCE: 'presence',
+  LINES: 'lines',
+  TAPS: 'taps',
+  VACUUM_READINGS: 'vacuumReadings',
+  SENSOR_DEVICES: 'sensorDevices',
+  SENSOR_READINGS: 'sensorReadings',
+  SEASON_SNAPSHOTS: 'seasonSnapshots',
+  DAILY_STATS: 'dailyStats',
+  SEASON_STATS: 'seasonStats',
+  FLOW_PREDICTIONS: 'flowPredictions',
+  LOT_SEQUENCES: 'lotSequences',
 };
 
 /**
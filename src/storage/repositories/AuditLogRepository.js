@@ -0,0 +1,40 @@
+/**
+ * Audit Log Repository - append-only record of privileged actions (e.g. platform role changes)
+ */
+
+import { BaseRepository } from './BaseRepository.js';
+import { Collections } from '../firestore.js';
+
+class AuditLogRepositoryClass extends BaseRepository {
+  constructor() {
+    super(Collections.AUDIT_LOGS);
+  }
+
+  /**
+   * Record an action
+   * @param {{ action: string, actorId?: string | null, actorEmail?: string | null, targetUserId?: string | null, details?: object }} entry
+   */
+  async record({ action, actorId = null, actorEmail = null, targetUserId = null, details = null }) {
+    return this.create({
+      action,
+      actorId,
+      actorEmail,
+      targetUserId,
+      details,
+    });
+  }
+
+  /**
+   * List most recent entries, newest first, optionally for one target user.
+   * On Firestore the targetUserId filter needs a composite index (targetUserId asc, createdAt desc).
+   */
+  async findRecent({ targetUserId = null, limit = 100 } = {}) {
+    return this.query({
+      conditions: targetUserId ? [{ field: 'targetUserId', value: targetUserId }] : [],
+      orderBy: { field: 'createdAt', direction: 'desc' },
+      limit,
+    });
+  }
+}
+
+export const auditLogRepository = new AuditLogRepositoryClass();
@@ -1,8 +1,8 @@
 /**
- * Base Repository class for Firestore operations
+ * Base Repository class for storage operations (delegates to the active storage adapter)
  */
 
-import { getDb, docToObject, dateToTimestamp } from '../firestore.js';
+import { getStorage, dateToTimestamp } from '../firestore.js';
 
 /** Remove undefined values so Firestore doesn't reject the document */
 function stripUndefined(obj) {
@@ -26,8 +26,8 @@ export class BaseRepository {
     this.collectionName = collectionName;
   }
 
-  get collection() {
-    return getDb().collection(this.collectionName);
+  get storage() {
+    return getStorage();
   }
 
   /**
@@ -41,9 +41,20 @@ export class BaseRepository {
       updatedAt: now,
     });
 
-    const docRef = await this.collection.add(docData);
-    const doc = await docRef.get();
-    return docToObject(doc);
+    return this.storage.create(this.collectionName, docData);
+  }
+
+  /**
+   * Create several documents in one atomic write (all or none)
+   */
+  async createMany(items) {
+    const now = dateToTimestamp(new Date());
+    const docs = items.map((data) => stripUndefined({
+      ...data,
+      createdAt: now,
+      updatedAt: now,
+    }));
+    return this.storage.createMany(this.collectionName, docs);
   }
 
   /**
@@ -57,45 +68,57 @@ export class BaseRepository {
       updatedAt: now,
     });
 
-    await this.collection.doc(id).set(docData);
-    const doc = await this.collection.doc(id).get();
-    return docToObject(doc);
+    return this.storage.createWithId(this.collectionName, id, docData);
+  }
+
+  /**
+   * Create a document with a specific ID unless it already exists (atomic, so one of several racing callers wins).
+   * @returns {Promise<{ created: boolean, doc: object }>} doc is the existing document when not created
+   */
+  async createIfAbsent(id, data) {
+    const now = dateToTimestamp(new Date());
+    const docData = stripUndefined({
+      ...data,
+      createdAt: now,
+      updatedAt: now,
+    });
+
+    return this.storage.createIfAbsent(this.collectionName, id, docData);
   }
 
   /**
    * Find a document by ID
    */
   async findById(id) {
-    const doc = await this.collection.doc(id).get();
-    return docToObject(doc);
+    return this.storage.findById(this.collectionName, id);
   }
 
   /**
    * Find all documents
    */
   async findAll() {
-    const snapshot = await this.collection.get();
-    return snapshot.docs.map(docToObject);
+    return this.storage.findAll(this.collectionName);
   }
 
   /**
    * Find documents by a field value
    */
   async findBy(field, value) {
-    const snapshot = await this.collection.where(field, '==', value).get();
-    return snapshot.docs.map(docToObject);
+    return this.storage.findBy(this.collectionName, field, value);
   }
 
   /**
    * Find documents by multiple conditions
    */
   async findByConditions(conditions) {
-    let query = this.collection;
-    for (const { field, operator, value } of conditions) {
-      query = query.where(field, operator || '==', value);
-    }
-    const snapshot = await query.get();
-    return snapshot.docs.map(docToObject);
+    return this.storage.findByConditions(this.collectionName, conditions);
+  }
+
+  /**
+   * Range / ordered query: { conditions, orderBy: { field, direction }, limit, startAfterId }
+   */
+  async query(options) {
+    return this.storage.query(this.collectionName, options);
   }
 
   /**
@@ -107,15 +130,57 @@ export class BaseRepository {
       updatedAt: dateToTimestamp(new Date()),
     });
 
-    await this.collection.doc(id).update(updateData);
-    return this.findById(id);
+    return this.storage.update(this.collectionName, id, updateData);
+  }
+
+  /**
+   * Apply the same update to several documents in one write
+   */
+  async updateMany(ids, data) {
+    const updateData = stripUndefined({
+      ...data,
+      updatedAt: dateToTimestamp(new Date()),
+    });
+
+    return this.storage.updateMany(this.collectionName, ids, updateData);
+  }
+
+  /**
+   * Atomically add `by` to a numeric field, creating the document if needed; returns the new value
+   */
+  async increment(id, field, by = 1) {
+    return this.storage.increment(this.collectionName, id, field, by);
+  }
+
+  /**
+   * Atomically add to numeric fields and set others, creating the document if needed. Keys may be dotted paths
+   * into nested objects; a set value of null removes the key. Returns the updated document.
+   */
+  async incrementFields(id, increments, set = {}) {
+    return this.storage.incrementFields(this.collectionName, id, increments, {
+      ...stripUndefined(set),
+      updatedAt: dateToTimestamp(new Date()),
+    });
+  }
+
+  /**
+   * Read-modify-write a document atomically: fn(data) gets its current data (null if missing) and returns the full
+   * data to store, or undefined to leave it unchanged. fn may run more than once (Firestore retries transactions),
+   * so it must not have side effects beyond recording what it computed. Returns the resulting document.
+   */
+  async updateAtomically(id, fn) {
+    return this.storage.updateAtomically(this.collectionName, id, (data) => {
+      const next = fn(data);
+      if (next === undefined) return undefined;
+      return stripUndefined({ ...next, updatedAt: dateToTimestamp(new Date()) });
+    });
   }
 
   /**
    * Delete a document
    */
   async delete(id) {
-    await this.collection.doc(id).delete();
+    await this.storage.delete(this.collectionName, id);
     return { success: true };
   }
 
@@ -123,7 +188,6 @@ export class BaseRepository {
    * Check if a document exists
    */
   async exists(id) {
-    const doc = await this.collection.doc(id).get();
-    return doc.exists;
+    return this.storage.exists(this.collectionName, id);
   }
 }
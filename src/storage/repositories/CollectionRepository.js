@@ -3,7 +3,7 @@
  */
 
 import { BaseRepository } from './BaseRepository.js';
-import { Collections, getDb } from '../firestore.js';
+import { Collections } from '../firestore.js';
 
 class CollectionRepositoryClass extends BaseRepository {
   constructor() {
@@ -30,14 +30,14 @@ class CollectionRepositoryClass extends BaseRepository {
    * Find collections for a date range
    */
   async findByDateRange(seasonId, startDate, endDate) {
-    const snapshot = await this.collection
-      .where('seasonId', '==', seasonId)
-      .where('date', '>=', startDate)
-      .where('date', '<=', endDate)
-      .orderBy('date', 'desc')
-      .get();
-
-    return snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+    return this.query({
+      conditions: [
+        { field: 'seasonId', value: seasonId },
+        { field: 'date', operator: '>=', value: startDate },
+        { field: 'date', operator: '<=', value: endDate },
+      ],
+      orderBy: { field: 'date', direction: 'desc' },
+    });
   }
 
   /**
@@ -0,0 +1,47 @@
+/**
+ * Daily Stats Repository - per season and day running sums of collections and boils (see StatsAggregateService).
+ * Document ID is `${seasonId}_${date}`.
+ */
+
+import { BaseRepository } from './BaseRepository.js';
+import { Collections } from '../firestore.js';
+
+function docId(seasonId, date) {
+  return `${seasonId}_${date}`;
+}
+
+class DailyStatsRepositoryClass extends BaseRepository {
+  constructor() {
+    super(Collections.DAILY_STATS);
+  }
+
+  /**
+   * Add to a day's sums (see BaseRepository.incrementFields), creating the day if needed
+   */
+  async incrementDay(seasonId, date, increments, set = {}) {
+    return this.incrementFields(docId(seasonId, date), increments, { ...set, seasonId, date });
+  }
+
+  /**
+   * Replace a day's sums with the given ones (a rebuild), creating the day if needed
+   */
+  async setDay(seasonId, date, sums) {
+    return this.createWithId(docId(seasonId, date), { ...sums, seasonId, date });
+  }
+
+  /**
+   * A season's daily aggregates, oldest first
+   */
+  async findBySeasonId(seasonId) {
+    const days = await this.findBy('seasonId', seasonId);
+    return days.sort((a, b) => String(a.date).localeCompare(String(b.date)));
+  }
+
+  async deleteBySeasonId(seasonId) {
+    const days = await this.findBy('seasonId', seasonId);
+    await Promise.all(days.map((d) => this.delete(d.id)));
+    return days.length;
+  }
+}
+
+export const dailyStatsRepository = new DailyStatsRepositoryClass();
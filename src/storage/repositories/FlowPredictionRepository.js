@@ -0,0 +1,34 @@
+/**
+ * Flow Prediction Repository - sap flow forecasts as they were issued, kept to score them against the actual
+ * collections later (see PredictionAccuracyService). Document ID is `${seasonId}_${model}_${issuedOn}_${date}`,
+ * so a season keeps the first forecast issued each day, whatever location later requests ask for.
+ */
+
+import { BaseRepository } from './BaseRepository.js';
+import { Collections } from '../firestore.js';
+
+class FlowPredictionRepositoryClass extends BaseRepository {
+  constructor() {
+    super(Collections.FLOW_PREDICTIONS);
+  }
+
+  /**
+   * Store one forecast day unless one was already issued for the same season, model and day.
+   * @returns {Promise<{ created: boolean, doc: Object }>}
+   */
+  async record(prediction) {
+    const { seasonId, model, issuedOn, date } = prediction;
+    return this.createIfAbsent(`${seasonId}_${model}_${issuedOn}_${date}`, prediction);
+  }
+
+  /**
+   * A season's stored predictions, by target date then issue date
+   */
+  async findBySeasonId(seasonId) {
+    const predictions = await this.findBy('seasonId', seasonId);
+    return predictions.sort((a, b) =>
+      String(a.date).localeCompare(String(b.date)) || String(a.issuedOn).localeCompare(String(b.issuedOn)));
+  }
+}
+
+export const flowPredictionRepository = new FlowPredictionRepositoryClass();
@@ -0,0 +1,22 @@
+/**
+ * Line Repository - tubing in a sugar bush: mainlines and the laterals that feed them
+ */
+
+import { BaseRepository } from './BaseRepository.js';
+import { Collections } from '../firestore.js';
+
+class LineRepositoryClass extends BaseRepository {
+  constructor() {
+    super(Collections.LINES);
+  }
+
+  async findByZoneId(zoneId) {
+    return this.findBy('zoneId', zoneId);
+  }
+
+  async findByOrganizationId(organizationId) {
+    return this.findBy('organizationId', organizationId);
+  }
+}
+
+export const lineRepository = new LineRepositoryClass();
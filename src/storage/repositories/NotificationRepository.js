@@ -3,7 +3,7 @@
  */
 
 import { BaseRepository } from './BaseRepository.js';
-import { Collections, getDb, docToObject, dateToTimestamp } from '../firestore.js';
+import { Collections, dateToTimestamp } from '../firestore.js';
 
 class NotificationRepositoryClass extends BaseRepository {
   constructor() {
@@ -31,20 +31,12 @@ class NotificationRepositoryClass extends BaseRepository {
    */
   async findByUser(userId, options = {}) {
     const { read = null, operationId = null, limit = 50, beforeId = null } = options;
-    let query = this.collection
-      .where('userId', '==', userId)
-      .orderBy('createdAt', 'desc')
-      .limit(beforeId ? limit + 1 : 200);
-
-    if (beforeId) {
-      const beforeDoc = await this.collection.doc(beforeId).get();
-      if (beforeDoc.exists) {
-        query = query.startAfter(beforeDoc);
-      }
-    }
-
-    const snapshot = await query.get();
-    let list = snapshot.docs.map(docToObject);
+    let list = await this.query({
+      conditions: [{ field: 'userId', value: userId }],
+      orderBy: { field: 'createdAt', direction: 'desc' },
+      limit: beforeId ? limit + 1 : 200,
+      startAfterId: beforeId,
+    });
 
     if (read !== null && read !== undefined) {
       list = list.filter((n) => n.read === !!read);
@@ -60,10 +52,9 @@ class NotificationRepositoryClass extends BaseRepository {
    * Mark a single notification as read
    */
   async markRead(id, userId) {
-    const doc = await this.collection.doc(id).get();
-    if (!doc.exists) return null;
-    const data = doc.data();
-    if (data.userId !== userId) return null;
+    const notification = await this.findById(id);
+    if (!notification) return null;
+    if (notification.userId !== userId) return null;
     return this.update(id, { read: true });
   }
 
@@ -71,19 +62,21 @@ class NotificationRepositoryClass extends BaseRepository {
    * Mark all notifications for a user as read (optional operationId filter)
    */
   async markAllRead(userId, operationId = null) {
-    let query = this.collection.where('userId', '==', userId).where('read', '==', false);
+    const conditions = [
+      { field: 'userId', value: userId },
+      { field: 'read', value: false },
+    ];
     if (operationId) {
-      query = query.where('operationId', '==', operationId);
+      conditions.push({ field: 'operationId', value: operationId });
     }
-    const snapshot = await query.get();
-    const batch = getDb().batch();
+    const unread = await this.findByConditions(conditions);
+    if (unread.length === 0) return { count: 0 };
     const now = dateToTimestamp(new Date());
-    for (const doc of snapshot.docs) {
-      batch.update(doc.ref, { read: true, updatedAt: now });
-    }
-    if (snapshot.empty) return { count: 0 };
-    await batch.commit();
-    return { count: snapshot.size };
+    return this.storage.updateMany(
+      this.collectionName,
+      unread.map((n) => n.id),
+      { read: true, updatedAt: now }
+    );
   }
 }
 
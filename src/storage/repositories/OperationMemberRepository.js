@@ -4,7 +4,6 @@
 
 import { BaseRepository } from './BaseRepository.js';
 import { Collections } from '../firestore.js';
-import { getDb, docToObject } from '../firestore.js';
 
 class OperationMemberRepositoryClass extends BaseRepository {
   constructor() {
@@ -0,0 +1,44 @@
+/**
+ * Presence Repository - each member's last reported status per operation (one document per member)
+ */
+
+import { BaseRepository } from './BaseRepository.js';
+import { Collections } from '../firestore.js';
+
+class PresenceRepositoryClass extends BaseRepository {
+  constructor() {
+    super(Collections.PRESENCE);
+  }
+
+  docId(organizationId, userId) {
+    return `${organizationId}_${userId}`;
+  }
+
+  async findForMember(organizationId, userId) {
+    return this.findById(this.docId(organizationId, userId));
+  }
+
+  async findByOrganizationId(organizationId) {
+    return this.findBy('organizationId', organizationId);
+  }
+
+  /**
+   * Store a member's presence (replaces the previous report)
+   */
+  async saveForMember(organizationId, userId, data) {
+    return this.createWithId(this.docId(organizationId, userId), { organizationId, userId, ...data });
+  }
+
+  async deleteForMember(organizationId, userId) {
+    return this.delete(this.docId(organizationId, userId));
+  }
+
+  /**
+   * Presence entries last seen before `before` (Date), across operations
+   */
+  async findLastSeenBefore(before) {
+    return this.query({ conditions: [{ field: 'lastSeenAt', operator: '<', value: before }] });
+  }
+}
+
+export const presenceRepository = new PresenceRepositoryClass();
@@ -53,14 +53,14 @@ class PushSubscriptionRepositoryClass extends BaseRepository {
    * Delete a subscription by endpoint (and optionally userId for security)
    */
   async deleteByEndpoint(endpoint, userId = null) {
-    let query = this.collection.where('endpoint', '==', endpoint);
+    const conditions = [{ field: 'endpoint', value: endpoint }];
     if (userId) {
-      query = query.where('userId', '==', userId);
+      conditions.push({ field: 'userId', value: userId });
     }
-    const snapshot = await query.get();
-    if (snapshot.empty) return { deleted: 0 };
-    await Promise.all(snapshot.docs.map((d) => this.delete(d.id)));
-    return { deleted: snapshot.size };
+    const list = await this.findByConditions(conditions);
+    if (list.length === 0) return { deleted: 0 };
+    await Promise.all(list.map((d) => this.delete(d.id)));
+    return { deleted: list.length };
   }
 }
 
@@ -0,0 +1,73 @@
+/**
+ * Realtime Event Repository - every operation event sent through trigger(), numbered per operation
+ * so reconnecting clients can replay what they missed.
+ */
+
+import { BaseRepository } from './BaseRepository.js';
+import { Collections, getStorage } from '../firestore.js';
+
+/** How long events are kept for replay (REALTIME_EVENT_RETENTION_HOURS, default 7 days) */
+export const REALTIME_EVENT_RETENTION_MS =
+  (Number(process.env.REALTIME_EVENT_RETENTION_HOURS) || 7 * 24) * 60 * 60 * 1000;
+
+/** Most events deleted per prune query */
+const PRUNE_BATCH_SIZE = 500;
+
+class RealtimeEventRepositoryClass extends BaseRepository {
+  constructor() {
+    super(Collections.REALTIME_EVENTS);
+  }
+
+  /**
+   * Store an event under the operation's next sequence number (1, 2, 3, ...)
+   * @returns {Promise<{ id, organizationId, seq, type, event, createdAt }>}
+   */
+  async append(organizationId, event) {
+    const seq = await getStorage().increment(Collections.REALTIME_SEQUENCES, organizationId, 'seq');
+    return this.createWithId(`${organizationId}_${seq}`, {
+      organizationId,
+      seq,
+      type: event.type,
+      event,
+    });
+  }
+
+  /** Last sequence number issued for the operation (0 if none) */
+  async lastSeq(organizationId) {
+    const counter = await getStorage().findById(Collections.REALTIME_SEQUENCES, organizationId);
+    return counter?.seq || 0;
+  }
+
+  /**
+   * Up to `limit` events after `since`, oldest first.
+   * On Firestore this needs a composite index on realtimeEvents (organizationId ascending, seq ascending).
+   */
+  async findSince(organizationId, since = 0, limit) {
+    return this.query({
+      conditions: [
+        { field: 'organizationId', value: organizationId },
+        { field: 'seq', operator: '>', value: since },
+      ],
+      orderBy: { field: 'seq' },
+      limit,
+    });
+  }
+
+  /**
+   * Delete events created before `before` (Date). Returns how many were removed.
+   */
+  async pruneOlderThan(before) {
+    let removed = 0;
+    for (;;) {
+      const batch = await this.query({
+        conditions: [{ field: 'createdAt', operator: '<', value: before }],
+        limit: PRUNE_BATCH_SIZE,
+      });
+      for (const event of batch) await this.delete(event.id);
+      removed += batch.length;
+      if (batch.length < PRUNE_BATCH_SIZE) return removed;
+    }
+  }
+}
+
+export const realtimeEventRepository = new RealtimeEventRepositoryClass();
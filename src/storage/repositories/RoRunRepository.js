@@ -0,0 +1,22 @@
+/**
+ * RO Run Repository - reverse osmosis runs that turn raw sap into concentrate before boiling
+ */
+
+import { BaseRepository } from './BaseRepository.js';
+import { Collections } from '../firestore.js';
+
+class RoRunRepositoryClass extends BaseRepository {
+  constructor() {
+    super(Collections.RO_RUNS);
+  }
+
+  /**
+   * Find all RO runs for a season (newest first)
+   */
+  async findBySeasonId(seasonId) {
+    const runs = await this.findBy('seasonId', seasonId);
+    return runs.sort((a, b) => new Date(b.date) - new Date(a.date));
+  }
+}
+
+export const roRunRepository = new RoRunRepositoryClass();
@@ -0,0 +1,33 @@
+/**
+ * Season Snapshot Repository - frozen summaries taken when a season is closed. Snapshots are never updated;
+ * closing a reopened season takes a new one.
+ */
+
+import { BaseRepository } from './BaseRepository.js';
+import { Collections } from '../firestore.js';
+
+class SeasonSnapshotRepositoryClass extends BaseRepository {
+  constructor() {
+    super(Collections.SEASON_SNAPSHOTS);
+  }
+
+  /**
+   * A season's snapshots, newest first
+   */
+  async findBySeasonId(seasonId) {
+    const snapshots = await this.findBy('seasonId', seasonId);
+    return snapshots.sort((a, b) => new Date(b.closedAt) - new Date(a.closedAt));
+  }
+
+  /**
+   * Current snapshot of a closed season, or null while it is open. A snapshotId pointing at another season's
+   * snapshot is ignored rather than serving that season's figures.
+   */
+  async findCurrent(season) {
+    if (!season?.closedAt || !season.snapshotId) return null;
+    const snapshot = await this.findById(season.snapshotId);
+    return snapshot?.seasonId === season.id ? snapshot : null;
+  }
+}
+
+export const seasonSnapshotRepository = new SeasonSnapshotRepositoryClass();
@@ -0,0 +1,15 @@
+/**
+ * Season Stats Repository - season totals of collections and boils, kept up to date on every write
+ * (see StatsAggregateService). Document ID is the season ID.
+ */
+
+import { BaseRepository } from './BaseRepository.js';
+import { Collections } from '../firestore.js';
+
+class SeasonStatsRepositoryClass extends BaseRepository {
+  constructor() {
+    super(Collections.SEASON_STATS);
+  }
+}
+
+export const seasonStatsRepository = new SeasonStatsRepositoryClass();
@@ -3,7 +3,7 @@
  * One document per (seasonId, zoneId). Composite id: seasonId_zoneId
  */
 
-import { getDb, docToObject, dateToTimestamp } from '../firestore.js';
+import { getStorage, dateToTimestamp } from '../firestore.js';
 import { Collections } from '../firestore.js';
 
 function docId(seasonId, zoneId) {
@@ -28,8 +28,8 @@ function stripUndefined(obj) {
 }
 
 class SeasonZoneRepositoryClass {
-  get collection() {
-    return getDb().collection(Collections.SEASON_ZONES);
+  get collectionName() {
+    return Collections.SEASON_ZONES;
   }
 
   /**
@@ -37,8 +37,7 @@ class SeasonZoneRepositoryClass {
    * @returns {Promise<Array<{ id, seasonId, zoneId, tapCount?, included: boolean }>>}
    */
   async findBySeasonId(seasonId) {
-    const snapshot = await this.collection.where('seasonId', '==', seasonId).get();
-    return snapshot.docs.map(docToObject);
+    return getStorage().findBy(this.collectionName, 'seasonId', seasonId);
   }
 
   /**
@@ -46,8 +45,7 @@ class SeasonZoneRepositoryClass {
    * @returns {Promise<Array<{ id, seasonId, zoneId, tapCount?, included: boolean }>>}
    */
   async findByZoneId(zoneId) {
-    const snapshot = await this.collection.where('zoneId', '==', zoneId).get();
-    return snapshot.docs.map(docToObject);
+    return getStorage().findBy(this.collectionName, 'zoneId', zoneId);
   }
 
   /**
@@ -55,9 +53,7 @@ class SeasonZoneRepositoryClass {
    * @returns {Promise<{ id, seasonId, zoneId, tapCount?, included: boolean } | null>}
    */
   async get(seasonId, zoneId) {
-    const id = docId(seasonId, zoneId);
-    const doc = await this.collection.doc(id).get();
-    return docToObject(doc);
+    return getStorage().findById(this.collectionName, docId(seasonId, zoneId));
   }
 
   /**
@@ -70,8 +66,8 @@ class SeasonZoneRepositoryClass {
   async set(seasonId, zoneId, data) {
     const id = docId(seasonId, zoneId);
     const now = dateToTimestamp(new Date());
-    const docRef = this.collection.doc(id);
-    const existing = await docRef.get();
+    const storage = getStorage();
+    const exists = await storage.exists(this.collectionName, id);
 
     const payload = stripUndefined({
       seasonId,
@@ -81,32 +77,28 @@ class SeasonZoneRepositoryClass {
       ...(data.vacuumInHg !== undefined && { vacuumInHg: data.vacuumInHg == null ? null : Number(data.vacuumInHg) }),
     });
 
-    if (existing.exists) {
+    if (exists) {
       const updateData = stripUndefined({
         ...payload,
         updatedAt: now,
       });
-      await docRef.update(updateData);
-    } else {
-      const createData = stripUndefined({
-        ...payload,
-        included: data.included !== undefined ? data.included : true,
-        createdAt: now,
-        updatedAt: now,
-      });
-      await docRef.set(createData);
+      return storage.update(this.collectionName, id, updateData);
     }
 
-    const doc = await docRef.get();
-    return docToObject(doc);
+    const createData = stripUndefined({
+      ...payload,
+      included: data.included !== undefined ? data.included : true,
+      createdAt: now,
+      updatedAt: now,
+    });
+    return storage.createWithId(this.collectionName, id, createData);
   }
 
   /**
    * Delete seasonZone document (revert to no override: included with zone.tapCount)
    */
   async delete(seasonId, zoneId) {
-    const id = docId(seasonId, zoneId);
-    await this.collection.doc(id).delete();
+    await getStorage().delete(this.collectionName, docId(seasonId, zoneId));
     return { success: true };
   }
 }
@@ -0,0 +1,30 @@
+/**
+ * Sensor Device Repository - registered tank-level and vacuum sensors. Only a hash of each device's API key is stored.
+ */
+
+import { BaseRepository } from './BaseRepository.js';
+import { Collections } from '../firestore.js';
+
+class SensorDeviceRepositoryClass extends BaseRepository {
+  constructor() {
+    super(Collections.SENSOR_DEVICES);
+  }
+
+  async findByOrganizationId(organizationId) {
+    return this.findBy('organizationId', organizationId);
+  }
+
+  async findByApiKeyHash(apiKeyHash) {
+    const devices = await this.findBy('apiKeyHash', apiKeyHash);
+    return devices[0] || null;
+  }
+
+  /**
+   * Devices not yet flagged stale, across operations (the sweeper checks which went quiet)
+   */
+  async findNotStale() {
+    return this.findBy('staleSince', null);
+  }
+}
+
+export const sensorDeviceRepository = new SensorDeviceRepositoryClass();
@@ -0,0 +1,30 @@
+/**
+ * Sensor Reading Repository - raw time series posted by sensor devices (one document per reading)
+ */
+
+import { BaseRepository } from './BaseRepository.js';
+import { Collections } from '../firestore.js';
+
+class SensorReadingRepositoryClass extends BaseRepository {
+  constructor() {
+    super(Collections.SENSOR_READINGS);
+  }
+
+  /**
+   * A device's readings, oldest first. metric, since and until (ISO timestamps) are filtered in memory
+   * to avoid a Firestore composite index; limit keeps the newest.
+   */
+  async findByDeviceId(deviceId, { metric = null, since = null, until = null, limit = null } = {}) {
+    const from = since ? new Date(since).getTime() : -Infinity;
+    const to = until ? new Date(until).getTime() : Infinity;
+    const readings = (await this.findBy('deviceId', deviceId))
+      .filter((r) => {
+        const t = new Date(r.at).getTime();
+        return (!metric || r.metric === metric) && t >= from && t <= to;
+      })
+      .sort((a, b) => new Date(a.at) - new Date(b.at));
+    return limit ? readings.slice(-limit) : readings;
+  }
+}
+
+export const sensorReadingRepository = new SensorReadingRepositoryClass();
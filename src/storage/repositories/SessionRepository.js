@@ -0,0 +1,113 @@
+/**
+ * Session Repository - one document per signed-in device.
+ * Holds the hash of the current refresh token; access tokens carry the session id (sid).
+ */
+
+import { BaseRepository } from './BaseRepository.js';
+import { Collections } from '../firestore.js';
+
+class SessionRepositoryClass extends BaseRepository {
+  constructor() {
+    super(Collections.SESSIONS);
+  }
+
+  /**
+   * Create a session for a user
+   */
+  async createSession(userId, { refreshTokenHash, expiresAt, userAgent, ip, deviceName }) {
+    return this.create({
+      userId,
+      refreshTokenHash,
+      previousRefreshTokenHash: null,
+      expiresAt,
+      userAgent: userAgent || null,
+      ip: ip || null,
+      deviceName: deviceName || null,
+      lastSeenAt: new Date(),
+      revokedAt: null,
+    });
+  }
+
+  /**
+   * Find session by current refresh token hash
+   */
+  async findByRefreshTokenHash(refreshTokenHash) {
+    const list = await this.findBy('refreshTokenHash', refreshTokenHash);
+    return list[0] || null;
+  }
+
+  /**
+   * Find session whose previous (already rotated) refresh token matches; used for reuse detection
+   */
+  async findByPreviousRefreshTokenHash(refreshTokenHash) {
+    const list = await this.findBy('previousRefreshTokenHash', refreshTokenHash);
+    return list[0] || null;
+  }
+
+  /**
+   * List sessions for a user that are neither revoked nor expired, most recently seen first
+   */
+  async findActiveByUser(userId) {
+    const sessions = await this.findBy('userId', userId);
+    return sessions
+      .filter((s) => this.isActive(s))
+      .sort((a, b) => new Date(b.lastSeenAt || 0) - new Date(a.lastSeenAt || 0));
+  }
+
+  /**
+   * Replace the refresh token (rotation) and extend the session, in one atomic step and only while the stored
+   * refresh token is still the presented one (previousRefreshTokenHash). If another request rotated it meanwhile,
+   * the presented token was used twice and the session is revoked instead.
+   * @returns {Promise<object|null>} the rotated session, or null when it was not rotated
+   */
+  async rotate(id, { refreshTokenHash, previousRefreshTokenHash, expiresAt }) {
+    let rotated = false;
+    const session = await this.updateAtomically(id, (data) => {
+      rotated = false;
+      if (!this.isActive(data)) return undefined;
+      if (data.refreshTokenHash !== previousRefreshTokenHash) {
+        return { ...data, revokedAt: new Date(), revokedReason: 'refresh_token_reuse' };
+      }
+      rotated = true;
+      return { ...data, refreshTokenHash, previousRefreshTokenHash, expiresAt, lastSeenAt: new Date() };
+    });
+    return rotated ? session : null;
+  }
+
+  /**
+   * Record activity on a session
+   */
+  async touch(id) {
+    return this.update(id, { lastSeenAt: new Date() });
+  }
+
+  /**
+   * Revoke a single session
+   */
+  async revoke(id, reason = 'logout') {
+    return this.update(id, { revokedAt: new Date(), revokedReason: reason });
+  }
+
+  /**
+   * Revoke all active sessions for a user (optionally keeping one, e.g. the current device)
+   */
+  async revokeAllForUser(userId, { exceptId = null, reason = 'logout_all' } = {}) {
+    const sessions = await this.findActiveByUser(userId);
+    const toRevoke = sessions.filter((s) => s.id !== exceptId);
+    await Promise.all(toRevoke.map((s) => this.revoke(s.id, reason)));
+    return { count: toRevoke.length };
+  }
+
+  /**
+   * Check that a session exists, is not revoked and has not expired
+   */
+  isActive(session) {
+    if (!session || session.revokedAt) return false;
+    if (!session.expiresAt) return false;
+    const expiresAt =
+      typeof session.expiresAt === 'string' ? new Date(session.expiresAt) : session.expiresAt;
+    return expiresAt > new Date();
+  }
+}
+
+export const sessionRepository = new SessionRepositoryClass();
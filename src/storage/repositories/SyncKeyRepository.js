@@ -0,0 +1,87 @@
+/**
+ * Sync Key Repository - results of offline sync operations, keyed by the client's idempotency key.
+ * A key is reserved (status 'pending') before its operation is applied and holds the result once done, so concurrent
+ * retries of the same key never apply twice.
+ */
+
+import crypto from 'crypto';
+import { BaseRepository } from './BaseRepository.js';
+import { Collections } from '../firestore.js';
+
+/** How long a replayed key returns its stored result */
+export const SYNC_KEY_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+/** A pending reservation older than this is treated as abandoned (the request that held it died) */
+export const SYNC_KEY_PENDING_TTL_MS = 2 * 60 * 1000;
+
+/** How long a duplicate waits for the reservation holder's result, and how often it checks */
+const WAIT_TIMEOUT_MS = 10 * 1000;
+const WAIT_INTERVAL_MS = 100;
+
+/** Whether an entry still holds its key; entries saved before reservations existed only have createdAt */
+function isLive(entry, now = Date.now()) {
+  const age = now - (entry.reservedAt ?? new Date(entry.createdAt).getTime());
+  return entry.status === 'pending' ? age <= SYNC_KEY_PENDING_TTL_MS : age <= SYNC_KEY_TTL_MS;
+}
+
+class SyncKeyRepositoryClass extends BaseRepository {
+  constructor() {
+    super(Collections.SYNC_KEYS);
+  }
+
+  /** Keys are scoped per user; the document ID is a hash so client keys can be any string */
+  docId(userId, key) {
+    return crypto.createHash('sha256').update(`${userId}:${key}`).digest('hex');
+  }
+
+  /**
+   * Reserve a key before applying its operation. Only one caller gets { reserved: true }; the others get the
+   * existing entry ({ status: 'pending' } while it is being applied, { status: 'done', result } after).
+   * Expired results and abandoned reservations are taken over.
+   */
+  async reserve(userId, key) {
+    const id = this.docId(userId, key);
+    const pending = { userId, key, status: 'pending', result: null, reservedAt: Date.now() };
+    const { created, doc } = await this.createIfAbsent(id, pending);
+    if (created) return { reserved: true };
+    if (isLive(doc)) return { reserved: false, entry: doc };
+
+    let reserved = false;
+    const entry = await this.updateAtomically(id, (data) => {
+      reserved = !data || !isLive(data);
+      return reserved ? { ...data, ...pending, reservedAt: Date.now() } : undefined;
+    });
+    return reserved ? { reserved: true } : { reserved: false, entry };
+  }
+
+  /**
+   * Wait for a key reserved by another request to get its result. Returns the result, or null if the reservation
+   * was released or is still pending after WAIT_TIMEOUT_MS.
+   */
+  async waitForResult(userId, key) {
+    const deadline = Date.now() + WAIT_TIMEOUT_MS;
+    while (Date.now() < deadline) {
+      const entry = await this.findById(this.docId(userId, key));
+      if (!entry || !isLive(entry)) return null;
+      if (entry.status !== 'pending') return entry.result;
+      await new Promise((resolve) => setTimeout(resolve, WAIT_INTERVAL_MS));
+    }
+    return null;
+  }
+
+  /**
+   * Remember the result of a reserved key
+   */
+  async saveResult(userId, key, result) {
+    return this.createWithId(this.docId(userId, key), { userId, key, status: 'done', result, reservedAt: Date.now() });
+  }
+
+  /**
+   * Drop a reservation without a result, so the key can be sent again
+   */
+  async release(userId, key) {
+    return this.delete(this.docId(userId, key));
+  }
+}
+
+export const syncKeyRepository = new SyncKeyRepositoryClass();
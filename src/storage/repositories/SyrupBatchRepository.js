@@ -0,0 +1,44 @@
+/**
+ * Syrup Batch Repository - finished syrup lots drawn from one or more boils
+ */
+
+import { BaseRepository } from './BaseRepository.js';
+import { Collections, getStorage } from '../firestore.js';
+
+class SyrupBatchRepositoryClass extends BaseRepository {
+  constructor() {
+    super(Collections.SYRUP_BATCHES);
+  }
+
+  /**
+   * Find all batches for a season (newest first)
+   */
+  async findBySeasonId(seasonId) {
+    const batches = await this.findBy('seasonId', seasonId);
+    return batches.sort((a, b) => (b.lotSequence || 0) - (a.lotSequence || 0));
+  }
+
+  /**
+   * Next lot sequence number for a season (1-based). Taken from a per-season counter so concurrent creates get
+   * different numbers; the counter starts from the season's highest lot when the season has lots from before it.
+   */
+  async nextLotSequence(seasonId) {
+    const storage = getStorage();
+    if (!(await storage.exists(Collections.LOT_SEQUENCES, seasonId))) {
+      const batches = await this.findBy('seasonId', seasonId);
+      const seq = batches.reduce((max, b) => Math.max(max, b.lotSequence || 0), 0);
+      await storage.createIfAbsent(Collections.LOT_SEQUENCES, seasonId, { seq });
+    }
+    return storage.increment(Collections.LOT_SEQUENCES, seasonId, 'seq');
+  }
+
+  /**
+   * Lot number: <season year>-<3-digit sequence>, e.g. "2026-004"
+   */
+  formatLotNumber(season, sequence) {
+    const year = season?.year ?? new Date().getFullYear();
+    return `${year}-${String(sequence).padStart(3, '0')}`;
+  }
+}
+
+export const syrupBatchRepository = new SyrupBatchRepositoryClass();
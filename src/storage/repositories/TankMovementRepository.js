@@ -0,0 +1,28 @@
+/**
+ * Tank Movement Repository - ledger of volume changes per tank (fills, draws, manual adjustments).
+ * Each entry stores the level after the movement, so the ledger doubles as level history.
+ */
+
+import { BaseRepository } from './BaseRepository.js';
+import { Collections } from '../firestore.js';
+
+class TankMovementRepositoryClass extends BaseRepository {
+  constructor() {
+    super(Collections.TANK_MOVEMENTS);
+  }
+
+  /**
+   * Find movements for a tank, oldest first.
+   * Filters by `since` (ISO timestamp) in memory to avoid a Firestore composite index.
+   */
+  async findByTankId(tankId, { since = null } = {}) {
+    let movements = await this.findBy('tankId', tankId);
+    if (since) {
+      const sinceTime = new Date(since).getTime();
+      movements = movements.filter((m) => new Date(m.at).getTime() >= sinceTime);
+    }
+    return movements.sort((a, b) => new Date(a.at) - new Date(b.at));
+  }
+}
+
+export const tankMovementRepository = new TankMovementRepositoryClass();
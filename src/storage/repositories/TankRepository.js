@@ -0,0 +1,41 @@
+/**
+ * Tank Repository - operation-level sap storage tanks (raw sap or RO concentrate)
+ */
+
+import { BaseRepository } from './BaseRepository.js';
+import { Collections } from '../firestore.js';
+
+class TankRepositoryClass extends BaseRepository {
+  constructor() {
+    super(Collections.TANKS);
+  }
+
+  /**
+   * Find all tanks for an organization
+   */
+  async findByOrganizationId(organizationId) {
+    const tanks = await this.findBy('organizationId', organizationId);
+    return tanks.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+  }
+
+  /**
+   * Atomically change the current level (liters): toLevel(levelBefore) returns the new level. Nothing is written
+   * when the level stays the same.
+   * @returns {Promise<{ tank, levelBefore, levelAfter } | null>} null if the tank does not exist
+   */
+  async updateLevel(id, toLevel) {
+    let levels = null;
+    const tank = await this.updateAtomically(id, (data) => {
+      if (!data) {
+        levels = null;
+        return undefined;
+      }
+      const levelBefore = data.currentLevel || 0;
+      levels = { levelBefore, levelAfter: toLevel(levelBefore) };
+      return levels.levelAfter === levelBefore ? undefined : { ...data, currentLevel: levels.levelAfter };
+    });
+    return tank && levels ? { tank, ...levels } : null;
+  }
+}
+
+export const tankRepository = new TankRepositoryClass();
@@ -0,0 +1,26 @@
+/**
+ * Tap Repository - individual taps (spouts) in a sugar bush. Retired taps are kept for history.
+ */
+
+import { BaseRepository } from './BaseRepository.js';
+import { Collections } from '../firestore.js';
+
+class TapRepositoryClass extends BaseRepository {
+  constructor() {
+    super(Collections.TAPS);
+  }
+
+  async findByZoneId(zoneId) {
+    return this.findBy('zoneId', zoneId);
+  }
+
+  async findByOrganizationId(organizationId) {
+    return this.findBy('organizationId', organizationId);
+  }
+
+  async findByLineId(lineId) {
+    return this.findBy('lineId', lineId);
+  }
+}
+
+export const tapRepository = new TapRepositoryClass();
@@ -4,6 +4,7 @@
 
 import { BaseRepository } from './BaseRepository.js';
 import { Collections, dateToTimestamp } from '../firestore.js';
+import { PLATFORM_ROLES } from '../../constants/platformRoles.js';
 
 class UserRepositoryClass extends BaseRepository {
   constructor() {
@@ -59,6 +60,20 @@ class UserRepositoryClass extends BaseRepository {
     return this.update(userId, { preferences });
   }
 
+  /**
+   * Find all users holding a platform role
+   */
+  async findWithPlatformRole() {
+    return this.findByConditions([{ field: 'platformRole', operator: 'in', value: PLATFORM_ROLES }]);
+  }
+
+  /**
+   * Grant (role) or revoke (null) a platform role
+   */
+  async setPlatformRole(userId, role) {
+    return this.update(userId, { platformRole: role ?? null });
+  }
+
   /**
    * Update user password (e.g. after reset)
    */
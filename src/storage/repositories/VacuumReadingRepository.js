@@ -0,0 +1,54 @@
+/**
+ * Vacuum Reading Repository - timestamped vacuum (inHg) readings per zone or mainline, entered by hand or posted by a gauge
+ */
+
+import { BaseRepository } from './BaseRepository.js';
+import { Collections } from '../firestore.js';
+
+/**
+ * Keep readings between since and until (ISO timestamps, inclusive), oldest first.
+ * Filtered in memory to avoid a Firestore composite index.
+ */
+function inRange(readings, { since = null, until = null } = {}) {
+  const from = since ? new Date(since).getTime() : -Infinity;
+  const to = until ? new Date(until).getTime() : Infinity;
+  return readings
+    .filter((r) => {
+      const t = new Date(r.at).getTime();
+      return t >= from && t <= to;
+    })
+    .sort((a, b) => new Date(a.at) - new Date(b.at));
+}
+
+class VacuumReadingRepositoryClass extends BaseRepository {
+  constructor() {
+    super(Collections.VACUUM_READINGS);
+  }
+
+  /**
+   * Readings for a zone (zone-level and every mainline in it), oldest first
+   */
+  async findByZoneId(zoneId, range = {}) {
+    return inRange(await this.findBy('zoneId', zoneId), range);
+  }
+
+  /**
+   * Every reading of an operation between since and until (ISO timestamps, inclusive), oldest first.
+   * On Firestore this needs a composite index on vacuumReadings (organizationId ascending, at ascending).
+   */
+  async findByOrganizationId(organizationId, { since = null, until = null } = {}) {
+    const conditions = [{ field: 'organizationId', value: organizationId }];
+    if (since) conditions.push({ field: 'at', operator: '>=', value: since });
+    if (until) conditions.push({ field: 'at', operator: '<=', value: until });
+    return this.query({ conditions, orderBy: { field: 'at' } });
+  }
+
+  /**
+   * Readings for one mainline, oldest first
+   */
+  async findByLineId(lineId, range = {}) {
+    return inRange(await this.findBy('lineId', lineId), range);
+  }
+}
+
+export const vacuumReadingRepository = new VacuumReadingRepositoryClass();
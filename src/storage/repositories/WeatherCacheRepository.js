@@ -3,7 +3,7 @@
  */
 
 import { BaseRepository } from './BaseRepository.js';
-import { Collections, getDb } from '../firestore.js';
+import { Collections } from '../firestore.js';
 
 class WeatherCacheRepositoryClass extends BaseRepository {
   constructor() {
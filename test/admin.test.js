@@ -0,0 +1,58 @@
+/**
+ * Platform roles: admin routes check permissions, and role changes are audit-logged
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestApp, resetStorage, request, registerUser } from './helpers.js';
+import { userRepository } from '../src/storage/repositories/UserRepository.js';
+
+describe('platform roles', () => {
+  let app;
+  before(async () => {
+    app = await createTestApp();
+  });
+  after(() => app.close());
+  beforeEach(() => resetStorage());
+
+  async function superadmin() {
+    const admin = await registerUser(app, 'Admin');
+    await userRepository.setPlatformRole(admin.user.id, 'superadmin');
+    return admin;
+  }
+
+  it('lets only roles with the permission in', async () => {
+    const plain = await registerUser(app);
+    assert.equal((await request(app, plain.token, 'GET', '/api/admin/users')).status, 403);
+
+    const support = await registerUser(app, 'Support');
+    await userRepository.setPlatformRole(support.user.id, 'support');
+    assert.equal((await request(app, support.token, 'GET', '/api/admin/users')).status, 200);
+    assert.equal((await request(app, support.token, 'GET', '/api/admin/roles')).status, 403);
+  });
+
+  it('grants and revokes roles with an audit entry for each', async () => {
+    const admin = await superadmin();
+    const target = await registerUser(app, 'Helper');
+
+    const bad = await request(app, admin.token, 'PUT', `/api/admin/users/${target.user.id}/role`, { role: 'owner' });
+    assert.equal(bad.status, 400);
+    const granted = await request(app, admin.token, 'PUT', `/api/admin/users/${target.user.id}/role`, { role: 'support' });
+    assert.equal(granted.body.user.platformRole, 'support');
+    const revoked = await request(app, admin.token, 'DELETE', `/api/admin/users/${target.user.id}/role`);
+    assert.equal(revoked.body.user.platformRole, null);
+
+    const { body } = await request(app, admin.token, 'GET', `/api/admin/audit-log?userId=${target.user.id}`);
+    assert.deepEqual(body.entries.map((e) => [e.action, e.actorId]).sort(), [
+      ['platform_role.grant', admin.user.id],
+      ['platform_role.revoke', admin.user.id],
+    ]);
+  });
+
+  it('keeps the last superadmin', async () => {
+    const admin = await superadmin();
+    const demote = await request(app, admin.token, 'PUT', `/api/admin/users/${admin.user.id}/role`, { role: 'support' });
+    assert.equal(demote.status, 400);
+    assert.equal((await request(app, admin.token, 'DELETE', `/api/admin/users/${admin.user.id}/role`)).status, 400);
+  });
+});
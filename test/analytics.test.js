@@ -0,0 +1,69 @@
+/**
+ * Operation analytics: per-year totals, zone rankings across seasons, and the cache dropped on changes
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestApp, resetStorage, request, registerUser, setupOperation } from './helpers.js';
+
+describe('operation analytics', () => {
+  let app;
+  before(async () => {
+    app = await createTestApp();
+  });
+  after(() => app.close());
+  beforeEach(() => resetStorage());
+
+  it('compares years and ranks zones by sap per tap', async () => {
+    const { token, operation, season } = await setupOperation(app);
+    const { body: { season: lastYear } } = await request(app, token, 'POST', '/api/seasons', {
+      name: '2025 Season', year: 2025, organizationId: operation.id,
+    });
+    const zone = async (name) => (await request(app, token, 'POST', '/api/zones', { organizationId: operation.id, name, tapCount: 100 })).body.zone;
+    const [north, south] = [await zone('North'), await zone('South')];
+    const collect = (s, z, volume) => request(app, token, 'POST', '/api/collections', {
+      seasonId: s.id, zoneId: z.id, date: `${s.year}-03-10`, volume,
+    });
+    await collect(lastYear, north, 1000);
+    await collect(lastYear, south, 500);
+    await collect(season, north, 1500);
+    await collect(season, south, 500);
+
+    const { status, body } = await request(app, token, 'GET', `/api/stats/operation?organizationId=${operation.id}`);
+    assert.equal(status, 200);
+    const { analytics } = body;
+    assert.deepEqual(analytics.years.map((y) => [y.year, y.sapPerTap, y.sapPerTapChangePercent]), [
+      [2025, 7.5, null],
+      [2026, 10, 33.3],
+    ]);
+    assert.deepEqual(analytics.zones.map((z) => [z.zoneName, z.avgSapPerTap, z.seasonCount]), [
+      ['North', 12.5, 2],
+      ['South', 5, 2],
+    ]);
+    assert.deepEqual(analytics.bestZones.map((z) => z.zoneId), [north.id]);
+    assert.deepEqual(analytics.worstZones.map((z) => z.zoneId), [south.id]);
+  });
+
+  it('serves cached results until the operation\'s data changes', async () => {
+    const { token, operation, season } = await setupOperation(app);
+    const url = `/api/stats/operation?organizationId=${operation.id}`;
+    await request(app, token, 'POST', '/api/collections', { seasonId: season.id, date: '2026-03-10', volume: 100 });
+
+    assert.equal((await request(app, token, 'GET', url)).body.cached, false);
+    const cached = await request(app, token, 'GET', url);
+    assert.equal(cached.body.cached, true);
+    assert.equal(cached.body.analytics.years[0].totalSapCollected, 100);
+
+    await request(app, token, 'POST', '/api/collections', { seasonId: season.id, date: '2026-03-11', volume: 50 });
+    const fresh = await request(app, token, 'GET', url);
+    assert.equal(fresh.body.cached, false);
+    assert.equal(fresh.body.analytics.years[0].totalSapCollected, 150);
+  });
+
+  it('is only available to members', async () => {
+    const { operation } = await setupOperation(app);
+    const stranger = await registerUser(app, 'Stranger');
+    const { status } = await request(app, stranger.token, 'GET', `/api/stats/operation?organizationId=${operation.id}`);
+    assert.equal(status, 403);
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * The API end to end on the in-memory backend: auth, operations, seasons and collections
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestApp, resetStorage, request, registerUser, setupOperation } from './helpers.js';
+import { tapRepository } from '../src/storage/repositories/TapRepository.js';
+import { vacuumReadingRepository } from '../src/storage/repositories/VacuumReadingRepository.js';
+
+describe('API', () => {
+  let app;
+  before(async () => {
+    app = await createTestApp();
+  });
+  after(() => app.close());
+  beforeEach(() => resetStorage());
+
+  it('answers the health check', async () => {
+    const { status, body } = await request(app, null, 'GET', '/health');
+    assert.equal(status, 200);
+    assert.equal(body.status, 'ok');
+  });
+
+  it('requires a token', async () => {
+    const { status } = await request(app, null, 'GET', '/api/seasons');
+    assert.equal(status, 401);
+  });
+
+  it('keeps operations apart', async () => {
+    const { season } = await setupOperation(app);
+    const outsider = await registerUser(app, 'Outsider');
+    const { status } = await request(app, outsider.token, 'GET', `/api/stats/season?seasonId=${season.id}`);
+    assert.equal(status, 404);
+  });
+
+  it('records collections into season stats', async () => {
+    const { token, season } = await setupOperation(app);
+    for (const [date, volume] of [['2026-03-10', 100], ['2026-03-11', 150]]) {
+      const { status } = await request(app, token, 'POST', '/api/collections', { seasonId: season.id, date, volume });
+      assert.equal(status, 200);
+    }
+    const { body } = await request(app, token, 'GET', `/api/stats/season?seasonId=${season.id}`);
+    assert.equal(body.stats.totalSapCollected, 250);
+    assert.equal(body.stats.collectionCount, 2);
+  });
+
+  it('only lets PATCH change a collection\'s own fields and move it into an open season it can write', async () => {
+    const { token, user, operation, season } = await setupOperation(app);
+    const other = await setupOperation(app);
+    const { body: { collection } } = await request(app, token, 'POST', '/api/collections', {
+      seasonId: season.id, date: '2026-03-10', volume: 100,
+    });
+    const patch = (body) => request(app, token, 'PATCH', `/api/collections/${collection.id}`, body);
+
+    const edited = await patch({ volume: 120, userId: other.user.id, organizationId: other.operation.id });
+    assert.equal(edited.status, 200);
+    assert.equal(edited.body.collection.volume, 120);
+    assert.equal(edited.body.collection.userId, user.id);
+    assert.equal(edited.body.collection.organizationId, undefined);
+    assert.equal((await patch({ seasonId: other.season.id })).status, 404);
+
+    const { body: { season: lastYear } } = await request(app, token, 'POST', '/api/seasons', {
+      name: '2025 Season', year: 2025, organizationId: operation.id,
+    });
+    await request(app, token, 'POST', `/api/seasons/${lastYear.id}/close`);
+    assert.equal((await patch({ seasonId: lastYear.id })).status, 409);
+    await request(app, token, 'POST', `/api/seasons/${lastYear.id}/reopen`, { reason: 'Late entry' });
+    const moved = await patch({ seasonId: lastYear.id });
+    assert.equal(moved.status, 200);
+    assert.equal(moved.body.collection.seasonId, lastYear.id);
+
+    const stats = async (s) => (await request(app, token, 'GET', `/api/stats/season?seasonId=${s.id}`)).body.stats;
+    assert.equal((await stats(season)).totalSapCollected, 0);
+    assert.equal((await stats(lastYear)).totalSapCollected, 120);
+  });
+
+  it('measures taps per hectare from the tap inventory', async () => {
+    const { token, operation } = await setupOperation(app);
+    const boundary = {
+      type: 'Polygon',
+      coordinates: [[[-72.5, 44.5], [-72.498, 44.5], [-72.498, 44.502], [-72.5, 44.502], [-72.5, 44.5]]],
+    };
+    const { body: { zone } } = await request(app, token, 'POST', '/api/zones', {
+      organizationId: operation.id, name: 'North', tapCount: 1000, boundary,
+    });
+    assert.equal(zone.tapsPerHectare, Math.round((1000 / zone.areaHectares) * 10) / 10);
+
+    for (const retiredDate of [null, null, null, '2025-04-01']) {
+      await tapRepository.create({ organizationId: operation.id, zoneId: zone.id, retiredDate });
+    }
+    const expected = Math.round((3 / zone.areaHectares) * 10) / 10;
+    const { body: { zone: fetched } } = await request(app, token, 'GET', `/api/zones/${zone.id}`);
+    assert.equal(fetched.tapsPerHectare, expected);
+    const { body: { zones } } = await request(app, token, 'GET', `/api/zones?organizationId=${operation.id}`);
+    assert.equal(zones[0].tapsPerHectare, expected);
+  });
+
+  it('resolves each season zone\'s vacuum from its readings in the season', async () => {
+    const { token, operation, season } = await setupOperation(app);
+    const zones = [];
+    for (const name of ['North', 'South', 'East']) {
+      const { body } = await request(app, token, 'POST', '/api/zones', { organizationId: operation.id, name });
+      zones.push(body.zone);
+    }
+    const [north, south] = zones;
+    for (const [zone, at, vacuumInHg] of [
+      [north, '2026-03-10T10:00:00.000Z', 20],
+      [north, '2026-03-10T12:00:00.000Z', 22],
+      [south, '2026-03-11T08:00:00.000Z', 18],
+      [south, '2025-03-11T08:00:00.000Z', 5],
+    ]) {
+      await vacuumReadingRepository.create({ organizationId: operation.id, zoneId: zone.id, lineId: null, at, vacuumInHg });
+    }
+    const { body } = await request(app, token, 'GET', `/api/zones?seasonId=${season.id}`);
+    const byName = new Map(body.zones.map((z) => [z.name, z]));
+    assert.deepEqual(
+      ['North', 'South', 'East'].map((name) => [byName.get(name).vacuumInHg, byName.get(name).vacuumSource]),
+      [[21, 'readings'], [18, 'readings'], [0, 'zone']]
+    );
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Sessions: refresh token rotation, reuse detection, logout and revocation
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestApp, resetStorage, request } from './helpers.js';
+import { sessionRepository } from '../src/storage/repositories/SessionRepository.js';
+
+describe('sessions', () => {
+  let app;
+  before(async () => {
+    app = await createTestApp();
+  });
+  after(() => app.close());
+  beforeEach(() => resetStorage());
+
+  const credentials = { email: 'boiler@example.com', password: 'password123' };
+
+  async function signUp() {
+    const { status, body } = await request(app, null, 'POST', '/api/auth/register', {
+      ...credentials,
+      name: 'Boiler',
+      tosAccepted: true,
+      privacyAccepted: true,
+    });
+    assert.equal(status, 200);
+    return body;
+  }
+
+  const login = async () => (await request(app, null, 'POST', '/api/auth/login', credentials)).body;
+  const refresh = (refreshToken) => request(app, null, 'POST', '/api/auth/refresh', { refreshToken });
+
+  it('rotates the refresh token on every use', async () => {
+    const { refreshToken } = await signUp();
+    assert.ok(refreshToken);
+
+    const first = await refresh(refreshToken);
+    assert.equal(first.status, 200);
+    assert.notEqual(first.body.refreshToken, refreshToken);
+    assert.equal((await request(app, first.body.token, 'GET', '/api/auth/me')).status, 200);
+
+    const second = await refresh(first.body.refreshToken);
+    assert.equal(second.status, 200);
+    assert.equal((await refresh('not-a-token')).status, 401);
+  });
+
+  it('revokes the session when a rotated refresh token is used again', async () => {
+    const { refreshToken } = await signUp();
+    const rotated = await refresh(refreshToken);
+
+    const reused = await refresh(refreshToken);
+    assert.equal(reused.status, 401);
+    assert.equal(reused.body.code, 'SESSION_REVOKED');
+    // The thief and the owner are both signed out
+    assert.equal((await refresh(rotated.body.refreshToken)).status, 401);
+    assert.equal((await request(app, rotated.body.token, 'GET', '/api/auth/me')).status, 401);
+  });
+
+  it('rotates once and revokes the session when a refresh token is used twice at once', async (t) => {
+    const { refreshToken } = await signUp();
+    // Both requests find the session before either rotates it
+    const find = sessionRepository.findByRefreshTokenHash.bind(sessionRepository);
+    let arrive;
+    const bothArrived = new Promise((resolve) => {
+      let waiting = 2;
+      arrive = () => --waiting === 0 && resolve();
+    });
+    t.mock.method(sessionRepository, 'findByRefreshTokenHash', async (hash) => {
+      const session = await find(hash);
+      arrive();
+      await bothArrived;
+      return session;
+    });
+    const results = await Promise.all([refresh(refreshToken), refresh(refreshToken)]);
+    assert.deepEqual(results.map((r) => r.status).sort(), [200, 401]);
+    t.mock.restoreAll();
+    const winner = results.find((r) => r.status === 200);
+    assert.equal((await refresh(winner.body.refreshToken)).status, 401);
+  });
+
+  it('signs out one session, a chosen device or every device', async () => {
+    const { token } = await signUp();
+    const phone = await login();
+    const laptop = await login();
+
+    const { body } = await request(app, token, 'GET', '/api/auth/sessions');
+    assert.equal(body.sessions.length, 3);
+
+    assert.equal((await request(app, phone.token, 'POST', '/api/auth/logout')).status, 200);
+    assert.equal((await request(app, phone.token, 'GET', '/api/auth/me')).status, 401);
+    assert.equal((await refresh(phone.refreshToken)).status, 401);
+
+    const laptopSession = (await request(app, laptop.token, 'GET', '/api/auth/sessions')).body.sessions
+      .find((s) => s.current);
+    assert.equal((await request(app, token, 'DELETE', `/api/auth/sessions/${laptopSession.id}`)).status, 200);
+    assert.equal((await request(app, laptop.token, 'GET', '/api/auth/me')).status, 401);
+
+    const other = await login();
+    const all = await request(app, token, 'POST', '/api/auth/logout-all', { keepCurrent: true });
+    assert.equal(all.body.revoked, 1);
+    assert.equal((await request(app, other.token, 'GET', '/api/auth/me')).status, 401);
+    assert.equal((await request(app, token, 'GET', '/api/auth/me')).status, 200);
+  });
+});
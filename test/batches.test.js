@@ -0,0 +1,63 @@
+/**
+ * Syrup batches: lot numbers, grades from light transmittance, container fills and syrup per grade
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestApp, resetStorage, request, setupOperation } from './helpers.js';
+
+describe('syrup batches', () => {
+  let app;
+  before(async () => {
+    app = await createTestApp();
+  });
+  after(() => app.close());
+  beforeEach(() => resetStorage());
+
+  it('numbers lots per season and grades them from light transmittance', async () => {
+    const { token, season } = await setupOperation(app);
+    const first = await request(app, token, 'POST', '/api/batches', { seasonId: season.id, lightTransmittance: 80 });
+    const second = await request(app, token, 'POST', '/api/batches', { seasonId: season.id, lightTransmittance: 40 });
+    assert.equal(first.body.batch.lotNumber, '2026-001');
+    assert.equal(first.body.batch.grade, 'golden');
+    assert.equal(second.body.batch.lotNumber, '2026-002');
+    assert.equal(second.body.batch.grade, 'dark');
+
+    const invalid = await request(app, token, 'POST', '/api/batches', { seasonId: season.id, grade: 'purple' });
+    assert.equal(invalid.status, 400);
+  });
+
+  it('derives volume from container fills until it is set', async () => {
+    const { token, season } = await setupOperation(app);
+    const { body: { batch } } = await request(app, token, 'POST', '/api/batches', {
+      seasonId: season.id,
+      grade: 'amber',
+      containers: [{ size: 4, count: 2 }],
+    });
+    assert.equal(batch.volume, 8);
+
+    const filled = await request(app, token, 'POST', `/api/batches/${batch.id}/containers`, {
+      containers: [{ size: 1, count: 3 }],
+    });
+    assert.equal(filled.body.batch.volume, 11);
+    assert.equal(filled.body.batch.containers.length, 2);
+
+    await request(app, token, 'PATCH', `/api/batches/${batch.id}`, { volume: 20 });
+    const more = await request(app, token, 'POST', `/api/batches/${batch.id}/containers`, {
+      containers: [{ size: 1, count: 1 }],
+    });
+    assert.equal(more.body.batch.volume, 20);
+  });
+
+  it('sums syrup per grade in season stats', async () => {
+    const { token, season } = await setupOperation(app);
+    await request(app, token, 'POST', '/api/batches', { seasonId: season.id, grade: 'amber', volume: 10 });
+    await request(app, token, 'POST', '/api/batches', { seasonId: season.id, grade: 'amber', volume: 5 });
+    await request(app, token, 'POST', '/api/batches', { seasonId: season.id, volume: 2 });
+
+    const { body } = await request(app, token, 'GET', `/api/stats/season?seasonId=${season.id}`);
+    assert.equal(body.stats.batchCount, 3);
+    assert.deepEqual(body.stats.syrupByGrade.amber, { volume: 15, batchCount: 2 });
+    assert.deepEqual(body.stats.syrupByGrade.ungraded, { volume: 2, batchCount: 1 });
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * Live boils: start, events and stop, with duration and syrup derived from the events, also with events
+ * appended concurrently
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestApp, resetStorage, request, setupOperation } from './helpers.js';
+
+describe('live boils', () => {
+  let app;
+  before(async () => {
+    app = await createTestApp();
+  });
+  after(() => app.close());
+  beforeEach(() => resetStorage());
+
+  async function startBoil(token, season) {
+    const { status, body } = await request(app, token, 'POST', '/api/boils/start', { seasonId: season.id, sapVolumeIn: 100 });
+    assert.equal(status, 200);
+    return body.boil;
+  }
+
+  it('derives duration without pauses and syrup from draw-offs', async () => {
+    const { token, season } = await setupOperation(app);
+    const boil = await startBoil(token, season);
+    const minutesIn = (minutes) => new Date(new Date(boil.startedAt).getTime() + minutes * 60000).toISOString();
+    const log = (body) => request(app, token, 'POST', `/api/boils/${boil.id}/events`, body);
+
+    assert.equal((await log({ type: 'draw_off', volume: 2, density: 66.5, at: minutesIn(20) })).status, 200);
+    await log({ type: 'pause', at: minutesIn(30) });
+    assert.equal((await log({ type: 'pause', at: minutesIn(35) })).status, 400);
+    await log({ type: 'resume', at: minutesIn(50) });
+    await log({ type: 'sap_added', volume: 50, at: minutesIn(60) });
+    await log({ type: 'draw_off', volume: 3, at: minutesIn(80) });
+
+    const active = await request(app, token, 'GET', `/api/boils/active?seasonId=${season.id}`);
+    assert.deepEqual(active.body.boils.map((b) => [b.id, b.drawOffCount, b.pauseCount]), [[boil.id, 2, 1]]);
+
+    const { body } = await request(app, token, 'POST', `/api/boils/${boil.id}/stop`, { at: minutesIn(90) });
+    assert.equal(body.boil.status, 'completed');
+    assert.equal(body.boil.duration, 70);
+    assert.equal(body.boil.syrupVolumeOut, 5);
+    assert.equal(body.boil.sapVolumeIn, 150);
+  });
+
+  it('refuses events on a stopped boil and bad events', async () => {
+    const { token, season } = await setupOperation(app);
+    const boil = await startBoil(token, season);
+    const bad = await request(app, token, 'POST', `/api/boils/${boil.id}/events`, { type: 'draw_off', volume: -1 });
+    assert.equal(bad.status, 400);
+    const early = await request(app, token, 'POST', `/api/boils/${boil.id}/events`, {
+      type: 'draw_off', volume: 1, at: '2020-01-01T00:00:00Z',
+    });
+    assert.equal(early.status, 400);
+
+    await request(app, token, 'POST', `/api/boils/${boil.id}/stop`);
+    const late = await request(app, token, 'POST', `/api/boils/${boil.id}/events`, { type: 'draw_off', volume: 2 });
+    assert.equal(late.status, 409);
+    assert.equal((await request(app, token, 'POST', `/api/boils/${boil.id}/stop`)).status, 409);
+    const active = await request(app, token, 'GET', `/api/boils/active?seasonId=${season.id}`);
+    assert.deepEqual(active.body.boils, []);
+  });
+
+  it('keeps every concurrent event', async () => {
+    const { token, season } = await setupOperation(app);
+    const boil = await startBoil(token, season);
+    const results = await Promise.all([
+      request(app, token, 'POST', `/api/boils/${boil.id}/events`, { type: 'draw_off', volume: 2 }),
+      request(app, token, 'POST', `/api/boils/${boil.id}/events`, { type: 'draw_off', volume: 3 }),
+      request(app, token, 'POST', `/api/boils/${boil.id}/events`, { type: 'sap_added', volume: 50 }),
+      request(app, token, 'POST', `/api/boils/${boil.id}/events`, { type: 'sap_added', volume: 25 }),
+    ]);
+    assert.ok(results.every((r) => r.status === 200));
+
+    const { body } = await request(app, token, 'GET', `/api/boils/${boil.id}`);
+    assert.equal(body.boil.events.length, 4);
+    assert.equal(body.boil.syrupVolumeOut, 5);
+    assert.equal(body.boil.sapVolumeIn, 175);
+  });
+
+  it('leaves a live boil\'s syrup and duration to its events', async () => {
+    const { token, season } = await setupOperation(app);
+    const boil = await startBoil(token, season);
+    await request(app, token, 'POST', `/api/boils/${boil.id}/events`, { type: 'draw_off', volume: 2 });
+
+    const refused = await request(app, token, 'PATCH', `/api/boils/${boil.id}`, { syrupVolumeOut: 50, duration: 600 });
+    assert.equal(refused.status, 409);
+    const noted = await request(app, token, 'PATCH', `/api/boils/${boil.id}`, { notes: 'Fresh filter', status: 'completed' });
+    assert.equal(noted.status, 200);
+    assert.equal(noted.body.boil.status, 'active');
+    assert.equal(noted.body.boil.syrupVolumeOut, 2);
+
+    await request(app, token, 'POST', `/api/boils/${boil.id}/stop`);
+    const corrected = await request(app, token, 'PATCH', `/api/boils/${boil.id}`, { syrupVolumeOut: 2.5 });
+    assert.equal(corrected.status, 200);
+    assert.equal(corrected.body.boil.syrupVolumeOut, 2.5);
+  });
+
+  it('refuses a stop before the last event', async () => {
+    const { token, season } = await setupOperation(app);
+    const boil = await startBoil(token, season);
+    const lastAt = new Date(Date.now() + 60 * 1000).toISOString();
+    await request(app, token, 'POST', `/api/boils/${boil.id}/events`, { type: 'draw_off', volume: 2, at: lastAt });
+
+    const early = await request(app, token, 'POST', `/api/boils/${boil.id}/stop`, { at: new Date().toISOString() });
+    assert.equal(early.status, 400);
+    const stopped = await request(app, token, 'POST', `/api/boils/${boil.id}/stop`, { at: lastAt });
+    assert.equal(stopped.status, 200);
+    assert.equal(stopped.body.boil.status, 'completed');
+  });
+
+  it('only lets PATCH change a boil\'s own fields', async () => {
+    const { token, user, season } = await setupOperation(app);
+    const other = await setupOperation(app);
+    const { body: { boil } } = await request(app, token, 'POST', '/api/boils', {
+      seasonId: season.id, date: '2026-03-15', sapVolumeIn: 400, syrupVolumeOut: 10,
+    });
+
+    const { status, body } = await request(app, token, 'PATCH', `/api/boils/${boil.id}`, {
+      notes: 'Second batch',
+      syrupVolumeOut: 12,
+      seasonId: other.season.id,
+      userId: other.user.id,
+      status: 'active',
+      events: [{ type: 'draw_off', volume: 100 }],
+    });
+    assert.equal(status, 200);
+    assert.equal(body.boil.notes, 'Second batch');
+    assert.equal(body.boil.syrupVolumeOut, 12);
+    assert.equal(body.boil.seasonId, season.id);
+    assert.equal(body.boil.userId, user.id);
+    assert.equal(body.boil.status, undefined);
+    assert.equal(body.boil.events, undefined);
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Season comparison: cumulative curves aligned by day of season or calendar date, normalized for tap counts
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestApp, resetStorage, request, registerUser, setupOperation } from './helpers.js';
+
+describe('season comparison', () => {
+  let app;
+  before(async () => {
+    app = await createTestApp();
+  });
+  after(() => app.close());
+  beforeEach(() => resetStorage());
+
+  /** This season with 200 taps in 2026 and last season with 100 */
+  async function setupTwoSeasons() {
+    const { token, operation, season } = await setupOperation(app);
+    const { body: { season: lastYear } } = await request(app, token, 'POST', '/api/seasons', {
+      name: '2025 Season', year: 2025, organizationId: operation.id,
+    });
+    const { body: { zone } } = await request(app, token, 'POST', '/api/zones', { organizationId: operation.id, name: 'North', tapCount: 100 });
+    await request(app, token, 'PATCH', `/api/seasons/${season.id}/zones/${zone.id}`, { tapCount: 200 });
+    const collect = (s, date, volume) => request(app, token, 'POST', '/api/collections', { seasonId: s.id, date, volume });
+    await collect(season, '2026-03-10', 100);
+    await collect(season, '2026-03-12', 300);
+    await collect(lastYear, '2025-03-11', 50);
+    return { token, season, lastYear };
+  }
+
+  it('lines seasons up by day of season and scales them to the first season\'s taps', async () => {
+    const { token, season, lastYear } = await setupTwoSeasons();
+    const { status, body: { comparison } } = await request(app, token, 'GET', `/api/stats/compare?seasonIds=${season.id},${lastYear.id}`);
+    assert.equal(status, 200);
+    assert.equal(comparison.referenceSeasonId, season.id);
+    assert.deepEqual(comparison.seasons.map((s) => [s.totalTaps, s.tapCountChangePercent]), [[200, 0], [100, -50]]);
+
+    const rows = comparison.days.map((d) => [
+      d.day,
+      d.values[season.id]?.cumulativeSap ?? null,
+      d.values[lastYear.id]?.cumulativeSap ?? null,
+      d.values[lastYear.id]?.normalizedCumulativeSap ?? null,
+    ]);
+    assert.deepEqual(rows, [
+      [1, 100, 50, 100],
+      [2, 100, null, null],
+      [3, 400, null, null],
+    ]);
+  });
+
+  it('lines seasons up by calendar date', async () => {
+    const { token, season, lastYear } = await setupTwoSeasons();
+    const { body: { comparison } } = await request(app, token, 'GET', `/api/stats/compare?seasonIds=${lastYear.id},${season.id}&alignBy=calendarDate`);
+    assert.deepEqual(comparison.days.map((d) => [d.monthDay, d.values[lastYear.id]?.cumulativeSap ?? null]), [
+      ['03-10', 0],
+      ['03-11', 50],
+      ['03-12', null],
+    ]);
+    assert.equal(comparison.days[2].values[season.id].normalizedCumulativeSap, 200);
+  });
+
+  it('refuses bad alignments and seasons the user cannot see', async () => {
+    const { token, season } = await setupTwoSeasons();
+    const bad = await request(app, token, 'GET', `/api/stats/compare?seasonIds=${season.id}&alignBy=week`);
+    assert.equal(bad.status, 400);
+    const stranger = await registerUser(app, 'Stranger');
+    const hidden = await request(app, stranger.token, 'GET', `/api/stats/compare?seasonIds=${season.id}`);
+    assert.equal(hidden.status, 404);
+  });
+});
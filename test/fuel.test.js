@@ -0,0 +1,63 @@
+/**
+ * Evaporator fuel: logs priced from the operation's defaults, cost per liter of syrup and its trend
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestApp, resetStorage, request, setupOperation } from './helpers.js';
+
+describe('fuel', () => {
+  let app;
+  before(async () => {
+    app = await createTestApp();
+  });
+  after(() => app.close());
+  beforeEach(() => resetStorage());
+
+  async function boilWithFuel(token, season, syrupVolumeOut, fuelLogs) {
+    const { body: { boil } } = await request(app, token, 'POST', '/api/boils', {
+      seasonId: season.id, date: `${season.year}-03-15`, sapVolumeIn: syrupVolumeOut * 40, syrupVolumeOut,
+    });
+    const { status, body } = await request(app, token, 'POST', `/api/boils/${boil.id}/fuel`, { fuelLogs });
+    assert.equal(status, 200);
+    return body.boil;
+  }
+
+  it('prices logs from the operation defaults and reports cost per liter of syrup', async () => {
+    const { token, operation, season } = await setupOperation(app);
+    const prices = await request(app, token, 'PUT', `/api/operations/${operation.id}/fuel-prices`, {
+      wood: { unitCost: 120, unit: 'cords' },
+    });
+    assert.equal(prices.body.fuelPrices.wood.unitCost, 120);
+
+    const boil = await boilWithFuel(token, season, 10, [{ fuelType: 'wood', quantity: 0.5, unit: 'cords' }]);
+    assert.equal(boil.fuelLogs[0].unitCost, 120);
+    const bad = await request(app, token, 'POST', `/api/boils/${boil.id}/fuel`, {
+      fuelLogs: [{ fuelType: 'coal', quantity: 1 }],
+    });
+    assert.equal(bad.status, 400);
+
+    const { body: { fuelStats } } = await request(app, token, 'GET', `/api/stats/fuel?seasonId=${season.id}`);
+    assert.equal(fuelStats.fuel.totalCost, 60);
+    assert.equal(fuelStats.fuel.costPerLiterSyrup, 6);
+    assert.deepEqual(fuelStats.fuel.byFuel.map((f) => [f.fuelType, f.quantityPerLiterSyrup]), [['wood', 0.05]]);
+
+    const removed = await request(app, token, 'DELETE', `/api/boils/${boil.id}/fuel/${boil.fuelLogs[0].id}`);
+    assert.deepEqual(removed.body.boil.fuelLogs, []);
+  });
+
+  it('compares cost per liter with the previous season', async () => {
+    const { token, operation, season } = await setupOperation(app);
+    const { body: { season: lastYear } } = await request(app, token, 'POST', '/api/seasons', {
+      name: '2025 Season', year: 2025, organizationId: operation.id,
+    });
+    await boilWithFuel(token, lastYear, 8, [{ fuelType: 'oil', quantity: 20, unit: 'liters', unitCost: 1.2 }]);
+    await boilWithFuel(token, season, 10, [{ fuelType: 'oil', quantity: 50, unit: 'liters', unitCost: 1.2 }]);
+
+    const { body: { fuelStats } } = await request(app, token, 'GET', `/api/stats/fuel?seasonId=${season.id}`);
+    assert.deepEqual(fuelStats.trend.map((t) => [t.year, t.costPerLiterSyrup, t.costPerLiterChangePercent]), [
+      [2025, 3, null],
+      [2026, 6, 100],
+    ]);
+  });
+});
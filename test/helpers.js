@@ -0,0 +1,76 @@
+/**
+ * Test helpers: the API on the in-memory storage backend, called with fastify.inject.
+ * Each test file runs in its own process (node --test), so storage starts empty per file; call resetStorage()
+ * to empty it between tests.
+ */
+
+process.env.STORAGE_BACKEND = 'memory';
+process.env.NODE_ENV = process.env.NODE_ENV || 'test';
+
+import { initFirestore, getStorage } from '../src/storage/firestore.js';
+import { buildApp } from '../src/app.js';
+
+/**
+ * A ready app on empty in-memory storage; close it in after()
+ */
+export async function createTestApp() {
+  await initFirestore();
+  const app = await buildApp({ logger: false });
+  await app.ready();
+  return app;
+}
+
+export function resetStorage() {
+  getStorage().clear();
+}
+
+/**
+ * Call the API as a user. Returns { status, body } with the JSON body parsed.
+ */
+export async function request(app, token, method, url, payload) {
+  const res = await app.inject({
+    method,
+    url,
+    headers: token ? { authorization: `Bearer ${token}` } : {},
+    ...(payload !== undefined && { payload }),
+  });
+  let body = null;
+  try {
+    body = res.json();
+  } catch {
+    body = res.body;
+  }
+  return { status: res.statusCode, body };
+}
+
+let userCount = 0;
+
+/**
+ * Register a user. Returns { token, user }.
+ */
+export async function registerUser(app, name = 'Test User') {
+  userCount += 1;
+  const { status, body } = await request(app, null, 'POST', '/api/auth/register', {
+    email: `user${userCount}-${Date.now()}@example.com`,
+    password: 'password123',
+    name,
+    tosAccepted: true,
+    privacyAccepted: true,
+  });
+  if (status !== 200) throw new Error(`register failed: ${status} ${JSON.stringify(body)}`);
+  return { token: body.token, user: body.user };
+}
+
+/**
+ * A user with an operation and an active season in it. Returns { token, user, operation, season }.
+ */
+export async function setupOperation(app, { year = 2026 } = {}) {
+  const { token, user } = await registerUser(app);
+  const { body: { operation } } = await request(app, token, 'POST', '/api/operations', { name: 'Test Sugarbush' });
+  const { body: { season } } = await request(app, token, 'POST', '/api/seasons', {
+    name: `${year} Season`,
+    year,
+    organizationId: operation.id,
+  });
+  return { token, user, operation, season };
+}
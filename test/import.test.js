@@ -0,0 +1,86 @@
+/**
+ * Collection import: CSV and XLSX, dry run with row errors, and all-or-nothing commit
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import * as XLSX from 'xlsx';
+import { createTestApp, resetStorage, request, setupOperation } from './helpers.js';
+
+describe('collection import', () => {
+  let app;
+  before(async () => {
+    app = await createTestApp();
+  });
+  after(() => app.close());
+  beforeEach(() => resetStorage());
+
+  async function setupWithZone() {
+    const setup = await setupOperation(app);
+    const { body: { zone } } = await request(app, setup.token, 'POST', '/api/zones', {
+      organizationId: setup.operation.id, name: 'North Hill',
+    });
+    return { ...setup, zone };
+  }
+
+  const importCsv = (token, season, content, extra = {}) => request(app, token, 'POST', '/api/collections/import', {
+    seasonId: season.id, format: 'csv', content, ...extra,
+  });
+  const collectionsOf = async (token, season) =>
+    (await request(app, token, 'GET', `/api/collections?seasonId=${season.id}`)).body.collections;
+
+  it('previews a dry run with row errors and imports nothing', async () => {
+    const { token, season } = await setupWithZone();
+    const csv = [
+      'Sugar shack log',
+      'Date,Sugar Bush,Volume (gal),Brix',
+      '2026-03-10,North Hill,10,2.1',
+      '3/11/2026,North Hill,abc,2',
+      '2026-03-12,South Ridge,5,',
+    ].join('\n');
+    const { status, body } = await importCsv(token, season, csv);
+    assert.equal(status, 200);
+    assert.equal(body.dryRun, true);
+    assert.equal(body.totalRows, 3);
+    assert.equal(body.validRows, 1);
+    assert.deepEqual(body.errors.map((e) => [e.row, e.field]), [[4, 'volume'], [5, 'zone']]);
+    assert.equal(body.columns.volume, 'Volume (gal)');
+    assert.equal(body.preview[0].volume, 37.854);
+
+    const commit = await importCsv(token, season, csv, { dryRun: false });
+    assert.equal(commit.status, 400);
+    assert.deepEqual(await collectionsOf(token, season), []);
+  });
+
+  it('commits every row, converting units and matching sugar bushes by name', async () => {
+    const { token, season, zone } = await setupWithZone();
+    const csv = 'date,zone,volume,unit,brix,notes\n2026-03-10,north hill,100,L,2.2,first run\n2026-03-11,,5,gal,,\n';
+    const { body } = await importCsv(token, season, csv, { dryRun: false });
+    assert.deepEqual(body, { dryRun: false, imported: 2 });
+
+    const collections = await collectionsOf(token, season);
+    const byDate = Object.fromEntries(collections.map((c) => [c.date, c]));
+    assert.equal(byDate['2026-03-10'].zoneId, zone.id);
+    assert.equal(byDate['2026-03-10'].sugarContent, 2.2);
+    assert.equal(byDate['2026-03-10'].source, 'import');
+    assert.equal(byDate['2026-03-11'].volume, 18.927);
+  });
+
+  it('reads XLSX files and custom column mappings', async () => {
+    const { token, season } = await setupWithZone();
+    const sheet = XLSX.utils.aoa_to_sheet([['Jour', 'Litres'], ['2026-03-14', 42]]);
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, sheet, 'Log');
+    const content = XLSX.write(workbook, { type: 'base64', bookType: 'xlsx' });
+
+    const unmapped = await request(app, token, 'POST', '/api/collections/import', {
+      seasonId: season.id, format: 'xlsx', content,
+    });
+    assert.equal(unmapped.status, 400);
+    const { body } = await request(app, token, 'POST', '/api/collections/import', {
+      seasonId: season.id, format: 'xlsx', content, dryRun: false, defaultUnit: 'liters', mapping: { date: 'Jour', volume: 'Litres' },
+    });
+    assert.equal(body.imported, 1);
+    assert.deepEqual((await collectionsOf(token, season)).map((c) => [c.date, c.volume]), [['2026-03-14', 42]]);
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * Flow predictions: intervals and confidence on regression forecasts, and stored forecasts scored against the
+ * sap collected, per model and lead time
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { createTestApp, resetStorage, request, registerUser, setupOperation } from './helpers.js';
+import { flowPredictionRepository } from '../src/storage/repositories/FlowPredictionRepository.js';
+import { statsService } from '../src/services/StatsService.js';
+import { recordPredictions } from '../src/services/PredictionAccuracyService.js';
+import { weatherService } from '../src/services/WeatherService.js';
+
+describe('prediction accuracy', () => {
+  let app;
+  before(async () => {
+    app = await createTestApp();
+  });
+  after(() => app.close());
+  beforeEach(() => resetStorage());
+
+  const forecast = (season, model, issuedOn, date, predictedVolume) => flowPredictionRepository.record({
+    seasonId: season.id,
+    organizationId: season.organizationId,
+    model,
+    issuedOn,
+    date,
+    leadDays: Math.round((new Date(date) - new Date(issuedOn)) / 86400000),
+    predictedVolume,
+  });
+
+  it('scores each model against the sap collected on past days', async () => {
+    const { token, season } = await setupOperation(app);
+    await request(app, token, 'POST', '/api/collections', { seasonId: season.id, date: '2026-03-10', volume: 100 });
+    await request(app, token, 'POST', '/api/collections', { seasonId: season.id, date: '2026-03-11', volume: 200 });
+    await forecast(season, 'regression', '2026-03-10', '2026-03-10', 110);
+    await forecast(season, 'regression', '2026-03-10', '2026-03-11', 170);
+    await forecast(season, 'traditional', '2026-03-10', '2026-03-10', 60);
+    await forecast(season, 'traditional', '2026-03-10', '2026-03-11', 260);
+    await forecast(season, 'regression', '2026-03-10', '2026-03-12', 90);
+    await forecast(season, 'regression', '2026-03-10', '2999-03-12', 90);
+
+    const { status, body: { accuracy } } = await request(app, token, 'GET', `/api/stats/prediction-accuracy?seasonId=${season.id}`);
+    assert.equal(status, 200);
+    const { regression, traditional } = accuracy.models;
+    assert.deepEqual([regression.sampleSize, regression.mae, regression.mape, regression.bias], [2, 20, 12.5, -10]);
+    assert.deepEqual([regression.pending, regression.unmatched], [1, 1]);
+    assert.deepEqual(Object.keys(regression.byLeadDays), ['0', '1']);
+    assert.equal(regression.byLeadDays[1].mae, 30);
+    assert.deepEqual([traditional.mae, traditional.bias], [50, 10]);
+    assert.equal(accuracy.comparison.sampleSize, 2);
+    assert.equal(accuracy.comparison.better, 'regression');
+  });
+
+  it('keeps the first forecast a model issues each day', async () => {
+    const { season } = await setupOperation(app);
+    const days = (volume) => [{ date: '2026-03-10', predictedVolume: volume }, { date: '2026-03-11', predictedVolume: volume }];
+    await recordPredictions(season.id, 'regression', days(100));
+    await recordPredictions(season.id, 'regression', days(250));
+
+    const stored = await flowPredictionRepository.findBySeasonId(season.id);
+    assert.deepEqual(stored.map((p) => [p.date, p.issuedOn, p.predictedVolume]), [
+      ['2026-03-10', '2026-03-10', 100],
+      ['2026-03-11', '2026-03-10', 100],
+    ]);
+  });
+
+  it('covers every season of an operation for its members', async () => {
+    const { token, operation, season } = await setupOperation(app);
+    await request(app, token, 'POST', '/api/collections', { seasonId: season.id, date: '2026-03-10', volume: 100 });
+    await forecast(season, 'traditional', '2026-03-09', '2026-03-10', 80);
+
+    const { body: { accuracy } } = await request(app, token, 'GET', `/api/stats/prediction-accuracy?organizationId=${operation.id}`);
+    assert.equal(accuracy.models.traditional.mae, 20);
+    assert.deepEqual(accuracy.seasons.map((s) => [s.seasonId, s.models.traditional.sampleSize]), [[season.id, 1]]);
+
+    const stranger = await registerUser(app, 'Stranger');
+    const refused = await request(app, stranger.token, 'GET', `/api/stats/prediction-accuracy?organizationId=${operation.id}`);
+    assert.equal(refused.status, 403);
+  });
+});
+
+describe('prediction intervals', () => {
+  let app;
+  before(async () => {
+    app = await createTestApp();
+  });
+  after(() => app.close());
+  beforeEach(() => resetStorage());
+
+  /** A month of history where sap follows the day's high, as the weather correlation would return it */
+  function history() {
+    const data = [];
+    for (let i = 0; i < 30; i++) {
+      const tempHigh = 35 + (i % 7) * 2;
+      const tempLow = 20 + (i % 5) * 2;
+      data.push({
+        date: `2026-03-${String(i + 1).padStart(2, '0')}`,
+        tempHigh,
+        tempLow,
+        tempDelta: tempHigh - tempLow,
+        prevDayTempHigh: data[i - 1]?.tempHigh ?? tempHigh,
+        prevDayTempLow: data[i - 1]?.tempLow ?? tempLow,
+        idealConditions: true,
+        pressure: 1010 + (i % 3),
+        volume: 5 * (tempHigh - 32) + (((i * 37) % 11) - 5),
+      });
+    }
+    return { data, correlations: {} };
+  }
+
+  it('gives in-range days intervals and high confidence, and flags weather outside the history', async (t) => {
+    const { season } = await setupOperation(app);
+    t.mock.method(weatherService, 'getForecast', async () => [
+      { date: '2026-04-01', tempHigh: 40, tempLow: 24, pressure: 1011 },
+      { date: '2026-04-02', tempHigh: 70, tempLow: 24, pressure: 1011 },
+    ]);
+
+    const { predictions } = await statsService.getFlowPredictions(season.id, 45, -72, 'fahrenheit', history());
+    const [typical, unusual] = predictions;
+    for (const p of predictions) {
+      assert.ok(p.interval95.low <= p.interval80.low && p.interval80.low <= p.predictedVolume);
+      assert.ok(p.predictedVolume <= p.interval80.high && p.interval80.high <= p.interval95.high);
+    }
+    assert.equal(typical.confidence, 'high');
+    assert.deepEqual(typical.outsideTrainingRange, []);
+    assert.equal(unusual.confidence, 'low');
+    assert.ok(unusual.outsideTrainingRange.includes('tempHigh'));
+    assert.ok(unusual.interval95.high - unusual.interval95.low > typical.interval95.high - typical.interval95.low);
+
+    // The forecast is stored in the background
+    let stored = [];
+    for (let attempt = 0; attempt < 50 && stored.length < 2; attempt++) {
+      await sleep(10);
+      stored = await flowPredictionRepository.findBySeasonId(season.id);
+    }
+    assert.deepEqual(stored.map((p) => [p.date, p.confidence]), [['2026-04-01', 'high'], ['2026-04-02', 'low']]);
+  });
+
+  it('reports how often collections fell inside the intervals', async () => {
+    const { token, season } = await setupOperation(app);
+    await request(app, token, 'POST', '/api/collections', { seasonId: season.id, date: '2026-03-10', volume: 100 });
+    await request(app, token, 'POST', '/api/collections', { seasonId: season.id, date: '2026-03-11', volume: 200 });
+    const interval = (low, high) => ({ low, high });
+    for (const [date, predictedVolume, interval80] of [['2026-03-10', 110, interval(90, 130)], ['2026-03-11', 150, interval(120, 180)]]) {
+      await flowPredictionRepository.record({
+        seasonId: season.id, model: 'regression', issuedOn: '2026-03-09', date, leadDays: 1,
+        predictedVolume, interval80, interval95: interval(interval80.low - 60, interval80.high + 60),
+      });
+    }
+
+    const { body: { accuracy } } = await request(app, token, 'GET', `/api/stats/prediction-accuracy?seasonId=${season.id}`);
+    assert.deepEqual(accuracy.models.regression.intervalCoverage, { 80: 50, 95: 100 });
+    assert.deepEqual(accuracy.models.traditional.intervalCoverage, { 80: null, 95: null });
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * Presence: crew status reports, sign-off and the timeout sweep
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestApp, resetStorage, request, registerUser, setupOperation } from './helpers.js';
+import { presenceRepository } from '../src/storage/repositories/PresenceRepository.js';
+import { sweepExpiredPresence, PRESENCE_TTL_MS } from '../src/services/PresenceService.js';
+
+describe('presence', () => {
+  let app;
+  before(async () => {
+    app = await createTestApp();
+  });
+  after(() => app.close());
+  beforeEach(() => resetStorage());
+
+  it('lists members who reported and drops them when they sign off', async () => {
+    const { token, user, operation } = await setupOperation(app);
+    const url = `/api/operations/${operation.id}/presence`;
+
+    const bad = await request(app, token, 'PUT', url, { status: 'sleeping' });
+    assert.equal(bad.status, 400);
+    const far = await request(app, token, 'PUT', url, { status: 'idle', location: { lat: 95, lng: 0 } });
+    assert.equal(far.status, 400);
+
+    const { body } = await request(app, token, 'PUT', url, {
+      status: 'boiling', zoneId: 'ignored', location: { lat: 45.5, lng: -72.1, accuracy: 8 },
+    });
+    assert.equal(body.presence.zoneId, null);
+    assert.deepEqual((await request(app, token, 'GET', url)).body.presence.map((p) => [p.userId, p.status, p.location.lat]), [
+      [user.id, 'boiling', 45.5],
+    ]);
+
+    await request(app, token, 'DELETE', url);
+    assert.deepEqual((await request(app, token, 'GET', url)).body.presence, []);
+  });
+
+  it('sweeps members who stopped reporting', async () => {
+    const { token, user, operation } = await setupOperation(app);
+    await presenceRepository.saveForMember(operation.id, user.id, {
+      status: 'collecting',
+      since: new Date(Date.now() - 2 * PRESENCE_TTL_MS).toISOString(),
+      lastSeenAt: new Date(Date.now() - PRESENCE_TTL_MS - 1000),
+    });
+    assert.deepEqual((await request(app, token, 'GET', `/api/operations/${operation.id}/presence`)).body.presence, []);
+    assert.equal(await sweepExpiredPresence(), 1);
+    assert.equal(await presenceRepository.findForMember(operation.id, user.id), null);
+  });
+
+  it('is only visible to members', async () => {
+    const { operation } = await setupOperation(app);
+    const stranger = await registerUser(app, 'Stranger');
+    const { status } = await request(app, stranger.token, 'PUT', `/api/operations/${operation.id}/presence`, { status: 'idle' });
+    assert.equal(status, 403);
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Realtime events: per-operation sequence numbers, replay and the versioned event schema
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { createTestApp, resetStorage, request, registerUser, setupOperation } from './helpers.js';
+import { operationMemberRepository } from '../src/storage/repositories/OperationMemberRepository.js';
+
+describe('realtime replay', () => {
+  let app;
+  before(async () => {
+    app = await createTestApp();
+  });
+  after(() => app.close());
+  beforeEach(() => resetStorage());
+
+  const replay = (token, operation, query) =>
+    request(app, token, 'GET', `/api/realtime/events?operationId=${operation.id}&${query}`);
+
+  /** Events are stored in the background; wait until `count` events of the prefixed types are there */
+  async function eventsOf(token, operation, prefix, count) {
+    for (let attempt = 0; attempt < 50; attempt++) {
+      const { body } = await replay(token, operation, 'since=0');
+      const events = body.events.filter((e) => e.type.startsWith(prefix));
+      if (events.length >= count) return events;
+      await sleep(10);
+    }
+    throw new Error('events were not stored');
+  }
+
+  it('replays events after a sequence number, in pages', async () => {
+    const { token, operation, season } = await setupOperation(app);
+    for (const volume of [10, 20, 30]) {
+      await request(app, token, 'POST', '/api/collections', { seasonId: season.id, date: '2026-03-10', volume });
+    }
+
+    const events = await eventsOf(token, operation, 'collection:', 3);
+    assert.deepEqual(events.map((e) => e.collection.volume), [10, 20, 30]);
+    const [first, second, third] = events.map((e) => e.seq);
+    assert.deepEqual([second - first, third - first], [1, 2]);
+
+    const page = (await replay(token, operation, `since=${first}&limit=1`)).body;
+    assert.deepEqual(page.events.map((e) => e.seq), [second]);
+    assert.equal(page.lastSeq, second);
+    assert.equal(page.hasMore, true);
+    assert.equal(page.gap, false);
+
+    const ahead = (await replay(token, operation, `since=${third + 5}`)).body;
+    assert.equal(ahead.currentSeq, third);
+    assert.equal(ahead.gap, true);
+  });
+
+  it('refuses a limit that is not a positive integer', async () => {
+    const { token, operation } = await setupOperation(app);
+    for (const limit of ['-1', '0', '1.5', 'all']) {
+      assert.equal((await replay(token, operation, `since=0&limit=${limit}`)).status, 400);
+    }
+    assert.equal((await replay(token, operation, 'since=0&limit=5000')).status, 200);
+  });
+
+  it('sends versioned events for zones, seasons and members', async () => {
+    const { token, operation } = await setupOperation(app);
+    const member = await registerUser(app, 'Member');
+    await operationMemberRepository.addMember(operation.id, member.user.id, 'read');
+    const { body: { zone } } = await request(app, token, 'POST', '/api/zones', { organizationId: operation.id, name: 'North', tapCount: 300 });
+    await request(app, token, 'PATCH', `/api/zones/${zone.id}`, { tapCount: 350 });
+    await request(app, token, 'DELETE', `/api/operations/${operation.id}/members/${member.user.id}`);
+
+    const zoneEvents = await eventsOf(token, operation, 'zone:', 2);
+    assert.deepEqual(zoneEvents.map((e) => [e.type, e.v, e.zone.tapCount]), [
+      ['zone:created', 1, 300],
+      ['zone:updated', 1, 350],
+    ]);
+    assert.equal((await eventsOf(token, operation, 'season:', 1))[0].type, 'season:created');
+    const [removed] = await eventsOf(token, operation, 'member:', 1);
+    assert.deepEqual([removed.type, removed.userId], ['member:removed', member.user.id]);
+  });
+
+  it('only replays to operation members', async () => {
+    const { operation } = await setupOperation(app);
+    const stranger = await registerUser(app, 'Stranger');
+    const { status } = await request(app, stranger.token, 'GET', `/api/realtime/events?operationId=${operation.id}`);
+    assert.equal(status, 403);
+  });
+});
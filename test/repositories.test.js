@@ -0,0 +1,72 @@
+/**
+ * Repository queries on the in-memory backend
+ */
+
+import { describe, it, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetStorage } from './helpers.js';
+import { initFirestore } from '../src/storage/firestore.js';
+import { auditLogRepository } from '../src/storage/repositories/AuditLogRepository.js';
+import { syrupBatchRepository } from '../src/storage/repositories/SyrupBatchRepository.js';
+import { realtimeEventRepository } from '../src/storage/repositories/RealtimeEventRepository.js';
+import { seasonRepository } from '../src/storage/repositories/SeasonRepository.js';
+import { flowPredictionRepository } from '../src/storage/repositories/FlowPredictionRepository.js';
+import { recordPredictions } from '../src/services/PredictionAccuracyService.js';
+
+describe('repositories', () => {
+  before(() => initFirestore());
+  beforeEach(() => resetStorage());
+
+  it('lists recent audit entries newest first, by target user', async () => {
+    for (let i = 0; i < 5; i++) {
+      await auditLogRepository.record({ action: `grant.${i}`, targetUserId: i % 2 === 0 ? 'u1' : 'u2' });
+      await new Promise((resolve) => setTimeout(resolve, 2));
+    }
+    const recent = await auditLogRepository.findRecent({ limit: 3 });
+    assert.deepEqual(recent.map((e) => e.action), ['grant.4', 'grant.3', 'grant.2']);
+    const forU1 = await auditLogRepository.findRecent({ targetUserId: 'u1' });
+    assert.deepEqual(forU1.map((e) => e.action), ['grant.4', 'grant.2', 'grant.0']);
+  });
+
+  it('gives concurrent batches of a season different lot numbers', async () => {
+    const sequences = await Promise.all([1, 2, 3, 4, 5].map(() => syrupBatchRepository.nextLotSequence('s1')));
+    assert.deepEqual([...sequences].sort((a, b) => a - b), [1, 2, 3, 4, 5]);
+    assert.equal(await syrupBatchRepository.nextLotSequence('s2'), 1);
+  });
+
+  it('continues lot numbers after lots created before the counter', async () => {
+    await syrupBatchRepository.create({ seasonId: 's1', lotSequence: 7 });
+    await syrupBatchRepository.create({ seasonId: 's1', lotSequence: 3 });
+    const sequences = await Promise.all([1, 2].map(() => syrupBatchRepository.nextLotSequence('s1')));
+    assert.deepEqual([...sequences].sort((a, b) => a - b), [8, 9]);
+  });
+
+  it('pages realtime events after a sequence number', async () => {
+    for (let i = 0; i < 12; i++) {
+      await realtimeEventRepository.append(i % 3 === 0 ? 'org2' : 'org1', { type: `t${i}` });
+    }
+    const page = await realtimeEventRepository.findSince('org1', 2, 3);
+    assert.deepEqual(page.map((e) => e.seq), [3, 4, 5]);
+    assert.ok(page.every((e) => e.organizationId === 'org1'));
+    assert.equal((await realtimeEventRepository.findSince('org1', 5)).length, 3);
+  });
+
+  it('keeps the first flow forecast a season gets each day', async () => {
+    const season = await seasonRepository.create({ name: '2026 Season', organizationId: 'o1' });
+    const forecast = (volume) => ['2026-03-01', '2026-03-02', '2026-03-03'].map((date) => ({ date, predictedVolume: volume }));
+    await recordPredictions(season.id, 'regression', forecast(10));
+    // Asked again that day, e.g. for another zone's location
+    await recordPredictions(season.id, 'regression', forecast(99));
+    const { created } = await flowPredictionRepository.record({
+      seasonId: season.id, model: 'regression', issuedOn: '2026-03-01', date: '2026-03-02', predictedVolume: 50,
+    });
+    assert.equal(created, false);
+
+    const stored = await flowPredictionRepository.findBySeasonId(season.id);
+    assert.deepEqual(stored.map((p) => [p.date, p.predictedVolume, p.leadDays]), [
+      ['2026-03-01', 10, 0],
+      ['2026-03-02', 10, 1],
+      ['2026-03-03', 10, 2],
+    ]);
+  });
+});
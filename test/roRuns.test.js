@@ -0,0 +1,58 @@
+/**
+ * RO runs: efficiency per run and concentrate boils counted as the raw sap they came from
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestApp, resetStorage, request, setupOperation } from './helpers.js';
+
+describe('RO runs', () => {
+  let app;
+  before(async () => {
+    app = await createTestApp();
+  });
+  after(() => app.close());
+  beforeEach(() => resetStorage());
+
+  const run = { inputVolume: 1000, inputBrix: 2, concentrateVolume: 250, concentrateBrix: 7.8, membraneHours: 4 };
+
+  it('records runs with their efficiency and refuses impossible ones', async () => {
+    const { token, season } = await setupOperation(app);
+    const { status, body } = await request(app, token, 'POST', '/api/ro-runs', { seasonId: season.id, ...run });
+    assert.equal(status, 200);
+    assert.equal(body.roRun.permeateVolume, 750);
+    assert.equal(body.roRun.efficiency.waterRemovedPercent, 75);
+    assert.equal(body.roRun.efficiency.concentrationFactor, 4);
+    assert.equal(body.roRun.efficiency.sugarRecoveryPercent, 97.5);
+    assert.equal(body.roRun.efficiency.litersPerMembraneHour, 250);
+
+    const bigger = await request(app, token, 'POST', '/api/ro-runs', {
+      seasonId: season.id, inputVolume: 100, concentrateVolume: 200,
+    });
+    assert.equal(bigger.status, 400);
+    const diluted = await request(app, token, 'POST', '/api/ro-runs', {
+      seasonId: season.id, inputVolume: 100, inputBrix: 3, concentrateVolume: 50, concentrateBrix: 2,
+    });
+    assert.equal(diluted.status, 400);
+  });
+
+  it('counts a concentrate boil as the raw sap behind it', async () => {
+    const { token, season } = await setupOperation(app);
+    const { body: { roRun } } = await request(app, token, 'POST', '/api/ro-runs', { seasonId: season.id, ...run });
+    await request(app, token, 'POST', '/api/boils', {
+      seasonId: season.id,
+      date: '2026-03-12',
+      feedType: 'concentrate',
+      roRunIds: [roRun.id],
+      sapVolumeIn: 250,
+      syrupVolumeOut: 25,
+    });
+    await request(app, token, 'POST', '/api/boils', { seasonId: season.id, date: '2026-03-13', sapVolumeIn: 400, syrupVolumeOut: 10 });
+
+    const { body: { stats } } = await request(app, token, 'GET', `/api/stats/season?seasonId=${season.id}`);
+    assert.equal(stats.totalConcentrateBoiled, 250);
+    assert.equal(stats.totalSapProcessed, 1400);
+    assert.equal(stats.yieldRatio, 40);
+    assert.equal(stats.ro.runCount, 1);
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * Seasons: roll-over into a new season, and closing with frozen stats
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestApp, resetStorage, request, registerUser, setupOperation } from './helpers.js';
+import { operationMemberRepository } from '../src/storage/repositories/OperationMemberRepository.js';
+import { seasonRepository } from '../src/storage/repositories/SeasonRepository.js';
+
+describe('season clone', () => {
+  let app;
+  before(async () => {
+    app = await createTestApp();
+  });
+  after(() => app.close());
+  beforeEach(() => resetStorage());
+
+  it('copies zone overrides into next year\'s season and scales tap counts', async () => {
+    const { token, operation, season } = await setupOperation(app);
+    await request(app, token, 'PATCH', `/api/seasons/${season.id}`, { startDate: '2026-02-15', endDate: '2026-04-30' });
+    const zone = async (name, tapCount) => (await request(app, token, 'POST', '/api/zones', {
+      organizationId: operation.id, name, tapCount,
+    })).body.zone;
+    const [north, south, east, west] = [await zone('North', 100), await zone('South', 200), await zone('East', 50), await zone('West', 80)];
+    await request(app, token, 'PATCH', `/api/seasons/${season.id}/zones/${north.id}`, { tapCount: 120, vacuumInHg: 22 });
+    await request(app, token, 'PATCH', `/api/seasons/${season.id}/zones/${south.id}`, { included: false });
+    await request(app, token, 'POST', '/api/taps/bulk', { zoneId: east.id, count: 3, installDate: '2025-11-01' });
+    await request(app, token, 'POST', '/api/collections', { seasonId: season.id, date: '2026-03-10', volume: 100 });
+
+    const { status, body } = await request(app, token, 'POST', `/api/seasons/${season.id}/clone`, {
+      tapCountChangePercent: 10, tapCounts: { [west.id]: 90 },
+    });
+    assert.equal(status, 200);
+    assert.equal(body.season.year, 2027);
+    assert.equal(body.season.name, '2027 Season');
+    assert.deepEqual([body.season.startDate, body.season.endDate], ['2027-02-15', '2027-04-30']);
+    assert.equal(body.season.clonedFromId, season.id);
+    assert.equal(body.season.isActive, true);
+    assert.deepEqual(body.inventoryZoneIds, [east.id]);
+
+    const { body: { zones } } = await request(app, token, 'GET', `/api/zones?seasonId=${body.season.id}`);
+    const byName = Object.fromEntries(zones.map((z) => [z.name, [z.tapCount, z.vacuumInHg]]));
+    assert.deepEqual(byName, { North: [132, 22], East: [3, 0], West: [90, 0] });
+    const { body: { collections } } = await request(app, token, 'GET', `/api/collections?seasonId=${body.season.id}`);
+    assert.deepEqual(collections, []);
+  });
+
+  it('needs write access and known zones', async () => {
+    const { token, operation, season } = await setupOperation(app);
+    const unknown = await request(app, token, 'POST', `/api/seasons/${season.id}/clone`, { tapCounts: { nope: 5 } });
+    assert.equal(unknown.status, 400);
+    const bad = await request(app, token, 'POST', `/api/seasons/${season.id}/clone`, { tapCountChangePercent: -150 });
+    assert.equal(bad.status, 400);
+
+    const reader = await registerUser(app, 'Reader');
+    await operationMemberRepository.addMember(operation.id, reader.user.id, 'read');
+    const refused = await request(app, reader.token, 'POST', `/api/seasons/${season.id}/clone`);
+    assert.equal(refused.status, 403);
+  });
+});
+
+describe('closed seasons', () => {
+  let app;
+  before(async () => {
+    app = await createTestApp();
+  });
+  after(() => app.close());
+  beforeEach(() => resetStorage());
+
+  const addCollection = (token, season, volume) => request(app, token, 'POST', '/api/collections', {
+    seasonId: season.id, date: '2026-03-10', volume,
+  });
+
+  it('locks a closed season until an admin reopens it', async () => {
+    const { token, season } = await setupOperation(app);
+    assert.equal((await addCollection(token, season, 100)).status, 200);
+    assert.equal((await request(app, token, 'POST', `/api/seasons/${season.id}/close`)).status, 200);
+
+    assert.equal((await addCollection(token, season, 50)).status, 409);
+    assert.equal((await request(app, token, 'PATCH', `/api/seasons/${season.id}`, { name: 'Renamed' })).status, 409);
+    assert.equal((await request(app, token, 'DELETE', `/api/seasons/${season.id}`)).status, 409);
+    // Making it the active season doesn't change its records
+    assert.equal((await request(app, token, 'POST', `/api/seasons/${season.id}/activate`)).status, 200);
+
+    const stats = await request(app, token, 'GET', `/api/stats/season?seasonId=${season.id}`);
+    assert.equal(stats.body.frozen, true);
+    assert.equal(stats.body.stats.totalSapCollected, 100);
+
+    const reopened = await request(app, token, 'POST', `/api/seasons/${season.id}/reopen`, { reason: 'Missed a collection' });
+    assert.equal(reopened.status, 200);
+    assert.equal((await addCollection(token, season, 50)).status, 200);
+  });
+
+  it('freezes zone stats and keeps a snapshot per close', async () => {
+    const { token, operation, season } = await setupOperation(app);
+    const { body: { zone } } = await request(app, token, 'POST', '/api/zones', { organizationId: operation.id, name: 'North', tapCount: 100 });
+    await request(app, token, 'POST', '/api/collections', { seasonId: season.id, zoneId: zone.id, date: '2026-03-10', volume: 500 });
+    await request(app, token, 'POST', `/api/seasons/${season.id}/close`);
+
+    await request(app, token, 'PATCH', `/api/zones/${zone.id}`, { tapCount: 250 });
+    const { body } = await request(app, token, 'GET', `/api/stats/zones?seasonId=${season.id}`);
+    assert.equal(body.frozen, true);
+    assert.equal(body.zoneStats[0].tapCount, 100);
+
+    const withoutReason = await request(app, token, 'POST', `/api/seasons/${season.id}/reopen`, {});
+    assert.equal(withoutReason.status, 400);
+    await request(app, token, 'POST', `/api/seasons/${season.id}/reopen`, { reason: 'Recount' });
+    await request(app, token, 'POST', `/api/seasons/${season.id}/close`);
+    const snapshots = await request(app, token, 'GET', `/api/seasons/${season.id}/snapshots`);
+    assert.equal(snapshots.body.snapshots.length, 2);
+  });
+
+  it('only lets admins reopen', async () => {
+    const { token, operation, season } = await setupOperation(app);
+    const writer = await registerUser(app, 'Writer');
+    await operationMemberRepository.addMember(operation.id, writer.user.id, 'write');
+    assert.equal((await request(app, writer.token, 'POST', `/api/seasons/${season.id}/close`)).status, 200);
+    const refused = await request(app, writer.token, 'POST', `/api/seasons/${season.id}/reopen`, { reason: 'Oops' });
+    assert.equal(refused.status, 403);
+  });
+
+  it('only lets PATCH change the season\'s own fields', async () => {
+    const { token, season } = await setupOperation(app);
+    const refused = await request(app, token, 'PATCH', `/api/seasons/${season.id}`, { name: 'X', closedAt: null });
+    assert.equal(refused.status, 400);
+
+    const { status, body } = await request(app, token, 'PATCH', `/api/seasons/${season.id}`, {
+      name: 'Sugaring 2026',
+      startDate: '2026-02-20',
+      organizationId: 'someone-else',
+      isActive: false,
+    });
+    assert.equal(status, 200);
+    assert.equal(body.season.name, 'Sugaring 2026');
+    assert.equal(body.season.startDate, '2026-02-20');
+    assert.equal(body.season.organizationId, season.organizationId);
+    assert.equal(body.season.isActive, true);
+  });
+
+  it('ignores a snapshot that belongs to another season', async () => {
+    const { token, operation, season } = await setupOperation(app);
+    await addCollection(token, season, 100);
+    const { body: { snapshot } } = await request(app, token, 'POST', `/api/seasons/${season.id}/close`);
+
+    const { body: { season: other } } = await request(app, token, 'POST', '/api/seasons', {
+      name: '2027 Season', year: 2027, organizationId: operation.id,
+    });
+    await seasonRepository.update(other.id, { closedAt: new Date().toISOString(), snapshotId: snapshot.id });
+    const { body } = await request(app, token, 'GET', `/api/stats/season?seasonId=${other.id}`);
+    assert.equal(body.frozen, undefined);
+    assert.equal(body.stats.totalSapCollected, 0);
+  });
+});
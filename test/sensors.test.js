@@ -0,0 +1,123 @@
+/**
+ * Sensors: device API keys, ingestion into tanks and the time series, and the stale sweep
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestApp, resetStorage, request, setupOperation } from './helpers.js';
+import { sensorDeviceRepository } from '../src/storage/repositories/SensorDeviceRepository.js';
+import { sensorReadingRepository } from '../src/storage/repositories/SensorReadingRepository.js';
+import { sweepStaleDevices } from '../src/services/SensorService.js';
+
+describe('sensors', () => {
+  let app;
+  before(async () => {
+    app = await createTestApp();
+  });
+  after(() => app.close());
+  beforeEach(() => resetStorage());
+
+  async function registerDevice(token, operation) {
+    const { body: { tank } } = await request(app, token, 'POST', '/api/tanks', { organizationId: operation.id, name: 'Raw', capacity: 1000 });
+    const { status, body } = await request(app, token, 'POST', '/api/devices', {
+      organizationId: operation.id, name: 'Tank gauge', tankId: tank.id,
+    });
+    assert.equal(status, 200);
+    return { tank, device: body.device, apiKey: body.apiKey };
+  }
+
+  it('ingests readings into the time series and the sensor\'s tank', async () => {
+    const { token, operation } = await setupOperation(app);
+    const { tank, device, apiKey } = await registerDevice(token, operation);
+    const earlier = new Date(Date.now() - 60000).toISOString();
+
+    const { status, body } = await request(app, apiKey, 'POST', '/api/ingest', {
+      readings: [
+        { metric: 'tankLevel', value: 640 },
+        { metric: 'tankLevel', value: 500, at: earlier },
+        { metric: 'battery', value: 3.7 },
+        { metric: 'tankLevel', value: -5 },
+      ],
+    });
+    assert.equal(status, 200);
+    assert.equal(body.accepted, 3);
+    assert.deepEqual(body.rejected.map((r) => r.index), [3]);
+
+    assert.equal((await request(app, token, 'GET', `/api/tanks/${tank.id}`)).body.tank.currentLevel, 640);
+    const { body: { device: seen } } = await request(app, token, 'GET', `/api/devices/${device.id}`);
+    assert.equal(seen.lastReadings.tankLevel.value, 640);
+    assert.equal(seen.lastReadings.battery.value, 3.7);
+    assert.equal(seen.stale, false);
+    const series = await request(app, token, 'GET', `/api/devices/${device.id}/readings?metric=tankLevel`);
+    assert.deepEqual(series.body.readings.map((r) => r.value), [500, 640]);
+  });
+
+  it('refuses unknown and rotated keys', async () => {
+    const { token, operation } = await setupOperation(app);
+    const { device, apiKey } = await registerDevice(token, operation);
+    const readings = [{ metric: 'battery', value: 3.6 }];
+
+    assert.equal((await request(app, 'smd_nope', 'POST', '/api/ingest', { readings })).status, 401);
+    const { body: rotated } = await request(app, token, 'POST', `/api/devices/${device.id}/rotate-key`);
+    assert.equal((await request(app, apiKey, 'POST', '/api/ingest', { readings })).status, 401);
+    assert.equal((await request(app, rotated.apiKey, 'POST', '/api/ingest', { readings })).status, 200);
+  });
+
+  it('flags sensors that stopped reporting until they report again', async () => {
+    const { token, operation } = await setupOperation(app);
+    const { device, apiKey } = await registerDevice(token, operation);
+    await request(app, apiKey, 'POST', '/api/ingest', { readings: [{ metric: 'battery', value: 3.6 }] });
+    await sensorDeviceRepository.update(device.id, { lastSeenAt: new Date(Date.now() - 31 * 60000).toISOString() });
+
+    assert.equal(await sweepStaleDevices(), 1);
+    assert.equal(await sweepStaleDevices(), 0);
+    const stale = await request(app, token, 'GET', `/api/devices/${device.id}`);
+    assert.equal(stale.body.device.stale, true);
+
+    await request(app, apiKey, 'POST', '/api/ingest', { readings: [{ metric: 'battery', value: 3.5 }] });
+    const online = await request(app, token, 'GET', `/api/devices/${device.id}`);
+    assert.equal(online.body.device.stale, false);
+  });
+
+  it('keeps the latest reading of each metric from batches ingested at once', async (t) => {
+    const { token, operation } = await setupOperation(app);
+    const { device, apiKey } = await registerDevice(token, operation);
+    // Both batches are stored before either updates the device
+    const store = sensorReadingRepository.createMany.bind(sensorReadingRepository);
+    let arrive;
+    const bothStored = new Promise((resolve) => {
+      let waiting = 2;
+      arrive = () => --waiting === 0 && resolve();
+    });
+    t.mock.method(sensorReadingRepository, 'createMany', async (items) => {
+      const created = await store(items);
+      arrive();
+      await bothStored;
+      return created;
+    });
+
+    await Promise.all([
+      request(app, apiKey, 'POST', '/api/ingest', { readings: [{ metric: 'battery', value: 3.6 }] }),
+      request(app, apiKey, 'POST', '/api/ingest', { readings: [{ metric: 'signal', value: -70 }] }),
+    ]);
+    const { body: { device: seen } } = await request(app, token, 'GET', `/api/devices/${device.id}`);
+    assert.equal(seen.lastReadings.battery.value, 3.6);
+    assert.equal(seen.lastReadings.signal.value, -70);
+  });
+
+  it('leaves a sensor that reported during the sweep unflagged', async (t) => {
+    const { token, operation } = await setupOperation(app);
+    const { device, apiKey } = await registerDevice(token, operation);
+    await sensorDeviceRepository.update(device.id, { lastSeenAt: new Date(Date.now() - 31 * 60000).toISOString() });
+
+    const scan = sensorDeviceRepository.findNotStale.bind(sensorDeviceRepository);
+    t.mock.method(sensorDeviceRepository, 'findNotStale', async () => {
+      const devices = await scan();
+      await request(app, apiKey, 'POST', '/api/ingest', { readings: [{ metric: 'battery', value: 3.6 }] });
+      return devices;
+    });
+    assert.equal(await sweepStaleDevices(), 0);
+    t.mock.restoreAll();
+    assert.equal((await request(app, token, 'GET', `/api/devices/${device.id}`)).body.device.stale, false);
+  });
+});
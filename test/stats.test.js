@@ -0,0 +1,143 @@
+/**
+ * Stats aggregates: sums kept up to date write by write must match a rebuild from the records
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestApp, resetStorage, request, setupOperation } from './helpers.js';
+import { collectionRepository } from '../src/storage/repositories/CollectionRepository.js';
+import { seasonStatsRepository } from '../src/storage/repositories/SeasonStatsRepository.js';
+import { dailyStatsRepository } from '../src/storage/repositories/DailyStatsRepository.js';
+import {
+  applyCollectionChange,
+  getSeasonAggregates,
+  rebuildSeasonAggregates,
+} from '../src/services/StatsAggregateService.js';
+
+const META_FIELDS = ['id', 'createdAt', 'updatedAt', 'rebuiltAt', 'generation', 'version', 'rebuildId', 'organizationId'];
+
+function sums(doc) {
+  return Object.fromEntries(Object.entries(doc).filter(([key]) => !META_FIELDS.includes(key)));
+}
+
+async function snapshot(seasonId) {
+  const { totals, days } = await getSeasonAggregates(seasonId);
+  return { totals: sums(totals), days: days.map(sums) };
+}
+
+describe('stats aggregates', () => {
+  let app;
+  before(async () => {
+    app = await createTestApp();
+  });
+  after(() => app.close());
+  beforeEach(() => resetStorage());
+
+  it('matches a rebuild after creates, an import, edits and deletes', async () => {
+    const { token, season } = await setupOperation(app);
+    await getSeasonAggregates(season.id);
+
+    const post = (body) => request(app, token, 'POST', '/api/collections', { seasonId: season.id, ...body });
+    const first = (await post({ date: '2026-03-01', volume: 100, sugarContent: 2 })).body.collection;
+    await post({ date: '2026-03-01', volume: 50 });
+    const third = (await post({ date: '2026-03-02', volume: 80, sugarContent: 2.5 })).body.collection;
+    const imported = await request(app, token, 'POST', '/api/collections/import', {
+      seasonId: season.id,
+      dryRun: false,
+      defaultUnit: 'liters',
+      content: 'date,volume,brix\n2026-03-02,40,2\n2026-03-03,60,3\n2026-03-03,20,\n',
+    });
+    assert.equal(imported.body.imported, 3);
+    await request(app, token, 'PATCH', `/api/collections/${first.id}`, { volume: 120, date: '2026-03-04' });
+    await request(app, token, 'DELETE', `/api/collections/${third.id}`);
+    await request(app, token, 'POST', '/api/boils', { seasonId: season.id, date: '2026-03-03', sapVolumeIn: 200, syrupVolumeOut: 5, duration: 90 });
+
+    const incremental = await snapshot(season.id);
+    assert.equal(incremental.totals.collectionCount, 5);
+    assert.equal(incremental.totals.sapVolume, 290);
+    assert.equal(incremental.totals.boilCount, 1);
+    await rebuildSeasonAggregates(season.id);
+    assert.deepEqual(await snapshot(season.id), incremental);
+  });
+
+  it('starts over when a write lands during a rebuild', async (t) => {
+    const { token, season } = await setupOperation(app);
+    await request(app, token, 'POST', '/api/collections', { seasonId: season.id, date: '2026-03-01', volume: 100 });
+    await getSeasonAggregates(season.id);
+
+    // A collection written between the rebuild loading the records and storing its sums
+    const load = collectionRepository.findBySeasonId.bind(collectionRepository);
+    let raced = false;
+    t.mock.method(collectionRepository, 'findBySeasonId', async (seasonId) => {
+      const records = await load(seasonId);
+      if (!raced) {
+        raced = true;
+        const late = await collectionRepository.create({ seasonId, date: '2026-03-02', volume: 30 });
+        await applyCollectionChange(null, late);
+      }
+      return records;
+    });
+
+    const { totals, days } = await rebuildSeasonAggregates(season.id);
+    assert.equal(totals.collectionCount, 2);
+    assert.equal(totals.sapVolume, 130);
+    assert.deepEqual(days.map((d) => [d.date, d.sapVolume]), [['2026-03-01', 100], ['2026-03-02', 30]]);
+    assert.equal((await getSeasonAggregates(season.id)).totals.sapVolume, 130);
+  });
+
+  it('sets day sums once when rebuilds run side by side', async () => {
+    const { token, season } = await setupOperation(app);
+    await request(app, token, 'POST', '/api/collections', { seasonId: season.id, date: '2026-03-01', volume: 100 });
+    await request(app, token, 'POST', '/api/collections', { seasonId: season.id, date: '2026-03-02', volume: 40 });
+
+    await Promise.all([rebuildSeasonAggregates(season.id), rebuildSeasonAggregates(season.id)]);
+    const days = await dailyStatsRepository.findBySeasonId(season.id);
+    assert.deepEqual(days.map((d) => [d.date, d.sapVolume, d.collectionCount]), [
+      ['2026-03-01', 100, 1],
+      ['2026-03-02', 40, 1],
+    ]);
+  });
+
+  it('invalidates totals and days when writes keep overtaking a rebuild', async (t) => {
+    const { token, season } = await setupOperation(app);
+    await request(app, token, 'POST', '/api/collections', { seasonId: season.id, date: '2026-03-01', volume: 100 });
+    await getSeasonAggregates(season.id);
+
+    const load = collectionRepository.findBySeasonId.bind(collectionRepository);
+    t.mock.method(collectionRepository, 'findBySeasonId', async (seasonId) => {
+      const records = await load(seasonId);
+      const late = await collectionRepository.create({ seasonId, date: '2026-03-02', volume: 10 });
+      await applyCollectionChange(null, late);
+      return records;
+    });
+    await rebuildSeasonAggregates(season.id);
+    t.mock.restoreAll();
+
+    assert.equal((await seasonStatsRepository.findById(season.id)).version, null);
+    assert.deepEqual(await dailyStatsRepository.findBySeasonId(season.id), []);
+    const { totals, days } = await getSeasonAggregates(season.id);
+    assert.equal(totals.sapVolume, 130);
+    assert.deepEqual(days.map((d) => [d.date, d.sapVolume]), [['2026-03-01', 100], ['2026-03-02', 30]]);
+  });
+
+  it('drops a delta for a record a rebuild already counted', async (t) => {
+    const { token, season } = await setupOperation(app);
+    await request(app, token, 'POST', '/api/collections', { seasonId: season.id, date: '2026-03-01', volume: 100 });
+    await getSeasonAggregates(season.id);
+
+    // A rebuild that loads and stores the new collection before the route applies its delta
+    const create = collectionRepository.create.bind(collectionRepository);
+    t.mock.method(collectionRepository, 'create', async (data) => {
+      const created = await create(data);
+      await rebuildSeasonAggregates(data.seasonId);
+      return created;
+    });
+    await request(app, token, 'POST', '/api/collections', { seasonId: season.id, date: '2026-03-02', volume: 30 });
+    t.mock.restoreAll();
+
+    const { totals, days } = await getSeasonAggregates(season.id);
+    assert.equal(totals.collectionCount, 2);
+    assert.equal(totals.sapVolume, 130);
+    assert.deepEqual(days.map((d) => [d.date, d.sapVolume]), [['2026-03-01', 100], ['2026-03-02', 30]]);
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Storage adapters: the in-memory and SQLite backends must behave the same for every repository operation
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryAdapter } from '../src/storage/adapters/MemoryAdapter.js';
+import { SqliteAdapter } from '../src/storage/adapters/SqliteAdapter.js';
+
+const backends = {
+  memory: () => new MemoryAdapter(),
+  sqlite: () => new SqliteAdapter(':memory:'),
+};
+
+for (const [name, createAdapter] of Object.entries(backends)) {
+  describe(`${name} adapter`, () => {
+    let storage;
+    beforeEach(() => {
+      storage = createAdapter();
+    });
+
+    it('creates documents with generated and given IDs', async () => {
+      const created = await storage.create('things', { name: 'a', at: new Date('2026-03-01T00:00:00Z') });
+      assert.match(created.id, /^[A-Za-z0-9]{20}$/);
+      assert.equal(created.at, '2026-03-01T00:00:00.000Z');
+      assert.deepEqual(await storage.findById('things', created.id), created);
+
+      const withId = await storage.createWithId('things', 'fixed', { name: 'b' });
+      assert.equal(withId.id, 'fixed');
+      await storage.createWithId('things', 'fixed', { name: 'c' });
+      assert.equal((await storage.findById('things', 'fixed')).name, 'c');
+      assert.equal(await storage.findById('things', 'missing'), null);
+    });
+
+    it('creates a document only if it is absent', async () => {
+      const results = await Promise.all([1, 2, 3].map((n) => storage.createIfAbsent('keys', 'k', { n })));
+      assert.equal(results.filter((r) => r.created).length, 1);
+      const winner = results.find((r) => r.created).doc.n;
+      assert.ok(results.every((r) => r.doc.n === winner));
+      assert.equal((await storage.findById('keys', 'k')).n, winner);
+    });
+
+    it('creates several documents at once', async () => {
+      const docs = await storage.createMany('things', [{ n: 1 }, { n: 2 }, { n: 3 }]);
+      assert.equal(docs.length, 3);
+      assert.equal(new Set(docs.map((d) => d.id)).size, 3);
+      assert.equal((await storage.findAll('things')).length, 3);
+    });
+
+    it('finds by field and by conditions', async () => {
+      for (const doc of [
+        { kind: 'sap', volume: 10, tags: ['a'] },
+        { kind: 'sap', volume: 30, tags: ['b'] },
+        { kind: 'syrup', volume: 20, tags: ['a', 'b'] },
+      ]) {
+        await storage.create('things', doc);
+      }
+      assert.equal((await storage.findBy('things', 'kind', 'sap')).length, 2);
+      const big = await storage.findByConditions('things', [
+        { field: 'kind', value: 'sap' },
+        { field: 'volume', operator: '>', value: 15 },
+      ]);
+      assert.deepEqual(big.map((d) => d.volume), [30]);
+      assert.equal((await storage.findByConditions('things', [{ field: 'kind', operator: 'in', value: ['sap', 'syrup'] }])).length, 3);
+      assert.equal((await storage.findByConditions('things', [{ field: 'tags', operator: 'array-contains', value: 'b' }])).length, 2);
+    });
+
+    it('runs ordered range queries with limit and cursor', async () => {
+      for (let seq = 1; seq <= 5; seq++) await storage.createWithId('events', `e${seq}`, { seq });
+      const after2 = await storage.query('events', {
+        conditions: [{ field: 'seq', operator: '>', value: 2 }],
+        orderBy: { field: 'seq' },
+        limit: 2,
+      });
+      assert.deepEqual(after2.map((d) => d.seq), [3, 4]);
+      const desc = await storage.query('events', { orderBy: { field: 'seq', direction: 'desc' }, limit: 2 });
+      assert.deepEqual(desc.map((d) => d.seq), [5, 4]);
+      const page = await storage.query('events', { orderBy: { field: 'seq' }, startAfterId: 'e3' });
+      assert.deepEqual(page.map((d) => d.seq), [4, 5]);
+    });
+
+    it('updates existing documents and refuses missing ones', async () => {
+      const doc = await storage.create('things', { name: 'a', volume: 1 });
+      const updated = await storage.update('things', doc.id, { volume: 2 });
+      assert.deepEqual({ name: updated.name, volume: updated.volume }, { name: 'a', volume: 2 });
+      await assert.rejects(storage.update('things', 'missing', { volume: 1 }), (err) => err.statusCode === 404);
+
+      const other = await storage.create('things', { name: 'b' });
+      await storage.updateMany('things', [doc.id, other.id], { archived: true });
+      assert.equal((await storage.findBy('things', 'archived', true)).length, 2);
+    });
+
+    it('increments counters and nested fields', async () => {
+      assert.equal(await storage.increment('counters', 'c', 'value'), 1);
+      assert.equal(await storage.increment('counters', 'c', 'value', 4), 5);
+
+      await storage.incrementFields('sums', 's', { total: 5, 'zones.z1.volume': 2 }, { label: 'x', 'extra.a': 1 });
+      const doc = await storage.incrementFields('sums', 's', { total: -1, 'zones.z1.volume': 3 }, { 'extra.a': null });
+      assert.equal(doc.total, 4);
+      assert.equal(doc.zones.z1.volume, 5);
+      assert.equal(doc.label, 'x');
+      assert.deepEqual(doc.extra, {});
+    });
+
+    it('reads and writes a document atomically', async () => {
+      await storage.createWithId('tanks', 't', { level: 0, name: 'Main' });
+      await Promise.all([1, 2, 3, 4].map((n) => storage.updateAtomically('tanks', 't', (data) => ({ ...data, level: data.level + n }))));
+      const doc = await storage.updateAtomically('tanks', 't', () => undefined);
+      assert.deepEqual({ level: doc.level, name: doc.name }, { level: 10, name: 'Main' });
+      const missing = await storage.updateAtomically('tanks', 'missing', (data) => (data ? { ...data } : undefined));
+      assert.equal(missing, null);
+    });
+
+    it('deletes documents', async () => {
+      const doc = await storage.create('things', { name: 'a' });
+      assert.equal(await storage.exists('things', doc.id), true);
+      await storage.delete('things', doc.id);
+      assert.equal(await storage.exists('things', doc.id), false);
+      assert.equal(await storage.findById('things', doc.id), null);
+    });
+
+    it('returns copies that do not change what is stored', async () => {
+      const doc = await storage.create('things', { nested: { volume: 1 } });
+      const read = await storage.findById('things', doc.id);
+      read.nested.volume = 99;
+      assert.equal((await storage.findById('things', doc.id)).nested.volume, 1);
+    });
+  });
+}
@@ -0,0 +1,73 @@
+/**
+ * Offline sync: ordered batches, client IDs, idempotency keys and conflict detection
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestApp, resetStorage, request, setupOperation } from './helpers.js';
+
+describe('sync', () => {
+  let app;
+  before(async () => {
+    app = await createTestApp();
+  });
+  after(() => app.close());
+  beforeEach(() => resetStorage());
+
+  it('applies a batch in order and resolves client IDs', async () => {
+    const { token, season } = await setupOperation(app);
+    const operations = [
+      { key: 'phone-1:a', entity: 'collection', action: 'create', clientId: 'tmp-1', data: { seasonId: season.id, date: '2026-03-10', volume: 100 } },
+      { key: 'phone-1:b', entity: 'collection', action: 'update', id: 'tmp-1', data: { volume: 150 } },
+      { key: 'phone-1:c', entity: 'boil', action: 'delete' },
+    ];
+    const { status, body } = await request(app, token, 'POST', '/api/sync', { operations });
+    assert.equal(status, 200);
+    assert.deepEqual(body.results.map((r) => r.status), ['applied', 'applied', 'error']);
+    assert.equal(body.results[1].id, body.results[0].id);
+    assert.equal(body.results[1].record.volume, 150);
+
+    const replay = await request(app, token, 'POST', '/api/sync', { operations: operations.slice(0, 1) });
+    assert.equal(replay.body.results[0].status, 'replayed');
+    assert.equal(replay.body.results[0].id, body.results[0].id);
+    const { body: list } = await request(app, token, 'GET', `/api/collections?seasonId=${season.id}`);
+    assert.equal(list.collections.length, 1);
+  });
+
+  it('applies a key once when retried concurrently', async () => {
+    const { token, season } = await setupOperation(app);
+    const operations = [{
+      key: 'phone-1:op-1',
+      entity: 'collection',
+      action: 'create',
+      data: { seasonId: season.id, date: '2026-03-10', volume: 120 },
+    }];
+    const responses = await Promise.all([1, 2, 3].map(() => request(app, token, 'POST', '/api/sync', { operations })));
+    const results = responses.map((r) => r.body.results[0]);
+    assert.equal(results.filter((r) => r.status === 'applied').length, 1);
+    assert.equal(results.filter((r) => r.status === 'replayed').length, 2);
+    assert.equal(new Set(results.map((r) => r.id)).size, 1);
+
+    const { body } = await request(app, token, 'GET', `/api/collections?seasonId=${season.id}`);
+    assert.equal(body.collections.length, 1);
+  });
+
+  it('skips an update made against a stale copy and lets its key be sent again', async () => {
+    const { token, season } = await setupOperation(app);
+    const { body: { collection } } = await request(app, token, 'POST', '/api/collections', {
+      seasonId: season.id, date: '2026-03-10', volume: 100,
+    });
+    const op = { key: 'phone-1:d', entity: 'collection', action: 'update', id: collection.id, data: { volume: 90 } };
+
+    const conflict = await request(app, token, 'POST', '/api/sync', {
+      operations: [{ ...op, baseUpdatedAt: '2000-01-01T00:00:00.000Z' }],
+    });
+    assert.equal(conflict.body.results[0].status, 'conflict');
+    assert.equal(conflict.body.results[0].record.volume, 100);
+    const retried = await request(app, token, 'POST', '/api/sync', {
+      operations: [{ ...op, baseUpdatedAt: collection.updatedAt }],
+    });
+    assert.equal(retried.body.results[0].status, 'applied');
+    assert.equal(retried.body.results[0].record.volume, 90);
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Sap tanks: levels follow collections, boils and manual adjustments, with a level history, also under
+ * concurrent movements
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestApp, resetStorage, request, setupOperation } from './helpers.js';
+import { initFirestore } from '../src/storage/firestore.js';
+import { tankRepository } from '../src/storage/repositories/TankRepository.js';
+import { tankMovementRepository } from '../src/storage/repositories/TankMovementRepository.js';
+import { applyTankMovement } from '../src/services/TankService.js';
+
+describe('tanks', () => {
+  let app;
+  before(async () => {
+    app = await createTestApp();
+  });
+  after(() => app.close());
+  beforeEach(() => resetStorage());
+
+  async function createTank(token, operation, fields = {}) {
+    const { status, body } = await request(app, token, 'POST', '/api/tanks', {
+      organizationId: operation.id,
+      name: 'Raw sap',
+      capacity: 1000,
+      ...fields,
+    });
+    assert.equal(status, 200);
+    return body.tank;
+  }
+
+  const levelOf = async (token, tank) => (await request(app, token, 'GET', `/api/tanks/${tank.id}`)).body.tank;
+
+  it('fills from collections and draws for boils', async () => {
+    const { token, operation, season } = await setupOperation(app);
+    const tank = await createTank(token, operation);
+
+    const { body: { collection } } = await request(app, token, 'POST', '/api/collections', {
+      seasonId: season.id, date: '2026-03-10', volume: 400, tankId: tank.id,
+    });
+    assert.equal((await levelOf(token, tank)).currentLevel, 400);
+
+    await request(app, token, 'PATCH', `/api/collections/${collection.id}`, { volume: 500 });
+    assert.equal((await levelOf(token, tank)).currentLevel, 500);
+
+    await request(app, token, 'POST', '/api/boils', {
+      seasonId: season.id, date: '2026-03-10', sapVolumeIn: 300, sourceTankId: tank.id,
+    });
+    const after = await levelOf(token, tank);
+    assert.equal(after.currentLevel, 200);
+    assert.equal(after.percentFull, 20);
+
+    await request(app, token, 'DELETE', `/api/collections/${collection.id}`);
+    assert.equal((await levelOf(token, tank)).currentLevel, 0);
+  });
+
+  it('adjusts by a delta or to a measured level and keeps the history', async () => {
+    const { token, operation } = await setupOperation(app);
+    const tank = await createTank(token, operation);
+
+    await request(app, token, 'POST', `/api/tanks/${tank.id}/adjust`, { delta: 250 });
+    await request(app, token, 'POST', `/api/tanks/${tank.id}/adjust`, { level: 180, note: 'dipstick' });
+    const bad = await request(app, token, 'POST', `/api/tanks/${tank.id}/adjust`, { level: -1 });
+    assert.equal(bad.status, 400);
+
+    const { body } = await request(app, token, 'GET', `/api/tanks/${tank.id}/level`);
+    assert.equal(body.level, 180);
+    assert.deepEqual(body.history.map((m) => [m.delta, m.level, m.source]), [
+      [250, 250, 'manual'],
+      [-70, 180, 'manual'],
+    ]);
+  });
+
+  it('keeps tanks inside their operation', async () => {
+    const owner = await setupOperation(app);
+    const other = await setupOperation(app);
+    const tank = await createTank(owner.token, owner.operation);
+
+    assert.equal((await request(app, other.token, 'GET', `/api/tanks/${tank.id}`)).status, 404);
+    const misuse = await request(app, other.token, 'POST', '/api/collections', {
+      seasonId: other.season.id, date: '2026-03-10', volume: 10, tankId: tank.id,
+    });
+    assert.equal(misuse.status, 400);
+  });
+});
+
+describe('tank movements', () => {
+  before(() => initFirestore());
+  beforeEach(() => resetStorage());
+
+  it('keeps every concurrent movement', async () => {
+    const tank = await tankRepository.create({ name: 'Raw', capacity: 5000, currentLevel: 100 });
+    await Promise.all([
+      applyTankMovement({ tankId: tank.id, delta: 200, source: 'collection' }),
+      applyTankMovement({ tankId: tank.id, delta: 300, source: 'collection' }),
+      applyTankMovement({ tankId: tank.id, delta: -150, source: 'boil' }),
+      applyTankMovement({ tankId: tank.id, delta: 50, source: 'manual' }),
+    ]);
+    assert.equal((await tankRepository.findById(tank.id)).currentLevel, 500);
+
+    const movements = await tankMovementRepository.findBy('tankId', tank.id);
+    assert.equal(movements.length, 4);
+    assert.deepEqual(movements.map((m) => m.delta).sort((a, b) => a - b), [-150, 50, 200, 300]);
+    assert.deepEqual(movements.map((m) => m.levelAfter).sort((a, b) => a - b), [300, 450, 500, 600]);
+  });
+
+  it('never goes below empty', async () => {
+    const tank = await tankRepository.create({ name: 'Raw', currentLevel: 40 });
+    const { movement } = await applyTankMovement({ tankId: tank.id, delta: -100, source: 'boil' });
+    assert.equal(movement.levelAfter, 0);
+    assert.equal(movement.delta, -40);
+    assert.equal(await applyTankMovement({ tankId: 'missing', delta: 5, source: 'manual' }), null);
+  });
+
+  it('sets a measured level atomically and records the difference', async () => {
+    const tank = await tankRepository.create({ name: 'Raw', currentLevel: 100 });
+    const [collected, measured] = await Promise.all([
+      applyTankMovement({ tankId: tank.id, delta: 200, source: 'collection' }),
+      applyTankMovement({ tankId: tank.id, level: 250, source: 'sensor' }),
+    ]);
+    assert.equal((await tankRepository.findById(tank.id)).currentLevel, 250);
+    assert.equal(collected.movement.levelAfter + measured.movement.delta, 250);
+    assert.equal(await applyTankMovement({ tankId: tank.id, level: 250, source: 'sensor' }), null);
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Tap inventory: lines, bulk installs, retirement and inventory-based tap counts
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestApp, resetStorage, request, setupOperation } from './helpers.js';
+
+describe('tap inventory', () => {
+  let app;
+  before(async () => {
+    app = await createTestApp();
+  });
+  after(() => app.close());
+  beforeEach(() => resetStorage());
+
+  async function setupBush(token, operation) {
+    const { body: { zone } } = await request(app, token, 'POST', '/api/zones', { organizationId: operation.id, name: 'North', tapCount: 999 });
+    const { body: { line: main } } = await request(app, token, 'POST', '/api/lines', { zoneId: zone.id, name: 'M1', type: 'mainline' });
+    const { body: { line } } = await request(app, token, 'POST', '/api/lines', {
+      zoneId: zone.id, name: 'L1', type: 'lateral', parentLineId: main.id,
+    });
+    return { zone, line };
+  }
+
+  it('adds taps in bulk and summarizes them per line and spout', async () => {
+    const { token, operation } = await setupOperation(app);
+    const { zone, line } = await setupBush(token, operation);
+
+    const added = await request(app, token, 'POST', '/api/taps/bulk', {
+      zoneId: zone.id, count: 3, lineId: line.id, spoutType: '5/16', installDate: '2025-11-01',
+    });
+    assert.equal(added.body.count, 3);
+    await request(app, token, 'POST', '/api/taps/bulk', { zoneId: zone.id, taps: [{ label: 'Big maple', treeDiameterCm: 60 }] });
+    const invalid = await request(app, token, 'POST', '/api/taps/bulk', { zoneId: zone.id, taps: [{ treeDiameterCm: -2 }] });
+    assert.equal(invalid.status, 400);
+
+    const { body } = await request(app, token, 'GET', `/api/taps/summary?zoneId=${zone.id}`);
+    const [summary] = body.zones;
+    assert.equal(summary.activeTaps, 4);
+    assert.equal(summary.unassignedTaps, 1);
+    assert.deepEqual(summary.spoutTypes, { '5/16': 3, unknown: 1 });
+    assert.equal(summary.averageTapsPerLateral, 3);
+  });
+
+  it('retires the taps on a line and counts the inventory for the season', async () => {
+    const { token, operation, season } = await setupOperation(app);
+    const { zone, line } = await setupBush(token, operation);
+    await request(app, token, 'POST', '/api/taps/bulk', { zoneId: zone.id, count: 4, lineId: line.id, installDate: '2025-11-01' });
+    await request(app, token, 'POST', '/api/taps/bulk', { zoneId: zone.id, count: 2, installDate: '2025-11-01' });
+
+    const stranger = await setupOperation(app);
+    const foreign = await request(app, stranger.token, 'POST', '/api/taps/retire', { lineId: line.id });
+    assert.equal(foreign.status, 404);
+    assert.equal(foreign.body.error, 'Line not found');
+    const early = await request(app, token, 'POST', '/api/taps/retire', { lineId: line.id, retiredDate: '2025-01-01' });
+    assert.equal(early.status, 400);
+    const retired = await request(app, token, 'POST', '/api/taps/retire', { lineId: line.id, retiredDate: '2025-12-01' });
+    assert.equal(retired.body.retired, 4);
+
+    const { body } = await request(app, token, 'GET', `/api/zones?seasonId=${season.id}`);
+    assert.deepEqual(body.zones.map((z) => [z.tapCount, z.tapCountSource]), [[2, 'inventory']]);
+    const listed = await request(app, token, 'GET', `/api/taps?zoneId=${zone.id}&status=retired`);
+    assert.equal(listed.body.taps.length, 4);
+  });
+
+  it('keeps a retired tap\'s installDate on or before its retiredDate', async () => {
+    const { token, operation } = await setupOperation(app);
+    const { zone } = await setupBush(token, operation);
+    const { body: { taps: [tap] } } = await request(app, token, 'POST', '/api/taps/bulk', {
+      zoneId: zone.id, count: 1, installDate: '2025-11-01',
+    });
+    await request(app, token, 'POST', '/api/taps/retire', { tapIds: [tap.id], retiredDate: '2025-12-01' });
+    const patch = (body) => request(app, token, 'PATCH', `/api/taps/${tap.id}`, body);
+
+    assert.equal((await patch({ installDate: '2026-01-01' })).status, 400);
+    assert.equal((await patch({ installDate: '2025-11-15' })).body.tap.installDate, '2025-11-15');
+    const reinstated = await patch({ installDate: '2026-01-01', retiredDate: null });
+    assert.equal(reinstated.status, 200);
+    assert.equal(reinstated.body.tap.retiredDate, null);
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Vacuum readings: baselines and below-baseline flags, one at a time and in sensor batches, and the zone's
+ * recorded vacuum
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestApp, resetStorage, request, registerUser, setupOperation } from './helpers.js';
+import { initFirestore } from '../src/storage/firestore.js';
+import { zoneRepository } from '../src/storage/repositories/ZoneRepository.js';
+import { vacuumReadingRepository } from '../src/storage/repositories/VacuumReadingRepository.js';
+import { recordVacuumReading, recordVacuumReadings } from '../src/services/VacuumService.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/** Readings an hour apart ending an hour ago, oldest first */
+function hourly(values) {
+  const start = Date.now() - values.length * HOUR_MS;
+  return values.map((vacuumInHg, i) => ({
+    vacuumInHg,
+    at: new Date(start + i * HOUR_MS).toISOString(),
+    source: 'gauge',
+    note: null,
+  }));
+}
+
+const flags = (readings) => readings.map((r) => [r.baselineInHg, r.belowBaseline]);
+
+describe('vacuum readings', () => {
+  let app;
+  before(async () => {
+    app = await createTestApp();
+  });
+  after(() => app.close());
+  beforeEach(() => resetStorage());
+
+  it('flags a drop below the baseline and uses readings for the zone\'s vacuum', async () => {
+    const { token, operation, season } = await setupOperation(app);
+    const { body: { zone } } = await request(app, token, 'POST', '/api/zones', { organizationId: operation.id, name: 'North' });
+    for (const reading of hourly([20, 21, 19, 16])) {
+      const { status } = await request(app, token, 'POST', '/api/vacuum/readings', { zoneId: zone.id, ...reading });
+      assert.equal(status, 200);
+    }
+    const high = await request(app, token, 'POST', '/api/vacuum/readings', { zoneId: zone.id, vacuumInHg: 31 });
+    assert.equal(high.status, 400);
+
+    const { body } = await request(app, token, 'GET', `/api/vacuum/history?zoneId=${zone.id}`);
+    assert.deepEqual(body.readings.map((r) => [r.vacuumInHg, r.baselineInHg, r.belowBaseline]), [
+      [20, null, false],
+      [21, null, false],
+      [19, null, false],
+      [16, 20, true],
+    ]);
+    assert.equal(body.baselineInHg, 20);
+    assert.equal(body.alertDropInHg, 3);
+
+    const { body: { zones } } = await request(app, token, 'GET', `/api/zones?seasonId=${season.id}`);
+    assert.deepEqual(zones.map((z) => [z.vacuumInHg, z.vacuumSource]), [[19, 'readings']]);
+  });
+
+  it('keeps readings inside the operation', async () => {
+    const { token, operation } = await setupOperation(app);
+    const { body: { zone } } = await request(app, token, 'POST', '/api/zones', { organizationId: operation.id, name: 'North' });
+    const { body: { reading } } = await request(app, token, 'POST', '/api/vacuum/readings', { zoneId: zone.id, vacuumInHg: 22 });
+    const stranger = await registerUser(app, 'Stranger');
+    assert.equal((await request(app, stranger.token, 'GET', `/api/vacuum/history?zoneId=${zone.id}`)).status, 404);
+    assert.equal((await request(app, stranger.token, 'DELETE', `/api/vacuum/readings/${reading.id}`)).status, 404);
+  });
+});
+
+describe('vacuum baselines', () => {
+  before(() => initFirestore());
+  beforeEach(() => resetStorage());
+
+  it('flags drops below the baseline of the readings before', async () => {
+    const zone = await zoneRepository.create({ organizationId: 'org1', name: 'North' });
+    const stored = [];
+    for (const data of hourly([20, 21, 20, 16, 15, 20])) stored.push(await recordVacuumReading({ zone, data }));
+    assert.deepEqual(flags(stored), [
+      [null, false], [null, false], [null, false], [20, true], [20, true], [20, false],
+    ]);
+  });
+
+  it('flags a batch the same as readings recorded one by one', async () => {
+    const [single, batched] = await Promise.all([
+      zoneRepository.create({ organizationId: 'org1', name: 'Single' }),
+      zoneRepository.create({ organizationId: 'org1', name: 'Batched' }),
+    ]);
+    const earlier = hourly([22, 21, 22, 22])
+      .map((r) => ({ ...r, at: new Date(new Date(r.at).getTime() - 10 * HOUR_MS).toISOString() }));
+    const values = hourly([21, 17, 16, 21, 22, 18, 21, 12]);
+    for (const zone of [single, batched]) {
+      await recordVacuumReadings({ zone, readings: earlier });
+    }
+
+    const one = [];
+    for (const data of values) one.push(await recordVacuumReading({ zone: single, data }));
+    // Sent out of order, as a gauge flushing its buffer might
+    const batch = await recordVacuumReadings({ zone: batched, readings: [...values].reverse() });
+
+    assert.deepEqual(flags(batch), flags(one));
+    assert.deepEqual(batch.map((r) => r.belowBaseline), [false, true, true, false, false, true, false, true]);
+    assert.equal((await vacuumReadingRepository.findByZoneId(batched.id)).length, earlier.length + values.length);
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Built-in WebSocket realtime: token auth, event delivery, and subscriptions that follow operation membership
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import WebSocket from 'ws';
+import { createTestApp, resetStorage, request, registerUser, setupOperation } from './helpers.js';
+import { operationMemberRepository } from '../src/storage/repositories/OperationMemberRepository.js';
+
+/** An open, authenticated socket with a queue of received messages and next(type) to await one */
+async function connect(url, token) {
+  const socket = new WebSocket(url);
+  const received = [];
+  const waiters = [];
+  socket.on('message', (raw) => {
+    const message = JSON.parse(raw.toString());
+    const waiter = waiters.find((w) => w.type === message.type);
+    if (waiter) {
+      waiters.splice(waiters.indexOf(waiter), 1);
+      waiter.resolve(message);
+    } else {
+      received.push(message);
+    }
+  });
+  socket.next = (type) => {
+    const index = received.findIndex((m) => m.type === type);
+    if (index >= 0) return Promise.resolve(received.splice(index, 1)[0]);
+    return new Promise((resolve) => waiters.push({ type, resolve }));
+  };
+  await new Promise((resolve, reject) => {
+    socket.once('open', resolve);
+    socket.once('error', reject);
+  });
+  socket.send(JSON.stringify({ type: 'auth', token }));
+  await socket.next('ready');
+  return socket;
+}
+
+describe('websocket realtime', () => {
+  let app;
+  let url;
+  before(async () => {
+    app = await createTestApp();
+    const address = await app.listen({ port: 0, host: '127.0.0.1' });
+    url = `${address.replace('http', 'ws')}/api/realtime/ws`;
+  });
+  after(() => app.close());
+  beforeEach(() => resetStorage());
+
+  it('delivers an operation\'s events to its subscribers', { timeout: 10000 }, async () => {
+    const { token, operation, season } = await setupOperation(app);
+    const socket = await connect(url, token);
+    try {
+      socket.send(JSON.stringify({ type: 'subscribe', operationId: operation.id }));
+      assert.equal((await socket.next('subscribed')).operationId, operation.id);
+
+      await request(app, token, 'POST', '/api/collections', { seasonId: season.id, date: '2026-03-10', volume: 50 });
+      const { operationId, event } = await socket.next('event');
+      assert.equal(operationId, operation.id);
+      assert.equal(event.type, 'collection:created');
+    } finally {
+      socket.close();
+    }
+  });
+
+  it('refuses bad tokens and operations the user is not in', { timeout: 10000 }, async () => {
+    const { operation } = await setupOperation(app);
+    const stranger = await registerUser(app, 'Stranger');
+    const socket = await connect(url, stranger.token);
+    try {
+      socket.send(JSON.stringify({ type: 'subscribe', operationId: operation.id }));
+      assert.equal((await socket.next('error')).error, 'Access denied to this operation');
+    } finally {
+      socket.close();
+    }
+
+    const rejected = new WebSocket(url);
+    await new Promise((resolve) => rejected.once('open', resolve));
+    rejected.send(JSON.stringify({ type: 'auth', token: 'not-a-token' }));
+    const code = await new Promise((resolve) => rejected.once('close', resolve));
+    assert.equal(code, 4001);
+  });
+
+  it('drops a removed member\'s subscription', { timeout: 10000 }, async () => {
+    const { token, operation } = await setupOperation(app);
+    const member = await registerUser(app, 'Member');
+    await operationMemberRepository.addMember(operation.id, member.user.id, 'read');
+
+    const socket = await connect(url, member.token);
+    try {
+      socket.send(JSON.stringify({ type: 'subscribe', operationId: operation.id }));
+      assert.equal((await socket.next('subscribed')).operationId, operation.id);
+
+      const removed = await request(app, token, 'DELETE', `/api/operations/${operation.id}/members/${member.user.id}`);
+      assert.equal(removed.status, 200);
+      const dropped = await socket.next('unsubscribed');
+      assert.deepEqual(dropped, { type: 'unsubscribed', operationId: operation.id, reason: 'access_revoked' });
+
+      socket.send(JSON.stringify({ type: 'subscribe', operationId: operation.id }));
+      assert.equal((await socket.next('error')).error, 'Access denied to this operation');
+    } finally {
+      socket.close();
+    }
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Zone boundaries: validation, area and centroid, taps per hectare and GIS export
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestApp, resetStorage, request, setupOperation } from './helpers.js';
+
+/** Closed square ring of `size` degrees with its south-west corner at [lng, lat] */
+const square = (lng, lat, size) => [[lng, lat], [lng + size, lat], [lng + size, lat + size], [lng, lat + size], [lng, lat]];
+
+describe('zone boundaries', () => {
+  let app;
+  before(async () => {
+    app = await createTestApp();
+  });
+  after(() => app.close());
+  beforeEach(() => resetStorage());
+
+  it('computes area, centroid and taps per hectare from the boundary', async () => {
+    const { token, operation } = await setupOperation(app);
+    const boundary = { type: 'Polygon', coordinates: [square(-72, 45, 0.01)] };
+    const { status, body: { zone } } = await request(app, token, 'POST', '/api/zones', {
+      organizationId: operation.id, name: 'North', tapCount: 1000, boundary: { type: 'Feature', geometry: boundary },
+    });
+    assert.equal(status, 200);
+    assert.deepEqual(zone.boundary, boundary);
+    assert.ok(zone.areaHectares > 85 && zone.areaHectares < 90, `area ${zone.areaHectares}`);
+    assert.equal(zone.tapsPerHectare, Math.round((1000 / zone.areaHectares) * 10) / 10);
+    assert.ok(Math.abs(zone.centroid.lat - 45.005) < 0.0001 && Math.abs(zone.centroid.lng + 71.995) < 0.0001);
+
+    const holed = await request(app, token, 'PATCH', `/api/zones/${zone.id}`, {
+      boundary: { type: 'Polygon', coordinates: [square(-72, 45, 0.01), square(-71.995, 45.005, 0.005).reverse()] },
+      areaHectares: 1,
+    });
+    assert.ok(Math.abs(holed.body.zone.areaHectares - zone.areaHectares * 0.75) < 0.5);
+
+    const cleared = await request(app, token, 'PATCH', `/api/zones/${zone.id}`, { boundary: null });
+    assert.deepEqual([cleared.body.zone.boundary, cleared.body.zone.areaHectares], [null, null]);
+  });
+
+  it('refuses boundaries that are not closed polygons', async () => {
+    const { token, operation } = await setupOperation(app);
+    const open = square(-72, 45, 0.01).slice(0, 4);
+    const { status } = await request(app, token, 'POST', '/api/zones', {
+      organizationId: operation.id, name: 'North', boundary: { type: 'Polygon', coordinates: [open] },
+    });
+    assert.equal(status, 400);
+    const point = await request(app, token, 'POST', '/api/zones', {
+      organizationId: operation.id, name: 'North', boundary: { type: 'Point', coordinates: [-72, 45] },
+    });
+    assert.equal(point.status, 400);
+  });
+
+  it('exports zones as GeoJSON and KML', async () => {
+    const { token, operation } = await setupOperation(app);
+    await request(app, token, 'POST', '/api/zones', {
+      organizationId: operation.id, name: 'North', boundary: { type: 'Polygon', coordinates: [square(-72, 45, 0.01)] },
+    });
+    await request(app, token, 'POST', '/api/zones', { organizationId: operation.id, name: 'Camp', location: { lat: 45.1, lng: -72.1 } });
+    await request(app, token, 'POST', '/api/zones', { organizationId: operation.id, name: 'Nowhere' });
+
+    const geojson = await request(app, token, 'GET', `/api/operations/${operation.id}/zones/export`);
+    assert.deepEqual(geojson.body.features.map((f) => [f.properties.name, f.geometry.type]).sort(), [
+      ['Camp', 'Point'],
+      ['North', 'Polygon'],
+    ]);
+    const kml = await request(app, token, 'GET', `/api/operations/${operation.id}/zones/export?format=kml`);
+    assert.equal(kml.body.match(/<Placemark>/g).length, 2);
+  });
+});